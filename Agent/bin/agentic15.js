@@ -11,7 +11,12 @@ import { StatusCommand } from '../src/cli/StatusCommand.js';
 import { PlanCommand } from '../src/cli/PlanCommand.js';
 import { VisualTestCommand } from '../src/cli/VisualTestCommand.js';
 import { SyncCommand } from '../src/cli/SyncCommand.js';
+import { SyncRemoteCommand } from '../src/cli/SyncRemoteCommand.js';
 import { UpdateSettingsCommand } from '../src/cli/UpdateSettingsCommand.js';
+import { ReportCommand } from '../src/cli/ReportCommand.js';
+import { MigrateCommand } from '../src/cli/MigrateCommand.js';
+import { DoctorCommand } from '../src/cli/DoctorCommand.js';
+import { LogCommand } from '../src/cli/LogCommand.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -34,30 +39,67 @@ program
 program
   .command('task')
   .description('Task management')
-  .argument('<action>', 'Action: start, next, status, reset')
-  .argument('[taskId]', 'Task ID (e.g., TASK-001) - required for "start" and "reset"')
-  .option('--force', 'Force reset of completed/pending tasks')
-  .action((action, taskId, options) => TaskCommand.handle(action, taskId, options));
+  .argument('<action>', 'Action: start, next, status, reset, pause, resume, block, unblock, verify, repair')
+  .argument('[taskId]', 'Task ID (e.g., TASK-001, or plan-002:TASK-001 for a task in another plan) - required for "start", "resume", "block" and "unblock"')
+  .argument('[reason]', 'Why the task is blocked - required for "block"')
+  .option('--force', 'Force reset of completed/pending tasks, or start a task whose dependencies are unfinished')
+  .option('--worktree [path]', 'Start or resume the task in its own git worktree so it can run in parallel with other tasks')
+  .option('--on <taskId>', 'With "block": unblock automatically when this task completes (default: the task\'s unfinished dependencies)')
+  .option('--strictness <level>', 'With "verify": off, warn, missing or strict (default from settings.json)')
+  .action((action, taskId, reason, options) => TaskCommand.handle(action, taskId, { ...options, reason }));
 
 // Auto-commit workflow
 program
   .command('commit')
-  .description('Run tests, commit, push, create PR')
-  .action(() => CommitCommand.execute());
+  .description('Run tests, confirm completion criteria, commit, push, create PR')
+  .option('--yes', 'Confirm all completion criteria without prompting')
+  .option('--override <reason>', 'Complete the task even though some completion criteria are not met')
+  .option('--strictness <level>', 'Artifact check strictness: off, warn, missing or strict (default from settings.json)')
+  .action((options) => CommitCommand.execute(options));
 
 // Show status
 program
   .command('status')
   .description('Show current task status and progress')
-  .action(() => StatusCommand.show());
+  .option('--all', 'Show every open plan with its progress and tasks in progress')
+  .action((options) => StatusCommand.show(options));
 
-// Plan management (generate, lock, archive, new)
+// Plan management (generate, lock, archive, new, list, switch, amend, validate, templates, import, export, forecast)
 program
   .command('plan')
-  .description('Plan management: generate, lock, archive, or new')
-  .argument('[action]', 'Action: archive, new, or project description for generate')
-  .argument('[description]', 'Description for new plan or reason for archive')
-  .action((action, description) => PlanCommand.handle(action, description));
+  .description('Plan management: generate, lock, archive, new, list, switch, amend, validate, templates, import, export, or forecast')
+  .argument('[action]', 'Action: archive, new, list, switch, amend, validate, templates, import, export, forecast, or project description for generate')
+  .argument('[description]', 'Description for new plan, reason for archive, plan to switch to, plan file for amend/validate, or source for import')
+  .option('--dry-run', 'amend: show the plan diff without applying it; import: show the plan without writing it')
+  .option('--yes', 'amend: apply without asking for confirmation')
+  .option('--reason <text>', 'amend: reason recorded in the amendment history')
+  .option('--template <name>', 'new/generate: start from a plan template (list them with: plan templates)')
+  .option('--project-name <name>', 'new/generate: {{projectName}} in the template (default: package.json name)')
+  .option('--stack <stack>', 'new/generate: {{stack}} in the template')
+  .option('--var <name=value...>', 'new/generate: other template variables')
+  .option('--from <format>', 'import: source format when the file extension does not tell (markdown, csv)')
+  .option('--label <labels>', 'import github: only issues with these labels (comma-separated)')
+  .option('--milestone <name>', 'import github: only issues in this milestone (title or number)')
+  .option('--state <state>', 'import github: open, closed or all (default: open)')
+  .option('--wiql <query>', 'import azure: WIQL query selecting the work items')
+  .option('--name <name>', 'import: project name (default: Markdown title or package.json name)')
+  .option('--output <file>', 'import: write the plan to a file instead of the active plan; export: write to a file instead of stdout')
+  .option('--format <format>', 'export: md, mermaid, html or json (default: md)')
+  .option('--diagram <diagram>', 'export --format mermaid: graph (dependencies) or gantt (default: graph)')
+  .option('--velocity <hours>', 'forecast: hours per day to use instead of the observed velocity')
+  .option('--json', 'forecast: print the forecast as JSON')
+  .option('--force', 'import: replace an unlocked PROJECT-PLAN.json')
+  .action((action, description, options) => PlanCommand.handle(action, description, options));
+
+// Reports
+program
+  .command('report')
+  .description('Project reports: time (actual vs. estimated hours)')
+  .argument('<type>', 'Report type: time')
+  .option('--exclude-paused', 'time: do not count paused intervals as elapsed time')
+  .option('--format <format>', 'Output format: table, csv, or json', 'table')
+  .option('--output <file>', 'Write csv/json output to a file instead of stdout')
+  .action((type, options) => ReportCommand.handle(type, options));
 
 // Visual testing - capture screenshots and console errors
 program
@@ -72,10 +114,46 @@ program
   .description('Switch to main branch, pull latest changes, and cleanup feature branch')
   .action(() => SyncCommand.execute());
 
+// Retry issue/work item updates that failed (gh/az/network errors)
+program
+  .command('sync-remote')
+  .description('Send pending issue/work item updates queued after gh/az/network failures')
+  .option('--dry-run', 'List pending updates without sending them')
+  .action((options) => SyncRemoteCommand.execute(options));
+
 // Update settings.json from framework
 program
   .command('update-settings')
-  .description('Update .claude/settings.json from latest framework version')
-  .action(() => UpdateSettingsCommand.execute());
+  .description('Merge the latest framework settings into .claude/settings.json, keeping your own changes')
+  .option('--dry-run', 'Show the changes without writing anything')
+  .action((options) => UpdateSettingsCommand.execute(options));
+
+// Upgrade project state from older framework versions
+program
+  .command('migrate')
+  .description('Upgrade .claude/ state written by an older framework version (backed up, rolled back on failure)')
+  .option('--dry-run', 'List pending migrations without applying them')
+  .action((options) => MigrateCommand.execute(options));
+
+// Diagnose project state and tooling
+program
+  .command('doctor')
+  .description('Check project state, hooks and platform CLI setup, with suggested fixes')
+  .option('--fix', 'Apply safe repairs (stale pointers, tracker statistics, state migrations)')
+  .option('--json', 'Print results as JSON (exit code 1 when a check fails)')
+  .action((options) => DoctorCommand.execute(options));
+
+// Workflow history
+program
+  .command('log')
+  .description('Show who started, reset, completed or archived what, and when')
+  .option('--task <id>', 'Only events for this task')
+  .option('--type <type>', 'Only this event type (e.g. task.reset, task, completed)')
+  .option('--since <date>', 'Events on or after this date (YYYY-MM-DD or ISO timestamp)')
+  .option('--until <date>', 'Events on or before this date (YYYY-MM-DD or ISO timestamp)')
+  .option('--plan <planId>', 'Read another plan, including archived ones')
+  .option('--limit <n>', 'Only the last n matching events')
+  .option('--json', 'Print events as JSON')
+  .action((options) => LogCommand.execute(options));
 
 program.parse();
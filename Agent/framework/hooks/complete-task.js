@@ -23,6 +23,7 @@
  * 1. Updates task status to 'completed'
  * 2. Updates GitHub issue (if configured)
  * 3. Updates task tracker
+ * 4. Unblocks tasks that were waiting on this one
  */
 
 import fs from 'fs';
@@ -38,11 +39,19 @@ try {
   // Continue without GitHub integration
 }
 
+// Tracker reads and writes go through the framework's repository (atomic, locked)
+const { TrackerRepository } = await import('@agentic15.com/agentic15-claude-zen/src/core/TrackerRepository.js');
+const { TaskBlocking } = await import('@agentic15.com/agentic15-claude-zen/src/core/TaskBlocking.js');
+const { WorktreeLanes } = await import('@agentic15.com/agentic15-claude-zen/src/core/WorktreeLanes.js');
+const { EventLog } = await import('@agentic15.com/agentic15-claude-zen/src/core/EventLog.js');
+const { PlanRegistry } = await import('@agentic15.com/agentic15-claude-zen/src/core/PlanRegistry.js');
+
 /**
  * Main execution
  */
 async function main() {
-  const taskId = process.argv[2];
+  // plan-002:TASK-001 names a task in an open plan other than the active one
+  const { planRef, taskId } = PlanRegistry.parseTaskRef(process.argv[2]);
 
   if (!taskId) {
     console.error('\n❌ ERROR: Task ID required');
@@ -58,13 +67,22 @@ async function main() {
     process.exit(1);
   }
 
-  const activePlan = fs.readFileSync(activePlanFile, 'utf8').trim();
+  let activePlan = fs.readFileSync(activePlanFile, 'utf8').trim();
+  if (planRef) {
+    try {
+      activePlan = new PlanRegistry('.').resolve(planRef);
+    } catch (error) {
+      console.error(`\n❌ ERROR: ${error.message}\n`);
+      process.exit(1);
+    }
+  }
+
   const planDir = path.join('.claude/plans', activePlan);
-  const trackerFile = path.join(planDir, 'TASK-TRACKER.json');
+  const repository = new TrackerRepository(planDir);
   const taskFile = path.join(planDir, 'tasks', `${taskId}.json`);
 
   // Check if tracker exists
-  if (!fs.existsSync(trackerFile)) {
+  if (!repository.exists()) {
     console.error('\n❌ ERROR: Task tracker not found');
     console.error(`Plan: ${activePlan}`);
     console.error('Initialize first: npx agentic15 plan\n');
@@ -76,7 +94,7 @@ async function main() {
     console.error(`\n❌ ERROR: Task file not found: ${taskFile}`);
     console.error('Available tasks:');
 
-    const tracker = JSON.parse(fs.readFileSync(trackerFile, 'utf8'));
+    const tracker = repository.read();
     tracker.taskFiles.forEach(task => {
       console.error(`  ${task.id}: ${task.title} [${task.status}]`);
     });
@@ -85,7 +103,7 @@ async function main() {
   }
 
   // Load task and tracker
-  const tracker = JSON.parse(fs.readFileSync(trackerFile, 'utf8'));
+  let tracker = repository.read();
   const taskData = JSON.parse(fs.readFileSync(taskFile, 'utf8'));
 
   // Check if already completed
@@ -144,7 +162,7 @@ async function main() {
         taskData,
         process.cwd(),
         'completed',
-        { comment }
+        { comment, taskFile }
       );
     } catch (error) {
       console.warn('⚠ GitHub integration failed:', error.message);
@@ -156,32 +174,37 @@ async function main() {
   fs.writeFileSync(taskFile, JSON.stringify(taskData, null, 2));
 
   // Update tracker
-  if (tracker.activeTask === taskId) {
-    tracker.activeTask = null;
-  }
-  tracker.lastUpdated = new Date().toISOString();
-
-  const trackerTask = tracker.taskFiles.find(t => t.id === taskId);
-  if (trackerTask) {
-    trackerTask.status = 'completed';
-  }
+  const unblocked = repository.update(current => {
+    WorktreeLanes.releaseTask(current, taskId);
 
-  // Update statistics
-  tracker.statistics = {
-    totalTasks: tracker.taskFiles.length,
-    pending: tracker.taskFiles.filter(t => t.status === 'pending').length,
-    inProgress: tracker.taskFiles.filter(t => t.status === 'in_progress').length,
-    completed: tracker.taskFiles.filter(t => t.status === 'completed').length,
-    blocked: tracker.taskFiles.filter(t => t.status === 'blocked').length
-  };
+    const trackerTask = current.taskFiles.find(t => t.id === taskId);
+    if (trackerTask) {
+      trackerTask.status = 'completed';
+      trackerTask.completedAt = taskData.completedAt;
+    }
 
-  fs.writeFileSync(trackerFile, JSON.stringify(tracker, null, 2));
+    return TaskBlocking.releaseBlockedOn(current, taskId);
+  });
+  tracker = repository.read();
+
+  const eventLog = new EventLog(planDir);
+  eventLog.record({ type: 'task.completed', command: 'complete-task hook', taskId, from: previousStatus, to: 'completed' });
+  unblocked.forEach(entry => eventLog.record({
+    type: 'task.unblocked',
+    command: 'complete-task hook',
+    taskId: entry.id,
+    from: 'blocked',
+    to: entry.status,
+    details: { unblockedBy: TaskBlocking.AUTOMATIC, completedTask: taskId }
+  }));
 
   // Display completion message
   console.log(`\n✅ Completed task: ${taskId}`);
   console.log(`📋 Plan: ${activePlan}\n`);
   console.log(`📌 ${taskData.title}`);
 
+  unblocked.forEach(entry => console.log(`🔓 Unblocked ${entry.id} (was waiting on ${taskId})`));
+
   if (taskData.actualHours) {
     console.log(`⏱️  Time: ${taskData.actualHours}h`);
     if (taskData.estimatedHours) {
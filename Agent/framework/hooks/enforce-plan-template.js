@@ -5,102 +5,106 @@
  *
  * CRITICAL: Blocks custom plan formats - ONLY allow official template
  *
- * When Claude writes PROJECT-PLAN.json, this hook validates:
- * 1. Plan follows PLAN-SCHEMA.json structure
- * 2. Has required fields: planId, projectName, structure, tasks
- * 3. Tasks have proper format: id, title, description, phase, dependencies
- * 4. No custom formats allowed
+ * When Claude writes or edits a PROJECT-PLAN.json, this hook validates the
+ * resulting file against PLAN-SCHEMA.json with the same validator used by
+ * `npx agentic15 plan` (lock) and `npx agentic15 plan validate`:
+ * 1. Plan follows PLAN-SCHEMA.json structure (required fields, ID formats, phases, statuses)
+ * 2. Task, milestone and subproject IDs are unique
+ * 3. Dependencies reference existing tasks and contain no cycles
+ *
+ * Every violation is reported with its JSON pointer path.
  */
 
 import fs from 'fs';
-import path from 'path';
 
-// Read the tool input
-const input = process.argv[2] || '{}';
-const toolData = JSON.parse(input);
+/**
+ * Load the shared plan validator
+ *
+ * Prefers the installed package; falls back to the copy next to this hook
+ * so the hook also works inside the framework repository itself.
+ */
+async function loadValidator() {
+  try {
+    const { PlanValidator } = await import('@agentic15.com/agentic15-claude-zen/src/core/Plan/PlanValidator.js');
+    return new PlanValidator();
+  } catch (error) {
+    const { PlanValidator } = await import('../../src/core/Plan/PlanValidator.js');
+    return new PlanValidator();
+  }
+}
 
-const filePath = toolData.tool_input?.file_path;
-const content = toolData.tool_input?.content;
-const tool = toolData.tool;
+/**
+ * Content of the plan file as it will be after the tool runs
+ */
+function resultingContent(toolName, toolInput) {
+  if (toolName === 'Write') {
+    return toolInput.content;
+  }
 
-// Only check when writing PROJECT-PLAN.json
-if (tool === 'Write' && filePath && filePath.includes('PROJECT-PLAN.json')) {
+  // Edit: apply the replacement to the current file
+  const current = fs.readFileSync(toolInput.file_path, 'utf8');
+  if (toolInput.replace_all) {
+    return current.split(toolInput.old_string).join(toolInput.new_string);
+  }
+  return current.replace(toolInput.old_string, () => toolInput.new_string);
+}
+
+async function main(input) {
+  const toolData = JSON.parse(input || '{}');
+  const toolName = toolData.tool_name || toolData.tool || toolData.name;
+  const toolInput = toolData.tool_input || toolData.input || {};
+  const filePath = toolInput.file_path;
+
+  // Only check writes to PROJECT-PLAN.json
+  if ((toolName !== 'Write' && toolName !== 'Edit') || !filePath || !filePath.endsWith('PROJECT-PLAN.json')) {
+    process.exit(0);
+  }
 
   let plan;
   try {
-    plan = JSON.parse(content);
+    plan = JSON.parse(resultingContent(toolName, toolInput));
   } catch (error) {
     console.error('\n❌ BLOCKED: PROJECT-PLAN.json must be valid JSON');
     console.error(`   Parse error: ${error.message}\n`);
     process.exit(2);
   }
 
-  const errors = [];
-
-  // Required top-level fields
-  const requiredFields = ['planId', 'projectName', 'description', 'structure', 'tasks'];
-  for (const field of requiredFields) {
-    if (!plan[field]) {
-      errors.push(`Missing required field: ${field}`);
-    }
-  }
-
-  // Validate structure field
-  if (plan.structure && typeof plan.structure !== 'string') {
-    errors.push('Field "structure" must be "flat" or "hierarchical"');
-  }
-
-  // Validate tasks array
-  if (plan.tasks && !Array.isArray(plan.tasks)) {
-    errors.push('Field "tasks" must be an array');
+  let validator;
+  try {
+    validator = await loadValidator();
+  } catch (error) {
+    // Never block work because the framework itself could not be loaded
+    process.exit(0);
   }
 
-  // Validate each task
-  if (Array.isArray(plan.tasks)) {
-    const taskRequiredFields = ['id', 'title', 'description', 'phase', 'dependencies', 'estimatedHours'];
-
-    plan.tasks.forEach((task, index) => {
-      for (const field of taskRequiredFields) {
-        if (task[field] === undefined) {
-          errors.push(`Task ${task.id || index}: Missing required field "${field}"`);
-        }
-      }
-
-      // Validate task ID format
-      if (task.id && !task.id.match(/^TASK-\d{3}$/)) {
-        errors.push(`Task ${task.id || index}: Invalid ID format. Must be TASK-XXX (e.g., TASK-001)`);
-      }
-
-      // Validate dependencies is array
-      if (task.dependencies && !Array.isArray(task.dependencies)) {
-        errors.push(`Task ${task.id || index}: dependencies must be an array`);
-      }
+  const { valid, errors } = validator.validate(plan);
 
-      // Validate phase
-      const validPhases = ['design', 'implementation', 'testing', 'deployment'];
-      if (task.phase && !validPhases.includes(task.phase)) {
-        errors.push(`Task ${task.id || index}: Invalid phase "${task.phase}". Must be one of: ${validPhases.join(', ')}`);
-      }
-    });
-  }
-
-  // If errors found, block
-  if (errors.length > 0) {
-    console.error('\n❌ BLOCKED: PROJECT-PLAN.json does NOT follow template');
+  if (!valid) {
+    console.error('\n❌ BLOCKED: PROJECT-PLAN.json does NOT follow PLAN-SCHEMA.json');
     console.error('\n   Validation errors:');
-    errors.forEach(err => console.error(`   • ${err}`));
+    errors.forEach(({ path, message }) => console.error(`   • ${path || '/'}: ${message}`));
     console.error('\n   ✅ Use the official template:');
     console.error('   1. Read node_modules/@agentic15.com/agentic15-claude-zen/framework/PLAN-SCHEMA.json for structure');
     console.error('   2. Read node_modules/@agentic15.com/agentic15-claude-zen/framework/PROJECT-PLAN-TEMPLATE.json for format');
     console.error('   3. Follow the exact structure');
-    console.error('\n   Required fields:');
-    console.error('   - planId, projectName, description, structure, tasks');
-    console.error('   - Each task: id (TASK-XXX), title, description, phase, dependencies, estimatedHours\n');
+    console.error('\n   Check a plan file at any time with: npx agentic15 plan validate [file]\n');
     process.exit(2);
   }
 
   // Validation passed
   console.log('✅ PROJECT-PLAN.json follows official template');
+  process.exit(0);
 }
 
-process.exit(0);
+// Tool use arrives on stdin; older configurations pass it as an argument
+if (process.argv[2]) {
+  main(process.argv[2]).catch(() => process.exit(0));
+} else {
+  let input = '';
+  process.stdin.on('data', chunk => {
+    input += chunk;
+  });
+  process.stdin.on('end', () => {
+    main(input).catch(() => process.exit(0));
+  });
+}
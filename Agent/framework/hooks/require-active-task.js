@@ -11,6 +11,10 @@
 import fs from 'fs';
 import path from 'path';
 
+// Parallel task lanes are git worktrees sharing the main worktree's .claude/ state
+const { WorktreeLanes } = await import('@agentic15.com/agentic15-claude-zen/src/core/WorktreeLanes.js');
+const { TrackerRepository } = await import('@agentic15.com/agentic15-claude-zen/src/core/TrackerRepository.js');
+
 // Read tool use from stdin
 let input = '';
 process.stdin.on('data', chunk => {
@@ -29,7 +33,8 @@ process.stdin.on('end', () => {
     }
 
     // Check if active task exists
-    const activePlanFile = '.claude/ACTIVE-PLAN';
+    const { mainRoot, laneKey } = WorktreeLanes.resolve();
+    const activePlanFile = path.join(mainRoot, '.claude/ACTIVE-PLAN');
 
     if (!fs.existsSync(activePlanFile)) {
       console.error('\n' + '═'.repeat(70));
@@ -43,11 +48,14 @@ process.stdin.on('end', () => {
       return;
     }
 
-    const activePlan = fs.readFileSync(activePlanFile, 'utf8').trim();
-    const planDir = path.join('.claude/plans', activePlan);
-    const trackerPath = path.join(planDir, 'TASK-TRACKER.json');
+    // Several locked plans can be open at once; a task in any of them counts
+    const plansDir = path.join(mainRoot, '.claude/plans');
+    const repositories = (fs.existsSync(plansDir) ? fs.readdirSync(plansDir, { withFileTypes: true }) : [])
+      .filter(entry => entry.isDirectory() && entry.name !== 'archived')
+      .map(entry => new TrackerRepository(path.join(plansDir, entry.name)))
+      .filter(repository => repository.exists());
 
-    if (!fs.existsSync(trackerPath)) {
+    if (repositories.length === 0) {
       console.error('\n' + '═'.repeat(70));
       console.error('❌ BLOCKED: Task tracker not found');
       console.error('═'.repeat(70));
@@ -58,13 +66,24 @@ process.stdin.on('end', () => {
       return;
     }
 
-    const tracker = JSON.parse(fs.readFileSync(trackerPath, 'utf8'));
+    const trackers = repositories.map(repository => repository.read());
+
+    // Linked worktrees need their own bound task; the main worktree uses activeTask
+    const laneTask = trackers
+      .map(tracker => WorktreeLanes.getBoundTaskId(tracker, laneKey))
+      .find(Boolean);
+
+    const paused = trackers.flatMap(tracker => tracker.taskFiles.filter(t => t.status === 'paused'));
 
-    if (!tracker.activeTask) {
+    if (!laneTask) {
       console.error('\n' + '═'.repeat(70));
       console.error('❌ BLOCKED: No active task');
       console.error('═'.repeat(70));
       console.error('\nYou MUST have an active task before making code changes.');
+      if (paused.length > 0) {
+        console.error(`\nPaused tasks: ${paused.map(t => t.id).join(', ')}`);
+        console.error('  Ask the human to resume one: npx agentic15 task resume TASK-XXX');
+      }
       console.error('\nTo start a task:');
       console.error('  npx agentic15 task next');
       console.error('\nThis will:');
@@ -16,6 +16,9 @@
 import fs from 'fs';
 import path from 'path';
 
+const { WorktreeLanes } = await import('@agentic15.com/agentic15-claude-zen/src/core/WorktreeLanes.js');
+const { TrackerRepository } = await import('@agentic15.com/agentic15-claude-zen/src/core/TrackerRepository.js');
+
 function log(message, color = 'reset') {
   const colors = {
     reset: '\x1b[0m',
@@ -40,21 +43,66 @@ try {
   // Ignore
 }
 
+// Parallel task lanes are git worktrees sharing the main worktree's .claude/ state
+const { mainRoot, laneKey } = WorktreeLanes.resolve();
+
+// Bring state written by an older framework version up to date before reading it
+let migration = null;
+try {
+  const { MigrationRunner } = await import('@agentic15.com/agentic15-claude-zen/src/core/Migration/MigrationRunner.js');
+  const runner = new MigrationRunner(mainRoot);
+  if (runner.isOutdated()) {
+    try {
+      migration = runner.run();
+    } catch (error) {
+      migration = { error };
+    }
+  }
+} catch (e) {
+  // Older framework version - no state migrations
+}
+
 // Check if active plan exists
-const activePlanFile = '.claude/ACTIVE-PLAN';
+const activePlanFile = path.join(mainRoot, '.claude/ACTIVE-PLAN');
 let activePlan = null;
 let planDir = null;
 let tracker = null;
 let activeTask = null;
 
+// A tracker that cannot be read is reported, not fatal - the session still starts
+const unreadablePlans = [];
+function readTracker(planId, dir) {
+  const repository = new TrackerRepository(dir);
+  if (!repository.exists()) {
+    return null;
+  }
+
+  try {
+    return repository.read();
+  } catch (error) {
+    unreadablePlans.push({ id: planId, error });
+    return null;
+  }
+}
+
 if (fs.existsSync(activePlanFile)) {
   activePlan = fs.readFileSync(activePlanFile, 'utf8').trim();
-  planDir = path.join('.claude/plans', activePlan);
+  planDir = path.join(mainRoot, '.claude/plans', activePlan);
+  tracker = readTracker(activePlan, planDir);
+}
 
-  const trackerPath = path.join(planDir, 'TASK-TRACKER.json');
-  if (fs.existsSync(trackerPath)) {
-    tracker = JSON.parse(fs.readFileSync(trackerPath, 'utf8'));
-  }
+// Other open (locked) plans - their tasks can be in progress too
+const plansDir = path.join(mainRoot, '.claude/plans');
+const otherPlans = (fs.existsSync(plansDir) ? fs.readdirSync(plansDir, { withFileTypes: true }) : [])
+  .filter(entry => entry.isDirectory() && entry.name !== 'archived' && entry.name !== activePlan)
+  .map(entry => ({ id: entry.name, dir: path.join(plansDir, entry.name) }))
+  .map(plan => ({ ...plan, tracker: readTracker(plan.id, plan.dir) }))
+  .filter(plan => plan.tracker);
+
+// The task in progress in this worktree, according to one plan's tracker
+function findLaneTask(planTracker) {
+  const laneTaskId = WorktreeLanes.getBoundTaskId(planTracker, laneKey);
+  return laneTaskId ? planTracker.taskFiles.find(t => t.id === laneTaskId) : null;
 }
 
 console.log('\n' + '═'.repeat(70));
@@ -66,6 +114,19 @@ log('⚙️  SYSTEM STATUS:', 'bold');
 log(`   Framework: agentic15-claude-zen`, 'cyan');
 log(`   Sandbox: ${settings.sandbox?.enabled ? '✓ Enabled' : '✗ Disabled'}`, 'cyan');
 
+if (migration && migration.error) {
+  log(`   ⚠️  Project state is outdated and migrating it failed: ${migration.error.message}`, 'yellow');
+  log('      Changes were rolled back - run: npx agentic15 migrate', 'yellow');
+} else if (migration) {
+  log(`   ⚠️  Project state was outdated - migrated v${migration.from} → v${migration.to}: ${migration.applied.join(', ')}`, 'yellow');
+  log(`      Backup: ${path.relative(mainRoot, migration.backupPath)}`, 'yellow');
+}
+
+unreadablePlans.forEach(plan => {
+  log(`   ⚠️  Skipped ${plan.id}: its TASK-TRACKER.json could not be read (${plan.error.message})`, 'yellow');
+  log('      HUMAN WILL: Fix the file or restore it from git', 'yellow');
+});
+
 // Role definitions
 console.log('\n' + '─'.repeat(70));
 log('👥 ROLE DEFINITIONS - CLEAR SEPARATION OF CONCERNS:', 'bold');
@@ -102,14 +163,25 @@ if (activePlan && tracker) {
   log(`   Plan: ${activePlan}`, 'cyan');
   log(`   Location: .claude/plans/${activePlan}/`, 'cyan');
 
-  // Find task with in_progress status
-  const inProgressTask = tracker.taskFiles.find(t => t.status === 'in_progress');
+  // Find the task in progress in this worktree (it may belong to another open plan)
+  let inProgressTask = findLaneTask(tracker);
+  let taskPlanDir = planDir;
+  let taskLabel = inProgressTask ? inProgressTask.id : null;
+
+  if (!inProgressTask) {
+    const other = otherPlans.map(plan => ({ plan, task: findLaneTask(plan.tracker) })).find(found => found.task);
+    if (other) {
+      inProgressTask = other.task;
+      taskPlanDir = other.plan.dir;
+      taskLabel = `${other.plan.id.match(/^plan-\d+/i)?.[0] || other.plan.id}:${other.task.id}`;
+    }
+  }
 
   if (inProgressTask) {
-    const taskFile = path.join(planDir, 'tasks', `${inProgressTask.id}.json`);
+    const taskFile = path.join(taskPlanDir, 'tasks', `${inProgressTask.id}.json`);
     if (fs.existsSync(taskFile)) {
       const task = JSON.parse(fs.readFileSync(taskFile, 'utf8'));
-      log(`\n   🔄 TASK IN PROGRESS: ${inProgressTask.id}`, 'yellow');
+      log(`\n   🔄 TASK IN PROGRESS: ${taskLabel}`, 'yellow');
       log(`   Title: ${task.title}`, 'yellow');
       log(`   Description: ${task.description}`, 'yellow');
       log(`\n   📝 YOUR JOB: Write code to complete this task`, 'green');
@@ -121,11 +193,40 @@ if (activePlan && tracker) {
     log('   📝 YOUR JOB: Wait for human to start a task', 'yellow');
   }
 
+  // Paused tasks keep their uncommitted work on a WIP ref until resumed
+  const pausedTasks = tracker.taskFiles.filter(t => t.status === 'paused');
+  if (pausedTasks.length > 0) {
+    log(`\n   ⏸️  PAUSED: ${pausedTasks.map(t => t.id).join(', ')}`, 'yellow');
+    log('   ⚠️  Do NOT redo paused work - HUMAN WILL: Run "npx agentic15 task resume TASK-XXX"', 'yellow');
+  }
+
+  // Blocked tasks wait on something outside the code; do not work around them
+  const blockedTasks = tracker.taskFiles.filter(t => t.status === 'blocked');
+  blockedTasks.forEach(t => {
+    const block = (t.blocks || []).filter(b => !b.unblockedAt).pop();
+    log(`\n   🚫 BLOCKED: ${t.id}${block ? ` - ${block.reason}` : ''}`, 'yellow');
+  });
+
   // Show progress
   const stats = tracker.statistics;
   log(`\n   Progress: ${stats.completed}/${stats.totalTasks} tasks complete`, 'cyan');
   log(`   In Progress: ${stats.inProgress}`, 'cyan');
   log(`   Pending: ${stats.pending}`, 'cyan');
+  if (stats.paused) {
+    log(`   Paused: ${stats.paused}`, 'cyan');
+  }
+  if (stats.blocked) {
+    log(`   Blocked: ${stats.blocked}`, 'cyan');
+  }
+
+  if (otherPlans.length > 0) {
+    const summaries = otherPlans.map(plan => {
+      const done = plan.tracker.taskFiles.filter(t => t.status === 'completed').length;
+      return `${plan.id} (${done}/${plan.tracker.taskFiles.length})`;
+    });
+    log(`\n   Other open plans: ${summaries.join(', ')}`, 'cyan');
+    log('   Task IDs are per plan - plan-002:TASK-001 names a task outside the active plan', 'cyan');
+  }
 
 } else {
   log('❌ NO ACTIVE PROJECT PLAN', 'red');
@@ -147,6 +248,9 @@ console.log('─'.repeat(70));
 log('   npx agentic15 plan              # Generate and lock plan', 'cyan');
 log('   npx agentic15 task next         # Start next pending task', 'cyan');
 log('   npx agentic15 task reset        # Reset stuck task', 'cyan');
+log('   npx agentic15 task pause        # Set current task aside (saves WIP)', 'cyan');
+log('   npx agentic15 task resume ID    # Continue a paused task', 'cyan');
+log('   npx agentic15 task block ID "why" # Mark a task blocked', 'cyan');
 log('   npx agentic15 task status       # View progress', 'cyan');
 log('   npx agentic15 commit            # Commit, push, create PR', 'cyan');
 log('   npx agentic15 sync              # Sync with main after PR merge', 'cyan');
@@ -20,9 +20,10 @@
  * Start Task Hook with GitHub Issues Integration
  *
  * This hook runs when a task is started. It:
- * 1. Updates task status to 'in_progress'
- * 2. Creates a GitHub issue (if configured)
- * 3. Updates task tracker
+ * 1. Refuses tasks that are blocked
+ * 2. Updates task status to 'in_progress'
+ * 3. Creates a GitHub issue (if configured)
+ * 4. Updates task tracker
  */
 
 import fs from 'fs';
@@ -45,11 +46,19 @@ try {
   // Continue without GitHub integration
 }
 
+// Tracker reads and writes go through the framework's repository (atomic, locked)
+const { TrackerRepository } = await import('@agentic15.com/agentic15-claude-zen/src/core/TrackerRepository.js');
+const { TaskBlocking } = await import('@agentic15.com/agentic15-claude-zen/src/core/TaskBlocking.js');
+const { WorktreeLanes } = await import('@agentic15.com/agentic15-claude-zen/src/core/WorktreeLanes.js');
+const { EventLog } = await import('@agentic15.com/agentic15-claude-zen/src/core/EventLog.js');
+const { PlanRegistry } = await import('@agentic15.com/agentic15-claude-zen/src/core/PlanRegistry.js');
+
 /**
  * Main execution
  */
 async function main() {
-  const taskId = process.argv[2];
+  // plan-002:TASK-001 names a task in an open plan other than the active one
+  const { planRef, taskId } = PlanRegistry.parseTaskRef(process.argv[2]);
 
   if (!taskId) {
     console.error('\n❌ ERROR: Task ID required');
@@ -65,13 +74,22 @@ async function main() {
     process.exit(1);
   }
 
-  const activePlan = fs.readFileSync(activePlanFile, 'utf8').trim();
+  let activePlan = fs.readFileSync(activePlanFile, 'utf8').trim();
+  if (planRef) {
+    try {
+      activePlan = new PlanRegistry('.').resolve(planRef);
+    } catch (error) {
+      console.error(`\n❌ ERROR: ${error.message}\n`);
+      process.exit(1);
+    }
+  }
+
   const planDir = path.join('.claude/plans', activePlan);
-  const trackerFile = path.join(planDir, 'TASK-TRACKER.json');
+  const repository = new TrackerRepository(planDir);
   const taskFile = path.join(planDir, 'tasks', `${taskId}.json`);
 
   // Check if tracker exists
-  if (!fs.existsSync(trackerFile)) {
+  if (!repository.exists()) {
     console.error('\n❌ ERROR: Task tracker not found');
     console.error(`Plan: ${activePlan}`);
     console.error('Initialize first: npx agentic15 plan\n');
@@ -83,7 +101,7 @@ async function main() {
     console.error(`\n❌ ERROR: Task file not found: ${taskFile}`);
     console.error('Available tasks:');
 
-    const tracker = JSON.parse(fs.readFileSync(trackerFile, 'utf8'));
+    const tracker = repository.read();
     tracker.taskFiles.forEach(task => {
       console.error(`  ${task.id}: ${task.title} [${task.status}]`);
     });
@@ -92,7 +110,7 @@ async function main() {
   }
 
   // Load task and tracker
-  const tracker = JSON.parse(fs.readFileSync(trackerFile, 'utf8'));
+  const tracker = repository.read();
   const taskData = JSON.parse(fs.readFileSync(taskFile, 'utf8'));
 
   // Check if already completed
@@ -102,6 +120,15 @@ async function main() {
     process.exit(1);
   }
 
+  // Blocked tasks wait for their block to be lifted (agentic15 task unblock)
+  const trackerEntry = tracker.taskFiles.find(t => t.id === taskId);
+  if (trackerEntry && trackerEntry.status === 'blocked') {
+    const block = TaskBlocking.getCurrentBlock(trackerEntry);
+    console.error(`\n❌ ERROR: Task ${taskId} is blocked${block ? `: ${block.reason}` : ''}`);
+    console.error(`Unblock it first: npx agentic15 task unblock ${taskId}\n`);
+    process.exit(1);
+  }
+
   // Pause any currently active task
   if (tracker.activeTask && tracker.activeTask !== taskId) {
     const activeTaskFile = path.join(planDir, 'tasks', `${tracker.activeTask}.json`);
@@ -110,12 +137,6 @@ async function main() {
       console.log(`\n⚠️  Pausing task ${activeTask.id}: ${activeTask.title}`);
       activeTask.status = 'pending';
       fs.writeFileSync(activeTaskFile, JSON.stringify(activeTask, null, 2));
-
-      // Update in tracker
-      const trackerTask = tracker.taskFiles.find(t => t.id === tracker.activeTask);
-      if (trackerTask) {
-        trackerTask.status = 'pending';
-      }
     }
   }
 
@@ -162,24 +183,28 @@ async function main() {
   fs.writeFileSync(taskFile, JSON.stringify(taskData, null, 2));
 
   // Update tracker
-  tracker.activeTask = taskId;
-  tracker.lastUpdated = new Date().toISOString();
+  const { previous, previousStatus } = repository.update(current => {
+    const previous = current.taskFiles.find(t => t.id === current.activeTask && t.id !== taskId);
+    if (previous) {
+      previous.status = 'pending';
+      WorktreeLanes.releaseTask(current, previous.id);
+    }
 
-  const trackerTask = tracker.taskFiles.find(t => t.id === taskId);
-  if (trackerTask) {
-    trackerTask.status = 'in_progress';
-  }
+    const trackerTask = current.taskFiles.find(t => t.id === taskId);
+    const previousStatus = trackerTask ? trackerTask.status : null;
+    if (trackerTask) {
+      trackerTask.status = 'in_progress';
+    }
 
-  // Update statistics
-  tracker.statistics = {
-    totalTasks: tracker.taskFiles.length,
-    pending: tracker.taskFiles.filter(t => t.status === 'pending').length,
-    inProgress: tracker.taskFiles.filter(t => t.status === 'in_progress').length,
-    completed: tracker.taskFiles.filter(t => t.status === 'completed').length,
-    blocked: tracker.taskFiles.filter(t => t.status === 'blocked').length
-  };
+    WorktreeLanes.bindTask(current, WorktreeLanes.MAIN_LANE, taskId);
+    return { previous: previous ? previous.id : null, previousStatus };
+  });
 
-  fs.writeFileSync(trackerFile, JSON.stringify(tracker, null, 2));
+  const eventLog = new EventLog(planDir);
+  if (previous) {
+    eventLog.record({ type: 'task.reset', command: 'start-task hook', taskId: previous, from: 'in_progress', to: 'pending', details: { replacedBy: taskId } });
+  }
+  eventLog.record({ type: 'task.started', command: 'start-task hook', taskId, from: previousStatus, to: 'in_progress' });
 
   // Display task info
   console.log(`\n✅ Started task: ${taskId}`);
@@ -1,13 +1,28 @@
 import { execSync } from 'child_process';
+import readline from 'readline';
 import { readFileSync, writeFileSync, existsSync } from 'fs';
-import { join } from 'path';
-import { GitHubClient } from '../core/GitHubClient.js';
-import { GitHubConfig } from '../core/GitHubConfig.js';
+import { join, dirname, relative } from 'path';
+import { WorktreeLanes } from '../core/WorktreeLanes.js';
+import { TaskBlocking } from '../core/TaskBlocking.js';
+import { QualityGates } from '../core/QualityGates.js';
+import { CompletionChecklist } from '../core/CompletionChecklist.js';
+import { ArtifactVerifier } from '../core/ArtifactVerifier.js';
+import { PlatformRouter } from '../core/Platform/PlatformRouter.js';
+import { RemoteSync } from '../core/Platform/RemoteSync.js';
+import { TrackerRepository } from '../core/TrackerRepository.js';
+import { EventLog } from '../core/EventLog.js';
+import { PlanRegistry } from '../core/PlanRegistry.js';
 
 export class CommitCommand {
-  static async execute() {
+  // Directory of the plan holding the task being committed (set by getActiveTask)
+  static planDir = null;
+
+  static async execute(options = {}) {
     console.log('\n🚀 Starting commit workflow...\n');
 
+    // Issue/work item updates that failed in an earlier command
+    await RemoteSync.retryDue(this.getProjectRoot());
+
     // Step 0: Check if current branch already has a PR (protection)
     await this.checkBranchPRStatus();
 
@@ -54,33 +69,45 @@ export class CommitCommand {
 
     console.log(`📌 Task: ${task.id} - ${task.title}\n`);
 
-    // Step 2: Mark task as completed BEFORE committing (so TASK-TRACKER.json is included)
+    // Step 2: Run quality gates (exits without marking the task completed on failure)
+    this.runQualityGates(task, trackerPath);
+
+    // Step 3: Verify declared artifacts against the branch diff
+    this.verifyArtifacts(task, trackerPath, options);
+
+    // Step 4: Confirm completion criteria (exits without completing the task if any are unmet)
+    const completionCheck = await this.checkCompletionCriteria(task, trackerPath, options);
+
+    // Step 5: Mark task as completed BEFORE committing (so TASK-TRACKER.json is included)
     console.log('✓ Marking task as completed...\n');
-    this.markTaskCompleted(task, tracker, trackerPath);
+    const unblocked = this.markTaskCompleted(task, tracker, trackerPath);
 
-    // Step 3: Stage files (including updated TASK-TRACKER.json)
+    // Step 6: Stage files (including updated TASK-TRACKER.json)
     console.log('📦 Staging changes...\n');
     this.stageFiles();
 
-    // Step 4: Generate commit message
+    // Step 7: Generate commit message
     const commitMessage = this.generateCommitMessage(task);
 
-    // Step 5: Commit
+    // Step 8: Commit
     console.log('💾 Creating commit...\n');
     this.createCommit(commitMessage);
 
-    // Step 6: Push to feature branch
+    // Step 9: Push to feature branch
     console.log('⬆️  Pushing to remote...\n');
-    this.pushBranch(task.id);
+    this.pushBranch(task);
 
-    // Step 7: Create PR
+    // Step 10: Create PR
     console.log('🔀 Creating pull request...\n');
     const prUrl = await this.createPullRequest(task, commitMessage);
 
-    // Step 8: Update GitHub issue status
-    await this.updateGitHubIssue(task, prUrl);
+    // Step 11: Record the completion and update the linked issue/work item
+    this.recordCompletion(task, prUrl, unblocked, dirname(trackerPath));
+    await this.updateTaskIssue(task, prUrl);
+    await this.tickCompletionCriteria(task, completionCheck, dirname(trackerPath));
+    await this.notifyUnblockedTasks(task, unblocked, dirname(trackerPath));
 
-    // Step 9: Display summary
+    // Step 12: Display summary
     this.displaySummary(task, prUrl, tracker);
   }
 
@@ -93,57 +120,71 @@ export class CommitCommand {
         return;
       }
 
-      // Check if PR exists for current branch
-      const prCheckOutput = execSync(`gh pr list --head ${currentBranch} --json number,url,state,title`, { encoding: 'utf-8' });
-      const prs = JSON.parse(prCheckOutput);
-
-      if (prs.length > 0) {
-        const pr = prs[0];
+      // Check if PR exists for current branch (null when the platform cannot be reached - allow commit)
+      const router = new PlatformRouter(this.getProjectRoot());
+      const pr = await router.getPullRequestStatus(currentBranch);
+      const short = router.getPullRequestShortName();
 
-        if (pr.state === 'MERGED') {
-          console.log(`\n❌ BRANCH PROTECTION: Cannot commit to branch with merged PR\n`);
+      if (pr) {
+        if (pr.state === 'merged') {
+          console.log(`\n❌ BRANCH PROTECTION: Cannot commit to branch with merged ${short}\n`);
           console.log(`   Current branch: ${currentBranch}`);
-          console.log(`   Merged PR: ${pr.url}`);
+          console.log(`   Merged ${short}: ${pr.url}`);
           console.log(`   Title: ${pr.title}\n`);
           console.log(`💡 Solution: Start a new task with a new branch:`);
           console.log(`   npx agentic15 task start TASK-XXX\n`);
           process.exit(1);
-        } else if (pr.state === 'CLOSED') {
-          console.log(`\n⚠️  WARNING: Branch has a closed PR\n`);
+        } else if (pr.state === 'closed') {
+          console.log(`\n⚠️  WARNING: Branch has a closed ${short}\n`);
           console.log(`   Current branch: ${currentBranch}`);
-          console.log(`   Closed PR: ${pr.url}`);
+          console.log(`   Closed ${short}: ${pr.url}`);
           console.log(`   Title: ${pr.title}\n`);
-          console.log(`   Continuing will push updates to the closed PR...\n`);
+          console.log(`   Continuing will push updates to the closed ${short}...\n`);
           // Allow but warn - they might want to reopen
-        } else if (pr.state === 'OPEN') {
-          console.log(`✓ Updating existing PR: ${pr.url}\n`);
+        } else if (pr.state === 'open') {
+          console.log(`✓ Updating existing ${short}: ${pr.url}\n`);
           // This is OK - updating an open PR
         }
       }
     } catch (error) {
-      // gh CLI not available or no PR exists - allow commit
-      // This is fine, PR will be created later
+      // Not a git repository - allow commit
     }
   }
 
   static getActiveTask() {
-    const activePlanPath = join(process.cwd(), '.claude', 'ACTIVE-PLAN');
+    const registry = new PlanRegistry(this.getProjectRoot());
 
-    if (!existsSync(activePlanPath)) {
+    if (!registry.getActivePlanId()) {
       console.log('\n❌ No active plan found\n');
       process.exit(1);
     }
 
-    const planId = readFileSync(activePlanPath, 'utf-8').trim();
-    const trackerPath = join(process.cwd(), '.claude', 'plans', planId, 'TASK-TRACKER.json');
+    // The task bound to this worktree (lanes let several tasks be in progress), in whichever plan holds it
+    const laneKey = WorktreeLanes.resolve().laneKey;
+    const [bound] = registry.findBoundTasks(laneKey);
+    const repository = bound
+      ? new TrackerRepository(registry.planDir(bound.planId))
+      : TrackerRepository.forActivePlan(this.getProjectRoot());
 
-    if (!existsSync(trackerPath)) {
+    if (!repository || !repository.exists()) {
       console.log('\n❌ Task tracker not found\n');
       process.exit(1);
     }
 
-    const tracker = JSON.parse(readFileSync(trackerPath, 'utf-8'));
-    const task = tracker.taskFiles.find(t => t.status === 'in_progress');
+    let tracker;
+    try {
+      tracker = repository.read();
+    } catch (error) {
+      console.log(`\n❌ Cannot read ${repository.path}: ${error.message}`);
+      console.log('   Diagnose with: agentic15 doctor\n');
+      process.exit(1);
+    }
+
+    const trackerPath = repository.path;
+    this.planDir = repository.planDir;
+
+    const taskId = WorktreeLanes.getBoundTaskId(tracker, laneKey);
+    const task = tracker.taskFiles.find(t => t.id === taskId);
 
     return { task, tracker, trackerPath };
   }
@@ -183,9 +224,7 @@ export class CommitCommand {
 
   static generateCommitMessage(task) {
     // Load full task details
-    const activePlanPath = join(process.cwd(), '.claude', 'ACTIVE-PLAN');
-    const planId = readFileSync(activePlanPath, 'utf-8').trim();
-    const taskPath = join(process.cwd(), '.claude', 'plans', planId, 'tasks', `${task.id}.json`);
+    const taskPath = this.getTaskPath(task.id);
 
     let taskData;
     try {
@@ -210,8 +249,8 @@ export class CommitCommand {
     }
   }
 
-  static pushBranch(taskId) {
-    const branchName = `feature/${taskId.toLowerCase()}`;
+  static pushBranch(task) {
+    const branchName = task.branch || `feature/${task.id.toLowerCase()}`;
 
     try {
       // Check if branch has upstream
@@ -232,148 +271,72 @@ export class CommitCommand {
   }
 
   static async createPullRequest(task, commitMessage) {
-    const platform = this.detectPlatform();
+    const router = new PlatformRouter(this.getProjectRoot());
 
-    if (platform === 'github') {
-      return this.createGitHubPR(task, commitMessage);
-    } else if (platform === 'azure') {
-      return this.createAzureDevOpsPR(task, commitMessage);
-    } else {
-      console.log('\n⚠️  Could not detect platform (GitHub or Azure DevOps)');
+    if (!router.getPlatform()) {
+      console.log('\n⚠️  Could not detect platform (GitHub, Azure DevOps, GitLab, Gitea/Forgejo or Bitbucket Server)');
       console.log('   PR creation skipped\n');
       return null;
     }
-  }
 
-  static async createGitHubPR(task, commitMessage) {
-    try {
-      const mainBranch = this.getMainBranch();
-      const activePlanPath = join(process.cwd(), '.claude', 'ACTIVE-PLAN');
-      const planId = readFileSync(activePlanPath, 'utf-8').trim();
-      const taskPath = join(process.cwd(), '.claude', 'plans', planId, 'tasks', `${task.id}.json`);
+    const platformName = router.getPlatformName();
+    const name = router.getPullRequestName();
+    const short = router.getPullRequestShortName();
 
-      let taskData;
-      try {
-        taskData = JSON.parse(readFileSync(taskPath, 'utf-8'));
-      } catch (e) {
-        taskData = task;
-      }
-
-      const currentBranch = execSync('git rev-parse --abbrev-ref HEAD', { encoding: 'utf-8' }).trim();
-
-      // Check if PR already exists
-      try {
-        const prCheckOutput = execSync(`gh pr list --head ${currentBranch} --json number,url,state`, { encoding: 'utf-8' });
-        const prs = JSON.parse(prCheckOutput);
-
-        if (prs.length > 0) {
-          const existingPR = prs[0];
-
-          if (existingPR.state === 'MERGED') {
-            console.log(`⚠️  PR already exists and was merged: ${existingPR.url}`);
-            return existingPR.url;
-          } else if (existingPR.state === 'OPEN') {
-            console.log(`✅ PR already exists (open): ${existingPR.url}`);
-            return existingPR.url;
-          }
-        }
-      } catch (error) {
-        // Continue with PR creation
-      }
-
-      // Build PR body
-      const templatePath = join(process.cwd(), '.github', 'PULL_REQUEST_TEMPLATE.md');
-      let prBody = '';
-
-      if (existsSync(templatePath)) {
-        console.log('📋 Using PR template from .github/PULL_REQUEST_TEMPLATE.md');
-        const template = readFileSync(templatePath, 'utf-8');
-        prBody = this.populatePRTemplate(template, taskData, task, commitMessage);
-      } else {
-        console.log('📋 PR template not found, using default format');
-        prBody = this.buildCustomPRBody(taskData, task, commitMessage);
-      }
-
-      const tempBodyFile = join(process.cwd(), '.git', 'PR_BODY.md');
-      writeFileSync(tempBodyFile, prBody);
-
-      const prCommand = `gh pr create --title "${commitMessage}" --body-file "${tempBodyFile}" --base ${mainBranch}`;
-      const prOutput = execSync(prCommand, { encoding: 'utf-8' });
-
-      const prUrl = prOutput.match(/https:\/\/github\.com\/[^\s]+/)?.[0];
-
-      if (prUrl) {
-        console.log(`✅ Pull request created: ${prUrl}`);
-        return prUrl;
-      }
-
-      console.log('✅ Pull request created');
-      return null;
-    } catch (error) {
-      console.log(`\n⚠️  Failed to create GitHub PR: ${error.message}`);
-      console.log('   You may need to install GitHub CLI: https://cli.github.com/\n');
+    if (!router.canManagePullRequests()) {
+      console.log(`\n⚠️  ${platformName} not configured - ${name} creation skipped`);
+      console.log(`   ${router.getSetupHint()}\n`);
       return null;
     }
-  }
-
-  static async createAzureDevOpsPR(task, commitMessage) {
-    try {
-      const mainBranch = this.getMainBranch();
-      const currentBranch = execSync('git rev-parse --abbrev-ref HEAD', { encoding: 'utf-8' }).trim();
-      const azureInfo = this.extractAzureOrgAndProject();
-
-      if (!azureInfo) {
-        console.log('\n⚠️  Could not extract Azure DevOps org/project from remote URL');
-        return null;
-      }
 
-      // Extract repository name from git remote
-      const remote = execSync('git remote get-url origin', { encoding: 'utf-8' }).trim();
-      const repoMatch = remote.match(/_git\/([^\/\s]+?)(?:\.git)?$/);
-      const repoName = repoMatch ? repoMatch[1] : null;
+    const currentBranch = execSync('git rev-parse --abbrev-ref HEAD', { encoding: 'utf-8' }).trim();
 
-      if (!repoName) {
-        console.log('\n⚠️  Could not extract repository name from remote URL');
-        return null;
-      }
-
-      // Build PR description
-      const activePlanPath = join(process.cwd(), '.claude', 'ACTIVE-PLAN');
-      const planId = readFileSync(activePlanPath, 'utf-8').trim();
-      const taskPath = join(process.cwd(), '.claude', 'plans', planId, 'tasks', `${task.id}.json`);
-
-      let taskData;
-      try {
-        taskData = JSON.parse(readFileSync(taskPath, 'utf-8'));
-      } catch (e) {
-        taskData = task;
-      }
+    // Check if PR already exists
+    const existing = ((await router.findPullRequests(currentBranch)) || [])
+      .find(pullRequest => pullRequest.state === 'open' || pullRequest.state === 'merged');
 
-      const prBody = this.buildCustomPRBody(taskData, task, commitMessage);
+    if (existing && existing.state === 'merged') {
+      console.log(`⚠️  ${short} already exists and was merged: ${existing.url}`);
+      return existing.url;
+    } else if (existing) {
+      console.log(`✅ ${short} already exists (open): ${existing.url}`);
+      return existing.url;
+    }
 
-      // Create PR using Azure CLI
-      console.log('📋 Creating Azure DevOps pull request...');
+    let taskData;
+    try {
+      taskData = JSON.parse(readFileSync(this.getTaskPath(task.id), 'utf-8'));
+    } catch (e) {
+      taskData = task;
+    }
 
-      const azCommand = `az repos pr create --source-branch ${currentBranch} --target-branch ${mainBranch} --title "${commitMessage}" --description "${prBody.replace(/"/g, '\\"')}" --organization https://dev.azure.com/${azureInfo.organization} --project ${azureInfo.project}`;
+    // Build PR description from the platform's template when the repository has one
+    const template = router.getPullRequestTemplate();
+    let description;
 
-      const prOutput = execSync(azCommand, { encoding: 'utf-8' });
-      const prData = JSON.parse(prOutput);
+    if (template && existsSync(join(process.cwd(), template))) {
+      console.log(`📋 Using ${short} template from ${template}`);
+      description = this.populatePRTemplate(readFileSync(join(process.cwd(), template), 'utf-8'), taskData, task, commitMessage);
+    } else {
+      console.log(`📋 ${short} template not found, using default format`);
+      description = this.buildCustomPRBody(taskData, task, commitMessage);
+    }
 
-      if (prData && prData.pullRequestId) {
-        // Construct web UI URL instead of using API URL
-        const webUrl = `https://dev.azure.com/${azureInfo.organization}/${azureInfo.project}/_git/${repoName}/pullrequest/${prData.pullRequestId}`;
-        console.log(`✅ Pull request created: ${webUrl}`);
-        return webUrl;
-      }
+    const pullRequest = await router.createPullRequest({
+      sourceBranch: currentBranch,
+      targetBranch: this.getMainBranch(),
+      title: commitMessage,
+      description
+    });
 
-      console.log('✅ Pull request created');
-      return null;
-    } catch (error) {
-      console.log(`\n⚠️  Failed to create Azure DevOps PR: ${error.message}`);
-      console.log('   You may need to install Azure CLI: https://aka.ms/azure-cli');
-      console.log('   And login: az login\n');
+    if (!pullRequest) {
+      console.log(`\n⚠️  Failed to create ${platformName} ${name}`);
+      console.log(`   ${router.getSetupHint()}\n`);
       return null;
     }
+
+    console.log(`✅ ${name.charAt(0).toUpperCase()}${name.slice(1)} created: ${pullRequest.url}`);
+    return pullRequest.url;
   }
 
   static populatePRTemplate(template, taskData, task, commitMessage) {
@@ -395,8 +358,9 @@ export class CommitCommand {
     }
 
     // Fill in Related Issues
-    if (taskData.githubIssue) {
-      populated = populated.replace(/Fixes #\s*\n/, `Fixes #${taskData.githubIssue}\n`);
+    const issue = taskData.githubIssue || taskData.gitlabIssue || taskData.giteaIssue;
+    if (issue) {
+      populated = populated.replace(/Fixes #\s*\n/, `Fixes #${issue}\n`);
     } else {
       populated = populated.replace(/Fixes #\s*\n/, `Related to ${task.id}\n`);
     }
@@ -426,11 +390,20 @@ export class CommitCommand {
       testingSection += `- [ ] No tests were modified (implementation makes existing tests pass)\n\n`;
     }
 
+    // Gate results from this commit run
+    if (taskData.qualityGates) {
+      testingSection += `\n${QualityGates.toMarkdown(taskData.qualityGates).replace(/^## /, '### ')}\n`;
+    }
+
     // Insert TDD section after the test checkboxes
-    populated = populated.replace(
-      /\*\*Test Configuration\*\*:/,
-      testingSection + '\n**Test Configuration**:'
-    );
+    if (/\*\*Test Configuration\*\*:/.test(populated)) {
+      populated = populated.replace(
+        /\*\*Test Configuration\*\*:/,
+        testingSection + '\n**Test Configuration**:'
+      );
+    } else if (taskData.qualityGates) {
+      populated += `\n\n${QualityGates.toMarkdown(taskData.qualityGates)}`;
+    }
 
     // Add copyright header checkbox automatically
     populated = populated.replace(
@@ -459,8 +432,9 @@ export class CommitCommand {
     // Original custom body as fallback
     let prBody = `## Task\n\n`;
 
-      if (taskData.githubIssue) {
-        prBody += `Closes #${taskData.githubIssue}\n\n`;
+      const issue = taskData.githubIssue || taskData.gitlabIssue || taskData.giteaIssue;
+      if (issue) {
+        prBody += `Closes #${issue}\n\n`;
       } else {
         prBody += `${task.id}\n\n`;
       }
@@ -551,11 +525,15 @@ export class CommitCommand {
       }
 
       // Test Results Section
-      prBody += `## Test Results (REQUIRED for all PRs)\n\n`;
-      prBody += `\`\`\`\n`;
-      prBody += `Paste test output here showing all tests passing\n`;
-      prBody += `Example: npm test output or npx playwright test output\n`;
-      prBody += `\`\`\`\n\n`;
+      if (taskData.qualityGates) {
+        prBody += QualityGates.toMarkdown(taskData.qualityGates) + '\n';
+      } else {
+        prBody += `## Test Results (REQUIRED for all PRs)\n\n`;
+        prBody += `\`\`\`\n`;
+        prBody += `Paste test output here showing all tests passing\n`;
+        prBody += `Example: npm test output or npx playwright test output\n`;
+        prBody += `\`\`\`\n\n`;
+      }
 
       // Code Quality
       prBody += `## Code Quality\n\n`;
@@ -570,84 +548,320 @@ export class CommitCommand {
       return prBody;
   }
 
-  static async updateGitHubIssue(task, prUrl) {
-    const config = new GitHubConfig(process.cwd());
+  static async updateTaskIssue(task, prUrl) {
+    const router = new PlatformRouter(this.getProjectRoot());
 
-    if (!config.isAutoUpdateEnabled()) {
+    if (!router.isAutoUpdateEnabled() || !router.isConfigured()) {
       return;
     }
 
-    try {
-      // Load task data
-      const activePlanPath = join(process.cwd(), '.claude', 'ACTIVE-PLAN');
-      const planId = readFileSync(activePlanPath, 'utf-8').trim();
-      const taskPath = join(process.cwd(), '.claude', 'plans', planId, 'tasks', `${task.id}.json`);
+    const itemName = router.getTaskItemName();
 
+    try {
+      const taskPath = this.getTaskPath(task.id);
       const taskData = JSON.parse(readFileSync(taskPath, 'utf-8'));
+      const itemId = router.getTaskItemId(taskData);
 
-      if (!taskData.githubIssue) {
-        return;
+      // Changes that fail (or wait for the item's queued creation) are retried later
+      const sync = new RemoteSync(this.getProjectRoot(), router);
+
+      // Update status to "in review"
+      const updated = await sync.updateTaskItem(taskPath, taskData, { status: 'in_review', phase: taskData.phase || 'implementation' });
+
+      // Add comment with PR link
+      if (prUrl) {
+        const name = router.getPullRequestName();
+        await sync.addComment(taskPath, taskData, `${name.charAt(0).toUpperCase()}${name.slice(1)} created: ${prUrl}\n\nTask is now in code review.`);
       }
 
-      const client = new GitHubClient(
-        config.getToken(),
-        config.getRepoInfo().owner,
-        config.getRepoInfo().repo
-      );
+      if (updated) {
+        console.log(`✅ Updated ${router.getPlatformName()} ${itemName} #${itemId}`);
+      }
+    } catch (error) {
+      console.log(`\n⚠️  Failed to update ${router.getPlatformName()} ${itemName}: ${error.message}\n`);
+    }
+  }
 
-      if (!client.isConfigured()) {
-        return;
+  static runQualityGates(task, trackerPath) {
+    const gates = new QualityGates(this.getProjectRoot());
+
+    if (!gates.isConfigured()) {
+      console.log('ℹ️  No quality gates configured (qualityGates in .claude/settings.json)\n');
+      return;
+    }
+
+    console.log('🚦 Running quality gates...\n');
+    const icons = { passed: '✅', failed: '❌', skipped: '⏭️ ' };
+    const outcome = gates.run(WorktreeLanes.resolve().worktreeRoot, result => {
+      console.log(`   ${icons[result.status]} ${result.name}: ${QualityGates.describe(result)}`);
+    });
+
+    this.saveGateResults(task, trackerPath, outcome);
+
+    if (!outcome.passed) {
+      const failure = outcome.results.find(r => r.status === 'failed');
+      console.log(`\n❌ Quality gate failed: ${failure.name}${failure.command ? ` (${failure.command})` : ''}`);
+      if (failure.output) {
+        console.log('');
+        failure.output.split('\n').forEach(line => console.log(`   ${line}`));
       }
+      console.log(`\n   ${task.id} was NOT marked as completed. Fix the failures and run: agentic15 commit\n`);
+      process.exit(1);
+    }
 
-      // Update labels to "in review"
-      await client.updateIssueLabels(taskData.githubIssue, ['status: in-review', `phase: ${taskData.phase || 'implementation'}`]);
+    console.log('');
+  }
 
-      // Add comment with PR link
-      if (prUrl) {
-        const comment = `Pull request created: ${prUrl}\n\nTask is now in code review.`;
-        await client.addIssueComment(taskData.githubIssue, comment);
+  static verifyArtifacts(task, trackerPath, options = {}) {
+    const verifier = new ArtifactVerifier(this.getProjectRoot());
+    const strictness = options.strictness || verifier.config.strictness;
+
+    if (!ArtifactVerifier.STRICTNESS.includes(strictness)) {
+      console.log(`❌ Unknown artifact strictness: ${strictness}`);
+      console.log(`   Use one of: ${ArtifactVerifier.STRICTNESS.join(', ')}\n`);
+      process.exit(1);
+    }
+
+    if (strictness === 'off') {
+      return;
+    }
+
+    let report;
+    try {
+      const taskData = JSON.parse(readFileSync(join(dirname(trackerPath), 'tasks', `${task.id}.json`), 'utf-8'));
+      report = verifier.check(WorktreeLanes.resolve().worktreeRoot, taskData, this.getMainBranch());
+    } catch (error) {
+      console.log(`⚠️  Skipping artifact check: ${error.message}\n`);
+      return;
+    }
+
+    console.log(`🔍 Checking declared artifacts (strictness: ${strictness})...\n`);
+    ArtifactVerifier.toLines(report).forEach(line => console.log(line));
+    console.log('');
+
+    if (!ArtifactVerifier.passes(report, strictness)) {
+      console.log(`❌ Artifact check failed (strictness: ${strictness})`);
+      console.log(`   ${task.id} was NOT marked as completed. Produce the declared artifacts, update the task's`);
+      console.log('   artifact lists, or re-run with: agentic15 commit --strictness warn\n');
+      process.exit(1);
+    }
+  }
+
+  static async checkCompletionCriteria(task, trackerPath, options = {}) {
+    const taskPath = join(dirname(trackerPath), 'tasks', `${task.id}.json`);
+
+    let taskData;
+    try {
+      taskData = JSON.parse(readFileSync(taskPath, 'utf-8'));
+    } catch (e) {
+      return null;
+    }
+
+    const criteria = CompletionChecklist.criteriaFor(taskData);
+    if (criteria.length === 0) {
+      return null;
+    }
+
+    console.log('📋 Completion criteria:\n');
+
+    let mode;
+    let answers;
+
+    if (options.yes) {
+      mode = 'yes';
+      answers = criteria.map(() => true);
+      criteria.forEach(criterion => console.log(`   ✅ ${criterion}`));
+    } else if (!process.stdin.isTTY) {
+      if (!options.override) {
+        console.log('❌ Cannot confirm completion criteria without a terminal');
+        console.log('   Re-run with --yes to confirm all criteria, or --override "reason" to complete anyway\n');
+        process.exit(1);
       }
 
-      console.log(`✅ Updated GitHub issue #${taskData.githubIssue}`);
+      mode = 'override';
+      answers = criteria.map(() => false);
+      criteria.forEach(criterion => console.log(`   ⬜ ${criterion}`));
+    } else {
+      mode = 'interactive';
+      answers = [];
+      for (const criterion of criteria) {
+        answers.push(await this.confirm(`   ${criterion}\n   Met? (y/n): `));
+      }
+    }
+
+    const unmet = criteria.filter((criterion, index) => !answers[index]);
+    let overrideReason = options.override || null;
+
+    if (unmet.length > 0 && !overrideReason && mode === 'interactive') {
+      overrideReason = await this.ask(`\n   ${unmet.length} criteria not met. Reason to complete anyway (leave empty to abort): `);
+    }
+
+    const check = CompletionChecklist.build(criteria, answers, {
+      checkedBy: EventLog.gitActor(),
+      mode,
+      overrideReason: unmet.length > 0 ? overrideReason : null
+    });
+
+    if (!CompletionChecklist.allowsCompletion(check)) {
+      console.log(`\n❌ ${unmet.length} completion criteria not met:`);
+      unmet.forEach(criterion => console.log(`   - ${criterion}`));
+      console.log(`\n   ${task.id} was NOT marked as completed. Finish the work, or complete anyway with:`);
+      console.log('   agentic15 commit --override "reason"\n');
+      process.exit(1);
+    }
+
+    if (check.override) {
+      console.log(`\n⚠️  Completing with ${unmet.length} unmet criteria - reason: ${check.override.reason}`);
+    }
+
+    taskData.completionCheck = check;
+    writeFileSync(taskPath, JSON.stringify(taskData, null, 2));
+    console.log('');
+
+    return check;
+  }
+
+  static async tickCompletionCriteria(task, check, planPath) {
+    if (!check || CompletionChecklist.met(check).length === 0) {
+      return;
+    }
+
+    try {
+      const taskPath = join(planPath, 'tasks', `${task.id}.json`);
+      const taskData = JSON.parse(readFileSync(taskPath, 'utf-8'));
+      const sync = new RemoteSync(this.getProjectRoot());
+
+      // A tick that fails (or waits for the item's queued creation) is retried later
+      if (await sync.tickCompletionCriteria(taskPath, taskData, CompletionChecklist.met(check))) {
+        console.log(`✅ Ticked completion criteria on the linked ${sync.router.getTaskItemName()}`);
+      }
     } catch (error) {
-      console.log(`\n⚠️  Failed to update GitHub issue: ${error.message}\n`);
+      console.log(`\n⚠️  Failed to tick completion criteria: ${error.message}\n`);
+    }
+  }
+
+  static async confirm(question) {
+    const answer = await this.ask(question);
+    return answer.toLowerCase() === 'y' || answer.toLowerCase() === 'yes';
+  }
+
+  static async ask(question) {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+
+    return new Promise((resolve) => {
+      rl.question(question, (answer) => {
+        rl.close();
+        resolve(answer.trim());
+      });
+    });
+  }
+
+  static saveGateResults(task, trackerPath, outcome) {
+    const taskPath = join(dirname(trackerPath), 'tasks', `${task.id}.json`);
+
+    try {
+      const taskData = JSON.parse(readFileSync(taskPath, 'utf-8'));
+      taskData.qualityGates = outcome;
+      writeFileSync(taskPath, JSON.stringify(taskData, null, 2));
+    } catch (error) {
+      console.log(`⚠️  Could not record gate results in ${task.id}.json: ${error.message}`);
     }
   }
 
   static markTaskCompleted(task, tracker, trackerPath) {
+    const repository = new TrackerRepository(dirname(trackerPath));
+    let unblocked;
+
     try {
-      // Update tracker
-      const taskInTracker = tracker.taskFiles.find(t => t.id === task.id);
+      // Re-read under the lock - other lanes may have changed the tracker meanwhile
+      unblocked = repository.update(current => {
+        const taskInTracker = current.taskFiles.find(t => t.id === task.id);
+
+        if (!taskInTracker) {
+          throw new Error(`${task.id} is not in ${TrackerRepository.FILE}`);
+        }
 
-      if (taskInTracker) {
         taskInTracker.status = 'completed';
         taskInTracker.completedAt = new Date().toISOString();
 
-        // Clear active task and update statistics
-        tracker.activeTask = null;
-        this.updateStatistics(tracker);
+        // Clear active task and lift blocks that were waiting on this task
+        WorktreeLanes.releaseTask(current, task.id);
+        return TaskBlocking.releaseBlockedOn(current, task.id);
+      });
+    } catch (error) {
+      // Nothing is staged yet - committing now would leave the task open in the tracker
+      console.log(`\n❌ Failed to mark ${task.id} as completed: ${error.message}`);
+      console.log('   Nothing was committed. Repair the tracker with: agentic15 task repair\n');
+      process.exit(1);
+    }
 
-        writeFileSync(trackerPath, JSON.stringify(tracker, null, 2));
-        console.log(`✅ Marked ${task.id} as completed`);
-      }
+    Object.assign(tracker, repository.read());
+
+    try {
+      // In a linked worktree, carry the canonical state into this task's commit
+      const planDir = relative(this.getProjectRoot(), dirname(trackerPath));
+      WorktreeLanes.mirrorToWorktree(WorktreeLanes.resolve(), [
+        join(planDir, 'TASK-TRACKER.json'),
+        join(planDir, 'tasks', `${task.id}.json`)
+      ]);
     } catch (error) {
-      console.log(`\n⚠️  Failed to mark task as completed: ${error.message}`);
-      console.log('   You may need to manually update TASK-TRACKER.json\n');
+      console.log(`⚠️  Could not copy the tracker into this worktree: ${error.message}`);
     }
+
+    console.log(`✅ Marked ${task.id} as completed`);
+    unblocked.forEach(entry => console.log(`🔓 Unblocked ${entry.id} (was waiting on ${task.id})`));
+
+    return unblocked;
   }
 
-  static updateStatistics(tracker) {
-    const completed = tracker.taskFiles.filter(t => t.status === 'completed').length;
-    const inProgress = tracker.taskFiles.filter(t => t.status === 'in_progress').length;
-    const pending = tracker.taskFiles.filter(t => t.status === 'pending').length;
-    const totalTasks = tracker.taskFiles.length;
-
-    tracker.statistics = {
-      totalTasks,
-      completed,
-      inProgress,
-      pending
-    };
+  static recordCompletion(task, prUrl, unblocked, planPath) {
+    const eventLog = new EventLog(planPath);
+
+    eventLog.record({
+      type: 'task.completed',
+      command: 'commit',
+      taskId: task.id,
+      from: 'in_progress',
+      to: 'completed',
+      prUrl
+    });
+
+    unblocked.forEach(entry => eventLog.record({
+      type: 'task.unblocked',
+      command: 'commit',
+      taskId: entry.id,
+      from: 'blocked',
+      to: entry.status,
+      details: { unblockedBy: TaskBlocking.AUTOMATIC, completedTask: task.id }
+    }));
+  }
+
+  static async notifyUnblockedTasks(task, unblocked, planPath) {
+    for (const entry of unblocked) {
+      const taskPath = join(planPath, 'tasks', `${entry.id}.json`);
+
+      let taskData;
+      try {
+        taskData = JSON.parse(readFileSync(taskPath, 'utf-8'));
+      } catch (e) {
+        continue;
+      }
+
+      const record = entry.blocks[entry.blocks.length - 1];
+      await TaskBlocking.mirrorToPlatform(this.getProjectRoot(), taskPath, taskData, entry.status, TaskBlocking.unblockComment(record, task.id));
+    }
+  }
+
+  static getProjectRoot() {
+    // Linked worktrees share the main worktree's .claude/ state
+    return WorktreeLanes.getMainRoot();
+  }
+
+  static getTaskPath(taskId) {
+    return join(this.planDir, 'tasks', `${taskId}.json`);
   }
 
   static displaySummary(task, prUrl, tracker) {
@@ -666,11 +880,11 @@ export class CommitCommand {
 
     console.log(`\n📊 Progress: ${completed}/${total} completed\n`);
 
-    const platform = this.detectPlatform();
-    const platformName = platform === 'github' ? 'GitHub' : platform === 'azure' ? 'Azure DevOps' : 'your platform';
+    const router = new PlatformRouter(this.getProjectRoot());
+    const platformName = router.getPlatform() ? router.getPlatformName() : 'your platform';
 
     console.log('💡 Next steps:');
-    console.log(`   1. Review and merge PR on ${platformName}`);
+    console.log(`   1. Review and merge ${router.getPullRequestShortName()} on ${platformName}`);
     console.log('   2. After merge, run: agentic15 sync');
     console.log('   3. Then run: agentic15 task next\n');
   }
@@ -691,37 +905,4 @@ export class CommitCommand {
       return 'main';
     }
   }
-
-  static detectPlatform() {
-    try {
-      const remote = execSync('git remote get-url origin', { encoding: 'utf-8' }).trim();
-
-      if (remote.includes('github.com')) {
-        return 'github';
-      } else if (remote.includes('dev.azure.com')) {
-        return 'azure';
-      }
-
-      return 'unknown';
-    } catch (e) {
-      return 'unknown';
-    }
-  }
-
-  static extractAzureOrgAndProject() {
-    try {
-      const remote = execSync('git remote get-url origin', { encoding: 'utf-8' }).trim();
-      // Format: https://dev.azure.com/{org}/{project}/_git/{repo}
-      const match = remote.match(/dev\.azure\.com\/([^\/]+)\/([^\/]+)\/_git/);
-      if (match) {
-        return {
-          organization: match[1],
-          project: match[2]
-        };
-      }
-    } catch (e) {
-      // Ignore
-    }
-    return null;
-  }
 }
@@ -0,0 +1,110 @@
+import { ProjectDoctor } from '../core/ProjectDoctor.js';
+import { PlatformDetector } from '../core/Platform/PlatformDetector.js';
+import { AzureAuthValidator } from '../core/Azure/AzureAuthValidator.js';
+import { GitLabConfig } from '../core/GitLab/GitLabConfig.js';
+import { GiteaConfig } from '../core/Gitea/GiteaConfig.js';
+import { BitbucketServerConfig } from '../core/Bitbucket/BitbucketServerConfig.js';
+import { WorktreeLanes } from '../core/WorktreeLanes.js';
+import { AuthCommand } from './AuthCommand.js';
+
+/**
+ * DoctorCommand - Diagnose project state, hooks and platform tooling
+ *
+ * Prints pass/warn/fail per check with a suggested fix, applies the safe
+ * repairs with --fix, and prints machine-readable results with --json.
+ * Exits with 1 when any check fails, so it can gate CI.
+ */
+export class DoctorCommand {
+  static ICONS = { pass: '✅', warn: '⚠️ ', fail: '❌' };
+
+  static async execute(options = {}) {
+    const projectRoot = WorktreeLanes.getMainRoot(process.cwd());
+    const doctor = new ProjectDoctor(projectRoot, this.tools(projectRoot));
+
+    let results = doctor.run();
+    let repairs = null;
+
+    if (options.fix) {
+      repairs = doctor.repair(results);
+      results = doctor.run();
+    }
+
+    const report = ProjectDoctor.toJSON(results);
+
+    if (options.json) {
+      console.log(JSON.stringify(repairs ? { ...report, repairs } : report, null, 2));
+    } else {
+      this.display(results, report.summary, repairs, options.fix);
+    }
+
+    if (!report.ok) {
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Probes for the external tools the project depends on
+   */
+  static tools(projectRoot) {
+    return {
+      detectPlatform: () => PlatformDetector.detect(false, projectRoot),
+      gh: {
+        isInstalled: () => AuthCommand.isGhInstalled(),
+        isAuthenticated: () => AuthCommand.isGhAuthenticated()
+      },
+      azure: {
+        validateSetup: () => AzureAuthValidator.validateSetup()
+      },
+      gitlab: {
+        validateSetup: () => {
+          const config = new GitLabConfig(projectRoot);
+          return { token: Boolean(config.getToken()), baseUrl: config.getBaseUrl(), projectPath: config.getProjectPath() };
+        }
+      },
+      gitea: {
+        validateSetup: () => {
+          const config = new GiteaConfig(projectRoot);
+          const { owner, repo } = config.getRepoInfo();
+          return { token: Boolean(config.getToken()), baseUrl: config.getBaseUrl(), projectPath: owner && repo ? `${owner}/${repo}` : null };
+        }
+      },
+      'bitbucket-server': {
+        validateSetup: () => {
+          const config = new BitbucketServerConfig(projectRoot);
+          const { projectKey, repoSlug } = config.getRepoInfo();
+          return { token: Boolean(config.getToken()), baseUrl: config.getBaseUrl(), projectPath: projectKey && repoSlug ? `${projectKey}/${repoSlug}` : null };
+        }
+      }
+    };
+  }
+
+  static display(results, summary, repairs, fixRequested) {
+    console.log('\n🩺 Agentic15 Doctor\n');
+
+    if (repairs) {
+      if (repairs.length === 0) {
+        console.log('🔧 Nothing to repair automatically\n');
+      } else {
+        console.log(`🔧 Repairs (${repairs.length}):`);
+        repairs.forEach(repair => {
+          console.log(repair.error ? `   ❌ ${repair.id}: ${repair.error}` : `   ✅ ${repair.id}`);
+        });
+        console.log('');
+      }
+    }
+
+    results.forEach(result => {
+      console.log(`${this.ICONS[result.status]} ${result.title}: ${result.message}`);
+      if (result.status !== 'pass' && result.fix) {
+        console.log(`   💡 ${result.fix}${result.repair && !fixRequested ? ' (--fix)' : ''}`);
+      }
+    });
+
+    console.log(`\n📊 ${summary.pass} passed, ${summary.warn} warning(s), ${summary.fail} failed\n`);
+
+    const fixable = results.filter(result => result.status !== 'pass' && result.repair).length;
+    if (fixable > 0 && !fixRequested) {
+      console.log(`💡 ${fixable} problem(s) can be repaired automatically: npx agentic15 doctor --fix\n`);
+    }
+  }
+}
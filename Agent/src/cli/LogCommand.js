@@ -0,0 +1,62 @@
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { EventLog } from '../core/EventLog.js';
+import { WorktreeLanes } from '../core/WorktreeLanes.js';
+
+/**
+ * LogCommand - Show the workflow history of a plan
+ *
+ * Reads the plan's events.jsonl (the active plan, or --plan, which may be
+ * archived) and filters it by task, event type and date range.
+ */
+export class LogCommand {
+  static execute(options = {}) {
+    const projectRoot = WorktreeLanes.getMainRoot(process.cwd());
+    const eventLog = options.plan ? this.forPlan(projectRoot, options.plan) : EventLog.forActivePlan(projectRoot);
+
+    if (!eventLog) {
+      console.log('\n❌ No active plan found');
+      console.log('   Show an archived plan with: agentic15 log --plan plan-001\n');
+      process.exit(1);
+    }
+
+    let events;
+    try {
+      events = EventLog.filter(eventLog.read(), options);
+    } catch (error) {
+      console.log(`\n❌ ${error.message}\n`);
+      process.exit(1);
+    }
+
+    if (options.limit) {
+      events = events.slice(-Number(options.limit));
+    }
+
+    if (options.json) {
+      console.log(JSON.stringify(events, null, 2));
+      return;
+    }
+
+    console.log(`\n📜 Workflow log: ${eventLog.planDir}\n`);
+
+    if (events.length === 0) {
+      console.log(existsSync(eventLog.path) ? '   No matching events\n' : '   No events recorded yet\n');
+      return;
+    }
+
+    events.forEach(event => console.log(`   ${EventLog.format(event)}`));
+    console.log(`\n📊 ${events.length} event(s)\n`);
+  }
+
+  static forPlan(projectRoot, planId) {
+    const plansDir = join(projectRoot, '.claude', 'plans');
+    const planDir = [join(plansDir, planId), join(plansDir, 'archived', planId)].find(dir => existsSync(dir));
+
+    if (!planDir) {
+      console.log(`\n❌ Plan not found: ${planId}\n`);
+      process.exit(1);
+    }
+
+    return new EventLog(planDir);
+  }
+}
@@ -0,0 +1,63 @@
+import { existsSync } from 'fs';
+import { join, relative } from 'path';
+import { MigrationRunner } from '../core/Migration/MigrationRunner.js';
+import { WorktreeLanes } from '../core/WorktreeLanes.js';
+
+/**
+ * MigrateCommand - Upgrade .claude/ state written by older framework versions
+ *
+ * Applies the pending migrations from MigrationRegistry in order, after
+ * backing up .claude/. A failing migration rolls every change back.
+ */
+export class MigrateCommand {
+  static async execute(options = {}) {
+    const projectRoot = WorktreeLanes.getMainRoot(process.cwd());
+
+    if (!existsSync(join(projectRoot, '.claude'))) {
+      console.log('\n❌ .claude directory not found');
+      console.log('   Are you in the project root directory?\n');
+      process.exit(1);
+    }
+
+    const runner = new MigrationRunner(projectRoot);
+    const current = runner.currentVersion();
+    const latest = runner.latestVersion();
+    const pending = runner.pending();
+
+    console.log('\n🔄 Project state migration\n');
+    console.log(`   State version: v${current}${runner.readState() ? '' : ' (detected - not recorded yet)'}`);
+    console.log(`   Latest:        v${latest}\n`);
+
+    if (pending.length === 0) {
+      console.log('✅ Project state is up to date\n');
+      return;
+    }
+
+    console.log(`📋 Pending migrations (${pending.length}):\n`);
+    pending.forEach(migration => {
+      console.log(`   v${migration.version} ${migration.id}`);
+      console.log(`      ${migration.description}`);
+    });
+    console.log('');
+
+    if (options.dryRun) {
+      console.log('🔍 Dry run - nothing was changed\n');
+      return;
+    }
+
+    let result;
+    try {
+      result = runner.run(migration => console.log(`   ▶ Applying v${migration.version} ${migration.id}...`));
+    } catch (error) {
+      console.log(`\n❌ Migration failed: ${error.message}`);
+      if (error.rolledBack) {
+        console.log('   All changes were rolled back');
+        console.log(`   Backup: ${relative(process.cwd(), error.backupPath)}\n`);
+      }
+      process.exit(1);
+    }
+
+    console.log(`\n✅ Migrated project state v${result.from} → v${result.to}`);
+    console.log(`   Backup: ${relative(process.cwd(), result.backupPath)}\n`);
+  }
+}
@@ -1,22 +1,74 @@
-import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, renameSync } from 'fs';
-import { join, basename } from 'path';
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, renameSync, unlinkSync } from 'fs';
+import { join, basename, resolve, relative, extname } from 'path';
 import readline from 'readline';
 import { execSync } from 'child_process';
+import { PlanHierarchy } from '../core/Plan/PlanHierarchy.js';
+import { TaskGraph } from '../core/Plan/TaskGraph.js';
+import { PlanDiff } from '../core/Plan/PlanDiff.js';
+import { PlanValidator } from '../core/Plan/PlanValidator.js';
+import { PlanTemplates } from '../core/Plan/PlanTemplates.js';
+import { PlanImporter } from '../core/Plan/PlanImporter.js';
+import { PlanExporter } from '../core/Plan/PlanExporter.js';
+import { PlanForecast } from '../core/Plan/PlanForecast.js';
+import { TrackerRepository } from '../core/TrackerRepository.js';
+import { EventLog } from '../core/EventLog.js';
+import { PlanRegistry } from '../core/PlanRegistry.js';
+import { WorktreeLanes } from '../core/WorktreeLanes.js';
+import { PlatformRouter } from '../core/Platform/PlatformRouter.js';
+import { GitHubClient } from '../core/GitHubClient.js';
+import { GitHubConfig } from '../core/GitHubConfig.js';
+import { AzureDevOpsClient } from '../core/Azure/AzureDevOpsClient.js';
+import { AzureDevOpsConfig } from '../core/Azure/AzureDevOpsConfig.js';
 
 export class PlanCommand {
-  static async handle(action, description) {
+  static async handle(action, description, options = {}) {
+    // Plans live in the main worktree's .claude/, also when run from a linked worktree
+    this.projectRoot = WorktreeLanes.getMainRoot();
+
     // Handle help command
     if (action === 'help' || action === '--help' || action === '-h') {
       return this.showHelp();
     }
 
-    // Handle subcommands: archive, new
+    // Handle subcommands: archive, new, list, switch, templates
     if (action === 'archive') {
       return this.archive(description); // description here is the reason
     }
 
     if (action === 'new') {
-      return this.createNew(description); // description here is the plan description
+      return this.createNew(description, options); // description here is the plan description
+    }
+
+    if (action === 'list') {
+      return this.listPlans();
+    }
+
+    if (action === 'switch') {
+      return this.switchPlan(description); // description here is the plan to switch to
+    }
+
+    if (action === 'templates') {
+      return this.listTemplates();
+    }
+
+    if (action === 'amend') {
+      return this.amend(description, options); // description here is the amended plan file
+    }
+
+    if (action === 'validate') {
+      return this.validate(description); // description here is the plan file
+    }
+
+    if (action === 'import') {
+      return this.importPlan(description, options); // description here is the source
+    }
+
+    if (action === 'export') {
+      return this.exportPlan(options);
+    }
+
+    if (action === 'forecast') {
+      return this.forecast(options);
     }
 
     // If action is not a command, treat it as description (backward compatibility)
@@ -26,7 +78,7 @@ export class PlanCommand {
 
     // Original logic for generate/lock
     // Check if plan already exists
-    const activePlanPath = join(process.cwd(), '.claude', 'ACTIVE-PLAN');
+    const activePlanPath = join(this.projectRoot, '.claude', 'ACTIVE-PLAN');
 
     if (existsSync(activePlanPath)) {
       const planId = readFileSync(activePlanPath, 'utf-8').trim();
@@ -35,7 +87,7 @@ export class PlanCommand {
       if (!planId) {
         // No active plan - continue to create new one below
       } else {
-        const planPath = join(process.cwd(), '.claude', 'plans', planId);
+        const planPath = join(this.projectRoot, '.claude', 'plans', planId);
         const projectPlanPath = join(planPath, 'PROJECT-PLAN.json');
 
         // Check if plan file exists
@@ -47,6 +99,7 @@ export class PlanCommand {
           console.log('\n⚠️  Plan already locked');
           console.log(`   Plan: ${planId}\n`);
           this.showPlanStatus(planId);
+          console.log('💡 Start another plan alongside it: npx agentic15 plan new "description"\n');
           process.exit(0);
         }
 
@@ -63,7 +116,7 @@ export class PlanCommand {
     }
 
     // No plan exists - create new one
-    if (!description) {
+    if (!description && !options.template) {
       // No description provided - enter interactive mode
       console.log('\n📝 Interactive Requirements Mode');
       console.log('━'.repeat(70));
@@ -79,7 +132,7 @@ export class PlanCommand {
       }
     }
 
-    return this.generatePlan(description);
+    return this.generatePlan(description, options);
   }
 
   static async promptMultilineInput() {
@@ -101,9 +154,15 @@ export class PlanCommand {
     });
   }
 
-  static generatePlan(description) {
+  static generatePlan(description, options = {}) {
     console.log('\n📋 Generating new plan...\n');
 
+    // Render the template before touching git, so a bad template changes nothing
+    const skeleton = options.skeleton || (options.template ? this.renderTemplate(options, description) : null);
+    if (skeleton && !description) {
+      description = skeleton.template.description;
+    }
+
     try {
       // Create plan ID
       const planId = this.getNextPlanId();
@@ -115,11 +174,11 @@ export class PlanCommand {
       try {
         // Switch to main branch
         console.log(`   → Switching to ${mainBranch}`);
-        execSync(`git checkout ${mainBranch}`, { stdio: 'inherit' });
+        execSync(`git checkout ${mainBranch}`, { cwd: this.projectRoot, stdio: 'inherit' });
 
         // Pull latest changes from remote
         console.log(`   → Pulling latest changes`);
-        execSync(`git pull origin ${mainBranch}`, { stdio: 'inherit' });
+        execSync(`git pull origin ${mainBranch}`, { cwd: this.projectRoot, stdio: 'inherit' });
 
         console.log(`\n✓ ${mainBranch} is up to date\n`);
       } catch (error) {
@@ -132,22 +191,32 @@ export class PlanCommand {
       console.log(`🌿 Creating branch: ${branchName}\n`);
 
       try {
-        execSync(`git checkout -b ${branchName}`, { stdio: 'inherit' });
+        execSync(`git checkout -b ${branchName}`, { cwd: this.projectRoot, stdio: 'inherit' });
         console.log(`✓ Created and switched to ${branchName}\n`);
       } catch (error) {
         // Branch might already exist
         try {
-          execSync(`git checkout ${branchName}`, { stdio: 'inherit' });
+          execSync(`git checkout ${branchName}`, { cwd: this.projectRoot, stdio: 'inherit' });
           console.log(`✓ Switched to existing branch ${branchName}\n`);
         } catch (e) {
           console.log(`\n❌ Failed to create/checkout branch: ${branchName}\n`);
           process.exit(1);
         }
       }
-      const planPath = join(process.cwd(), '.claude', 'plans', planId);
+      const planPath = join(this.projectRoot, '.claude', 'plans', planId);
 
       // Create plan directory
       mkdirSync(planPath, { recursive: true });
+      new EventLog(planPath).record({
+        type: 'plan.created',
+        command: 'plan',
+        details: { planId, template: skeleton ? skeleton.template.name : null }
+      });
+
+      // Start from the template's skeleton - Claude adapts it instead of writing a plan from scratch
+      if (skeleton) {
+        writeFileSync(join(planPath, 'PROJECT-PLAN.json'), JSON.stringify(skeleton.plan, null, 2));
+      }
 
       // Create PROJECT-REQUIREMENTS.txt
       const requirementsPath = join(planPath, 'PROJECT-REQUIREMENTS.txt');
@@ -159,6 +228,7 @@ ${description}
 Generated: ${new Date().toISOString()}
 PLAN ID: ${planId}
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+${skeleton ? this.templateInstructions(skeleton) : ''}
 
 ROLE DEFINITIONS - CRITICAL TO UNDERSTAND
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -470,7 +540,7 @@ GENERATED: ${new Date().toISOString()}
       writeFileSync(requirementsPath, requirementsContent);
 
       // Set as active plan
-      const claudeDir = join(process.cwd(), '.claude');
+      const claudeDir = join(this.projectRoot, '.claude');
       if (!existsSync(claudeDir)) {
         mkdirSync(claudeDir, { recursive: true });
       }
@@ -479,9 +549,15 @@ GENERATED: ${new Date().toISOString()}
 
       console.log(`✅ Plan requirements created: ${planId}`);
       console.log(`   Branch: plan/${planId}`);
-      console.log(`   Location: .claude/plans/${planId}/PROJECT-REQUIREMENTS.txt\n`);
+      console.log(`   Location: .claude/plans/${planId}/PROJECT-REQUIREMENTS.txt`);
+      if (skeleton) {
+        console.log(`   Skeleton: .claude/plans/${planId}/PROJECT-PLAN.json (template: ${skeleton.template.name}, ${PlanHierarchy.flatten(skeleton.plan).length} tasks)`);
+      }
+      console.log('');
       console.log('💡 Next steps:');
-      console.log(`   1. Tell Claude: "Create the project plan"`);
+      console.log(skeleton
+        ? `   1. Tell Claude: "Adapt the project plan to the requirements"`
+        : `   1. Tell Claude: "Create the project plan"`);
       console.log(`   2. When Claude is done, run: npx agentic15 plan`);
       console.log(`   3. Then commit and create PR (like task workflow)\n`);
     } catch (error) {
@@ -494,7 +570,7 @@ GENERATED: ${new Date().toISOString()}
     console.log(`📋 Locking plan: ${planId}\n`);
 
     try {
-      const planPath = join(process.cwd(), '.claude', 'plans', planId);
+      const planPath = join(this.projectRoot, '.claude', 'plans', planId);
       const projectPlanPath = join(planPath, 'PROJECT-PLAN.json');
 
       // Verify PROJECT-PLAN.json exists
@@ -507,9 +583,12 @@ GENERATED: ${new Date().toISOString()}
       // Read the plan
       const plan = JSON.parse(readFileSync(projectPlanPath, 'utf-8'));
 
-      // Extract tasks from plan
-      const tasks = [];
-      this.extractTasks(plan, tasks);
+      // Refuse to lock a plan that does not follow PLAN-SCHEMA.json
+      this.validatePlan(plan);
+
+      // Extract tasks from plan (in plan order, with their milestone/subproject)
+      const entries = PlanHierarchy.flatten(plan);
+      const tasks = entries.map(entry => entry.task);
 
       // Create task files
       const tasksDir = join(planPath, 'tasks');
@@ -524,33 +603,22 @@ GENERATED: ${new Date().toISOString()}
       });
 
       // Create task tracker
-      const projectName = basename(process.cwd());
+      const projectName = basename(this.projectRoot);
       const tracker = {
         planId,
         projectName,
         activeTask: null,
+        worktrees: {},
         lockedAt: new Date().toISOString(),
-        statistics: {
-          totalTasks: tasks.length,
-          completed: 0,
-          inProgress: 0,
-          pending: tasks.length
-        },
-        taskFiles: tasks.map(task => ({
-          id: task.id,
-          title: task.title,
-          phase: task.phase || 'implementation',
-          status: 'pending',
-          description: task.description
-        }))
+        taskFiles: entries.map(entry => this.buildTrackerEntry(entry))
       };
 
-      const trackerPath = join(planPath, 'TASK-TRACKER.json');
-      writeFileSync(trackerPath, JSON.stringify(tracker, null, 2));
+      new TrackerRepository(planPath).write(tracker);
 
       // Mark as locked
       const lockedPath = join(planPath, '.plan-locked');
       writeFileSync(lockedPath, new Date().toISOString());
+      new EventLog(planPath).record({ type: 'plan.locked', command: 'plan', details: { planId, tasks: tasks.length } });
 
       console.log('✅ Plan locked successfully\n');
       this.showPlanStatus(planId);
@@ -561,33 +629,779 @@ GENERATED: ${new Date().toISOString()}
     }
   }
 
-  static extractTasks(obj, tasks) {
-    // Recursively extract all tasks from the plan structure
-    if (obj.tasks && Array.isArray(obj.tasks)) {
-      tasks.push(...obj.tasks);
+  static renderTemplate(options, description) {
+    try {
+      const template = new PlanTemplates(this.projectRoot).load(options.template);
+      const variables = {
+        projectName: options.projectName || this.getProjectName(),
+        description: description || template.description,
+        ...(options.stack ? { stack: options.stack } : {}),
+        ...PlanTemplates.parseVariables(options.var)
+      };
+
+      const plan = PlanTemplates.render(template, variables);
+      plan.project.createdAt = new Date().toISOString();
+
+      const { valid, errors } = new PlanValidator().validate(plan);
+      if (!valid) {
+        console.log(`❌ Plan template ${template.name} (${template.path}) is invalid`);
+        this.displayValidationErrors(errors);
+        process.exit(1);
+      }
+
+      return { template, plan, variables: { ...template.variables, ...variables } };
+    } catch (error) {
+      console.log(`\n❌ ${error.message}`);
+      console.log('   List templates with: npx agentic15 plan templates\n');
+      process.exit(1);
+    }
+  }
+
+  static templateInstructions({ template, variables }) {
+    const values = Object.entries(variables)
+      .filter(([key]) => key !== 'description')
+      .map(([key, value]) => `   ${key}: ${value}`)
+      .join('\n');
+
+    return `
+STARTING POINT - PLAN TEMPLATE "${template.name}"
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+PROJECT-PLAN.json in this directory already holds the ${template.name}
+skeleton (${template.description}), filled in with:
+${values}
+
+Keep its phases and milestones unless the requirements say otherwise.
+Adapt it: rename, split, add or remove tasks so it covers the
+requirements above - do not start from PROJECT-PLAN-TEMPLATE.json.
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+`;
+  }
+
+  static async importPlan(source, options = {}) {
+    if (!source) {
+      console.log('\n❌ Import source required');
+      console.log('   Usage: npx agentic15 plan import <backlog.md|backlog.csv|github|azure>\n');
+      process.exit(1);
+    }
+
+    console.log(`\n📥 Importing plan from ${source}...\n`);
+
+    const backlog = await this.readBacklog(source, options);
+
+    let result;
+    try {
+      result = PlanImporter.buildPlan(backlog.items, {
+        name: options.name || backlog.name || this.getProjectName(),
+        description: `Imported from ${source}`
+      });
+    } catch (error) {
+      console.log(`❌ ${error.message}\n`);
+      process.exit(1);
+    }
+
+    const { plan, warnings, skipped } = result;
+    this.validatePlan(plan, 'npx agentic15 plan import');
+
+    const entries = PlanHierarchy.flatten(plan);
+    const linked = entries.filter(({ task }) => task.githubIssue || task.azureWorkItem || task.gitlabIssue || task.giteaIssue).length;
+
+    plan.project.subprojects[0].milestones.forEach(milestone => {
+      console.log(`   ${milestone.id}: ${milestone.name} (${milestone.tasks.length} task${milestone.tasks.length === 1 ? '' : 's'})`);
+      milestone.tasks.forEach(task => {
+        const dependencies = task.dependencies.length > 0 ? ` ← ${task.dependencies.join(', ')}` : '';
+        console.log(`      ${task.id}: ${task.title}${dependencies}`);
+      });
+    });
+
+    console.log(`\n📊 ${entries.length} task(s) in ${plan.project.subprojects[0].milestones.length} milestone(s)`);
+    if (skipped > 0) {
+      console.log(`   Skipped ${skipped} item(s) already done`);
+    }
+    if (linked > 0) {
+      console.log(`   ${linked} task(s) linked to existing issues / work items`);
+    }
+    if (warnings.length > 0) {
+      console.log(`\n⚠️  ${warnings.length} warning(s):`);
+      warnings.forEach(warning => console.log(`   • ${warning}`));
+    }
+    console.log('');
+
+    if (options.dryRun) {
+      console.log('🔍 Dry run - no plan written\n');
+      return;
+    }
+
+    if (options.output) {
+      writeFileSync(resolve(options.output), JSON.stringify(plan, null, 2));
+      console.log(`✅ Plan written to ${options.output}`);
+      console.log('   Check it with: npx agentic15 plan validate ' + options.output + '\n');
+      return;
+    }
+
+    const planId = this.getImportTarget(options);
+    const planPath = join(this.projectRoot, '.claude', 'plans', planId);
+
+    writeFileSync(join(planPath, 'PROJECT-PLAN.json'), JSON.stringify(plan, null, 2));
+    new EventLog(planPath).record({
+      type: 'plan.imported',
+      command: 'plan import',
+      details: { planId, source, tasks: entries.length, skipped, linked, warnings: warnings.length }
+    });
+
+    console.log(`✅ Plan imported: .claude/plans/${planId}/PROJECT-PLAN.json`);
+    console.log('\n💡 Next steps:');
+    console.log('   1. Review the plan (ask Claude to refine phases, estimates and criteria)');
+    console.log('   2. Lock it: npx agentic15 plan\n');
+  }
+
+  static async readBacklog(source, options) {
+    const format = (options.from || (['github', 'azure'].includes(source) ? source : extname(source).slice(1))).toLowerCase();
+
+    try {
+      if (format === 'github') {
+        const config = new GitHubConfig(this.projectRoot);
+        const { owner, repo } = config.getRepoInfo();
+        const client = new GitHubClient(config.getToken(), owner, repo);
+
+        if (!client.isConfigured()) {
+          console.log('❌ GitHub not configured');
+          console.log('   Run: agentic15 auth setup\n');
+          process.exit(1);
+        }
+
+        const issues = await client.listIssues({
+          labels: options.label ? options.label.split(',').map(label => label.trim()).filter(Boolean) : [],
+          milestone: options.milestone || null,
+          state: options.state || 'open'
+        });
+
+        if (!issues) {
+          console.log(`❌ Could not list issues of ${owner}/${repo}\n`);
+          process.exit(1);
+        }
+
+        return PlanImporter.fromGitHubIssues(issues);
+      }
+
+      if (format === 'azure') {
+        if (!options.wiql) {
+          console.log('❌ Azure DevOps import needs a query');
+          console.log(`   Example: npx agentic15 plan import azure --wiql "SELECT [System.Id] FROM WorkItems WHERE [System.IterationPath] UNDER 'MyProject\\Release 1'"\n`);
+          process.exit(1);
+        }
+
+        const client = AzureDevOpsClient.fromConfig(new AzureDevOpsConfig(this.projectRoot));
+
+        if (!client.isConfigured()) {
+          console.log('❌ Azure DevOps not configured');
+          console.log('   See: Agent/docs/AZURE-SETUP.md\n');
+          process.exit(1);
+        }
+
+        const workItems = await client.queryWorkItems(options.wiql);
+
+        if (!workItems) {
+          console.log('❌ Work item query failed\n');
+          process.exit(1);
+        }
+
+        return PlanImporter.fromAzureWorkItems(workItems);
+      }
+
+      const sourcePath = resolve(source);
+      if (!existsSync(sourcePath)) {
+        console.log(`❌ File not found: ${sourcePath}\n`);
+        process.exit(1);
+      }
+
+      const text = readFileSync(sourcePath, 'utf-8');
+
+      if (format === 'md' || format === 'markdown') {
+        return PlanImporter.fromMarkdown(text);
+      }
+      if (format === 'csv') {
+        return PlanImporter.fromCsv(text);
+      }
+    } catch (error) {
+      console.log(`❌ Failed to read ${source}: ${error.message}\n`);
+      process.exit(1);
+    }
+
+    console.log(`❌ Unknown import format: ${format || '(none)'}`);
+    console.log('   Use a .md or .csv file, github, azure, or --from markdown|csv\n');
+    process.exit(1);
+  }
+
+  static exportPlan(options = {}) {
+    const format = options.format || 'md';
+    const diagram = options.diagram || 'graph';
+
+    if (!PlanExporter.FORMATS.includes(format)) {
+      console.log(`\n❌ Unknown format: ${format}`);
+      console.log(`   Use one of: ${PlanExporter.FORMATS.join(', ')}\n`);
+      process.exit(1);
+    }
+
+    if (!PlanExporter.DIAGRAMS.includes(diagram)) {
+      console.log(`\n❌ Unknown diagram: ${diagram}`);
+      console.log(`   Use one of: ${PlanExporter.DIAGRAMS.join(', ')}\n`);
+      process.exit(1);
+    }
+
+    const activePlanPath = join(this.projectRoot, '.claude', 'ACTIVE-PLAN');
+    const planId = existsSync(activePlanPath) ? readFileSync(activePlanPath, 'utf-8').trim() : '';
+    const planPath = join(this.projectRoot, '.claude', 'plans', planId);
+    const projectPlanPath = join(planPath, 'PROJECT-PLAN.json');
+
+    if (!planId || !existsSync(projectPlanPath)) {
+      console.log('\n❌ No plan to export');
+      console.log('   Create one first: npx agentic15 plan "project description"\n');
+      process.exit(1);
+    }
+
+    let output;
+    try {
+      const plan = JSON.parse(readFileSync(projectPlanPath, 'utf-8'));
+      const tracker = existsSync(join(planPath, 'TASK-TRACKER.json')) ? new TrackerRepository(planPath).read() : null;
+      const github = new GitHubConfig(this.projectRoot).getRepoInfo();
+      const azure = new AzureDevOpsConfig(this.projectRoot).getProjectInfo();
+
+      const model = PlanExporter.build(plan, {
+        tracker,
+        tasksDir: join(planPath, 'tasks'),
+        events: new EventLog(planPath).read(),
+        links: {
+          github: github.owner && github.repo ? github : null,
+          azure: azure.organization && azure.project ? azure : null
+        }
+      });
+      model.planId = planId;
+
+      output = PlanExporter.render(model, format, { diagram });
+    } catch (error) {
+      console.log(`\n❌ Failed to export plan: ${error.message}\n`);
+      process.exit(1);
+    }
+
+    if (options.output) {
+      writeFileSync(resolve(options.output), output);
+      console.log(`\n✅ Plan exported to ${options.output} (${format})\n`);
+    } else {
+      process.stdout.write(output);
+    }
+  }
+
+  static forecast(options = {}) {
+    const velocity = options.velocity !== undefined ? Number(options.velocity) : null;
+
+    if (velocity !== null && !(velocity > 0)) {
+      console.log(`\n❌ Invalid --velocity: ${options.velocity} (hours per day, e.g. 6)\n`);
+      process.exit(1);
+    }
+
+    const activePlanPath = join(this.projectRoot, '.claude', 'ACTIVE-PLAN');
+    const planId = existsSync(activePlanPath) ? readFileSync(activePlanPath, 'utf-8').trim() : '';
+    const planPath = join(this.projectRoot, '.claude', 'plans', planId);
+
+    if (!planId || !existsSync(join(planPath, 'TASK-TRACKER.json'))) {
+      console.log('\n❌ No locked plan found');
+      console.log('   Lock a plan first: npx agentic15 plan\n');
+      process.exit(1);
+    }
+
+    let forecast;
+    try {
+      forecast = PlanForecast.build(new TrackerRepository(planPath).read(), { tasksDir: join(planPath, 'tasks'), velocity });
+    } catch (error) {
+      console.log(`\n❌ Cannot forecast: ${error.message}`);
+      console.log('   Fix the dependencies with: npx agentic15 plan amend\n');
+      process.exit(1);
+    }
+
+    if (options.json) {
+      console.log(JSON.stringify(forecast, null, 2));
+      return;
+    }
+
+    this.displayForecast(forecast);
+  }
+
+  static displayForecast(forecast) {
+    const hours = (value) => `${Number.isInteger(value) ? value : value.toFixed(1)}h`;
+    const open = forecast.tasks.filter(task => task.status !== 'completed');
+
+    console.log('\n🔮 Plan Forecast\n');
+    console.log(`   Plan: ${forecast.planId}\n`);
+
+    if (open.length === 0) {
+      console.log('✅ All tasks completed - nothing left to forecast\n');
+      return;
+    }
+
+    const { velocity } = forecast;
+    const velocitySource = {
+      observed: `observed: ${hours(velocity.completedHours)} completed over ${velocity.days} day(s)`,
+      override: 'from --velocity',
+      default: 'assumed - no completed tasks yet'
+    }[velocity.source];
+
+    console.log(`   Remaining work:       ${hours(forecast.remainingHours)} in ${open.length} task(s)`);
+    console.log(`   Critical path:        ${hours(forecast.criticalPathHours)}  ${forecast.criticalPath.join(' → ')}`);
+    console.log(`   Velocity:             ${hours(velocity.hoursPerDay)}/day (${velocitySource})`);
+    console.log(`   Projected completion: ${forecast.projectedCompletion.slice(0, 10)} (in ${forecast.projectedDays} day(s))`);
+
+    if (forecast.unestimated.length > 0) {
+      console.log(`\n   ⚠️  No estimate on ${forecast.unestimated.join(', ')} - counted as ${PlanForecast.DEFAULT_HOURS}h each`);
+    }
+
+    console.log('\n     Task       Status        Remaining  Earliest  Latest   Slack');
+    open.forEach(task => {
+      const marker = task.critical ? '🔥' : '  ';
+      console.log(
+        `   ${marker}${task.id.padEnd(10)} ${task.status.padEnd(13)} ${hours(task.remainingHours).padStart(9)}  ` +
+        `${hours(task.earliestStart).padStart(8)}  ${hours(task.latestStart).padStart(6)}  ${hours(task.slackHours).padStart(6)}  ` +
+        `${this.truncate(task.title, 30)}`
+      );
+    });
+
+    console.log('\n   Earliest/Latest: start, in hours of work from now. 🔥 = critical path (no slack)');
+
+    const active = open.filter(task => task.status === 'in_progress');
+    if (forecast.activeOnCriticalPath.length > 0) {
+      console.log(`\n🔥 ${forecast.activeOnCriticalPath.join(', ')} (in progress) is on the critical path - any delay moves the completion date`);
+    } else if (active.length > 0) {
+      active.forEach(task => console.log(`\n✓ ${task.id} (in progress) has ${hours(task.slackHours)} of slack`));
+    }
+    console.log('');
+  }
+
+  static truncate(text, length) {
+    const value = text || '';
+    return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+  }
+
+  static getImportTarget(options) {
+    const activePlanPath = join(this.projectRoot, '.claude', 'ACTIVE-PLAN');
+    const activePlanId = existsSync(activePlanPath) ? readFileSync(activePlanPath, 'utf-8').trim() : '';
+
+    if (activePlanId) {
+      const planPath = join(this.projectRoot, '.claude', 'plans', activePlanId);
+
+      if (existsSync(join(planPath, '.plan-locked'))) {
+        console.log(`❌ Active plan ${activePlanId} is locked`);
+        console.log('   Archive it first (npx agentic15 plan archive), change it with plan amend,');
+        console.log('   or write the import to a file with --output\n');
+        process.exit(1);
+      }
+
+      if (existsSync(join(planPath, 'PROJECT-PLAN.json')) && !options.force) {
+        console.log(`❌ Plan ${activePlanId} already has a PROJECT-PLAN.json`);
+        console.log('   Re-run with --force to replace it\n');
+        process.exit(1);
+      }
+
+      mkdirSync(planPath, { recursive: true });
+      return activePlanId;
+    }
+
+    const planId = this.getNextPlanId('imported');
+    mkdirSync(join(this.projectRoot, '.claude', 'plans', planId), { recursive: true });
+    writeFileSync(activePlanPath, planId);
+    return planId;
+  }
+
+  static listTemplates() {
+    const templates = new PlanTemplates(this.projectRoot);
+    const available = templates.list();
+
+    console.log('\n📐 Plan templates\n');
+
+    if (available.length === 0) {
+      console.log('   No templates found\n');
+      return;
+    }
+
+    const width = Math.max(...available.map(template => template.name.length));
+    available.forEach(template => {
+      const source = template.source === 'team' ? ' (team)' : '';
+      console.log(`   ${template.name.padEnd(width)}  ${template.description}${source}`);
+    });
+
+    console.log(`\n   Team templates: ${relative(process.cwd(), templates.teamDir) || '.'}`);
+    console.log('   Use one: npx agentic15 plan new "description" --template <name> [--stack "..."] [--var key=value]\n');
+  }
+
+  static getProjectName() {
+    try {
+      const packageJson = JSON.parse(readFileSync(join(this.projectRoot, 'package.json'), 'utf-8'));
+      if (packageJson.name) {
+        return packageJson.name;
+      }
+    } catch (e) {
+      // No package.json - fall back to the directory name
+    }
+
+    return basename(this.projectRoot);
+  }
+
+  static buildTrackerEntry({ task, subproject, milestone }) {
+    return {
+      id: task.id,
+      title: task.title,
+      phase: task.phase || 'implementation',
+      status: 'pending',
+      description: task.description,
+      dependencies: Array.isArray(task.dependencies) ? task.dependencies : [],
+      subprojectId: subproject ? subproject.id : null,
+      milestoneId: milestone ? milestone.id : null,
+      milestoneName: milestone ? milestone.name : null
+    };
+  }
+
+  static validatePlan(plan, retryCommand = 'npx agentic15 plan') {
+    const { valid, errors } = new PlanValidator().validate(plan);
+
+    if (valid) {
+      return;
+    }
+
+    this.displayValidationErrors(errors);
+    console.log(`   Fix PROJECT-PLAN.json, then run: ${retryCommand}\n`);
+    process.exit(1);
+  }
+
+  static displayValidationErrors(errors) {
+    console.log(`\n❌ Plan does not follow PLAN-SCHEMA.json (${errors.length} error${errors.length === 1 ? '' : 's'})\n`);
+
+    errors.forEach(({ path, message }) => {
+      console.log(`   • ${path || '/'}: ${message}`);
+    });
+
+    console.log('');
+  }
+
+  static validate(planFile) {
+    let sourcePath = planFile ? resolve(planFile) : null;
+
+    if (!sourcePath) {
+      const activePlanPath = join(this.projectRoot, '.claude', 'ACTIVE-PLAN');
+      const planId = existsSync(activePlanPath) ? readFileSync(activePlanPath, 'utf-8').trim() : '';
+
+      if (!planId) {
+        console.log('\n❌ No active plan found');
+        console.log('   Pass a file: npx agentic15 plan validate path/to/PROJECT-PLAN.json\n');
+        process.exit(1);
+      }
+
+      sourcePath = join(this.projectRoot, '.claude', 'plans', planId, 'PROJECT-PLAN.json');
+    }
+
+    if (!existsSync(sourcePath)) {
+      console.log(`\n❌ Plan file not found: ${sourcePath}\n`);
+      process.exit(1);
+    }
+
+    let plan;
+    try {
+      plan = JSON.parse(readFileSync(sourcePath, 'utf-8'));
+    } catch (error) {
+      console.log(`\n❌ Invalid JSON in ${sourcePath}: ${error.message}\n`);
+      process.exit(1);
+    }
+
+    const { valid, errors } = new PlanValidator().validate(plan);
+
+    if (!valid) {
+      this.displayValidationErrors(errors);
+      process.exit(1);
+    }
+
+    const taskCount = PlanHierarchy.flatten(plan).length;
+    console.log(`\n✅ ${relative(process.cwd(), sourcePath)} is valid (${taskCount} tasks)\n`);
+  }
+
+  static async amend(planFile, options = {}) {
+    console.log('\n📝 Amending locked plan...\n');
+
+    const activePlanPath = join(this.projectRoot, '.claude', 'ACTIVE-PLAN');
+    const planId = existsSync(activePlanPath) ? readFileSync(activePlanPath, 'utf-8').trim() : '';
+
+    if (!planId) {
+      console.log('❌ No active plan found');
+      console.log('   Run: npx agentic15 plan "project description"\n');
+      process.exit(1);
+    }
+
+    const planPath = join(this.projectRoot, '.claude', 'plans', planId);
+
+    if (!existsSync(join(planPath, '.plan-locked'))) {
+      console.log(`⚠️  Plan ${planId} is not locked yet`);
+      console.log('   Edit PROJECT-PLAN.json directly, then lock it with: npx agentic15 plan\n');
+      process.exit(1);
+    }
+
+    // Amended plan: a separate file, or PROJECT-PLAN.json edited in place
+    const projectPlanPath = join(planPath, 'PROJECT-PLAN.json');
+    const sourcePath = planFile ? resolve(planFile) : projectPlanPath;
+
+    if (!existsSync(sourcePath)) {
+      console.log(`❌ Plan file not found: ${sourcePath}\n`);
+      process.exit(1);
+    }
+
+    let plan;
+    try {
+      plan = JSON.parse(readFileSync(sourcePath, 'utf-8'));
+    } catch (error) {
+      console.log(`❌ Invalid JSON in ${sourcePath}: ${error.message}\n`);
+      process.exit(1);
+    }
+
+    console.log(`   Plan:   ${planId}`);
+    console.log(`   Source: ${relative(process.cwd(), sourcePath)}\n`);
+
+    const tracker = new TrackerRepository(planPath).read();
+
+    // Locked version comes from the tracker and task files, so in-place edits can be diffed
+    this.validatePlan(plan, 'npx agentic15 plan amend');
+
+    const before = PlanDiff.entriesFromTracker(tracker, join(planPath, 'tasks'));
+    const after = PlanHierarchy.flatten(plan);
+
+    const diff = PlanDiff.compare(before, after);
+
+    if (PlanDiff.isEmpty(diff)) {
+      console.log('✓ No structural changes - nothing to amend\n');
+      return;
+    }
+
+    this.displayDiff(diff, tracker);
+
+    // Tasks being worked on must be finished or reset before they can be dropped
+    const statusById = TaskGraph.statusMap(tracker);
+    const removedInProgress = diff.removed.filter(task => ['in_progress', 'paused'].includes(statusById.get(task.id)));
+
+    if (removedInProgress.length > 0) {
+      console.log('❌ Cannot remove tasks that are in progress or paused:');
+      removedInProgress.forEach(task => console.log(`   - ${task.id}: ${task.title}`));
+      console.log('\n   Commit or reset them first: npx agentic15 task reset TASK-XXX\n');
+      process.exit(1);
+    }
+
+    if (options.dryRun) {
+      console.log('🔍 Dry run - no changes written\n');
+      return;
+    }
+
+    if (!options.yes) {
+      if (!process.stdin.isTTY) {
+        console.log('❌ Confirmation required. Re-run with --yes to apply the amendment\n');
+        process.exit(1);
+      }
+
+      const confirmed = await this.confirm('Apply this amendment? (y/n): ');
+      if (!confirmed) {
+        console.log('\n❌ Amendment cancelled\n');
+        process.exit(1);
+      }
+    }
+
+    try {
+      const entry = this.applyAmendment(planPath, diff, after);
+      entry.source = relative(this.projectRoot, sourcePath);
+      entry.reason = options.reason || null;
+      this.recordAmendment(planPath, entry);
+      new EventLog(planPath).record({
+        type: 'plan.amended',
+        command: 'plan amend',
+        details: {
+          planId,
+          added: entry.added.map(task => task.id),
+          removed: entry.removed.map(task => task.id),
+          changed: entry.changed.map(change => change.id),
+          reopened: entry.reopened,
+          reason: entry.reason
+        }
+      });
+
+      if (sourcePath !== projectPlanPath) {
+        writeFileSync(projectPlanPath, JSON.stringify(plan, null, 2));
+      }
+
+      console.log('\n✅ Plan amended successfully\n');
+
+      if (entry.reopened.length > 0) {
+        console.log(`   ↩️  Reopened completed tasks whose scope changed: ${entry.reopened.join(', ')}\n`);
+      }
+
+      console.log(`   History: .claude/plans/${planId}/AMENDMENTS.json\n`);
+      this.showPlanStatus(planId);
+    } catch (error) {
+      console.log(`\n❌ Failed to amend plan: ${error.message}\n`);
+      process.exit(1);
+    }
+  }
+
+  static applyAmendment(planPath, diff, after) {
+    const tasksDir = join(planPath, 'tasks');
+    const changedIds = new Set(diff.changed.map(change => change.id));
+    const reopened = [];
+    let previousById;
+
+    // Re-read under the lock - tasks may have been started or completed while confirming
+    const amendedAt = new TrackerRepository(planPath).update(tracker => {
+      previousById = new Map(tracker.taskFiles.map(entry => [entry.id, entry]));
+
+      const busy = diff.removed.filter(task => ['in_progress', 'paused'].includes(previousById.get(task.id)?.status));
+      if (busy.length > 0) {
+        throw new Error(`${busy.map(task => task.id).join(', ')} started meanwhile - commit or reset before removing`);
+      }
+
+      if (!existsSync(tasksDir)) {
+        mkdirSync(tasksDir, { recursive: true });
+      }
+
+      // Rewrite task files, keeping the issue/work item links created for them
+      after.forEach(({ task }) => {
+        const taskPath = join(tasksDir, `${task.id}.json`);
+        const taskData = { ...task };
+
+        if (existsSync(taskPath)) {
+          try {
+            const previous = JSON.parse(readFileSync(taskPath, 'utf-8'));
+            ['githubIssue', 'azureWorkItem', 'gitlabIssue', 'giteaIssue'].forEach(field => {
+              if (previous[field] !== undefined && taskData[field] === undefined) {
+                taskData[field] = previous[field];
+              }
+            });
+          } catch (e) {
+            // Unreadable task file - replace it
+          }
+        }
+
+        writeFileSync(taskPath, JSON.stringify(taskData, null, 2));
+      });
+
+      diff.removed.forEach(task => {
+        const taskPath = join(tasksDir, `${task.id}.json`);
+        if (existsSync(taskPath)) {
+          unlinkSync(taskPath);
+        }
+      });
+
+      // Rebuild tracker entries in the amended plan order, keeping progress of existing tasks
+      tracker.taskFiles = after.map(entry => {
+        const planned = this.buildTrackerEntry(entry);
+        const previous = previousById.get(planned.id);
+
+        if (!previous) {
+          return planned;
+        }
+
+        const { status, ...plannedFields } = planned;
+        const merged = { ...previous, ...plannedFields };
+
+        // A finished task whose scope changed has to be done again
+        if (changedIds.has(merged.id) && merged.status === 'completed') {
+          merged.status = 'pending';
+          delete merged.completedAt;
+          reopened.push(merged.id);
+        }
+
+        return merged;
+      });
+
+      tracker.amendedAt = new Date().toISOString();
+      return tracker.amendedAt;
+    });
+
+    return {
+      amendedAt,
+      author: EventLog.gitActor(),
+      added: diff.added.map(task => ({ id: task.id, title: task.title })),
+      removed: diff.removed.map(task => ({
+        id: task.id,
+        title: task.title,
+        status: previousById.get(task.id)?.status || 'pending'
+      })),
+      changed: diff.changed,
+      dependencies: diff.dependencies,
+      reopened
+    };
+  }
+
+  static recordAmendment(planPath, entry) {
+    const historyPath = join(planPath, 'AMENDMENTS.json');
+    let history = [];
+
+    if (existsSync(historyPath)) {
+      try {
+        history = JSON.parse(readFileSync(historyPath, 'utf-8'));
+      } catch (e) {
+        console.log('⚠️  AMENDMENTS.json was unreadable - starting a new history');
+      }
     }
 
-    // Check nested structures
-    if (obj.milestones && Array.isArray(obj.milestones)) {
-      obj.milestones.forEach(milestone => this.extractTasks(milestone, tasks));
+    history.push(entry);
+    writeFileSync(historyPath, JSON.stringify(history, null, 2));
+  }
+
+  static displayDiff(diff, tracker) {
+    const byId = new Map(tracker.taskFiles.map(entry => [entry.id, entry]));
+
+    console.log('📊 Plan changes:\n');
+
+    if (diff.added.length > 0) {
+      console.log(`   ➕ Added (${diff.added.length}):`);
+      diff.added.forEach(task => console.log(`      ${task.id}: ${task.title}`));
+      console.log('');
     }
 
-    if (obj.subprojects && Array.isArray(obj.subprojects)) {
-      obj.subprojects.forEach(subproject => this.extractTasks(subproject, tasks));
+    if (diff.removed.length > 0) {
+      console.log(`   ➖ Removed (${diff.removed.length}):`);
+      diff.removed.forEach(task => {
+        const status = byId.get(task.id)?.status || 'pending';
+        console.log(`      ${task.id}: ${task.title} [${status}]`);
+      });
+      console.log('');
     }
 
-    if (obj.projects && Array.isArray(obj.projects)) {
-      obj.projects.forEach(project => this.extractTasks(project, tasks));
+    if (diff.changed.length > 0) {
+      console.log(`   ✏️  Changed (${diff.changed.length}):`);
+      diff.changed.forEach(change => console.log(`      ${change.id}: ${change.fields.join(', ')}`));
+      console.log('');
     }
 
-    // Handle singular 'project' at root level (v2.0 schema)
-    if (obj.project && typeof obj.project === 'object') {
-      this.extractTasks(obj.project, tasks);
+    if (diff.dependencies.length > 0) {
+      console.log(`   🔗 Dependencies changed (${diff.dependencies.length}):`);
+      diff.dependencies.forEach(change => {
+        const before = change.before.length > 0 ? change.before.join(', ') : '(none)';
+        const after = change.after.length > 0 ? change.after.join(', ') : '(none)';
+        console.log(`      ${change.id}: ${before} → ${after}`);
+      });
+      console.log('');
     }
+
+    console.log(`   ✓ Unchanged: ${diff.unchanged.length} task(s)\n`);
+  }
+
+  static async confirm(question) {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+
+    return new Promise((resolve) => {
+      rl.question(question, (answer) => {
+        rl.close();
+        resolve(answer.toLowerCase() === 'y' || answer.toLowerCase() === 'yes');
+      });
+    });
   }
 
-  static getNextPlanId() {
-    const plansDir = join(process.cwd(), '.claude', 'plans');
+  static getNextPlanId(suffix = 'generated') {
+    const plansDir = join(this.projectRoot, '.claude', 'plans');
 
     if (!existsSync(plansDir)) {
       mkdirSync(plansDir, { recursive: true });
@@ -600,18 +1414,84 @@ GENERATED: ${new Date().toISOString()}
 
     const nextNum = existingPlans.length > 0 ? Math.max(...existingPlans) + 1 : 1;
 
-    return `plan-${String(nextNum).padStart(3, '0')}-generated`;
+    return `plan-${String(nextNum).padStart(3, '0')}-${suffix}`;
+  }
+
+  static listPlans() {
+    const plans = new PlanRegistry(this.projectRoot).list();
+
+    if (plans.length === 0) {
+      console.log('\n❌ No plans found');
+      console.log('   Run: npx agentic15 plan "project description"\n');
+      process.exit(1);
+    }
+
+    console.log('\n📋 Plans\n');
+
+    plans.forEach(plan => {
+      const state = plan.locked ? '🔒 locked' : plan.hasPlan ? '📝 draft ' : '⏳ no plan';
+      const progress = plan.tracker ? `${plan.completed}/${plan.total} completed` : '';
+      const working = plan.inProgress.length > 0 ? `  🔄 ${plan.inProgress.join(', ')}` : '';
+      console.log(`   ${plan.active ? '▶' : ' '} ${plan.id.padEnd(28)} ${state}  ${progress}${working}`);
+    });
+
+    console.log('\n   ▶ = active plan (task next, plan, report and export act on it)');
+    console.log('   💡 Switch: npx agentic15 plan switch <plan>');
+    console.log('   💡 Start a task in another plan: npx agentic15 task start plan-002:TASK-001\n');
+  }
+
+  static switchPlan(ref) {
+    if (!ref) {
+      console.log('\n❌ Plan required for "switch" action');
+      console.log('   Usage: npx agentic15 plan switch plan-002');
+      console.log('   List plans: npx agentic15 plan list\n');
+      process.exit(1);
+    }
+
+    const registry = new PlanRegistry(this.projectRoot);
+
+    let planId;
+    try {
+      planId = registry.resolve(ref);
+    } catch (error) {
+      console.log(`\n❌ ${error.message}\n`);
+      process.exit(1);
+    }
+
+    const previous = registry.getActivePlanId();
+    if (previous === planId) {
+      console.log(`\n✓ Already on plan ${planId}\n`);
+      return;
+    }
+
+    registry.setActivePlan(planId);
+    new EventLog(registry.planDir(planId)).record({
+      type: 'plan.switched',
+      command: 'plan switch',
+      details: { from: previous, to: planId }
+    });
+
+    console.log(`\n✅ Switched to plan ${planId}${previous ? ` (was ${previous})` : ''}\n`);
+    this.showPlanStatus(planId);
+
+    if (!existsSync(join(registry.planDir(planId), '.plan-locked'))) {
+      console.log('💡 Next step: npx agentic15 plan (lock the plan once PROJECT-PLAN.json is ready)\n');
+      return;
+    }
+
+    console.log('💡 Next step: npx agentic15 task next');
+    console.log('   Tasks already in progress in other plans keep their branches and worktrees\n');
   }
 
   static showPlanStatus(planId) {
-    const trackerPath = join(process.cwd(), '.claude', 'plans', planId, 'TASK-TRACKER.json');
+    const repository = new TrackerRepository(join(this.projectRoot, '.claude', 'plans', planId));
 
-    if (!existsSync(trackerPath)) {
+    if (!repository.exists()) {
       return;
     }
 
     try {
-      const tracker = JSON.parse(readFileSync(trackerPath, 'utf-8'));
+      const tracker = repository.read();
 
       const total = tracker.taskFiles.length;
       const completed = tracker.taskFiles.filter(t => t.status === 'completed').length;
@@ -631,7 +1511,7 @@ GENERATED: ${new Date().toISOString()}
 
     try {
       // Get current plan
-      const activePlanPath = join(process.cwd(), '.claude', 'ACTIVE-PLAN');
+      const activePlanPath = join(this.projectRoot, '.claude', 'ACTIVE-PLAN');
 
       if (!existsSync(activePlanPath)) {
         console.log('❌ No active plan to archive\n');
@@ -639,7 +1519,7 @@ GENERATED: ${new Date().toISOString()}
       }
 
       const planId = readFileSync(activePlanPath, 'utf-8').trim();
-      const planPath = join(process.cwd(), '.claude', 'plans', planId);
+      const planPath = join(this.projectRoot, '.claude', 'plans', planId);
 
       if (!existsSync(planPath)) {
         console.log(`❌ Plan directory not found: ${planId}\n`);
@@ -651,11 +1531,11 @@ GENERATED: ${new Date().toISOString()}
       console.log(`📍 Creating branch: ${branchName}`);
 
       try {
-        execSync(`git checkout -b ${branchName}`, { stdio: 'inherit' });
+        execSync(`git checkout -b ${branchName}`, { cwd: this.projectRoot, stdio: 'inherit' });
       } catch (error) {
         // Branch might already exist, try to checkout
         try {
-          execSync(`git checkout ${branchName}`, { stdio: 'inherit' });
+          execSync(`git checkout ${branchName}`, { cwd: this.projectRoot, stdio: 'inherit' });
           console.log(`✓ Switched to existing branch ${branchName}\n`);
         } catch (e) {
           console.log(`\n❌ Failed to create/checkout branch: ${branchName}\n`);
@@ -664,7 +1544,7 @@ GENERATED: ${new Date().toISOString()}
       }
 
       // Create archived directory
-      const archivedDir = join(process.cwd(), '.claude', 'plans', 'archived');
+      const archivedDir = join(this.projectRoot, '.claude', 'plans', 'archived');
       if (!existsSync(archivedDir)) {
         mkdirSync(archivedDir, { recursive: true});
       }
@@ -700,6 +1580,7 @@ GENERATED: ${new Date().toISOString()}
 
       const metadataPath = join(archivedPlanPath, 'ARCHIVE-META.json');
       writeFileSync(metadataPath, JSON.stringify(metadata, null, 2));
+      new EventLog(archivedPlanPath).record({ type: 'plan.archived', command: 'plan archive', details: { planId, ...metadata } });
 
       // Clear active plan
       writeFileSync(activePlanPath, '');
@@ -708,8 +1589,8 @@ GENERATED: ${new Date().toISOString()}
       console.log(`\n📝 Committing changes...`);
 
       try {
-        execSync(`git add .claude/`, { stdio: 'inherit' });
-        execSync(`git commit -m "Archive plan ${planId}: ${reason || 'Plan completed'}"`, { stdio: 'inherit' });
+        execSync(`git add .claude/`, { cwd: this.projectRoot, stdio: 'inherit' });
+        execSync(`git commit -m "Archive plan ${planId}: ${reason || 'Plan completed'}"`, { cwd: this.projectRoot, stdio: 'inherit' });
       } catch (error) {
         console.log(`\n❌ Failed to commit: ${error.message}\n`);
         process.exit(1);
@@ -719,20 +1600,12 @@ GENERATED: ${new Date().toISOString()}
       console.log(`\n🚀 Pushing branch and creating PR...`);
 
       try {
-        execSync(`git push origin ${branchName}`, { stdio: 'inherit' });
+        execSync(`git push origin ${branchName}`, { cwd: this.projectRoot, stdio: 'inherit' });
 
-        const platform = this.detectPlatform();
         const prTitle = `Archive plan ${planId}`;
         const prBody = `Archiving completed plan: ${reason || 'Plan completed'}`;
 
-        if (platform === 'github') {
-          execSync(`gh pr create --title "${prTitle}" --body "${prBody}"`, { stdio: 'inherit' });
-        } else if (platform === 'azure') {
-          const mainBranch = this.getMainBranch();
-          execSync(`az repos pr create --source-branch ${branchName} --target-branch ${mainBranch} --title "${prTitle}" --description "${prBody}"`, { stdio: 'inherit' });
-        } else {
-          console.log(`\n⚠️  Unknown platform - create PR manually`);
-        }
+        await this.openPullRequest(branchName, prTitle, prBody);
       } catch (error) {
         console.log(`\n⚠️  Branch pushed but PR creation failed: ${error.message}`);
         console.log(`   Create PR manually\n`);
@@ -741,7 +1614,14 @@ GENERATED: ${new Date().toISOString()}
       console.log(`\n✅ Plan archived successfully`);
       console.log(`\n💡 Next steps:`);
       console.log(`   1. Review and merge the PR`);
-      console.log(`   2. Run: npx agentic15 plan new\n`);
+
+      const remaining = new PlanRegistry(this.projectRoot).listPlanIds();
+      if (remaining.length > 0) {
+        console.log(`   2. Continue another plan: npx agentic15 plan switch <plan> (open: ${remaining.join(', ')})`);
+        console.log(`      Or start one: npx agentic15 plan new\n`);
+      } else {
+        console.log(`   2. Run: npx agentic15 plan new\n`);
+      }
 
     } catch (error) {
       console.log(`\n❌ Failed to archive plan: ${error.message}\n`);
@@ -749,20 +1629,28 @@ GENERATED: ${new Date().toISOString()}
     }
   }
 
-  static async createNew(description) {
+  static async createNew(description, options = {}) {
     console.log('\n📋 Creating new plan...\n');
 
+    const skeleton = options.template ? this.renderTemplate(options, description) : null;
+
     try {
       // Check if there's an active plan
-      const activePlanPath = join(process.cwd(), '.claude', 'ACTIVE-PLAN');
+      const activePlanPath = join(this.projectRoot, '.claude', 'ACTIVE-PLAN');
 
+      // Locked plans stay open alongside the new one; a draft must be locked or archived first
       if (existsSync(activePlanPath)) {
         const currentPlan = readFileSync(activePlanPath, 'utf-8').trim();
-        if (currentPlan) {
-          console.log(`⚠️  Active plan exists: ${currentPlan}`);
-          console.log(`   Archive it first: npx agentic15 plan archive\n`);
+        if (currentPlan && !existsSync(join(this.projectRoot, '.claude', 'plans', currentPlan, '.plan-locked'))) {
+          console.log(`⚠️  Active plan is not locked yet: ${currentPlan}`);
+          console.log('   Lock it first: npx agentic15 plan');
+          console.log(`   Or archive it: npx agentic15 plan archive\n`);
           process.exit(1);
         }
+
+        if (currentPlan) {
+          console.log(`   Keeping ${currentPlan} open - switch back with: npx agentic15 plan switch ${PlanRegistry.shortId(currentPlan)}\n`);
+        }
       }
 
       // Create branch for new plan
@@ -772,21 +1660,21 @@ GENERATED: ${new Date().toISOString()}
       console.log(`📍 Creating branch: ${branchName}`);
 
       try {
-        execSync(`git checkout -b ${branchName}`, { stdio: 'inherit' });
+        execSync(`git checkout -b ${branchName}`, { cwd: this.projectRoot, stdio: 'inherit' });
       } catch (error) {
         console.log(`\n❌ Failed to create branch: ${error.message}\n`);
         process.exit(1);
       }
 
       // Use existing generatePlan logic
-      this.generatePlan(description);
+      this.generatePlan(description, { skeleton });
 
       // Commit changes
       console.log(`\n📝 Committing new plan...`);
 
       try {
-        execSync(`git add .claude/`, { stdio: 'inherit' });
-        execSync(`git commit -m "Create new plan: ${newPlanId}"`, { stdio: 'inherit' });
+        execSync(`git add .claude/`, { cwd: this.projectRoot, stdio: 'inherit' });
+        execSync(`git commit -m "Create new plan: ${newPlanId}"`, { cwd: this.projectRoot, stdio: 'inherit' });
       } catch (error) {
         console.log(`\n❌ Failed to commit: ${error.message}\n`);
         process.exit(1);
@@ -796,20 +1684,12 @@ GENERATED: ${new Date().toISOString()}
       console.log(`\n🚀 Pushing branch and creating PR...`);
 
       try {
-        execSync(`git push origin ${branchName}`, { stdio: 'inherit' });
+        execSync(`git push origin ${branchName}`, { cwd: this.projectRoot, stdio: 'inherit' });
 
-        const platform = this.detectPlatform();
         const prTitle = `Create new plan ${newPlanId}`;
         const prBody = description ? `Create new plan: ${description}` : `Create new plan: ${newPlanId}`;
 
-        if (platform === 'github') {
-          execSync(`gh pr create --title "${prTitle}" --body "${prBody}"`, { stdio: 'inherit' });
-        } else if (platform === 'azure') {
-          const mainBranch = this.getMainBranch();
-          execSync(`az repos pr create --source-branch ${branchName} --target-branch ${mainBranch} --title "${prTitle}" --description "${prBody}"`, { stdio: 'inherit' });
-        } else {
-          console.log(`\n⚠️  Unknown platform - create PR manually`);
-        }
+        await this.openPullRequest(branchName, prTitle, prBody);
       } catch (error) {
         console.log(`\n⚠️  Branch pushed but PR creation failed: ${error.message}`);
         console.log(`   Create PR manually\n`);
@@ -828,19 +1708,26 @@ GENERATED: ${new Date().toISOString()}
     }
   }
 
-  static detectPlatform() {
-    try {
-      const remote = execSync('git remote get-url origin', { encoding: 'utf-8' }).trim();
+  static async openPullRequest(branchName, title, description) {
+    const router = new PlatformRouter(this.projectRoot);
 
-      if (remote.includes('github.com')) {
-        return 'github';
-      } else if (remote.includes('dev.azure.com')) {
-        return 'azure';
-      }
+    if (!router.canManagePullRequests()) {
+      console.log(`\n⚠️  ${router.getPlatform() ? `${router.getPlatformName()} not configured` : 'Unknown platform'} - create PR manually`);
+      return;
+    }
 
-      return 'unknown';
-    } catch (e) {
-      return 'unknown';
+    const pullRequest = await router.createPullRequest({
+      sourceBranch: branchName,
+      targetBranch: this.getMainBranch(),
+      title,
+      description
+    });
+
+    if (pullRequest) {
+      console.log(`✅ ${router.getPullRequestShortName()} created: ${pullRequest.url}`);
+    } else {
+      console.log(`\n⚠️  Branch pushed but ${router.getPullRequestName()} creation failed - create it manually`);
+      console.log(`   ${router.getSetupHint()}\n`);
     }
   }
 
@@ -884,10 +1771,56 @@ GENERATED: ${new Date().toISOString()}
     console.log('    Example: npx agentic15 plan archive "Project completed"\n');
 
     console.log('  npx agentic15 plan new [description]');
-    console.log('    Start a new plan (must archive current plan first)');
+    console.log('    Start a new plan; locked plans stay open alongside it');
     console.log('    Creates a branch, generates plan, commits & creates PR');
     console.log('    Example: npx agentic15 plan new "E-commerce website"\n');
 
+    console.log('  npx agentic15 plan new [description] --template <name> [--stack "..."] [--var key=value]');
+    console.log('    Start the new plan from a vetted skeleton of phases and milestones');
+    console.log('    Writes PROJECT-PLAN.json from the template for Claude to adapt');
+    console.log('    Example: npx agentic15 plan new "Inventory API" --template rest-service --stack "Go, chi, SQLite"\n');
+
+    console.log('  npx agentic15 plan list');
+    console.log('    Show the open plans, which one is active and their progress\n');
+
+    console.log('  npx agentic15 plan switch <plan>');
+    console.log('    Make another open plan the active one (task next, report, export act on it)');
+    console.log('    Example: npx agentic15 plan switch plan-002\n');
+
+    console.log('  npx agentic15 plan templates');
+    console.log('    List shipped templates and the team templates in .claude/plan-templates/');
+    console.log('    (or the "planTemplates.directory" setting)\n');
+
+    console.log('  npx agentic15 plan amend [file] [--dry-run] [--yes] [--reason "..."]');
+    console.log('    Change the scope of a locked plan');
+    console.log('    Diffs the edited PROJECT-PLAN.json (or [file]) against the locked plan,');
+    console.log('    keeps progress and issue links of existing tasks, records AMENDMENTS.json');
+    console.log('    Example: npx agentic15 plan amend --reason "Split login task"\n');
+
+    console.log('  npx agentic15 plan validate [file]');
+    console.log('    Check the active PROJECT-PLAN.json (or [file]) against PLAN-SCHEMA.json');
+    console.log('    Lists every violation with its JSON pointer path');
+    console.log('    Example: npx agentic15 plan validate\n');
+
+    console.log('  npx agentic15 plan import <source> [--dry-run] [--output file] [--force]');
+    console.log('    Build PROJECT-PLAN.json from an existing backlog:');
+    console.log('      backlog.md   Markdown checklist (headings = milestones, "- [ ] task #key (after #other)")');
+    console.log('      backlog.csv  CSV with title, id, milestone, phase, estimate, dependencies, criteria, status');
+    console.log('      github       Issues (--label a,b --milestone "v1" --state open|all)');
+    console.log('      azure        Work items (--wiql "SELECT [System.Id] FROM WorkItems WHERE ...")');
+    console.log('    Done items are skipped; imported issues / work items are reused when tasks start');
+    console.log('    Example: npx agentic15 plan import github --milestone "v1.0" --dry-run\n');
+
+    console.log('  npx agentic15 plan export [--format md|mermaid|html|json] [--diagram graph|gantt] [--output file]');
+    console.log('    Render the plan with statuses, dependency graph, Gantt schedule and issue/PR links');
+    console.log('    md (default) embeds both Mermaid diagrams; html is a standalone report');
+    console.log('    Example: npx agentic15 plan export --format html --output plan.html\n');
+
+    console.log('  npx agentic15 plan forecast [--velocity <hours/day>] [--json]');
+    console.log('    Critical path, earliest/latest start and slack of the remaining tasks,');
+    console.log('    and a completion date at the velocity observed in the tracker');
+    console.log('    Example: npx agentic15 plan forecast\n');
+
     console.log('  npx agentic15 plan help');
     console.log('    Show this help message\n');
 
@@ -915,7 +1848,7 @@ GENERATED: ${new Date().toISOString()}
     console.log('     npx agentic15 plan archive "Project completed"\n');
 
     console.log('  6️⃣  START NEW PROJECT:');
-    console.log('     After archiving, start fresh:');
+    console.log('     Alongside the open plans, or after archiving:');
     console.log('     npx agentic15 plan new "Next project requirements"\n');
 
     console.log('═'.repeat(70));
@@ -936,8 +1869,8 @@ GENERATED: ${new Date().toISOString()}
     console.log('═'.repeat(70));
     console.log('\nNOTES:\n');
 
-    console.log('  • Only one active plan allowed at a time');
-    console.log('  • Archive current plan before creating a new one');
+    console.log('  • Several locked plans can be open at once; one of them is active');
+    console.log('  • Task IDs are per plan - use plan-002:TASK-001 for a task outside the active plan');
     console.log('  • Archive and new commands create PRs automatically');
     console.log('  • Plan files are stored in .claude/plans/\n');
 
@@ -0,0 +1,136 @@
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { join, resolve } from 'path';
+import { TimeReport } from '../core/Plan/TimeReport.js';
+import { TrackerRepository } from '../core/TrackerRepository.js';
+import { WorktreeLanes } from '../core/WorktreeLanes.js';
+
+export class ReportCommand {
+  static FORMATS = ['table', 'csv', 'json'];
+
+  static handle(type, options = {}) {
+    if (type === 'time') {
+      return this.time(options);
+    }
+
+    console.log(`\n❌ Unknown report: ${type}`);
+    console.log('   Available reports: time');
+    console.log('   Usage: npx agentic15 report time [--exclude-paused] [--format table|csv|json] [--output file]\n');
+    process.exit(1);
+  }
+
+  static time(options = {}) {
+    const format = options.format || 'table';
+
+    if (!this.FORMATS.includes(format)) {
+      console.log(`\n❌ Unknown format: ${format}`);
+      console.log(`   Use one of: ${this.FORMATS.join(', ')}\n`);
+      process.exit(1);
+    }
+
+    const planPath = this.getActivePlanPath();
+    const tracker = new TrackerRepository(planPath).read();
+
+    const projectPlanPath = join(planPath, 'PROJECT-PLAN.json');
+    const plan = existsSync(projectPlanPath) ? JSON.parse(readFileSync(projectPlanPath, 'utf-8')) : null;
+
+    const report = TimeReport.build(tracker, {
+      tasksDir: join(planPath, 'tasks'),
+      plan,
+      excludePaused: Boolean(options.excludePaused)
+    });
+
+    if (format === 'table') {
+      return this.displayTimeReport(report);
+    }
+
+    const output = format === 'csv' ? TimeReport.toCsv(report) : JSON.stringify(report, null, 2) + '\n';
+
+    if (options.output) {
+      writeFileSync(resolve(options.output), output);
+      console.log(`\n✅ Time report written to ${options.output}\n`);
+    } else {
+      process.stdout.write(output);
+    }
+  }
+
+  static getActivePlanPath() {
+    // Linked worktrees share the main worktree's .claude/ state
+    const projectRoot = WorktreeLanes.getMainRoot();
+    const activePlanPath = join(projectRoot, '.claude', 'ACTIVE-PLAN');
+    const planId = existsSync(activePlanPath) ? readFileSync(activePlanPath, 'utf-8').trim() : '';
+    const planPath = join(projectRoot, '.claude', 'plans', planId);
+
+    if (!planId || !new TrackerRepository(planPath).exists()) {
+      console.log('\n❌ No locked plan found');
+      console.log('   Lock a plan first: npx agentic15 plan\n');
+      process.exit(1);
+    }
+
+    return planPath;
+  }
+
+  static displayTimeReport(report) {
+    console.log('\n⏱️  Time Report\n');
+    console.log(`   Plan: ${report.planId}`);
+    console.log(`   Paused time: ${report.excludePaused ? 'excluded' : 'included'}\n`);
+
+    console.log('   Tasks:');
+    report.tasks.forEach(row => {
+      const state = row.running ? ' (running)' : (row.status === 'paused' ? ' (paused)' : '');
+      const actual = row.actualHours === null ? '-' : `${this.formatHours(row.actualHours)}${state}`;
+      console.log(
+        `   ${row.id.padEnd(10)} ${this.truncate(row.title, 36).padEnd(36)} ` +
+        `est ${this.formatHours(row.estimatedHours).padStart(7)}  actual ${actual.padStart(7)}  ${this.formatRatio(row.ratio)}`
+      );
+    });
+
+    this.displayRollup('Milestones', report.milestones);
+    this.displayRollup('Subprojects', report.subprojects);
+
+    const totals = report.totals;
+    console.log('\n   Totals:');
+    console.log(`   Tasks completed:  ${totals.completed}/${totals.tasks}`);
+    console.log(`   Estimated:        ${this.formatHours(totals.estimatedHours)}`);
+    console.log(`   Actual:           ${this.formatHours(totals.actualHours)}`);
+    if (totals.pausedHours > 0) {
+      console.log(`   Paused:           ${this.formatHours(totals.pausedHours)}`);
+    }
+    console.log(`   Estimate accuracy: ${this.formatRatio(totals.ratio)}`);
+    console.log('\n   Accuracy is actual/estimate over completed tasks (1.00x = on estimate)');
+    console.log('   Export: npx agentic15 report time --format csv --output time.csv\n');
+  }
+
+  static displayRollup(title, groups) {
+    if (groups.length === 0) {
+      return;
+    }
+
+    console.log(`\n   ${title}:`);
+    groups.forEach(group => {
+      const label = `${group.id}${group.name ? ` ${group.name}` : ''}`;
+      console.log(
+        `   ${this.truncate(label, 47).padEnd(47)} ` +
+        `est ${this.formatHours(group.estimatedHours).padStart(7)}  actual ${this.formatHours(group.actualHours).padStart(7)}  ` +
+        `${this.formatRatio(group.ratio)}`
+      );
+    });
+  }
+
+  static formatHours(hours) {
+    return hours === null || hours === undefined ? '-' : `${hours.toFixed(1)}h`;
+  }
+
+  static formatRatio(ratio) {
+    if (ratio === null || ratio === undefined) {
+      return '';
+    }
+
+    const percent = Math.round((ratio - 1) * 100);
+    return `${ratio.toFixed(2)}x (${percent > 0 ? '+' : ''}${percent}%)`;
+  }
+
+  static truncate(text, length) {
+    const value = text || '';
+    return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+  }
+}
@@ -1,9 +1,18 @@
-import { readFileSync, existsSync } from 'fs';
 import { join } from 'path';
 import { execSync } from 'child_process';
+import { TaskGraph } from '../core/Plan/TaskGraph.js';
+import { WorktreeLanes } from '../core/WorktreeLanes.js';
+import { TaskBlocking } from '../core/TaskBlocking.js';
+import { TrackerRepository } from '../core/TrackerRepository.js';
+import { PlanRegistry } from '../core/PlanRegistry.js';
+import { RemoteOutbox } from '../core/RemoteOutbox.js';
 
 export class StatusCommand {
-  static show() {
+  static show(options = {}) {
+    if (options.all) {
+      return this.showAll();
+    }
+
     console.log('\n📊 Project Status\n');
 
     // Load tracker
@@ -19,10 +28,18 @@ export class StatusCommand {
     const inProgress = tracker.taskFiles.filter(t => t.status === 'in_progress');
     const pending = tracker.taskFiles.filter(t => t.status === 'pending');
     const blocked = tracker.taskFiles.filter(t => t.status === 'blocked');
+    const paused = tracker.taskFiles.filter(t => t.status === 'paused');
     const total = tracker.taskFiles.length;
 
     // Display plan info
+    const registry = new PlanRegistry(WorktreeLanes.getMainRoot());
+    const otherPlans = registry.list().filter(plan => plan.id !== tracker.planId);
+
     console.log(`   Plan: ${tracker.planId}`);
+    if (otherPlans.length > 0) {
+      const summaries = otherPlans.map(plan => `${plan.shortId} (${plan.tracker ? `${plan.completed}/${plan.total}` : 'not locked'})`);
+      console.log(`   Other plans: ${summaries.join(', ')} - see: agentic15 status --all`);
+    }
     console.log(`   Total Tasks: ${total}\n`);
 
     // Progress bar
@@ -39,17 +56,86 @@ export class StatusCommand {
     console.log(`   🔄 In Progress: ${inProgress.length}`);
     console.log(`   ⏳ Pending:     ${pending.length}`);
 
+    if (paused.length > 0) {
+      console.log(`   ⏸️  Paused:      ${paused.length}`);
+    }
+
     if (blocked.length > 0) {
       console.log(`   🚫 Blocked:     ${blocked.length}`);
     }
 
+    this.showPendingRemoteUpdates(WorktreeLanes.getMainRoot());
+
     console.log('');
 
-    // Current task
-    if (inProgress.length > 0) {
-      const current = inProgress[0];
+    // Tasks set aside with agentic15 task pause
+    if (paused.length > 0) {
+      console.log('   ⏸️  Paused Tasks:');
+      paused.forEach(task => {
+        const pause = (task.pauses || []).find(p => !p.resumedAt);
+        const since = pause ? ` (paused ${this.getTimeAgo(new Date(pause.pausedAt))})` : '';
+        console.log(`      ${task.id}: ${task.title}${since}`);
+        if (task.wipRef) {
+          console.log(`         Uncommitted work saved at ${task.wipRef}`);
+        }
+      });
+      console.log('      💡 Resume with: agentic15 task resume TASK-XXX');
+      console.log('');
+    }
+
+    // Tasks set aside with agentic15 task block
+    if (blocked.length > 0) {
+      console.log('   🚫 Blocked Tasks:');
+      blocked.forEach(task => {
+        const block = TaskBlocking.getCurrentBlock(task);
+        console.log(`      ${task.id}: ${task.title}`);
+        if (block) {
+          console.log(`         Reason: ${block.reason}`);
+          console.log(`         Blocked by ${block.blockedBy} ${this.getTimeAgo(new Date(block.blockedAt))}`);
+          const blockers = TaskBlocking.getBlockers(block);
+          if (blockers.length > 0) {
+            console.log(`         Unblocks when ${blockers.join(', ')} ${blockers.length > 1 ? 'complete' : 'completes'}`);
+          }
+        }
+      });
+      console.log('      💡 Unblock with: agentic15 task unblock TASK-XXX');
+      console.log('');
+    }
+
+    // Tasks running in other worktrees
+    const lane = WorktreeLanes.resolve();
+    const otherLanes = WorktreeLanes.getLanes(tracker).filter(l => l.laneKey !== lane.laneKey);
+
+    if (otherLanes.length > 0) {
+      console.log('   🛣️  Parallel Lanes:');
+      otherLanes.forEach(l => {
+        const laneTask = tracker.taskFiles.find(t => t.id === l.taskId);
+        console.log(`      ${l.taskId}: ${laneTask ? laneTask.title : '(unknown task)'}`);
+        console.log(`         ${WorktreeLanes.getLanePath(lane.mainRoot, l.laneKey)}`);
+      });
+      console.log('');
+    }
+
+    // Current task (the one bound to this worktree, possibly in another plan)
+    const currentId = WorktreeLanes.getBoundTaskId(tracker, lane.laneKey);
+    let current = tracker.taskFiles.find(t => t.id === currentId);
+    let currentLabel = current ? current.id : null;
+
+    if (!current) {
+      const other = otherPlans
+        .filter(plan => plan.tracker)
+        .map(plan => ({ plan, taskId: WorktreeLanes.getBoundTaskId(plan.tracker, lane.laneKey) }))
+        .find(bound => bound.taskId);
+
+      if (other) {
+        current = other.plan.tracker.taskFiles.find(t => t.id === other.taskId);
+        currentLabel = PlanRegistry.qualify(other.plan.id, other.taskId);
+      }
+    }
+
+    if (current) {
       console.log('   🔄 Current Task:');
-      console.log(`      ${current.id}: ${current.title}`);
+      console.log(`      ${currentLabel}: ${current.title}`);
 
       // Show changed files
       try {
@@ -78,20 +164,26 @@ export class StatusCommand {
       console.log('');
       console.log('      💡 Next step: agentic15 commit');
     } else if (pending.length > 0) {
-      console.log('   📌 Next Task:');
-      const next = pending[0];
-      console.log(`      ${next.id}: ${next.title}`);
-      console.log('');
-      console.log('      💡 Next step: agentic15 task next');
-    } else if (blocked.length > 0) {
-      console.log('   🚫 Blocked Tasks:');
-      blocked.slice(0, 3).forEach(task => {
-        console.log(`      ${task.id}: ${task.title}`);
-      });
+      const tasksDir = join(WorktreeLanes.getMainRoot(), '.claude', 'plans', tracker.planId, 'tasks');
+      const graph = TaskGraph.fromTracker(tracker, tasksDir);
+      const statusById = TaskGraph.statusMap(tracker);
+      const readyIds = graph.getReadyTasks(statusById);
 
-      if (blocked.length > 3) {
-        console.log(`      ... and ${blocked.length - 3} more`);
+      if (readyIds.length > 0) {
+        console.log('   📌 Next Task:');
+        const next = tracker.taskFiles.find(t => t.id === readyIds[0]);
+        console.log(`      ${next.id}: ${next.title}`);
+        console.log('');
+        console.log('      💡 Next step: agentic15 task next');
+      } else {
+        console.log('   ⏸️  Pending tasks are waiting on dependencies:');
+        pending.slice(0, 3).forEach(task => {
+          const unmet = graph.getUnmetDependencies(task.id, statusById);
+          console.log(`      ${task.id}: waiting on ${unmet.join(', ')}`);
+        });
       }
+    } else if (blocked.length > 0) {
+      console.log('   🚫 All remaining tasks are blocked (see above)');
     } else {
       console.log('   🎉 All tasks completed!');
     }
@@ -115,21 +207,86 @@ export class StatusCommand {
     }
   }
 
-  static loadTracker() {
-    const activePlanPath = join(process.cwd(), '.claude', 'ACTIVE-PLAN');
+  /**
+   * Issue/work item changes queued after gh/az/network failures
+   *
+   * @param {string} mainRoot - Project root (the main worktree for lanes)
+   * @returns {boolean} True if any are pending
+   */
+  static showPendingRemoteUpdates(mainRoot) {
+    const pending = new RemoteOutbox(mainRoot).count();
 
-    if (!existsSync(activePlanPath)) {
-      return null;
+    if (pending > 0) {
+      console.log(`   📤 ${pending} pending remote update${pending === 1 ? '' : 's'} - retry now: agentic15 sync-remote`);
     }
 
-    const planId = readFileSync(activePlanPath, 'utf-8').trim();
-    const trackerPath = join(process.cwd(), '.claude', 'plans', planId, 'TASK-TRACKER.json');
+    return pending > 0;
+  }
+
+  static showAll() {
+    const mainRoot = WorktreeLanes.getMainRoot();
+    const lane = WorktreeLanes.resolve();
+    const plans = new PlanRegistry(mainRoot).list();
+
+    console.log('\n📊 Project Status - all plans\n');
+
+    if (plans.length === 0) {
+      console.log('❌ No plans found');
+      console.log('   Run: agentic15 plan "project description"\n');
+      process.exit(1);
+    }
+
+    plans.forEach(plan => {
+      const state = plan.locked ? '🔒 locked' : plan.hasPlan ? '📝 draft' : '⏳ awaiting plan';
+      console.log(`   ${plan.active ? '▶' : ' '} ${plan.id}  ${state}`);
+
+      if (plan.error) {
+        console.log(`      ❌ Cannot read tracker: ${plan.error}\n`);
+        return;
+      }
+
+      if (!plan.tracker) {
+        console.log('');
+        return;
+      }
+
+      const percent = plan.total > 0 ? Math.round((plan.completed / plan.total) * 100) : 0;
+      const barLength = 20;
+      const filledLength = Math.round((percent / 100) * barLength);
+      const bar = '█'.repeat(filledLength) + '░'.repeat(barLength - filledLength);
+      const count = status => plan.tracker.taskFiles.filter(t => t.status === status).length;
+      const extras = [['paused', '⏸️ '], ['blocked', '🚫']]
+        .filter(([status]) => count(status) > 0)
+        .map(([status, icon]) => `${icon} ${count(status)} ${status}`);
+
+      console.log(`      [${bar}] ${percent}%  ${plan.completed}/${plan.total} completed${extras.length > 0 ? `  ${extras.join('  ')}` : ''}`);
+
+      WorktreeLanes.getLanes(plan.tracker).forEach(l => {
+        const laneTask = plan.tracker.taskFiles.find(t => t.id === l.taskId);
+        const where = l.laneKey === lane.laneKey ? 'this worktree' : WorktreeLanes.getLanePath(lane.mainRoot, l.laneKey);
+        console.log(`      🔄 ${PlanRegistry.qualify(plan.id, l.taskId)}: ${laneTask ? laneTask.title : '(unknown task)'} (${where})`);
+      });
+      console.log('');
+    });
+
+    if (this.showPendingRemoteUpdates(mainRoot)) {
+      console.log('');
+    }
+
+    console.log('   ▶ = active plan (agentic15 task next, plan and report act on it)');
+    console.log('   💡 Switch with: agentic15 plan switch <plan>');
+    console.log('   💡 Start a task in any plan: agentic15 task start plan-002:TASK-001\n');
+  }
+
+  static loadTracker() {
+    // Linked worktrees share the main worktree's .claude/ state
+    const repository = TrackerRepository.forActivePlan(WorktreeLanes.getMainRoot());
 
-    if (!existsSync(trackerPath)) {
+    if (!repository || !repository.exists()) {
       return null;
     }
 
-    return JSON.parse(readFileSync(trackerPath, 'utf-8'));
+    return repository.read();
   }
 
   static getTimeAgo(date) {
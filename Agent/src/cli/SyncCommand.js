@@ -1,15 +1,27 @@
 import { execSync } from 'child_process';
-import { readFileSync, existsSync } from 'fs';
-import { join } from 'path';
+import { WorktreeLanes } from '../core/WorktreeLanes.js';
+import { TrackerRepository } from '../core/TrackerRepository.js';
+import { PlanRegistry } from '../core/PlanRegistry.js';
+import { PlatformRouter } from '../core/Platform/PlatformRouter.js';
+import { RemoteSync } from '../core/Platform/RemoteSync.js';
 
 export class SyncCommand {
-  static execute() {
+  static async execute() {
     console.log('\n🔄 Syncing with remote main branch...\n');
 
+    // Issue/work item updates that failed in an earlier command
+    await RemoteSync.retryDue(WorktreeLanes.getMainRoot());
+
     // Step 1: Get current branch
     const currentBranch = this.getCurrentBranch();
     console.log(`📍 Current branch: ${currentBranch}\n`);
 
+    // Task lanes checked out in their own worktree are retired instead of switched
+    const lane = WorktreeLanes.resolve();
+    if (lane.isLinked) {
+      return await this.syncWorktreeLane(currentBranch, lane);
+    }
+
     // Step 2: Check if on feature, plan, or admin branch
     const isFeatureBranch = currentBranch.startsWith('feature/');
     const isPlanBranch = currentBranch.startsWith('plan/');
@@ -21,8 +33,8 @@ export class SyncCommand {
       process.exit(1);
     }
 
-    // Step 3: Check for uncommitted changes
-    if (this.hasUncommittedChanges()) {
+    // Step 3: Check for uncommitted changes (lanes keep the shared tracker modified here)
+    if (this.hasUncommittedChanges(WorktreeLanes.getModifiedPlanFiles(lane.mainRoot))) {
       console.log('❌ You have uncommitted changes');
       console.log('   Commit or stash them first\n');
       process.exit(1);
@@ -30,7 +42,7 @@ export class SyncCommand {
 
     // Step 4: Check PR status (CRITICAL: prevents data loss)
     if (isFeatureBranch || isPlanBranch || isAdminBranch) {
-      this.checkPRStatus(currentBranch);
+      await this.checkPRStatus(currentBranch);
     }
 
     // Step 5: Get main branch name
@@ -83,18 +95,101 @@ export class SyncCommand {
     }
   }
 
-  static hasUncommittedChanges() {
+  static hasUncommittedChanges(ignoredFiles = []) {
     try {
       const status = execSync('git status --porcelain', { encoding: 'utf-8' });
-      return status.trim().length > 0;
+      return status.split('\n')
+        .filter(line => line.trim().length > 0)
+        .some(line => !ignoredFiles.includes(line.slice(3)));
     } catch (error) {
       return false;
     }
   }
 
+  static async syncWorktreeLane(currentBranch, lane) {
+    const worktreePath = lane.worktreeRoot;
+
+    if (!currentBranch.startsWith('feature/')) {
+      console.log(`⚠️  Worktree ${worktreePath} is on '${currentBranch}', not a feature branch\n`);
+      process.exit(1);
+    }
+
+    if (this.hasUncommittedChanges()) {
+      console.log('❌ You have uncommitted changes in this worktree');
+      console.log('   Commit them first: agentic15 commit\n');
+      process.exit(1);
+    }
+
+    // CRITICAL: prevents data loss
+    await this.checkPRStatus(currentBranch);
+
+    const mainBranch = this.getMainBranch();
+    console.log(`🎯 Main branch: ${mainBranch}\n`);
+
+    // Update main in the main worktree (or fast-forward the ref if it is on another branch)
+    const mainWorktree = WorktreeLanes.listWorktrees(lane.mainRoot)[0];
+    console.log(`⬇️  Updating ${mainBranch} in ${lane.mainRoot}...\n`);
+    try {
+      if (mainWorktree && mainWorktree.branch === mainBranch) {
+        WorktreeLanes.withPlanStatePreserved(lane.mainRoot, () => {
+          execSync(`git pull origin ${mainBranch}`, { cwd: lane.mainRoot, stdio: 'inherit' });
+        });
+      } else {
+        execSync(`git fetch origin ${mainBranch}:${mainBranch}`, { cwd: lane.mainRoot, stdio: 'inherit' });
+      }
+    } catch (error) {
+      console.log(`\n⚠️  Could not update ${mainBranch}: ${error.message}\n`);
+    }
+
+    // Release the lane in the shared tracker (commit normally did this already)
+    this.releaseLane(lane);
+
+    console.log(`🗑️  Removing worktree: ${worktreePath}...\n`);
+    try {
+      WorktreeLanes.removeWorktree(lane.mainRoot, worktreePath);
+      console.log(`   ✓ Removed worktree: ${worktreePath}`);
+    } catch (error) {
+      console.log(`   ⚠️  Could not remove worktree: ${error.message}`);
+      console.log(`   Remove it manually: git worktree remove ${worktreePath}`);
+    }
+
+    this.deleteFeatureBranch(currentBranch, lane.mainRoot);
+
+    console.log('\n' + '='.repeat(60));
+    console.log('✅ Sync complete!');
+    console.log('='.repeat(60));
+    console.log(`\n📥 ${mainBranch} updated from origin/${mainBranch}`);
+    console.log(`🗑️  Retired worktree lane: ${currentBranch}`);
+    console.log('\n💡 Next steps:');
+    console.log(`   1. Return to the main worktree: cd ${lane.mainRoot}`);
+    console.log('   2. Start another task: npx agentic15 task next [--worktree]\n');
+  }
+
+  static releaseLane(lane) {
+    const registry = new PlanRegistry(lane.mainRoot);
+
+    // The lane's task may belong to any plan, not just the active one
+    registry.findBoundTasks(lane.laneKey).forEach(({ planId, taskId }) => {
+      try {
+        new TrackerRepository(registry.planDir(planId)).update(current => {
+          if (WorktreeLanes.getBoundTaskId(current, lane.laneKey) === taskId) {
+            WorktreeLanes.releaseTask(current, taskId);
+          }
+        });
+        console.log(`   ✓ Released ${taskId} (${planId}) from this worktree`);
+      } catch (error) {
+        console.log(`   ⚠️  Could not release ${taskId} (${planId}) from this worktree: ${error.message}`);
+        console.log('   Repair the tracker afterwards with: agentic15 task repair');
+      }
+    });
+  }
+
   static switchToMain(mainBranch) {
     try {
-      execSync(`git checkout ${mainBranch}`, { stdio: 'inherit' });
+      // Keep tracker state written by parallel lanes across the checkout
+      WorktreeLanes.withPlanStatePreserved(process.cwd(), () => {
+        execSync(`git checkout ${mainBranch}`, { stdio: 'inherit' });
+      });
     } catch (error) {
       console.log(`\n❌ Failed to switch to ${mainBranch}: ${error.message}\n`);
       process.exit(1);
@@ -103,23 +198,25 @@ export class SyncCommand {
 
   static pullMain(mainBranch) {
     try {
-      execSync(`git pull origin ${mainBranch}`, { stdio: 'inherit' });
+      WorktreeLanes.withPlanStatePreserved(process.cwd(), () => {
+        execSync(`git pull origin ${mainBranch}`, { stdio: 'inherit' });
+      });
     } catch (error) {
       console.log(`\n❌ Failed to pull from ${mainBranch}: ${error.message}\n`);
       process.exit(1);
     }
   }
 
-  static deleteFeatureBranch(branchName) {
+  static deleteFeatureBranch(branchName, cwd = process.cwd()) {
     try {
       // Delete local branch
-      execSync(`git branch -d ${branchName}`, { stdio: 'inherit' });
+      execSync(`git branch -d ${branchName}`, { cwd, stdio: 'inherit' });
       console.log(`   ✓ Deleted local branch: ${branchName}`);
     } catch (error) {
       // Branch might have unmerged commits, try force delete
       try {
         console.log(`   ⚠️  Branch has unmerged commits, force deleting...`);
-        execSync(`git branch -D ${branchName}`, { stdio: 'inherit' });
+        execSync(`git branch -D ${branchName}`, { cwd, stdio: 'inherit' });
         console.log(`   ✓ Force deleted local branch: ${branchName}`);
       } catch (forceError) {
         console.log(`   ⚠️  Could not delete branch: ${forceError.message}`);
@@ -127,105 +224,47 @@ export class SyncCommand {
     }
   }
 
-  static detectPlatform() {
-    try {
-      const remote = execSync('git remote get-url origin', { encoding: 'utf-8' }).trim();
-
-      if (remote.includes('github.com')) {
-        return 'github';
-      } else if (remote.includes('dev.azure.com')) {
-        return 'azure';
-      }
-
-      return 'unknown';
-    } catch (e) {
-      return 'unknown';
-    }
-  }
-
-  static checkPRStatus(branchName) {
-    const platform = this.detectPlatform();
+  static async checkPRStatus(branchName) {
+    const router = new PlatformRouter(WorktreeLanes.getMainRoot());
+    const platformName = router.getPlatformName();
+    const short = router.getPullRequestShortName();
 
-    if (platform === 'github') {
-      return this.checkGitHubPRStatus(branchName);
-    } else if (platform === 'azure') {
-      return this.checkAzurePRStatus(branchName);
-    } else {
-      console.log(`\n⚠️  Could not detect platform (GitHub or Azure DevOps)`);
+    if (!router.getPlatform()) {
+      console.log(`\n⚠️  Could not detect platform (GitHub, Azure DevOps, GitLab, Gitea/Forgejo or Bitbucket Server)`);
       console.log(`   Skipping PR status check\n`);
       return;
     }
-  }
-
-  static checkGitHubPRStatus(branchName) {
-    try {
-      // Check if PR exists for this branch
-      const prInfo = execSync(`gh pr view ${branchName} --json state,mergedAt`, {
-        encoding: 'utf-8',
-        stdio: ['pipe', 'pipe', 'pipe']
-      });
-
-      const pr = JSON.parse(prInfo);
-
-      // If PR exists but not merged, block sync
-      if (pr.state === 'OPEN' || (pr.state === 'CLOSED' && !pr.mergedAt)) {
-        console.log(`\n❌ Cannot sync: PR for ${branchName} is not merged\n`);
-        console.log(`   PR must be merged before running sync\n`);
-        console.log(`   Options:`);
-        console.log(`   1. Merge the PR on GitHub`);
-        console.log(`   2. Close PR and abandon changes\n`);
-        console.log(`   Aborting sync to prevent data loss.\n`);
-        process.exit(1);
-      }
 
-      // PR is merged, safe to proceed
-      console.log(`✅ PR merged - safe to sync\n`);
-
-    } catch (error) {
-      // No PR found - check if branch has commits
+    if (!router.canManagePullRequests()) {
+      console.log(`⚠️  ${platformName} not configured - cannot check ${router.getPullRequestName()} status`);
       this.checkUnpushedCommits(branchName);
+      return;
     }
-  }
-
-  static checkAzurePRStatus(branchName) {
-    try {
-      // Check if PR exists for this branch using Azure CLI
-      const prList = execSync(`az repos pr list --source-branch ${branchName} --status all --output json`, {
-        encoding: 'utf-8',
-        stdio: ['pipe', 'pipe', 'pipe']
-      });
 
-      const prs = JSON.parse(prList);
-
-      if (prs.length > 0) {
-        const pr = prs[0]; // Get most recent PR for this branch
-
-        // Check PR status
-        if (pr.status === 'active') {
-          console.log(`\n❌ Cannot sync: PR for ${branchName} is still open\n`);
-          console.log(`   PR must be merged or completed before running sync\n`);
-          console.log(`   Options:`);
-          console.log(`   1. Complete/merge the PR on Azure DevOps`);
-          console.log(`   2. Abandon PR and lose changes\n`);
-          console.log(`   Aborting sync to prevent data loss.\n`);
-          process.exit(1);
-        } else if (pr.status === 'completed') {
-          // PR is completed/merged, safe to proceed
-          console.log(`✅ PR completed - safe to sync\n`);
-          return;
-        } else if (pr.status === 'abandoned') {
-          console.log(`⚠️  PR was abandoned\n`);
-          // Allow sync to continue - changes were intentionally abandoned
-          return;
-        }
-      } else {
-        // No PR found - check if branch has commits
-        this.checkUnpushedCommits(branchName);
-      }
+    // Most recent PR for this branch
+    const pullRequest = await router.getPullRequestStatus(branchName);
 
-    } catch (error) {
-      // Azure CLI not available or error - check for unpushed commits
+    if (!pullRequest) {
+      // No PR found (or platform unreachable) - check if branch has commits
       this.checkUnpushedCommits(branchName);
+      return;
+    }
+
+    if (pullRequest.state === 'open') {
+      console.log(`\n❌ Cannot sync: ${short} for ${branchName} is still open\n`);
+      console.log(`   ${pullRequest.url}`);
+      console.log(`   ${short} must be merged before running sync\n`);
+      console.log(`   Options:`);
+      console.log(`   1. Merge the ${short} on ${platformName}`);
+      console.log(`   2. Close ${short} and abandon changes\n`);
+      console.log(`   Aborting sync to prevent data loss.\n`);
+      process.exit(1);
+    } else if (pullRequest.state === 'merged') {
+      // PR is merged, safe to proceed
+      console.log(`✅ ${short} merged - safe to sync\n`);
+    } else if (pullRequest.state === 'closed') {
+      console.log(`⚠️  ${short} was closed without merging\n`);
+      // Allow sync to continue - changes were intentionally abandoned
     }
   }
 
@@ -0,0 +1,54 @@
+import { RemoteOutbox } from '../core/RemoteOutbox.js';
+import { RemoteSync } from '../core/Platform/RemoteSync.js';
+import { WorktreeLanes } from '../core/WorktreeLanes.js';
+
+/**
+ * SyncRemoteCommand - Send queued issue/work item updates now
+ *
+ * Retries every entry of .claude/remote-outbox.json, ignoring the backoff
+ * the automatic retries at the start of task, commit and sync respect.
+ */
+export class SyncRemoteCommand {
+  static async execute(options = {}) {
+    const projectRoot = WorktreeLanes.getMainRoot(process.cwd());
+    const outbox = new RemoteOutbox(projectRoot);
+    const entries = outbox.read();
+
+    if (entries.length === 0) {
+      console.log('\n✅ No pending remote updates\n');
+      return;
+    }
+
+    if (options.dryRun) {
+      console.log(`\n📤 ${entries.length} pending remote update(s):\n`);
+      entries.forEach(entry => console.log(`   ${this.formatPending(entry)}`));
+      console.log('');
+      return;
+    }
+
+    const sync = new RemoteSync(projectRoot, null, outbox);
+    console.log(`\n📤 Sending ${entries.length} pending remote update(s) to ${sync.router.getPlatformName()}...\n`);
+
+    const result = await sync.retry({ force: true });
+    const failed = new Set(result.failed.map(entry => entry.key));
+
+    result.delivered.forEach(entry => console.log(`   ✓ ${RemoteSync.describe(entry)}`));
+    outbox.read().filter(entry => failed.has(entry.key)).forEach(entry => console.log(`   ✗ ${this.formatPending(entry)}`));
+    result.waiting.forEach(entry => console.log(`   ⏳ ${RemoteSync.describe(entry)} (waits for its item to be created)`));
+    result.skipped.forEach(entry => console.log(`   ⏭️  ${RemoteSync.describe(entry)} (queued for ${entry.platform}, origin is ${sync.router.getPlatform() || 'not a supported platform'})`));
+    result.dropped.forEach(({ entry, reason }) => console.log(`   🗑️  ${RemoteSync.describe(entry)} - dropped: ${reason}`));
+
+    console.log(`\n📊 ${result.delivered.length} delivered, ${result.failed.length} failed, ${result.pending} pending\n`);
+
+    if (result.failed.length > 0) {
+      console.log(`❌ Some updates could not be sent. ${sync.router.getSetupHint()}`);
+      console.log('   They are retried by the next agentic15 task/commit/sync, or run: agentic15 sync-remote\n');
+      process.exit(1);
+    }
+  }
+
+  static formatPending(entry) {
+    const attempts = entry.attempts > 0 ? ` - ${entry.attempts} attempt(s), last: ${entry.lastError || 'unknown error'}` : '';
+    return `${RemoteSync.describe(entry)}${attempts} (next retry: ${entry.nextAttemptAt})`;
+  }
+}
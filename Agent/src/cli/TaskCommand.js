@@ -1,31 +1,87 @@
 import { execSync } from 'child_process';
-import { readFileSync, writeFileSync, existsSync } from 'fs';
-import { join } from 'path';
-import { GitHubClient } from '../core/GitHubClient.js';
-import { GitHubConfig } from '../core/GitHubConfig.js';
-import { AzureDevOpsClient } from '../core/AzureDevOpsClient.js';
-import { AzureDevOpsConfig } from '../core/AzureDevOpsConfig.js';
+import { readFileSync, existsSync } from 'fs';
+import { basename, join, relative, resolve } from 'path';
+import { PlatformDetector } from '../core/Platform/PlatformDetector.js';
+import { PlatformRouter } from '../core/Platform/PlatformRouter.js';
+import { RemoteSync } from '../core/Platform/RemoteSync.js';
 import { TaskIssueMapper } from '../core/TaskIssueMapper.js';
+import { TaskGraph } from '../core/Plan/TaskGraph.js';
+import { WorktreeLanes } from '../core/WorktreeLanes.js';
+import { WipSnapshot } from '../core/WipSnapshot.js';
+import { TaskBlocking } from '../core/TaskBlocking.js';
+import { ArtifactVerifier } from '../core/ArtifactVerifier.js';
+import { TrackerRepository } from '../core/TrackerRepository.js';
+import { EventLog } from '../core/EventLog.js';
+import { PlanRegistry } from '../core/PlanRegistry.js';
 
 export class TaskCommand {
-  static async handle(action, taskId, options = {}) {
+  // Plan the command acts on; null means the active plan
+  static planId = null;
+
+  static async handle(action, taskRef, options = {}) {
+    const taskId = this.selectPlan(action, taskRef);
+
+    // Issue/work item updates that failed in an earlier command
+    await RemoteSync.retryDue(this.getProjectRoot());
+
     switch (action) {
       case 'start':
-        return this.startTask(taskId);
+        return this.startTask(taskId, options.force, options.worktree);
       case 'next':
-        return this.startNext();
+        return this.startNext(options.worktree);
       case 'status':
         return this.showStatus();
       case 'reset':
         return this.resetTask(taskId, options.force);
+      case 'pause':
+        return this.pauseTask(taskId);
+      case 'resume':
+        return this.resumeTask(taskId, options.worktree);
+      case 'block':
+        return this.blockTask(taskId, options.reason, options.on);
+      case 'unblock':
+        return this.unblockTask(taskId);
+      case 'verify':
+        return this.verifyTask(taskId, options.strictness);
+      case 'repair':
+        return this.repairTracker();
       default:
         console.log(`\n❌ Unknown action: ${action}`);
-        console.log('   Valid actions: start, next, status, reset\n');
+        console.log('   Valid actions: start, next, status, reset, pause, resume, block, unblock, verify, repair\n');
         process.exit(1);
     }
   }
 
-  static async startTask(taskId) {
+  /**
+   * Pick the plan from a plan-qualified task ID (plan-002:TASK-001), or for
+   * commands on "the current task", from the plan of the task in this worktree
+   *
+   * @returns {string|undefined} The task ID without its plan part
+   */
+  static selectPlan(action, taskRef) {
+    const registry = new PlanRegistry(this.getProjectRoot());
+    const { planRef, taskId } = PlanRegistry.parseTaskRef(taskRef);
+    this.planId = null;
+
+    if (planRef) {
+      try {
+        this.planId = registry.resolve(planRef);
+      } catch (error) {
+        console.log(`\n❌ ${error.message}\n`);
+        process.exit(1);
+      }
+      return taskId;
+    }
+
+    if (!taskRef && ['status', 'reset', 'pause', 'verify'].includes(action)) {
+      const [bound] = registry.findBoundTasks(WorktreeLanes.resolve().laneKey);
+      this.planId = bound ? bound.planId : null;
+    }
+
+    return taskRef;
+  }
+
+  static async startTask(taskId, force = false, worktree = null) {
     if (!taskId) {
       console.log('\n❌ Task ID required for "start" action');
       console.log('   Usage: agentic15 task start TASK-001\n');
@@ -36,8 +92,8 @@ export class TaskCommand {
     this.validateGitRemote();
 
     // Load task tracker
-    const tracker = this.loadTracker();
-    const task = tracker.taskFiles.find(t => t.id === taskId);
+    let tracker = this.loadTracker();
+    let task = tracker.taskFiles.find(t => t.id === taskId);
 
     if (!task) {
       console.log(`\n❌ Task not found: ${taskId}\n`);
@@ -49,26 +105,103 @@ export class TaskCommand {
       process.exit(1);
     }
 
-    // Check if another task is in progress
-    const inProgress = tracker.taskFiles.find(t => t.status === 'in_progress');
-    if (inProgress && inProgress.id !== taskId) {
-      console.log(`\n⚠️  Task ${inProgress.id} is already in progress`);
-      console.log(`   Complete it first with: agentic15 commit\n`);
+    if (task.status === 'paused') {
+      console.log(`\n⚠️  Task ${taskId} is paused`);
+      console.log(`   Resume it with: agentic15 task resume ${taskId}\n`);
       process.exit(1);
     }
 
-    // Get main branch name
+    if (task.status === 'blocked') {
+      const block = TaskBlocking.getCurrentBlock(task);
+      console.log(`\n🚫 Task ${taskId} is blocked${block ? `: ${block.reason}` : ''}`);
+      console.log(`   Unblock it first: agentic15 task unblock ${taskId}\n`);
+      process.exit(1);
+    }
+
+    // Check that prerequisites are finished
+    const unmetDependencies = this.getUnmetDependencies(task, tracker);
+    if (unmetDependencies.length > 0) {
+      if (!force) {
+        console.log(`\n⚠️  Task ${taskId} has unfinished dependencies:`);
+        unmetDependencies.forEach(depId => {
+          const dep = tracker.taskFiles.find(t => t.id === depId);
+          console.log(`   - ${depId}: ${dep ? dep.title : '(unknown task)'} [${dep ? dep.status : 'missing'}]`);
+        });
+        console.log('\n   Complete them first, or start anyway with --force:');
+        console.log(`   agentic15 task start ${taskId} --force\n`);
+        process.exit(1);
+      }
+
+      console.log(`\n⚠️  Forcing start of ${taskId} with unfinished dependencies: ${unmetDependencies.join(', ')}\n`);
+    }
+
+    // Each worktree works on one task at a time; other worktrees may hold their own
+    const lane = WorktreeLanes.resolve();
+    const taskLane = WorktreeLanes.getLaneOf(tracker, taskId);
+    if (task.status === 'in_progress' && taskLane && taskLane !== lane.laneKey) {
+      console.log(`\n⚠️  Task ${taskId} is already in progress in worktree: ${WorktreeLanes.getLanePath(lane.mainRoot, taskLane)}\n`);
+      process.exit(1);
+    }
+
+    const boundTask = this.findLaneTask(lane.laneKey);
+    if (!worktree && boundTask && (boundTask.taskId !== taskId || boundTask.planId !== this.getPlanId())) {
+      console.log(`\n⚠️  Task ${this.describeTask(boundTask)} is already in progress in this worktree`);
+      console.log(`   Complete it first with: agentic15 commit`);
+      console.log(`   Or work on ${taskId} in parallel: agentic15 task start ${this.qualifyTask(taskId)} --worktree\n`);
+      process.exit(1);
+    }
+
+    // Get main branch name; the branch is kept so it stays put when more plans are added
     const mainBranch = this.getMainBranch();
+    const branchName = task.branch || new PlanRegistry(this.getProjectRoot()).taskBranch(this.getPlanId(), taskId);
+
+    const laneKey = worktree
+      ? this.createTaskWorktree(taskId, branchName, mainBranch, worktree === true ? null : worktree)
+      : this.checkoutTaskBranch(branchName, mainBranch, lane);
+
+    // Update task status and bind it to its worktree
+    const previousStatus = task.status;
+    ({ task, tracker } = this.updateTask(task.id, [previousStatus], (entry, current) => {
+      entry.status = 'in_progress';
+      entry.startedAt = new Date().toISOString();
+      entry.branch = branchName;
+      WorktreeLanes.bindTask(current, laneKey, entry.id);
+    }));
+    this.recordEvent({
+      type: 'task.started',
+      command: 'task start',
+      taskId: task.id,
+      from: previousStatus,
+      to: task.status,
+      branch: branchName,
+      details: { ...(force && unmetDependencies.length > 0 ? { forcedPastDependencies: unmetDependencies } : {}), lane: laneKey }
+    });
+
+    // Create the task's issue (or work item) on the remote's platform if enabled
+    let taskItem = null;
+    const router = new PlatformRouter(this.getProjectRoot());
+    if (router.isAutoCreateEnabled()) {
+      taskItem = await this.createTaskItem(task, router);
+    }
+
+    // Display task details
+    this.displayTaskDetails(task, taskItem, tracker, laneKey);
+  }
+
+  static checkoutTaskBranch(branchName, mainBranch, lane) {
     console.log(`\n📥 Syncing with remote ${mainBranch}...\n`);
 
     try {
-      // Switch to main branch
-      console.log(`   → Switching to ${mainBranch}`);
-      execSync(`git checkout ${mainBranch}`, { stdio: 'inherit' });
+      // Parallel lanes leave the canonical tracker modified here; carry it across the pull
+      WorktreeLanes.withPlanStatePreserved(lane.worktreeRoot, () => {
+        // Switch to main branch
+        console.log(`   → Switching to ${mainBranch}`);
+        execSync(`git checkout ${mainBranch}`, { stdio: 'inherit' });
 
-      // Pull latest changes from remote
-      console.log(`   → Pulling latest changes`);
-      execSync(`git pull origin ${mainBranch}`, { stdio: 'inherit' });
+        // Pull latest changes from remote
+        console.log(`   → Pulling latest changes`);
+        execSync(`git pull origin ${mainBranch}`, { stdio: 'inherit' });
+      });
 
       console.log(`\n✓ ${mainBranch} is up to date\n`);
     } catch (error) {
@@ -77,7 +210,6 @@ export class TaskCommand {
     }
 
     // Create feature branch from updated main
-    const branchName = `feature/${taskId.toLowerCase()}`;
     console.log(`🌿 Creating branch: ${branchName}\n`);
 
     try {
@@ -94,57 +226,102 @@ export class TaskCommand {
       }
     }
 
-    // Update task status
-    task.status = 'in_progress';
-    task.startedAt = new Date().toISOString();
+    return lane.laneKey;
+  }
 
-    // Update tracker metadata
-    tracker.activeTask = task.id;
-    this.updateStatistics(tracker);
-    this.saveTracker(tracker);
+  static createTaskWorktree(taskId, branchName, mainBranch, customPath) {
+    const mainRoot = this.getProjectRoot();
+    const worktreePath = customPath ? resolve(customPath) : WorktreeLanes.getDefaultPath(mainRoot, this.getWorkKey(branchName));
 
-    // Create GitHub issue if enabled
-    let githubIssue = null;
-    const githubConfig = new GitHubConfig(process.cwd());
-    if (githubConfig.isAutoCreateEnabled()) {
-      githubIssue = await this.createGitHubIssue(task, githubConfig);
+    if (existsSync(worktreePath)) {
+      console.log(`\n❌ Worktree path already exists: ${worktreePath}`);
+      console.log(`   Choose another location: agentic15 task start ${taskId} --worktree <path>\n`);
+      process.exit(1);
     }
 
-    // Create Azure DevOps work item if enabled
-    let azureWorkItem = null;
-    const azureConfig = new AzureDevOpsConfig(process.cwd());
+    // Branch from the remote main without touching the current checkout
+    let baseRef = mainBranch;
+    console.log(`\n📥 Fetching remote ${mainBranch}...\n`);
+    try {
+      execSync(`git fetch origin ${mainBranch}`, { cwd: mainRoot, stdio: 'inherit' });
+      baseRef = `origin/${mainBranch}`;
+    } catch (error) {
+      console.log(`\n⚠️  Warning: Could not fetch remote ${mainBranch}`);
+      console.log(`   Branching from local ${mainBranch}...\n`);
+    }
 
-    // Always attempt Azure work item creation - let the method decide
-    if (azureConfig.config.enabled) {
-      azureWorkItem = await this.createAzureWorkItem(task, azureConfig);
+    console.log(`🌿 Creating worktree for ${branchName}\n`);
+
+    try {
+      WorktreeLanes.addWorktree(mainRoot, worktreePath, branchName, baseRef);
+      console.log(`✓ Worktree created: ${worktreePath}\n`);
+    } catch (error) {
+      console.log(`\n❌ Failed to create worktree for ${branchName}: ${error.message}\n`);
+      process.exit(1);
     }
 
-    // Display task details
-    this.displayTaskDetails(task, githubIssue, azureWorkItem, tracker);
+    return WorktreeLanes.getLaneKey(mainRoot, worktreePath);
   }
 
-  static async startNext() {
+  static async startNext(worktree = null) {
     const tracker = this.loadTracker();
 
-    // Find next pending task
-    const nextTask = tracker.taskFiles.find(t => t.status === 'pending');
+    // Find first task (in plan order) whose dependencies are all completed
+    const graph = this.buildTaskGraph(tracker);
+    const statusById = TaskGraph.statusMap(tracker);
+    const readyIds = graph.getReadyTasks(statusById);
+    const paused = tracker.taskFiles.filter(t => t.status === 'paused');
 
-    if (!nextTask) {
-      console.log('\n✅ No more pending tasks!\n');
-      const completed = tracker.taskFiles.filter(t => t.status === 'completed').length;
-      const total = tracker.taskFiles.length;
-      console.log(`   Progress: ${completed}/${total} tasks completed\n`);
-      process.exit(0);
+    if (paused.length > 0) {
+      console.log(`\n⏸️  Paused: ${paused.map(t => t.id).join(', ')} (resume with: agentic15 task resume TASK-XXX)`);
     }
 
-    console.log(`\n▶️  Auto-starting next task: ${nextTask.id}\n`);
-    return this.startTask(nextTask.id);
+    const blocked = tracker.taskFiles.filter(t => t.status === 'blocked');
+    if (blocked.length > 0) {
+      console.log(`\n🚫 Skipping blocked: ${blocked.map(t => t.id).join(', ')} (see: agentic15 status)`);
+    }
+
+    if (readyIds.length === 0) {
+      const pending = tracker.taskFiles.filter(t => t.status === 'pending');
+
+      if (pending.length === 0) {
+        console.log('\n✅ No more pending tasks!\n');
+        const completed = tracker.taskFiles.filter(t => t.status === 'completed').length;
+        const total = tracker.taskFiles.length;
+        console.log(`   Progress: ${completed}/${total} tasks completed\n`);
+        process.exit(0);
+      }
+
+      console.log('\n⏸️  No pending task is ready to start\n');
+      console.log('   Waiting on dependencies:');
+      pending.forEach(t => {
+        const unmet = graph.getUnmetDependencies(t.id, statusById);
+        console.log(`   - ${t.id}: waiting on ${unmet.join(', ')}`);
+      });
+      console.log('\n   Finish the tasks above, or start one anyway:');
+      console.log('   agentic15 task start TASK-XXX --force\n');
+      process.exit(1);
+    }
+
+    const nextTask = tracker.taskFiles.find(t => t.id === readyIds[0]);
+
+    console.log(`\n▶️  Auto-starting next task: ${nextTask.id}`);
+    if (nextTask.milestoneId) {
+      console.log(`   Milestone: ${nextTask.milestoneId}${nextTask.milestoneName ? ` - ${nextTask.milestoneName}` : ''}`);
+    }
+    if (readyIds.length > 1) {
+      console.log(`   Also ready: ${readyIds.slice(1).join(', ')}`);
+    }
+    console.log('');
+    return this.startTask(nextTask.id, false, worktree);
   }
 
   static showStatus() {
     const tracker = this.loadTracker();
 
-    const inProgress = tracker.taskFiles.find(t => t.status === 'in_progress');
+    const lane = WorktreeLanes.resolve();
+    const boundTaskId = WorktreeLanes.getBoundTaskId(tracker, lane.laneKey);
+    const inProgress = tracker.taskFiles.find(t => t.id === boundTaskId);
     const completed = tracker.taskFiles.filter(t => t.status === 'completed').length;
     const pending = tracker.taskFiles.filter(t => t.status === 'pending').length;
     const total = tracker.taskFiles.length;
@@ -170,10 +347,18 @@ export class TaskCommand {
         // Ignore
       }
     } else {
-      console.log('   ℹ️  No task currently in progress');
+      console.log('   ℹ️  No task currently in progress in this worktree');
       console.log(`   Run: agentic15 task next\n`);
     }
 
+    const otherLanes = WorktreeLanes.getLanes(tracker).filter(l => l.laneKey !== lane.laneKey);
+    if (otherLanes.length > 0) {
+      console.log(`\n   🛣️  Other worktrees:`);
+      otherLanes.forEach(l => {
+        console.log(`      - ${l.taskId}: ${WorktreeLanes.getLanePath(lane.mainRoot, l.laneKey)}`);
+      });
+    }
+
     console.log('');
   }
 
@@ -189,8 +374,9 @@ export class TaskCommand {
         process.exit(1);
       }
     } else {
-      // Reset current active task
-      task = tracker.taskFiles.find(t => t.status === 'in_progress');
+      // Reset the task active in this worktree
+      const boundTaskId = WorktreeLanes.getBoundTaskId(tracker, WorktreeLanes.resolve().laneKey);
+      task = tracker.taskFiles.find(t => t.id === boundTaskId);
       if (!task) {
         console.log('\n❌ No task is currently in progress\n');
         console.log('   Specify a task ID: agentic15 task reset TASK-001\n');
@@ -213,22 +399,47 @@ export class TaskCommand {
     console.log(`\n🔄 Resetting task: ${task.id}`);
     console.log(`📌 ${task.title}\n`);
 
-    // Reset task status
-    task.status = 'pending';
-    delete task.startedAt;
-    delete task.completedAt;
-
-    // Clear active task
-    tracker.activeTask = null;
-
-    // Update statistics
-    this.updateStatistics(tracker);
-
-    // Save tracker
-    this.saveTracker(tracker);
+    // Reset task status (the event log keeps what is cleared here)
+    const lane = WorktreeLanes.resolve();
+    let previous;
+    let taskLane;
+    const { task: resetEntry } = this.updateTask(task.id, force ? null : ['in_progress'], (entry, current) => {
+      previous = { status: entry.status, startedAt: entry.startedAt, completedAt: entry.completedAt, pauses: entry.pauses, wipRef: entry.wipRef };
+      entry.status = 'pending';
+      delete entry.startedAt;
+      delete entry.completedAt;
+      delete entry.pauses;
+      delete entry.wipRef;
+
+      // Clear active task (and its worktree binding)
+      taskLane = WorktreeLanes.getLaneOf(current, entry.id);
+      WorktreeLanes.releaseTask(current, entry.id);
+    });
+    task = resetEntry;
+    const wipRef = previous.wipRef;
+
+    this.recordEvent({
+      type: 'task.reset',
+      command: force ? 'task reset --force' : 'task reset',
+      taskId: task.id,
+      from: previous.status,
+      to: task.status,
+      details: {
+        startedAt: previous.startedAt || null,
+        completedAt: previous.completedAt || null,
+        pauses: previous.pauses || [],
+        wipRef: previous.wipRef || null
+      }
+    });
 
     console.log('✓ Task status reset to pending\n');
 
+    if (wipRef) {
+      console.log(`   Paused work is still saved at ${wipRef}`);
+      console.log(`   Restore it: git stash apply ${wipRef}`);
+      console.log(`   Or drop it: git update-ref -d ${wipRef}\n`);
+    }
+
     // Get current branch
     let currentBranch;
     try {
@@ -237,7 +448,7 @@ export class TaskCommand {
       currentBranch = null;
     }
 
-    const featureBranch = `feature/${task.id.toLowerCase()}`;
+    const featureBranch = this.getTaskBranch(task);
 
     // Check if branch was pushed to remote
     let remoteBranchExists = false;
@@ -254,8 +465,16 @@ export class TaskCommand {
 
     console.log('📋 Step 1: Clean up git branches\n');
 
-    // If on feature branch, offer to clean up
-    if (currentBranch === featureBranch) {
+    // Task was running in its own worktree
+    if (taskLane && taskLane !== WorktreeLanes.MAIN_LANE) {
+      const worktreePath = WorktreeLanes.getLanePath(lane.mainRoot, taskLane);
+      console.log(`   Worktree: ${worktreePath}`);
+      console.log(`   1. Remove worktree: git worktree remove --force ${worktreePath}`);
+      console.log(`   2. Delete local branch: git branch -D ${featureBranch}`);
+      if (remoteBranchExists) {
+        console.log(`   3. Delete remote branch: git push origin --delete ${featureBranch}`);
+      }
+    } else if (currentBranch === featureBranch) {
       console.log(`   Current branch: ${featureBranch}`);
       console.log(`   1. Switch to main: git checkout main`);
       console.log(`      (If you have uncommitted changes: git checkout -f main)`);
@@ -304,103 +523,468 @@ export class TaskCommand {
     console.log('   2. Run: agentic15 task next\n');
   }
 
-  static async createGitHubIssue(task, config) {
+  static pauseTask(taskId) {
+    const tracker = this.loadTracker();
+    const lane = WorktreeLanes.resolve();
+    const boundTaskId = WorktreeLanes.getBoundTaskId(tracker, lane.laneKey);
+    let task = tracker.taskFiles.find(t => t.id === (taskId || boundTaskId));
+
+    if (!task) {
+      console.log(taskId ? `\n❌ Task not found: ${taskId}\n` : '\n❌ No task is currently in progress in this worktree\n');
+      process.exit(1);
+    }
+
+    if (task.status !== 'in_progress') {
+      console.log(`\n⚠️  Task ${task.id} is not in progress (status: ${task.status})\n`);
+      process.exit(1);
+    }
+
+    // The snapshot is taken from the worktree the task is checked out in
+    const taskLane = WorktreeLanes.getLaneOf(tracker, task.id);
+    if (taskLane && taskLane !== lane.laneKey) {
+      console.log(`\n⚠️  Task ${task.id} is in progress in another worktree: ${WorktreeLanes.getLanePath(lane.mainRoot, taskLane)}`);
+      console.log('   Run agentic15 task pause from there\n');
+      process.exit(1);
+    }
+
+    console.log(`\n⏸️  Pausing task: ${task.id}`);
+    console.log(`📌 ${task.title}\n`);
+
+    let wipRef = null;
     try {
-      const client = new GitHubClient(
-        config.getToken(),
-        config.getRepoInfo().owner,
-        config.getRepoInfo().repo
-      );
-
-      if (!client.isConfigured()) {
-        console.log('\n⚠️  GitHub not configured. Skipping issue creation.');
-        console.log('   Run: agentic15 auth setup\n');
-        return null;
+      wipRef = WipSnapshot.save(lane.worktreeRoot, this.getWorkKey(this.getTaskBranch(task)));
+    } catch (error) {
+      console.log(`❌ Failed to save uncommitted work: ${error.message}\n`);
+      process.exit(1);
+    }
+
+    console.log(wipRef ? `✓ Uncommitted work saved to ${wipRef}` : '✓ No uncommitted work to save');
+
+    // Free the main worktree for another task; a linked worktree simply stays on the branch
+    if (!lane.isLinked) {
+      const mainBranch = this.getMainBranch();
+      try {
+        WorktreeLanes.withPlanStatePreserved(lane.worktreeRoot, () => {
+          execSync(`git checkout ${mainBranch}`, { stdio: 'pipe' });
+        });
+        console.log(`✓ Switched to ${mainBranch}`);
+      } catch (error) {
+        console.log(`⚠️  Could not switch to ${mainBranch}: ${error.message}`);
       }
+    }
 
-      // Load full task details
-      const taskPath = this.getTaskPath(task.id);
-      const taskData = JSON.parse(readFileSync(taskPath, 'utf-8'));
+    ({ task } = this.updateTask(task.id, ['in_progress'], (entry, current) => {
+      entry.status = 'paused';
+      entry.pauses = [...(entry.pauses || []), { pausedAt: new Date().toISOString(), resumedAt: null }];
+      if (wipRef) {
+        entry.wipRef = wipRef;
+      }
 
-      const title = TaskIssueMapper.taskToIssueTitle(taskData);
-      const body = TaskIssueMapper.taskToIssueBody(taskData);
-      const labels = TaskIssueMapper.taskStatusToLabels(taskData.status || 'pending', taskData.phase);
-      const issueNumber = await client.createIssue(title, body, labels);
+      WorktreeLanes.releaseTask(current, entry.id);
+    }));
+    this.recordEvent({
+      type: 'task.paused',
+      command: 'task pause',
+      taskId: task.id,
+      from: 'in_progress',
+      to: task.status,
+      branch: this.getTaskBranch(task),
+      details: { wipRef }
+    });
+
+    console.log(`\n✅ Task ${task.id} paused\n`);
+    console.log('💡 Next steps:');
+    console.log('   Start another task: agentic15 task next');
+    console.log(`   Pick this one up again: agentic15 task resume ${this.qualifyTask(task.id)}\n`);
+  }
 
-      if (issueNumber) {
-        // Save issue number to task
-        taskData.githubIssue = issueNumber;
-        writeFileSync(taskPath, JSON.stringify(taskData, null, 2));
+  static resumeTask(taskId, worktree = null) {
+    const tracker = this.loadTracker();
+    const paused = tracker.taskFiles.filter(t => t.status === 'paused');
+
+    if (!taskId) {
+      console.log('\n❌ Task ID required for "resume" action');
+      if (paused.length > 0) {
+        console.log(`   Paused tasks: ${paused.map(t => t.id).join(', ')}`);
+      }
+      console.log('   Usage: agentic15 task resume TASK-001\n');
+      process.exit(1);
+    }
 
-        console.log(`\n✓ Created GitHub issue #${issueNumber}`);
-        const repoInfo = config.getRepoInfo();
-        console.log(`  https://github.com/${repoInfo.owner}/${repoInfo.repo}/issues/${issueNumber}\n`);
+    let task = tracker.taskFiles.find(t => t.id === taskId);
 
-        return issueNumber;
+    if (!task) {
+      console.log(`\n❌ Task not found: ${taskId}\n`);
+      process.exit(1);
+    }
+
+    if (task.status !== 'paused') {
+      console.log(`\n⚠️  Task ${taskId} is not paused (status: ${task.status})\n`);
+      process.exit(1);
+    }
+
+    const lane = WorktreeLanes.resolve();
+    const boundTask = this.findLaneTask(lane.laneKey);
+    if (!worktree && boundTask) {
+      console.log(`\n⚠️  Task ${this.describeTask(boundTask)} is already in progress in this worktree`);
+      console.log(`   Pause or complete it first, or resume ${taskId} in parallel: agentic15 task resume ${taskId} --worktree\n`);
+      process.exit(1);
+    }
+
+    console.log(`\n▶️  Resuming task: ${task.id}`);
+    console.log(`📌 ${task.title}\n`);
+
+    const branchName = this.getTaskBranch(task);
+    let laneKey = lane.laneKey;
+
+    if (worktree) {
+      laneKey = this.createTaskWorktree(task.id, branchName, this.getMainBranch(), worktree === true ? null : worktree);
+    } else {
+      this.switchToTaskBranch(branchName, lane);
+    }
+
+    const worktreeRoot = WorktreeLanes.getLanePath(lane.mainRoot, laneKey);
+
+    let restored = false;
+    try {
+      if (WipSnapshot.restore(worktreeRoot, this.getWorkKey(branchName))) {
+        console.log('✓ Restored uncommitted work');
       }
+      restored = true;
     } catch (error) {
-      console.log(`\n⚠️  Failed to create GitHub issue: ${error.message}\n`);
+      console.log(`⚠️  ${error.message}`);
+      console.log(`   Your work is still saved. Apply it by hand: git stash apply ${task.wipRef}`);
+      console.log(`   Then drop the snapshot: git update-ref -d ${task.wipRef}\n`);
     }
 
-    return null;
+    ({ task } = this.updateTask(task.id, ['paused'], (entry, current) => {
+      if (restored) {
+        delete entry.wipRef;
+      }
+
+      const openPause = (entry.pauses || []).find(pause => !pause.resumedAt);
+      if (openPause) {
+        openPause.resumedAt = new Date().toISOString();
+      }
+
+      entry.status = 'in_progress';
+      WorktreeLanes.bindTask(current, laneKey, entry.id);
+    }));
+    this.recordEvent({
+      type: 'task.resumed',
+      command: 'task resume',
+      taskId: task.id,
+      from: 'paused',
+      to: task.status,
+      branch: branchName,
+      details: { lane: laneKey }
+    });
+
+    console.log(`\n✅ Resumed task: ${task.id}\n`);
+    console.log('💡 Next steps:');
+    if (laneKey !== lane.laneKey) {
+      console.log(`   1. Open the worktree: cd ${worktreeRoot} && npm install`);
+      console.log(`   2. Tell Claude (in that directory): "Continue ${task.id}"`);
+      console.log('   3. When done, from the worktree: agentic15 commit\n');
+      return;
+    }
+    console.log(`   1. Tell Claude: "Continue ${task.id}"`);
+    console.log('   2. When done: agentic15 commit\n');
+  }
+
+  static async blockTask(taskId, reason, blockedOn = null) {
+    if (!taskId || !reason) {
+      console.log('\n❌ Task ID and reason required for "block" action');
+      console.log('   Usage: agentic15 task block TASK-001 "Waiting for API credentials" [--on TASK-002]\n');
+      process.exit(1);
+    }
+
+    const tracker = this.loadTracker();
+    let task = tracker.taskFiles.find(t => t.id === taskId);
+
+    if (!task) {
+      console.log(`\n❌ Task not found: ${taskId}\n`);
+      process.exit(1);
+    }
+
+    if (task.status === 'in_progress') {
+      console.log(`\n⚠️  Task ${taskId} is in progress`);
+      console.log(`   Pause it first so its work is saved: agentic15 task pause ${taskId}\n`);
+      process.exit(1);
+    }
+
+    if (!TaskBlocking.BLOCKABLE_STATUSES.includes(task.status)) {
+      console.log(`\n⚠️  Task ${taskId} cannot be blocked (status: ${task.status})\n`);
+      process.exit(1);
+    }
+
+    if (blockedOn) {
+      const blocker = tracker.taskFiles.find(t => t.id === blockedOn);
+
+      if (!blocker || blockedOn === taskId) {
+        console.log(`\n❌ Invalid blocking task: ${blockedOn}\n`);
+        process.exit(1);
+      }
+
+      if (blocker.status === 'completed') {
+        console.log(`\n⚠️  ${blockedOn} is already completed - nothing to wait for\n`);
+        process.exit(1);
+      }
+    }
+
+    // Without --on, the block waits on the task's unfinished dependencies (if any)
+    const waitingOn = blockedOn
+      ? [blockedOn]
+      : this.getUnmetDependencies(task, tracker).filter(id => tracker.taskFiles.some(t => t.id === id));
+
+    const previousStatus = task.status;
+    let record;
+    const { task: blocked } = this.updateTask(task.id, [previousStatus], entry => {
+      record = TaskBlocking.block(entry, { reason, blockedBy: EventLog.gitActor(), blockedOn: waitingOn });
+    });
+    task = blocked;
+    this.recordEvent({
+      type: 'task.blocked',
+      command: 'task block',
+      taskId: task.id,
+      from: previousStatus,
+      to: task.status,
+      details: { reason, blockedOn: record.blockedOn }
+    });
+
+    console.log(`\n🚫 Blocked task: ${task.id}`);
+    console.log(`📌 ${task.title}`);
+    console.log(`   Reason: ${reason}`);
+    if (waitingOn.length > 0) {
+      console.log(`   Unblocks automatically when ${waitingOn.join(', ')} ${waitingOn.length > 1 ? 'complete' : 'completes'}`);
+    }
+    console.log('');
+
+    await this.mirrorBlockChange(task.id, 'blocked', TaskBlocking.blockComment(record));
+
+    console.log(`💡 Unblock manually: agentic15 task unblock ${task.id}\n`);
   }
 
-  static async createAzureWorkItem(task, config) {
+  static async unblockTask(taskId) {
+    if (!taskId) {
+      console.log('\n❌ Task ID required for "unblock" action');
+      console.log('   Usage: agentic15 task unblock TASK-001\n');
+      process.exit(1);
+    }
+
+    const tracker = this.loadTracker();
+    let task = tracker.taskFiles.find(t => t.id === taskId);
+
+    if (!task) {
+      console.log(`\n❌ Task not found: ${taskId}\n`);
+      process.exit(1);
+    }
+
+    if (task.status !== 'blocked') {
+      console.log(`\n⚠️  Task ${taskId} is not blocked (status: ${task.status})\n`);
+      process.exit(1);
+    }
+
+    let record;
+    ({ task } = this.updateTask(task.id, ['blocked'], entry => {
+      record = TaskBlocking.unblock(entry, EventLog.gitActor());
+    }));
+    this.recordEvent({
+      type: 'task.unblocked',
+      command: 'task unblock',
+      taskId: task.id,
+      from: 'blocked',
+      to: task.status,
+      details: { reason: record ? record.reason : null }
+    });
+
+    console.log(`\n✅ Unblocked task: ${task.id} (status: ${task.status})\n`);
+
+    await this.mirrorBlockChange(task.id, task.status, TaskBlocking.unblockComment(record));
+
+    console.log(task.status === 'paused'
+      ? `💡 Next step: agentic15 task resume ${task.id}\n`
+      : '💡 Next step: agentic15 task next\n');
+  }
+
+  static async mirrorBlockChange(taskId, status, comment) {
+    const taskPath = this.getTaskPath(taskId);
+
+    let taskData;
     try {
-      console.log('\n🔍 Azure DevOps Configuration Check:');
-      console.log(`   enabled: ${config.config.enabled}`);
-      console.log(`   autoCreate: ${config.config.autoCreate}`);
-      console.log(`   organization: ${config.config.organization || 'NOT SET'}`);
-      console.log(`   project: ${config.config.project || 'NOT SET'}`);
-      console.log(`   token: ${config.config.token ? '✓ SET' : '❌ NOT SET (AZURE_DEVOPS_PAT env var)'}`);
-
-      const client = new AzureDevOpsClient(config);
-
-      if (!config.config.autoCreate) {
-        console.log('\n⚠️  Azure DevOps autoCreate is disabled. Skipping work item creation.');
-        console.log('   Set "autoCreate": true in .claude/settings.local.json\n');
-        return null;
+      taskData = JSON.parse(readFileSync(taskPath, 'utf-8'));
+    } catch (e) {
+      return;
+    }
+
+    if (await TaskBlocking.mirrorToPlatform(this.getProjectRoot(), taskPath, taskData, status, comment)) {
+      console.log('✓ Updated linked issue/work item\n');
+    }
+  }
+
+  static verifyTask(taskId, strictnessOverride = null) {
+    const tracker = this.loadTracker();
+    const lane = WorktreeLanes.resolve();
+    const boundId = WorktreeLanes.getBoundTaskId(tracker, lane.laneKey);
+    const id = taskId || boundId;
+
+    if (!id) {
+      console.log('\n❌ No task in progress in this worktree');
+      console.log('   Usage: agentic15 task verify [TASK-001] [--strictness off|warn|missing|strict]\n');
+      process.exit(1);
+    }
+
+    if (!tracker.taskFiles.find(t => t.id === id)) {
+      console.log(`\n❌ Task not found: ${id}\n`);
+      process.exit(1);
+    }
+
+    const verifier = new ArtifactVerifier(this.getProjectRoot());
+    const strictness = strictnessOverride || verifier.config.strictness;
+
+    if (!ArtifactVerifier.STRICTNESS.includes(strictness)) {
+      console.log(`\n❌ Unknown strictness: ${strictness}`);
+      console.log(`   Use one of: ${ArtifactVerifier.STRICTNESS.join(', ')}\n`);
+      process.exit(1);
+    }
+
+    const taskData = JSON.parse(readFileSync(this.getTaskPath(id), 'utf-8'));
+
+    let report;
+    try {
+      report = verifier.check(lane.worktreeRoot, taskData, this.getMainBranch());
+    } catch (error) {
+      console.log(`\n❌ Could not diff the task branch: ${error.message}\n`);
+      process.exit(1);
+    }
+
+    console.log(`\n🔍 Artifact check: ${id} (strictness: ${strictness})\n`);
+    if (id !== boundId) {
+      console.log(`   ⚠️  ${id} is not the task in this worktree - checking the current branch anyway\n`);
+    }
+    ArtifactVerifier.toLines(report).forEach(line => console.log(line));
+    console.log('');
+
+    if (!ArtifactVerifier.passes(report, strictness)) {
+      console.log(`❌ Artifact check failed (strictness: ${strictness})\n`);
+      process.exit(1);
+    }
+  }
+
+  static repairTracker() {
+    const repository = this.getTrackerRepository();
+
+    let findings;
+    try {
+      findings = repository.update(tracker => TrackerRepository.reconcile(tracker));
+    } catch (error) {
+      console.log(`\n❌ Cannot repair ${repository.path}: ${error.message}`);
+      console.log('   Restore it from git: git checkout -- .claude/plans\n');
+      process.exit(1);
+    }
+
+    WorktreeLanes.mirrorToWorktree(WorktreeLanes.resolve(), [relative(this.getProjectRoot(), repository.path)]);
+
+    if (findings.some(finding => finding.fixed)) {
+      this.recordEvent({
+        type: 'tracker.repaired',
+        command: 'task repair',
+        details: { findings: findings.map(({ kind, message, fixed }) => ({ kind, message, fixed })) }
+      });
+    }
+
+    console.log('\n🔧 Task tracker repair\n');
+
+    if (findings.length === 0) {
+      console.log('✅ Tracker is consistent - nothing to repair\n');
+      return;
+    }
+
+    findings.forEach(finding => console.log(`   ${finding.fixed ? '✓' : '⚠️ '} ${finding.message}`));
+
+    const unresolved = findings.filter(finding => !finding.fixed).length;
+    console.log(unresolved > 0
+      ? `\n⚠️  ${unresolved} problem(s) need a decision - see above\n`
+      : '\n✅ Tracker repaired\n');
+  }
+
+  static switchToTaskBranch(branchName, lane) {
+    try {
+      const currentBranch = execSync('git rev-parse --abbrev-ref HEAD', { encoding: 'utf-8', stdio: 'pipe' }).trim();
+      if (currentBranch === branchName) {
+        return;
       }
 
-      if (!client.isConfigured()) {
-        console.log('\n⚠️  Azure DevOps not fully configured. Missing required settings.');
-        console.log('   Required: token, organization, project');
-        console.log('   See: Agent/docs/AZURE-SETUP.md\n');
-        return null;
+      WorktreeLanes.withPlanStatePreserved(lane.worktreeRoot, () => {
+        execSync(`git checkout ${branchName}`, { stdio: 'pipe' });
+      });
+      console.log(`✓ Switched to ${branchName}`);
+    } catch (error) {
+      const details = (error.stderr || error.message || '').toString().trim();
+      console.log(`\n❌ Failed to checkout ${branchName}`);
+      if (details) {
+        console.log(`   ${details.split('\n')[0]}`);
       }
+      console.log('   If the branch is checked out in another worktree, resume from there\n');
+      process.exit(1);
+    }
+  }
 
-      console.log('\n✓ Azure DevOps configured. Creating work item...\n');
+  // Issue or work item on the remote's platform, ID saved under the platform's task field
+  static async createTaskItem(task, router) {
+    const platformName = router.getPlatformName();
+    const itemName = router.getTaskItemName();
+    const label = `${platformName} ${itemName.replace(/\b\w/g, letter => letter.toUpperCase())}`;
 
+    try {
       // Load full task details
       const taskPath = this.getTaskPath(task.id);
       const taskData = JSON.parse(readFileSync(taskPath, 'utf-8'));
 
-      const title = TaskIssueMapper.taskToIssueTitle(taskData);
-      const body = TaskIssueMapper.taskToIssueBody(taskData);
-      const tags = TaskIssueMapper.taskStatusToLabels(taskData.status || 'pending', taskData.phase);
+      // Imported from the platform, or started before - reuse the issue
+      const linkedId = router.getTaskItemId(taskData);
+      if (linkedId) {
+        console.log(`\n✓ Linked to ${platformName} ${itemName} #${linkedId}\n`);
+        return { id: linkedId, url: router.getTaskItemUrl(linkedId), label };
+      }
 
-      const workItem = await client.createWorkItem(title, body, tags);
+      if (!router.isConfigured()) {
+        console.log(`\n⚠️  ${platformName} not configured. Skipping ${itemName} creation.`);
+        console.log(`   ${router.getSetupHint()}\n`);
+        return null;
+      }
 
-      if (workItem) {
-        // Save work item ID to task
-        taskData.azureWorkItem = workItem.id;
-        writeFileSync(taskPath, JSON.stringify(taskData, null, 2));
+      // Saves the issue number to the task file, or queues the create when gh/az/network fails
+      const itemId = await new RemoteSync(this.getProjectRoot(), router).createTaskItem(taskPath, taskData, {
+        title: TaskIssueMapper.taskToIssueTitle(taskData),
+        body: TaskIssueMapper.taskToIssueBody(taskData),
+        labels: TaskIssueMapper.taskStatusToLabels(taskData.status || 'pending', taskData.phase)
+      });
 
-        console.log(`✓ Created Azure DevOps work item #${workItem.id}`);
-        console.log(`  ${workItem.url}\n`);
+      if (itemId) {
+        const url = router.getTaskItemUrl(itemId);
+        console.log(`\n✓ Created ${platformName} ${itemName} #${itemId}`);
+        console.log(`  ${url}\n`);
 
-        return workItem;
+        return { id: itemId, url, label };
       }
     } catch (error) {
-      console.log(`\n⚠️  Failed to create Azure DevOps work item: ${error.message}\n`);
+      console.log(`\n⚠️  Failed to create ${platformName} ${itemName}: ${error.message}\n`);
     }
 
     return null;
   }
 
-  static displayTaskDetails(task, githubIssue, azureWorkItem, tracker) {
+  static displayTaskDetails(task, taskItem, tracker, laneKey = WorktreeLanes.MAIN_LANE) {
+    const lane = WorktreeLanes.resolve();
+    const worktreePath = laneKey !== lane.laneKey ? WorktreeLanes.getLanePath(lane.mainRoot, laneKey) : null;
+
     console.log(`\n✅ Started task: ${task.id}`);
-    console.log(`📋 Plan: ${tracker.planId}\n`);
+    console.log(`📋 Plan: ${tracker.planId}`);
+    if (worktreePath) {
+      console.log(`🛣️  Worktree: ${worktreePath}`);
+    }
+    console.log('');
     console.log(`📌 ${task.title}`);
 
     if (task.description) {
@@ -411,14 +995,8 @@ export class TaskCommand {
       console.log(`🔧 Phase: ${task.phase}`);
     }
 
-    if (githubIssue) {
-      const config = new GitHubConfig(process.cwd());
-      const repoInfo = config.getRepoInfo();
-      console.log(`🔗 GitHub Issue: https://github.com/${repoInfo.owner}/${repoInfo.repo}/issues/${githubIssue}`);
-    }
-
-    if (azureWorkItem) {
-      console.log(`🔗 Azure Work Item: ${azureWorkItem.url}`);
+    if (taskItem && taskItem.url) {
+      console.log(`🔗 ${taskItem.label}: ${taskItem.url}`);
     }
 
     // Load full task for completion criteria
@@ -437,57 +1015,153 @@ export class TaskCommand {
     }
 
     console.log(`\n💡 Next steps:`);
+    if (worktreePath) {
+      console.log(`   1. Open the worktree: cd ${worktreePath} && npm install`);
+      console.log(`   2. Tell Claude (in that directory): "Write code for ${task.id}"`);
+      console.log(`   3. When done, from the worktree: agentic15 commit\n`);
+      return;
+    }
     console.log(`   1. Tell Claude: "Write code for ${task.id}"`);
     console.log(`   2. When done: agentic15 commit\n`);
   }
 
   static loadTracker() {
-    const activePlanPath = join(process.cwd(), '.claude', 'ACTIVE-PLAN');
+    const repository = this.getTrackerRepository();
 
-    if (!existsSync(activePlanPath)) {
+    try {
+      return repository.read();
+    } catch (error) {
+      console.log(`\n❌ Cannot read ${repository.path}: ${error.message}`);
+      console.log('   Diagnose with: agentic15 doctor\n');
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Change a task's tracker entry while holding the tracker lock
+   *
+   * Commands check the tracker they loaded, then apply their change here to
+   * a fresh read, so what other lanes and hooks wrote meanwhile is kept. The
+   * command stops if the task has left the statuses it was checked in.
+   *
+   * @param {string} taskId - Task ID
+   * @param {string[]|null} statuses - Statuses the task must still have (null: any)
+   * @param {Function} change - (task, tracker) => void; mutates both
+   * @returns {{task: Object, tracker: Object}} The written task entry and tracker
+   */
+  static updateTask(taskId, statuses, change) {
+    const repository = this.getTrackerRepository();
+    let result;
+
+    try {
+      result = repository.update(tracker => {
+        const task = tracker.taskFiles.find(t => t.id === taskId);
+
+        if (!task) {
+          throw new Error(`${taskId} is no longer in the plan`);
+        }
+        if (statuses && !statuses.includes(task.status)) {
+          throw new Error(`${taskId} is ${task.status} now - another command changed it meanwhile`);
+        }
+
+        change(task, tracker);
+        return { task, tracker };
+      });
+    } catch (error) {
+      console.log(`\n❌ Could not update ${taskId}: ${error.message}`);
+      console.log('   The tracker was not changed. Check it with: agentic15 task status\n');
+      process.exit(1);
+    }
+
+    WorktreeLanes.mirrorToWorktree(WorktreeLanes.resolve(), [relative(this.getProjectRoot(), repository.path)]);
+    return result;
+  }
+
+  static recordEvent(event) {
+    new EventLog(this.getTrackerRepository().planDir).record(event);
+  }
+
+  static getTrackerRepository() {
+    const repository = this.planId
+      ? new TrackerRepository(new PlanRegistry(this.getProjectRoot()).planDir(this.planId))
+      : TrackerRepository.forActivePlan(this.getProjectRoot());
+
+    if (!repository) {
       console.log('\n❌ No active plan found');
       console.log('   Run: agentic15 plan "project description"\n');
       process.exit(1);
     }
 
-    const planId = readFileSync(activePlanPath, 'utf-8').trim();
-    const trackerPath = join(process.cwd(), '.claude', 'plans', planId, 'TASK-TRACKER.json');
-
-    if (!existsSync(trackerPath)) {
+    if (!repository.exists()) {
       console.log('\n❌ Task tracker not found');
       console.log('   Run: agentic15 plan\n');
       process.exit(1);
     }
 
-    return JSON.parse(readFileSync(trackerPath, 'utf-8'));
+    return repository;
   }
 
-  static saveTracker(tracker) {
-    const activePlanPath = join(process.cwd(), '.claude', 'ACTIVE-PLAN');
-    const planId = readFileSync(activePlanPath, 'utf-8').trim();
-    const trackerPath = join(process.cwd(), '.claude', 'plans', planId, 'TASK-TRACKER.json');
+  static getProjectRoot() {
+    // Linked worktrees share the main worktree's .claude/ state
+    return WorktreeLanes.getMainRoot();
+  }
 
-    writeFileSync(trackerPath, JSON.stringify(tracker, null, 2));
+  static getPlanId() {
+    return basename(this.getTrackerRepository().planDir);
   }
 
-  static updateStatistics(tracker) {
-    const completed = tracker.taskFiles.filter(t => t.status === 'completed').length;
-    const inProgress = tracker.taskFiles.filter(t => t.status === 'in_progress').length;
-    const pending = tracker.taskFiles.filter(t => t.status === 'pending').length;
-    const totalTasks = tracker.taskFiles.length;
+  /**
+   * Task bound to a worktree lane in any open plan (the current plan's first)
+   *
+   * @returns {{planId: string, taskId: string}|null}
+   */
+  static findLaneTask(laneKey) {
+    const [bound] = new PlanRegistry(this.getProjectRoot()).findBoundTasks(laneKey);
+    return bound || null;
+  }
+
+  static describeTask({ planId, taskId }) {
+    return this.qualifyTask(taskId, planId);
+  }
+
+  /**
+   * Task ID as the user should type it: plan-qualified (plan-002:TASK-001) only
+   * when several plans are open or the task is outside the active plan
+   *
+   * @returns {string}
+   */
+  static qualifyTask(taskId, planId = this.planId) {
+    if (!planId) {
+      return taskId;
+    }
+
+    const registry = new PlanRegistry(this.getProjectRoot());
+    const ambiguous = registry.listPlanIds().length > 1 || planId !== registry.getActivePlanId();
+    return ambiguous ? PlanRegistry.qualify(planId, taskId) : taskId;
+  }
+
+  static getTaskBranch(task) {
+    return task.branch || `feature/${task.id.toLowerCase()}`;
+  }
+
+  /**
+   * Branch name without feature/ - names the task's WIP snapshot and default worktree
+   */
+  static getWorkKey(branchName) {
+    return branchName.replace(/^feature\//, '');
+  }
+
+  static buildTaskGraph(tracker) {
+    return TaskGraph.fromTracker(tracker, join(this.getTrackerRepository().planDir, 'tasks'));
+  }
 
-    tracker.statistics = {
-      totalTasks,
-      completed,
-      inProgress,
-      pending
-    };
+  static getUnmetDependencies(task, tracker) {
+    const graph = this.buildTaskGraph(tracker);
+    return graph.getUnmetDependencies(task.id, TaskGraph.statusMap(tracker));
   }
 
   static getTaskPath(taskId) {
-    const activePlanPath = join(process.cwd(), '.claude', 'ACTIVE-PLAN');
-    const planId = readFileSync(activePlanPath, 'utf-8').trim();
-    return join(process.cwd(), '.claude', 'plans', planId, 'tasks', `${taskId}.json`);
+    return join(this.getTrackerRepository().planDir, 'tasks', `${taskId}.json`);
   }
 
   static validateGitRemote() {
@@ -502,11 +1176,13 @@ export class TaskCommand {
       // Detect platform
       const isGitHub = remote.includes('github.com');
       const isAzureDevOps = remote.includes('dev.azure.com');
+      const isSelfHosted = Boolean(new PlatformDetector(this.getProjectRoot()).identifyRemote(remote));
 
-      if (!isGitHub && !isAzureDevOps) {
+      if (!isGitHub && !isAzureDevOps && !isSelfHosted) {
         console.log('\n⚠️  Warning: Remote is not a supported platform');
         console.log(`   Remote URL: ${remote}`);
-        console.log('   Supported platforms: GitHub, Azure DevOps\n');
+        console.log('   Supported platforms: GitHub, Azure DevOps, GitLab, Gitea/Forgejo, Bitbucket Server');
+        console.log('   Self-hosted: set baseUrl in the gitlab, gitea or bitbucketServer section of .claude/settings.json\n');
       }
     } catch (error) {
       console.log('\n❌ Git remote "origin" is not configured');
@@ -517,6 +1193,9 @@ export class TaskCommand {
       console.log('\n   Azure DevOps:');
       console.log('      1. Create repo in Azure DevOps');
       console.log('      2. Link: git remote add origin https://dev.azure.com/ORG/PROJECT/_git/REPO');
+      console.log('\n   GitLab:');
+      console.log('      1. Create project in GitLab');
+      console.log('      2. Link: git remote add origin https://gitlab.example.com/GROUP/PROJECT.git');
       console.log('\n   Then:');
       console.log('      git branch -M main');
       console.log('      git add .');
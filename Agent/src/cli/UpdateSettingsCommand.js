@@ -1,6 +1,8 @@
-import { cpSync, existsSync } from 'fs';
-import { join, dirname } from 'path';
+import { cpSync, existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { join, dirname, relative } from 'path';
 import { fileURLToPath } from 'url';
+import { SettingsMerge } from '../core/SettingsMerge.js';
+import { ProjectGitignore } from '../core/ProjectGitignore.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -8,13 +10,19 @@ const __dirname = dirname(__filename);
 /**
  * UpdateSettingsCommand - Update .claude/settings.json from framework
  *
- * Copies the latest framework settings.json to user's .claude directory
+ * Three-way merges the latest framework settings.json into the project's
+ * copy, using the framework settings it last synced from (recorded in
+ * .claude/settings.framework.json) as the common base, so permissions,
+ * hooks and sections the team added are kept.
  */
 export class UpdateSettingsCommand {
-  static async execute() {
+  static SYNC_RECORD = 'settings.framework.json';
+
+  static async execute(options = {}) {
     console.log('\n🔄 Updating .claude/settings.json from framework\n');
 
-    const targetPath = join(process.cwd(), '.claude', 'settings.json');
+    const claudeDir = join(process.cwd(), '.claude');
+    const targetPath = join(claudeDir, 'settings.json');
     const frameworkPath = join(__dirname, '..', '..', 'framework', 'settings.json');
 
     // Check if framework settings exists
@@ -25,26 +33,154 @@ export class UpdateSettingsCommand {
     }
 
     // Check if target directory exists
-    if (!existsSync(join(process.cwd(), '.claude'))) {
+    if (!existsSync(claudeDir)) {
       console.log('❌ .claude directory not found');
       console.log('   Are you in the project root directory?\n');
       process.exit(1);
     }
 
-    // Backup existing settings if it exists
-    if (existsSync(targetPath)) {
-      const backupPath = join(process.cwd(), '.claude', 'settings.json.backup');
-      console.log('📦 Backing up current settings.json to settings.json.backup');
-      cpSync(targetPath, backupPath);
+    const framework = JSON.parse(readFileSync(frameworkPath, 'utf-8'));
+    const frameworkVersion = this.getFrameworkVersion();
+
+    // Nothing to merge with - take the framework settings as they are
+    if (!existsSync(targetPath)) {
+      if (options.dryRun) {
+        console.log(`🔍 Dry run - would create .claude/settings.json from framework v${frameworkVersion}\n`);
+        return;
+      }
+
+      cpSync(frameworkPath, targetPath);
+      this.writeSyncRecord(claudeDir, frameworkVersion, framework);
+      console.log(`✅ Created .claude/settings.json from framework v${frameworkVersion}\n`);
+      return;
+    }
+
+    let local;
+    try {
+      local = JSON.parse(readFileSync(targetPath, 'utf-8'));
+    } catch (error) {
+      console.log(`❌ .claude/settings.json is not valid JSON: ${error.message}`);
+      console.log('   Fix it (or delete it to start from the framework settings) and try again\n');
+      process.exit(1);
     }
 
-    // Copy framework settings
-    console.log('📋 Copying latest framework settings.json');
-    cpSync(frameworkPath, targetPath);
+    const record = this.readSyncRecord(claudeDir);
 
-    console.log('\n✅ Settings updated successfully!');
+    if (record) {
+      console.log(`📌 Last synced from framework v${record.frameworkVersion}, updating to v${frameworkVersion}\n`);
+    } else {
+      console.log('⚠️  No record of the framework version this project last synced from');
+      console.log('   Keeping your values, adding what the framework introduced and taking the framework\'s lists\n');
+    }
+
+    const { merged, conflicts, dropped } = SettingsMerge.merge(record ? record.settings : null, local, framework);
+    const changes = SettingsMerge.diff(local, merged);
+
+    this.displayPreview(changes, conflicts, dropped);
+
+    if (options.dryRun) {
+      console.log('🔍 Dry run - nothing was written\n');
+      return;
+    }
+
+    if (changes.length === 0) {
+      this.writeSyncRecord(claudeDir, frameworkVersion, framework);
+      console.log('✅ .claude/settings.json is already up to date\n');
+      return;
+    }
+
+    const backupPath = this.backup(targetPath, claudeDir);
+    writeFileSync(targetPath, JSON.stringify(merged, null, 2) + '\n');
+    this.writeSyncRecord(claudeDir, frameworkVersion, framework);
+
+    console.log('✅ Settings updated successfully!');
     console.log('   Updated: .claude/settings.json');
-    console.log('   Backup: .claude/settings.json.backup (if previous file existed)\n');
+    console.log(`   Backup: ${relative(process.cwd(), backupPath)}\n`);
     console.log('💡 Note: Your .claude/settings.local.json overrides are preserved\n');
   }
+
+  static displayPreview(changes, conflicts, dropped = []) {
+    if (changes.length === 0) {
+      console.log('   No changes to apply\n');
+    } else {
+      const symbols = { added: '+', removed: '-', changed: '~' };
+
+      console.log(`📝 Changes to .claude/settings.json (${changes.length}):\n`);
+      changes.forEach(change => {
+        const value = change.type === 'changed'
+          ? `${this.formatValue(change.before)} → ${this.formatValue(change.after)}`
+          : this.formatValue(change.type === 'added' ? change.after : change.before);
+        console.log(`   ${symbols[change.type]} ${change.path}: ${value}`);
+      });
+      console.log('');
+    }
+
+    if (conflicts.length > 0) {
+      console.log(`⚠️  Conflicts - changed both locally and by the framework; keeping your value (${conflicts.length}):\n`);
+      conflicts.forEach(conflict => {
+        console.log(`   ${conflict.path}`);
+        console.log(`      yours:     ${this.formatValue(conflict.local)}`);
+        console.log(`      framework: ${this.formatValue(conflict.update)}`);
+      });
+      console.log('');
+    }
+
+    if (dropped.length > 0) {
+      console.log(`⚠️  Entries not in the framework's lists - dropped; add back any your team still needs (${dropped.length}):\n`);
+      dropped.forEach(({ path, entry }) => {
+        console.log(`   ${path}: ${this.formatValue(entry)}`);
+      });
+      console.log('');
+    }
+  }
+
+  static formatValue(value) {
+    const text = value === undefined ? '(none)' : JSON.stringify(value);
+    return text.length > 100 ? `${text.slice(0, 99)}…` : text;
+  }
+
+  static backup(targetPath, claudeDir) {
+    const backupDir = join(claudeDir, 'backups');
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupPath = join(backupDir, `settings-${stamp}.json`);
+
+    new ProjectGitignore(dirname(claudeDir)).ensure([ProjectGitignore.BACKUPS]);
+    mkdirSync(backupDir, { recursive: true });
+    cpSync(targetPath, backupPath);
+
+    return backupPath;
+  }
+
+  static readSyncRecord(claudeDir) {
+    const recordPath = join(claudeDir, this.SYNC_RECORD);
+
+    if (!existsSync(recordPath)) {
+      return null;
+    }
+
+    try {
+      const record = JSON.parse(readFileSync(recordPath, 'utf-8'));
+      return record && record.settings ? record : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  static writeSyncRecord(claudeDir, frameworkVersion, settings) {
+    const record = {
+      frameworkVersion,
+      syncedAt: new Date().toISOString(),
+      settings
+    };
+
+    writeFileSync(join(claudeDir, this.SYNC_RECORD), JSON.stringify(record, null, 2) + '\n');
+  }
+
+  static getFrameworkVersion() {
+    try {
+      return JSON.parse(readFileSync(join(__dirname, '..', '..', 'package.json'), 'utf-8')).version;
+    } catch (e) {
+      return 'unknown';
+    }
+  }
 }
@@ -0,0 +1,270 @@
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { execSync } from 'child_process';
+
+/**
+ * ArtifactVerifier - Compare a task's declared artifacts with what its branch changed
+ *
+ * Single Responsibility: Report missing, untouched and undeclared files for a task
+ *
+ * Tasks declare the files they produce:
+ *
+ *   artifacts: { design: [], code: [], tests: [], documentation: [] }
+ *
+ * Paths are relative to the project root ("./Agent/src/app.js"); a path
+ * ending in "/" covers a directory and "*" / "**" work as globs. The task
+ * branch is diffed against its merge base with the main branch, including
+ * uncommitted and untracked files, and three kinds of findings are reported:
+ *
+ * - missing:    declared artifact does not exist
+ * - untouched:  declared artifact exists but the branch did not change it
+ * - undeclared: changed file that no declared artifact covers
+ *
+ * Configured under "artifacts" in .claude/settings.json (or settings.local.json):
+ *
+ *   { "strictness": "warn", "ignore": ["package-lock.json"] }
+ *
+ * Strictness levels: off (no check), warn (report only), missing (fail on
+ * missing artifacts), strict (fail on any finding). Framework state under
+ * .claude/ is never reported as undeclared.
+ */
+export class ArtifactVerifier {
+  static CATEGORIES = ['design', 'code', 'tests', 'documentation'];
+
+  static STRICTNESS = ['off', 'warn', 'missing', 'strict'];
+
+  static FRAMEWORK_PATHS = ['.claude/**'];
+
+  /**
+   * @param {string} projectRoot - Project root (where .claude/ lives)
+   */
+  constructor(projectRoot = process.cwd()) {
+    this.projectRoot = projectRoot;
+    this.config = this.loadConfig();
+  }
+
+  /**
+   * Load configuration from settings.json and settings.local.json
+   *
+   * @returns {Object} { strictness, ignore }
+   */
+  loadConfig() {
+    const config = { strictness: 'warn', ignore: [] };
+
+    ['settings.json', 'settings.local.json'].forEach(file => {
+      const settingsPath = path.join(this.projectRoot, '.claude', file);
+      if (!fs.existsSync(settingsPath)) {
+        return;
+      }
+
+      try {
+        const artifacts = JSON.parse(fs.readFileSync(settingsPath, 'utf8')).artifacts;
+        if (artifacts) {
+          Object.assign(config, artifacts);
+        }
+      } catch (error) {
+        console.warn(`⚠ Failed to load .claude/${file}:`, error.message);
+      }
+    });
+
+    return config;
+  }
+
+  /**
+   * Verify a task's artifacts in a worktree
+   *
+   * @param {string} worktreeRoot - Root of the task's worktree
+   * @param {Object} taskData - Task file contents
+   * @param {string} baseBranch - Main branch name
+   * @returns {Object} { declared, changed, missing, untouched, undeclared }
+   */
+  check(worktreeRoot, taskData, baseBranch) {
+    const declared = this.constructor.declaredArtifacts(taskData);
+    const changed = this.constructor.changedFiles(worktreeRoot, baseBranch);
+    const exists = (artifact) => this.constructor.isPattern(artifact.path)
+      ? true
+      : fs.existsSync(path.join(worktreeRoot, artifact.path));
+
+    return this.constructor.compare(declared, changed, exists, [...this.constructor.FRAMEWORK_PATHS, ...this.config.ignore]);
+  }
+
+  /**
+   * Declared artifacts of a task, normalized to repository-relative paths
+   *
+   * @param {Object} taskData - Task file contents
+   * @returns {Array<{category: string, path: string}>}
+   */
+  static declaredArtifacts(taskData) {
+    const artifacts = taskData.artifacts || {};
+
+    return this.CATEGORIES.flatMap(category =>
+      (Array.isArray(artifacts[category]) ? artifacts[category] : [])
+        .filter(entry => typeof entry === 'string' && entry.trim())
+        .map(entry => ({ category, path: this.normalize(entry) }))
+    );
+  }
+
+  /**
+   * Files changed on the current branch since it left the base branch,
+   * including uncommitted and untracked files
+   *
+   * @param {string} worktreeRoot - Root of the worktree
+   * @param {string} baseBranch - Main branch name
+   * @returns {string[]} Repository-relative POSIX paths
+   */
+  static changedFiles(worktreeRoot, baseBranch) {
+    const git = (command) => execSync(command, { cwd: worktreeRoot, encoding: 'utf-8', stdio: 'pipe' });
+    const lines = (output) => output.split('\n').map(line => line.trim()).filter(Boolean);
+
+    let base;
+    for (const ref of [`origin/${baseBranch}`, baseBranch]) {
+      try {
+        base = git(`git merge-base HEAD ${ref}`).trim();
+        break;
+      } catch (error) {
+        // Try the next candidate
+      }
+    }
+
+    if (!base) {
+      throw new Error(`Cannot find where this branch left ${baseBranch}`);
+    }
+
+    return Array.from(new Set([
+      ...lines(git(`git diff --name-only ${base}`)),
+      ...lines(git('git ls-files --others --exclude-standard'))
+    ])).sort();
+  }
+
+  /**
+   * Compare declared artifacts with changed files
+   *
+   * @param {Array<Object>} declared - Result of declaredArtifacts()
+   * @param {string[]} changed - Changed files
+   * @param {Function} exists - (artifact) => boolean
+   * @param {string[]} [ignore] - Patterns never reported as undeclared
+   * @returns {Object} { declared, changed, missing, untouched, undeclared }
+   */
+  static compare(declared, changed, exists, ignore = []) {
+    const missing = declared.filter(artifact => !exists(artifact));
+    const untouched = declared.filter(artifact =>
+      !missing.includes(artifact) && !changed.some(file => this.covers(artifact.path, file))
+    );
+    const undeclared = changed.filter(file =>
+      !declared.some(artifact => this.covers(artifact.path, file)) &&
+      !ignore.some(pattern => this.covers(this.normalize(pattern), file))
+    );
+
+    return { declared, changed, missing, untouched, undeclared };
+  }
+
+  /**
+   * Whether a report passes at a strictness level
+   *
+   * @param {Object} report - Result of compare() / check()
+   * @param {string} strictness - One of STRICTNESS
+   * @returns {boolean}
+   */
+  static passes(report, strictness) {
+    if (strictness === 'strict') {
+      return report.missing.length === 0 && report.untouched.length === 0 && report.undeclared.length === 0;
+    }
+
+    if (strictness === 'missing') {
+      return report.missing.length === 0;
+    }
+
+    return true;
+  }
+
+  /**
+   * Render a report for the terminal
+   *
+   * @param {Object} report - Result of compare() / check()
+   * @returns {string[]} Lines, indented for CLI output
+   */
+  static toLines(report) {
+    const lines = [`   Declared artifacts: ${report.declared.length}, changed files: ${report.changed.length}`];
+
+    const section = (icon, title, entries) => {
+      if (entries.length > 0) {
+        lines.push('', `   ${icon} ${title} (${entries.length}):`, ...entries.map(entry => `      ${entry}`));
+      }
+    };
+
+    section('❌', 'Missing - declared but not found', report.missing.map(a => `${a.path} [${a.category}]`));
+    section('⚠️ ', 'Untouched - declared but not changed on this branch', report.untouched.map(a => `${a.path} [${a.category}]`));
+    section('❓', 'Undeclared - changed but not in any artifact list', report.undeclared);
+
+    if (report.missing.length + report.untouched.length + report.undeclared.length === 0) {
+      lines.push('   ✅ Changes match the declared artifacts');
+    }
+
+    return lines;
+  }
+
+  /**
+   * Whether a declared path covers a file
+   *
+   * @param {string} declaredPath - Normalized declared path (file, directory/ or glob)
+   * @param {string} file - Repository-relative file path
+   * @returns {boolean}
+   */
+  static covers(declaredPath, file) {
+    if (this.isPattern(declaredPath)) {
+      return this.toRegExp(declaredPath).test(file);
+    }
+
+    if (declaredPath.endsWith('/')) {
+      return file.startsWith(declaredPath);
+    }
+
+    return file === declaredPath || file.startsWith(`${declaredPath}/`);
+  }
+
+  /**
+   * @private
+   */
+  static isPattern(declaredPath) {
+    return declaredPath.includes('*');
+  }
+
+  /**
+   * Convert a glob ("**" any depth, "*" within a segment) to a RegExp
+   *
+   * @private
+   */
+  static toRegExp(pattern) {
+    const source = pattern
+      .split('**')
+      .map(part => part.split('*').map(text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*'))
+      .join('.*');
+
+    return new RegExp(`^${source}$`);
+  }
+
+  /**
+   * Strip "./" prefixes and use forward slashes
+   *
+   * @private
+   */
+  static normalize(entry) {
+    return entry.trim().replace(/\\/g, '/').replace(/^(\.\/)+/, '');
+  }
+}
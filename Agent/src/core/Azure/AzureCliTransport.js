@@ -0,0 +1,167 @@
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { execSync, execFileSync } from 'child_process';
+
+/**
+ * AzureCliTransport - Work item calls through the `az boards` CLI
+ *
+ * Single Responsibility: Turn work item operations into az commands
+ *
+ * Authentication: Requires `az login` - credentials managed by Azure CLI.
+ * Methods throw on failure; AzureDevOpsClient turns failures into warnings.
+ */
+export class AzureCliTransport {
+  /**
+   * @param {string|null} organizationUrl - e.g. https://dev.azure.com/contoso
+   * @param {string|null} project - Project name
+   */
+  constructor(organizationUrl, project) {
+    this.organizationUrl = organizationUrl;
+    this.project = project;
+  }
+
+  /**
+   * @returns {string} Transport name
+   */
+  getName() {
+    return 'Azure CLI';
+  }
+
+  /**
+   * @returns {string} How to authenticate
+   */
+  getAuthHint() {
+    return 'Azure CLI not authenticated. Run: az login';
+  }
+
+  /**
+   * Check if Azure CLI is authenticated
+   *
+   * @returns {boolean} True if `az account show` succeeds
+   */
+  isAuthenticated() {
+    try {
+      execSync('az account show', { stdio: 'pipe' });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Create a work item
+   *
+   * @param {string} workItemType - e.g. Task, Bug
+   * @param {Object} fields - Field reference name -> value (System.Title is required)
+   * @returns {Promise<Object>} Created work item ({ id, fields, ... })
+   */
+  async createWorkItem(workItemType, fields) {
+    return JSON.parse(this.az(['boards', 'work-item', 'create', '--type', workItemType, ...this.fieldArgs(fields), '--output', 'json'], true));
+  }
+
+  /**
+   * Update work item fields
+   *
+   * @param {number} workItemId - Work item ID
+   * @param {Object} fields - Field reference name -> value
+   * @returns {Promise<Object>} Updated work item
+   */
+  async updateWorkItem(workItemId, fields) {
+    return JSON.parse(this.az(['boards', 'work-item', 'update', '--id', String(workItemId), ...this.fieldArgs(fields), '--output', 'json']));
+  }
+
+  /**
+   * Add a comment to the work item's discussion
+   *
+   * @param {number} workItemId - Work item ID
+   * @param {string} text - Comment text
+   * @returns {Promise<void>}
+   */
+  async addComment(workItemId, text) {
+    this.az(['boards', 'work-item', 'update', '--id', String(workItemId), '--discussion', text, '--output', 'json']);
+  }
+
+  /**
+   * @param {number} workItemId - Work item ID
+   * @param {boolean} withRelations - Include links (parent, predecessors, ...)
+   * @returns {Promise<Object>} Work item ({ id, fields, relations? })
+   */
+  async getWorkItem(workItemId, withRelations = false) {
+    const args = ['boards', 'work-item', 'show', '--id', String(workItemId), '--output', 'json'];
+    if (withRelations) {
+      args.push('--expand', 'relations');
+    }
+    return JSON.parse(this.az(args));
+  }
+
+  /**
+   * @param {string} wiql - WIQL query
+   * @returns {Promise<number[]>} Matching work item IDs in query order
+   */
+  async queryWorkItemIds(wiql) {
+    const items = JSON.parse(this.az(['boards', 'query', '--wiql', wiql, '--output', 'json'], true));
+    return (items || []).map(item => item.id);
+  }
+
+  /**
+   * @param {number[]} workItemIds - Work item IDs
+   * @returns {Promise<Array<Object>>} Work items with their links
+   */
+  async getWorkItems(workItemIds) {
+    const workItems = [];
+    for (const workItemId of workItemIds) {
+      workItems.push(await this.getWorkItem(workItemId, true));
+    }
+    return workItems;
+  }
+
+  /**
+   * Title, description and state have their own flags; other fields go through --fields
+   *
+   * @private
+   * @param {Object} fields - Field reference name -> value
+   * @returns {string[]} az arguments
+   */
+  fieldArgs(fields) {
+    const flags = { 'System.Title': '--title', 'System.Description': '--description', 'System.State': '--state' };
+    const args = [];
+    const other = [];
+
+    Object.entries(fields).forEach(([name, value]) => {
+      if (flags[name]) {
+        args.push(flags[name], String(value));
+      } else {
+        other.push(`${name}=${value}`);
+      }
+    });
+
+    return other.length > 0 ? [...args, '--fields', ...other] : args;
+  }
+
+  /**
+   * Run the az CLI against the organization
+   *
+   * @private
+   * @param {string[]} args - az arguments
+   * @param {boolean} inProject - Add --project (only create and query take it)
+   * @returns {string} Standard output
+   */
+  az(args, inProject = false) {
+    const scope = ['--organization', this.organizationUrl, ...(inProject ? ['--project', this.project] : [])];
+    return execFileSync('az', [...args, ...scope], { encoding: 'utf8', stdio: 'pipe' });
+  }
+}
@@ -14,19 +14,21 @@
  * limitations under the License.
  */
 
-import { execSync, execFileSync } from 'child_process';
+import { AzureCliTransport } from './AzureCliTransport.js';
+import { AzureRestTransport } from './AzureRestTransport.js';
 
 /**
- * AzureDevOpsClient - Handles Azure DevOps work item operations via Azure CLI
+ * AzureDevOpsClient - Handles Azure DevOps work item operations
  *
- * Single Responsibility: Interact with Azure DevOps Work Items using `az boards` CLI
+ * Single Responsibility: Interact with Azure DevOps Work Items through a transport
+ *
+ * Transports (same operations, same results):
+ * - AzureCliTransport: `az boards` CLI, authenticated with az login (default)
+ * - AzureRestTransport: REST API with a Personal Access Token
  *
  * CRITICAL: Completely isolated from GitHub integration
  * - Uses separate configuration (AzureDevOpsConfig)
- * - Uses Azure CLI authentication (az login) - NO tokens needed
  * - No shared state with GitHub client
- *
- * Authentication: Requires `az login` - credentials managed by Azure CLI
  */
 export class AzureDevOpsClient {
   /**
@@ -34,14 +36,34 @@ export class AzureDevOpsClient {
    *
    * @param {string} organization - Azure DevOps organization name
    * @param {string} project - Azure DevOps project name
+   * @param {Object|null} transport - AzureCliTransport or AzureRestTransport (default: CLI on dev.azure.com)
    */
-  constructor(organization, project) {
+  constructor(organization, project, transport = null) {
     this.organization = organization;
     this.project = project;
+    this.organizationUrl = transport && transport.organizationUrl
+      ? transport.organizationUrl
+      : `https://dev.azure.com/${organization}`;
+    this.transport = transport || new AzureCliTransport(this.organizationUrl, project);
   }
 
   /**
-   * Check if Azure CLI is authenticated and client is configured
+   * Create a client with the transport chosen by the configuration
+   *
+   * @param {AzureDevOpsConfig} config - Azure DevOps configuration
+   * @returns {AzureDevOpsClient} Client
+   */
+  static fromConfig(config) {
+    const organizationUrl = config.getOrganizationUrl();
+    const transport = config.getTransport() === 'rest'
+      ? new AzureRestTransport(organizationUrl, config.getProject(), config.getToken())
+      : new AzureCliTransport(organizationUrl, config.getProject());
+
+    return new AzureDevOpsClient(config.getOrganization(), config.getProject(), transport);
+  }
+
+  /**
+   * Check if the client is configured and its transport authenticated
    *
    * @returns {boolean} True if configured and authenticated, false otherwise
    */
@@ -50,14 +72,22 @@ export class AzureDevOpsClient {
       return false;
     }
 
-    try {
-      // Check if Azure CLI is authenticated
-      execSync('az account show', { stdio: 'pipe' });
-      return true;
-    } catch {
-      console.warn('⚠ Azure CLI not authenticated. Run: az login');
+    if (!this.transport.isAuthenticated()) {
+      console.warn(`⚠ ${this.transport.getAuthHint()}`);
       return false;
     }
+
+    return true;
+  }
+
+  /**
+   * Web URL of a work item
+   *
+   * @param {number} workItemId - Work item ID
+   * @returns {string} Work item URL
+   */
+  getWorkItemUrl(workItemId) {
+    return `${this.organizationUrl}/${encodeURIComponent(this.project)}/_workitems/edit/${workItemId}`;
   }
 
   /**
@@ -66,35 +96,21 @@ export class AzureDevOpsClient {
    * @param {string} title - Work item title
    * @param {string} description - Work item description
    * @param {Array<string>} tags - Work item tags (optional)
+   * @param {string} workItemType - Work item type (default: 'Task')
    * @returns {Promise<number|null>} Work item ID or null if failed
    */
-  async createWorkItem(title, description, tags = []) {
+  async createWorkItem(title, description, tags = [], workItemType = 'Task') {
     if (!this.isConfigured()) {
       return null;
     }
 
     try {
-      const tagString = tags.join(';');
-
-      // Build args array for execFileSync (handles escaping automatically)
-      const args = [
-        'boards', 'work-item', 'create',
-        '--title', title,
-        '--type', 'Task',
-        '--description', description,
-        '--organization', `https://dev.azure.com/${this.organization}`,
-        '--project', this.project,
-        '--output', 'json'
-      ];
-
-      // Add tags field if tags provided
-      if (tagString) {
-        args.push('--fields', `System.Tags=${tagString}`);
+      const fields = { 'System.Title': title, 'System.Description': description };
+      if (tags && tags.length > 0) {
+        fields['System.Tags'] = tags.join('; ');
       }
 
-      const result = execFileSync('az', args, { encoding: 'utf8' });
-      const workItem = JSON.parse(result);
-
+      const workItem = await this.transport.createWorkItem(workItemType, fields);
       return workItem.id;
     } catch (error) {
       console.warn('⚠ Failed to create Azure work item:', error.message);
@@ -110,26 +126,18 @@ export class AzureDevOpsClient {
    * @returns {Promise<boolean>} True if updated, false on failure
    */
   async updateWorkItemState(workItemId, state) {
-    if (!this.isConfigured() || !workItemId) {
-      return false;
-    }
-
-    try {
-      const args = [
-        'boards', 'work-item', 'update',
-        '--id', workItemId.toString(),
-        '--state', state,
-        '--organization', `https://dev.azure.com/${this.organization}`,
-        '--project', this.project
-      ];
-
-      execFileSync('az', args);
+    return await this.updateFields(workItemId, { 'System.State': state }, 'state');
+  }
 
-      return true;
-    } catch (error) {
-      console.warn('⚠ Failed to update work item state:', error.message);
-      return false;
-    }
+  /**
+   * Update work item description
+   *
+   * @param {number} workItemId - Work item ID
+   * @param {string} description - New description (HTML)
+   * @returns {Promise<boolean>} True if updated, false on failure
+   */
+  async updateWorkItemDescription(workItemId, description) {
+    return await this.updateFields(workItemId, { 'System.Description': description }, 'description');
   }
 
   /**
@@ -140,28 +148,7 @@ export class AzureDevOpsClient {
    * @returns {Promise<boolean>} True if successful, false otherwise
    */
   async updateWorkItemTags(workItemId, tags) {
-    if (!this.isConfigured() || !workItemId) {
-      return false;
-    }
-
-    try {
-      const tagString = tags.join(';');
-
-      const args = [
-        'boards', 'work-item', 'update',
-        '--id', workItemId.toString(),
-        '--fields', `System.Tags=${tagString}`,
-        '--organization', `https://dev.azure.com/${this.organization}`,
-        '--project', this.project
-      ];
-
-      execFileSync('az', args);
-
-      return true;
-    } catch (error) {
-      console.warn('⚠ Failed to update work item tags:', error.message);
-      return false;
-    }
+    return await this.updateFields(workItemId, { 'System.Tags': tags.join('; ') }, 'tags');
   }
 
   /**
@@ -177,17 +164,7 @@ export class AzureDevOpsClient {
     }
 
     try {
-      // In Azure Boards, comments are added via the --discussion flag
-      const args = [
-        'boards', 'work-item', 'update',
-        '--id', workItemId.toString(),
-        '--discussion', comment,
-        '--organization', `https://dev.azure.com/${this.organization}`,
-        '--project', this.project
-      ];
-
-      execFileSync('az', args);
-
+      await this.transport.addComment(workItemId, comment);
       return true;
     } catch (error) {
       console.warn('⚠ Failed to add work item comment:', error.message);
@@ -207,25 +184,20 @@ export class AzureDevOpsClient {
       return false;
     }
 
-    try {
-      // Add comment first if provided
-      if (comment) {
-        await this.addWorkItemComment(workItemId, comment);
-      }
-
-      // Close the work item by setting state to 'Closed'
-      return await this.updateWorkItemState(workItemId, 'Closed');
-    } catch (error) {
-      console.warn('⚠ Failed to close work item:', error.message);
-      return false;
+    // Add comment first if provided
+    if (comment) {
+      await this.addWorkItemComment(workItemId, comment);
     }
+
+    // Close the work item by setting state to 'Closed'
+    return await this.updateWorkItemState(workItemId, 'Closed');
   }
 
   /**
    * Get work item details
    *
    * @param {number} workItemId - Work item ID
-   * @returns {Promise<Object|null>} Work item object or null
+   * @returns {Promise<Object|null>} Work item object ({ id, fields, ... }) or null
    */
   async getWorkItem(workItemId) {
     if (!this.isConfigured() || !workItemId) {
@@ -233,20 +205,53 @@ export class AzureDevOpsClient {
     }
 
     try {
-      const args = [
-        'boards', 'work-item', 'show',
-        '--id', workItemId.toString(),
-        '--organization', `https://dev.azure.com/${this.organization}`,
-        '--project', this.project,
-        '--output', 'json'
-      ];
+      return await this.transport.getWorkItem(workItemId);
+    } catch (error) {
+      console.warn('⚠ Failed to get work item:', error.message);
+      return null;
+    }
+  }
 
-      const result = execFileSync('az', args, { encoding: 'utf8' });
+  /**
+   * Run a WIQL query and fetch the matching work items with their links
+   *
+   * @param {string} wiql - Query, e.g. SELECT [System.Id] FROM WorkItems WHERE [System.Tags] CONTAINS 'backlog'
+   * @returns {Promise<Array<Object>|null>} Work items ({ id, fields, relations }) in query order, or null if failed
+   */
+  async queryWorkItems(wiql) {
+    if (!this.isConfigured()) {
+      return null;
+    }
 
-      return JSON.parse(result);
+    try {
+      const ids = await this.transport.queryWorkItemIds(wiql);
+      return await this.transport.getWorkItems(ids);
     } catch (error) {
-      console.warn('⚠ Failed to get work item:', error.message);
+      console.warn('⚠ Failed to query work items:', error.message);
       return null;
     }
   }
+
+  /**
+   * Set work item fields
+   *
+   * @private
+   * @param {number} workItemId - Work item ID
+   * @param {Object} fields - Field reference name -> value
+   * @param {string} what - What is updated, for the warning
+   * @returns {Promise<boolean>} True if updated, false on failure
+   */
+  async updateFields(workItemId, fields, what) {
+    if (!this.isConfigured() || !workItemId) {
+      return false;
+    }
+
+    try {
+      await this.transport.updateWorkItem(workItemId, fields);
+      return true;
+    } catch (error) {
+      console.warn(`⚠ Failed to update work item ${what}:`, error.message);
+      return false;
+    }
+  }
 }
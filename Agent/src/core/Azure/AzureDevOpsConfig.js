@@ -27,6 +27,10 @@ import path from 'path';
  * 2. .claude/settings.local.json (user-specific, gitignored)
  * 3. .claude/settings.json (defaults)
  *
+ * Transport: work items go through the az CLI (az login) unless a Personal
+ * Access Token is set (AZURE_DEVOPS_PAT or token), in which case the REST
+ * API is called directly. `transport` ('cli' or 'rest') forces either one.
+ *
  * CRITICAL: Completely isolated from GitHub integration
  */
 export class AzureDevOpsConfig {
@@ -50,10 +54,13 @@ export class AzureDevOpsConfig {
       enabled: false, // Default to disabled for safety
       organization: null,
       project: null,
+      baseUrl: null, // Azure DevOps Server collection URL; dev.azure.com when null
+      token: null,
+      transport: null,
       autoCreate: false,
       autoUpdate: false,
       autoClose: false,
-      useCliAuth: true // Always use Azure CLI authentication
+      useCliAuth: null // Legacy switch: true forces the CLI, false the REST API
     };
 
     // Load from settings.json (defaults)
@@ -83,6 +90,15 @@ export class AzureDevOpsConfig {
     }
 
     // Override with environment variables (highest priority)
+    if (process.env.AZURE_DEVOPS_PAT) {
+      config.token = process.env.AZURE_DEVOPS_PAT;
+    }
+    if (process.env.AZURE_DEVOPS_URL) {
+      config.baseUrl = process.env.AZURE_DEVOPS_URL;
+    }
+    if (process.env.AZURE_DEVOPS_TRANSPORT) {
+      config.transport = process.env.AZURE_DEVOPS_TRANSPORT;
+    }
     if (process.env.AZURE_DEVOPS_ORGANIZATION) {
       config.organization = process.env.AZURE_DEVOPS_ORGANIZATION;
     }
@@ -102,9 +118,49 @@ export class AzureDevOpsConfig {
       config.autoClose = process.env.AZURE_DEVOPS_AUTO_CLOSE === 'true';
     }
 
+    // A PAT selects the REST API unless the CLI is asked for explicitly
+    if (config.transport !== 'cli' && config.transport !== 'rest') {
+      config.transport = typeof config.useCliAuth === 'boolean'
+        ? (config.useCliAuth ? 'cli' : 'rest')
+        : (config.token ? 'rest' : 'cli');
+    }
+    config.useCliAuth = config.transport === 'cli';
+
     return config;
   }
 
+  /**
+   * Get Personal Access Token (REST transport)
+   *
+   * @returns {string|null} Token or null if not configured
+   */
+  getToken() {
+    return this.config.token;
+  }
+
+  /**
+   * Get how work items are reached
+   *
+   * @returns {string} 'cli' (az boards) or 'rest' (REST API with the PAT)
+   */
+  getTransport() {
+    return this.config.transport;
+  }
+
+  /**
+   * Get organization URL, e.g. https://dev.azure.com/contoso
+   *
+   * @returns {string|null} Organization URL or null if not configured
+   */
+  getOrganizationUrl() {
+    if (!this.config.organization) {
+      return null;
+    }
+
+    const baseUrl = (this.config.baseUrl || 'https://dev.azure.com').replace(/\/+$/, '');
+    return `${baseUrl}/${this.config.organization}`;
+  }
+
   /**
    * Get organization name
    *
@@ -138,14 +194,16 @@ export class AzureDevOpsConfig {
   /**
    * Check if Azure DevOps integration is fully enabled and configured
    *
-   * Note: Authentication is handled by Azure CLI (az login), no token needed
+   * Note: the CLI transport authenticates with az login and needs no token;
+   * the REST transport needs the PAT
    *
    * @returns {boolean} True if ready to use, false otherwise
    */
   isEnabled() {
     return this.config.enabled &&
            this.config.organization !== null &&
-           this.config.project !== null;
+           this.config.project !== null &&
+           (this.config.transport === 'cli' || Boolean(this.config.token));
   }
 
   /**
@@ -0,0 +1,174 @@
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * AzureRestTransport - Work item calls through the Azure DevOps REST API
+ *
+ * Single Responsibility: Turn work item operations into REST requests
+ *
+ * Authentication: Personal Access Token (AZURE_DEVOPS_PAT) sent as Basic auth.
+ * Methods throw on failure; AzureDevOpsClient turns failures into warnings.
+ */
+export class AzureRestTransport {
+  static API_VERSION = '7.0';
+
+  // The work item comments API is only available as a preview version
+  static COMMENTS_API_VERSION = '7.0-preview.3';
+
+  // The work items batch endpoint takes at most 200 IDs per request
+  static BATCH_SIZE = 200;
+
+  /**
+   * @param {string|null} organizationUrl - e.g. https://dev.azure.com/contoso
+   * @param {string|null} project - Project name
+   * @param {string|null} token - Personal Access Token
+   */
+  constructor(organizationUrl, project, token) {
+    this.organizationUrl = organizationUrl;
+    this.project = project;
+    this.token = token;
+  }
+
+  /**
+   * @returns {string} Transport name
+   */
+  getName() {
+    return 'REST API';
+  }
+
+  /**
+   * @returns {string} How to authenticate
+   */
+  getAuthHint() {
+    return 'Azure DevOps PAT not set. Set AZURE_DEVOPS_PAT (scope: Work Items read & write)';
+  }
+
+  /**
+   * @returns {boolean} True if a token is set (it is checked by the first request)
+   */
+  isAuthenticated() {
+    return Boolean(this.token);
+  }
+
+  /**
+   * Create a work item
+   *
+   * @param {string} workItemType - e.g. Task, Bug
+   * @param {Object} fields - Field reference name -> value (System.Title is required)
+   * @returns {Promise<Object>} Created work item ({ id, fields, _links, ... })
+   */
+  async createWorkItem(workItemType, fields) {
+    return await this.request('PATCH', `/wit/workitems/$${encodeURIComponent(workItemType)}`, this.patchDocument(fields));
+  }
+
+  /**
+   * Update work item fields
+   *
+   * @param {number} workItemId - Work item ID
+   * @param {Object} fields - Field reference name -> value
+   * @returns {Promise<Object>} Updated work item
+   */
+  async updateWorkItem(workItemId, fields) {
+    return await this.request('PATCH', `/wit/workitems/${workItemId}`, this.patchDocument(fields));
+  }
+
+  /**
+   * Add a comment to the work item's discussion
+   *
+   * @param {number} workItemId - Work item ID
+   * @param {string} text - Comment text
+   * @returns {Promise<void>}
+   */
+  async addComment(workItemId, text) {
+    await this.request('POST', `/wit/workitems/${workItemId}/comments`, { text }, AzureRestTransport.COMMENTS_API_VERSION);
+  }
+
+  /**
+   * @param {number} workItemId - Work item ID
+   * @param {boolean} withRelations - Include links (parent, predecessors, ...)
+   * @returns {Promise<Object>} Work item ({ id, fields, relations? })
+   */
+  async getWorkItem(workItemId, withRelations = false) {
+    return await this.request('GET', `/wit/workitems/${workItemId}${withRelations ? '?$expand=relations' : ''}`);
+  }
+
+  /**
+   * @param {string} wiql - WIQL query
+   * @returns {Promise<number[]>} Matching work item IDs in query order
+   */
+  async queryWorkItemIds(wiql) {
+    const result = await this.request('POST', '/wit/wiql', { query: wiql });
+    return (result.workItems || []).map(item => item.id);
+  }
+
+  /**
+   * @param {number[]} workItemIds - Work item IDs
+   * @returns {Promise<Array<Object>>} Work items with their links, in the given order
+   */
+  async getWorkItems(workItemIds) {
+    const byId = new Map();
+
+    for (let i = 0; i < workItemIds.length; i += AzureRestTransport.BATCH_SIZE) {
+      const batch = workItemIds.slice(i, i + AzureRestTransport.BATCH_SIZE);
+      const page = await this.request('GET', `/wit/workitems?ids=${batch.join(',')}&$expand=relations`);
+      page.value.forEach(item => byId.set(item.id, item));
+    }
+
+    return workItemIds.map(id => byId.get(id)).filter(Boolean);
+  }
+
+  /**
+   * @private
+   * @param {Object} fields - Field reference name -> value
+   * @returns {Array<Object>} JSON Patch document setting the fields
+   */
+  patchDocument(fields) {
+    return Object.entries(fields).map(([name, value]) => ({ op: 'add', path: `/fields/${name}`, value }));
+  }
+
+  /**
+   * Call the project's REST API
+   *
+   * @private
+   * @param {string} method - HTTP method
+   * @param {string} resource - Path under {organization}/{project}/_apis, with optional query
+   * @param {Object|Array|null} body - JSON body (JSON Patch documents for PATCH)
+   * @param {string} apiVersion - api-version parameter
+   * @returns {Promise<Object|null>} Parsed response
+   */
+  async request(method, resource, body = null, apiVersion = AzureRestTransport.API_VERSION) {
+    const separator = resource.includes('?') ? '&' : '?';
+    const url = `${this.organizationUrl}/${encodeURIComponent(this.project)}/_apis${resource}${separator}api-version=${apiVersion}`;
+
+    const response = await fetch(url, {
+      method,
+      headers: {
+        'Authorization': `Basic ${Buffer.from(`:${this.token}`).toString('base64')}`,
+        'Content-Type': method === 'PATCH' ? 'application/json-patch+json' : 'application/json',
+        'Accept': 'application/json'
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Azure DevOps API error: ${response.status} - ${errorText}`);
+    }
+
+    const text = await response.text();
+    return text ? JSON.parse(text) : null;
+  }
+}
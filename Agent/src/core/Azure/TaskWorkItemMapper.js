@@ -25,6 +25,11 @@
  * - Azure-specific format
  */
 export class TaskWorkItemMapper {
+  // Azure rich text has no task lists, so criteria carry a ballot box
+  static UNCHECKED = '☐';
+
+  static CHECKED = '☑';
+
   /**
    * Convert task to Azure DevOps work item title
    *
@@ -59,7 +64,7 @@ export class TaskWorkItemMapper {
     if (task.completionCriteria && task.completionCriteria.length > 0) {
       description += `<h3>Completion Criteria</h3>\n<ul>\n`;
       task.completionCriteria.forEach(criterion => {
-        description += `  <li>${criterion}</li>\n`;
+        description += `  <li>${this.UNCHECKED} ${criterion}</li>\n`;
       });
       description += `</ul>\n\n`;
     }
@@ -75,16 +80,35 @@ export class TaskWorkItemMapper {
     return description;
   }
 
+  /**
+   * Tick completion criteria in a work item description
+   *
+   * Matches the list items written by taskToWorkItemDescription(), including
+   * those of work items created before criteria had a ballot box.
+   *
+   * @param {string} description - Current description (HTML)
+   * @param {string[]} criteria - Criteria that were met
+   * @returns {string} Updated description
+   */
+  static tickCompletionCriteria(description, criteria) {
+    return criteria.reduce((updated, criterion) => {
+      const escaped = criterion.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const item = new RegExp(`<li>(?:${this.UNCHECKED} )?${escaped}</li>`, 'g');
+      return updated.replace(item, `<li>${this.CHECKED} ${criterion}</li>`);
+    }, description);
+  }
+
   /**
    * Convert task status to Azure DevOps work item state
    *
-   * @param {string} status - Task status (pending, in_progress, completed, blocked)
+   * @param {string} status - Task status (pending, in_progress, in_review, completed, blocked)
    * @returns {string} Azure work item state
    */
   static taskStatusToWorkItemState(status) {
     const stateMap = {
       'pending': 'New',
       'in_progress': 'Active',
+      'in_review': 'Active',
       'completed': 'Closed',
       'blocked': 'Blocked'
     };
@@ -40,10 +40,7 @@ export class WorkItemSync {
 
     // Initialize client if config is valid
     if (this.config.isEnabled()) {
-      this.client = new AzureDevOpsClient(
-        this.config.getOrganization(),
-        this.config.getProject()
-      );
+      this.client = AzureDevOpsClient.fromConfig(this.config);
     } else {
       this.client = null;
     }
@@ -76,7 +73,7 @@ export class WorkItemSync {
     try {
       const title = TaskWorkItemMapper.taskToWorkItemTitle(task);
       const description = TaskWorkItemMapper.taskToWorkItemDescription(task);
-      const tags = TaskWorkItemMapper.taskToWorkItemTags(task);
+      const tags = TaskWorkItemMapper.taskToWorkItemTags(task.status, task.phase);
 
       const workItemId = await this.client.createWorkItem(title, description, tags);
 
@@ -139,7 +136,7 @@ export class WorkItemSync {
     }
 
     try {
-      const tags = TaskWorkItemMapper.taskToWorkItemTags(task);
+      const tags = TaskWorkItemMapper.taskToWorkItemTags(task.status, task.phase);
       const success = await this.client.updateWorkItemTags(workItemId, tags);
 
       if (success) {
@@ -153,6 +150,48 @@ export class WorkItemSync {
     }
   }
 
+  /**
+   * Tick met completion criteria in the work item description
+   *
+   * @param {number} workItemId - Work item ID
+   * @param {string[]} criteria - Criteria that were met
+   * @returns {Promise<boolean>} True if the description has them ticked (now or already)
+   */
+  async tickCompletionCriteria(workItemId, criteria) {
+    if (!this.config.isAutoUpdateEnabled()) {
+      return false;
+    }
+
+    if (!this.isEnabled() || !workItemId) {
+      return false;
+    }
+
+    try {
+      const workItem = await this.client.getWorkItem(workItemId);
+      if (!workItem) {
+        return false;
+      }
+
+      // Nothing to tick counts as done, so a queued tick is not retried forever
+      const description = workItem.fields ? workItem.fields['System.Description'] : null;
+      const ticked = description ? TaskWorkItemMapper.tickCompletionCriteria(description, criteria) : description;
+      if (ticked === description) {
+        return true;
+      }
+
+      const success = await this.client.updateWorkItemDescription(workItemId, ticked);
+
+      if (success) {
+        console.log(`✓ Ticked completion criteria on Azure work item #${workItemId}`);
+      }
+
+      return success;
+    } catch (error) {
+      console.warn('⚠ Failed to tick completion criteria:', error.message);
+      return false;
+    }
+  }
+
   /**
    * Add comment to work item
    *
@@ -0,0 +1,194 @@
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * BitbucketServerClient - Handles Bitbucket Server/Data Center REST API interactions
+ *
+ * Single Responsibility: Communicate with the Bitbucket Server Pull Requests API (1.0)
+ *
+ * Bitbucket Server has no issue tracker of its own (teams pair it with
+ * Jira), so only pull requests are covered. Authenticates
+ * with an HTTP access token as a bearer token. Methods degrade gracefully
+ * (null/false) like GitHubClient.
+ */
+export class BitbucketServerClient {
+  /**
+   * Initialize Bitbucket Server client
+   *
+   * @param {string|null} token - HTTP access token
+   * @param {string|null} baseUrl - Instance web root, e.g. https://bitbucket.example.com
+   * @param {string|null} projectKey - Project key (or ~user for personal repositories)
+   * @param {string|null} repoSlug - Repository slug
+   */
+  constructor(token, baseUrl, projectKey, repoSlug) {
+    if (!token || !baseUrl || !projectKey || !repoSlug) {
+      this.configured = false;
+      this.token = null;
+      this.baseUrl = null;
+      this.projectKey = null;
+      this.repoSlug = null;
+      return;
+    }
+
+    this.configured = true;
+    this.token = token;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.projectKey = projectKey;
+    this.repoSlug = repoSlug;
+  }
+
+  /**
+   * Check if Bitbucket Server client is configured and ready
+   *
+   * @returns {boolean} True if configured, false otherwise
+   */
+  isConfigured() {
+    return this.configured;
+  }
+
+  /**
+   * Get the API URL of the repository
+   *
+   * @returns {string} e.g. https://bitbucket.example.com/rest/api/1.0/projects/PROJ/repos/app
+   */
+  getRepoApiUrl() {
+    return `${this.baseUrl}/rest/api/1.0/projects/${encodeURIComponent(this.projectKey)}/repos/${encodeURIComponent(this.repoSlug)}`;
+  }
+
+  /**
+   * Send a request to the repository API
+   *
+   * @private
+   * @param {string} method - HTTP method
+   * @param {string} resource - Path below the repository, e.g. /pull-requests
+   * @param {Object|null} body - JSON body
+   * @returns {Promise<Object|null>} Parsed response (null for empty responses)
+   * @throws {Error} On non-2xx responses
+   */
+  async request(method, resource, body = null) {
+    const response = await fetch(`${this.getRepoApiUrl()}${resource}`, {
+      method,
+      headers: {
+        'Authorization': `Bearer ${this.token}`,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Bitbucket Server API error: ${response.status} - ${errorText}`);
+    }
+
+    const text = await response.text();
+    return text ? JSON.parse(text) : null;
+  }
+
+  /**
+   * Create a pull request
+   *
+   * @param {Object} options - Pull request options
+   * @param {string} options.sourceBranch - Branch with the changes
+   * @param {string} options.targetBranch - Branch to merge into
+   * @param {string} options.title - Pull request title
+   * @param {string} options.description - Pull request description
+   * @returns {Promise<{id: number, url: string}|null>} Pull request, or null on failure
+   */
+  async createPullRequest({ sourceBranch, targetBranch, title, description = '' }) {
+    if (!this.configured) {
+      return null;
+    }
+
+    try {
+      const pullRequest = await this.request('POST', '/pull-requests', {
+        title,
+        description,
+        fromRef: { id: `refs/heads/${sourceBranch}` },
+        toRef: { id: `refs/heads/${targetBranch}` }
+      });
+      return { id: pullRequest.id, url: BitbucketServerClient.getWebUrl(pullRequest) };
+    } catch (error) {
+      console.warn('⚠ Failed to create Bitbucket pull request:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * List pull requests from a source branch, newest first
+   *
+   * @param {string} sourceBranch - Source branch
+   * @returns {Promise<Array<{id: number, state: string, url: string, title: string}>|null>} state is OPEN, MERGED or DECLINED; null on failure
+   */
+  async findPullRequests(sourceBranch) {
+    if (!this.configured) {
+      return null;
+    }
+
+    try {
+      const query = new URLSearchParams({
+        state: 'ALL',
+        direction: 'OUTGOING',
+        at: `refs/heads/${sourceBranch}`,
+        order: 'NEWEST'
+      });
+      const page = await this.request('GET', `/pull-requests?${query}`);
+      return page.values.map(pullRequest => ({
+        id: pullRequest.id,
+        state: pullRequest.state,
+        url: BitbucketServerClient.getWebUrl(pullRequest),
+        title: pullRequest.title
+      }));
+    } catch (error) {
+      console.warn('⚠ Failed to list Bitbucket pull requests:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Merge a pull request
+   *
+   * The merge must name the pull request version it was reviewed at, so the
+   * current version is read first.
+   *
+   * @param {number} id - Pull request ID
+   * @returns {Promise<boolean>} True if merged, false on failure
+   */
+  async mergePullRequest(id) {
+    if (!this.configured) {
+      return false;
+    }
+
+    try {
+      const pullRequest = await this.request('GET', `/pull-requests/${id}`);
+      await this.request('POST', `/pull-requests/${id}/merge?version=${pullRequest.version}`);
+      return true;
+    } catch (error) {
+      console.warn('⚠ Failed to merge Bitbucket pull request:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * @param {Object} pullRequest - Pull request from the API
+   * @returns {string|null} Web URL (links.self[0].href)
+   */
+  static getWebUrl(pullRequest) {
+    return pullRequest.links && pullRequest.links.self && pullRequest.links.self[0]
+      ? pullRequest.links.self[0].href
+      : null;
+  }
+}
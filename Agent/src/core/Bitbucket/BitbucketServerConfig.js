@@ -0,0 +1,178 @@
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { execSync } from 'child_process';
+import { PlatformDetector } from '../Platform/PlatformDetector.js';
+
+/**
+ * BitbucketServerConfig - Manages Bitbucket Server/Data Center configuration
+ *
+ * Single Responsibility: Load and validate Bitbucket Server settings
+ *
+ * Configuration sources (in order of priority):
+ * 1. Environment variables BITBUCKET_TOKEN, BITBUCKET_URL (highest)
+ * 2. .claude/settings.local.json (user-specific, gitignored)
+ * 3. .claude/settings.json (defaults, section "bitbucketServer")
+ * 4. Auto-detection from git remote (fallback for projectKey/repoSlug)
+ */
+export class BitbucketServerConfig {
+  /**
+   * Initialize configuration loader
+   *
+   * @param {string} projectRoot - Project root directory
+   */
+  constructor(projectRoot = process.cwd()) {
+    this.projectRoot = projectRoot;
+    this.config = this.loadConfig();
+  }
+
+  /**
+   * Load configuration from all sources
+   *
+   * @returns {Object} Merged configuration object
+   */
+  loadConfig() {
+    const config = {
+      enabled: true,
+      token: null,
+      baseUrl: null,
+      projectKey: null,
+      repoSlug: null
+    };
+
+    for (const file of ['settings.json', 'settings.local.json']) {
+      const settingsPath = path.join(this.projectRoot, '.claude', file);
+      if (fs.existsSync(settingsPath)) {
+        try {
+          const settings = JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
+          if (settings.bitbucketServer) {
+            Object.assign(config, settings.bitbucketServer);
+          }
+        } catch (error) {
+          console.warn(`⚠ Failed to load .claude/${file}:`, error.message);
+        }
+      }
+    }
+
+    // Override with environment variables (highest priority)
+    if (process.env.BITBUCKET_TOKEN) {
+      config.token = process.env.BITBUCKET_TOKEN;
+    }
+    if (process.env.BITBUCKET_URL) {
+      config.baseUrl = process.env.BITBUCKET_URL;
+    }
+
+    // Fill projectKey/repoSlug from the origin remote if it is on the instance
+    if (config.baseUrl && (!config.projectKey || !config.repoSlug)) {
+      try {
+        const remote = execSync('git remote get-url origin', {
+          cwd: this.projectRoot,
+          encoding: 'utf8',
+          stdio: 'pipe'
+        }).trim();
+
+        const isBitbucket = new PlatformDetector(this.projectRoot).identifyRemote(remote) === 'bitbucket-server';
+        const parsed = isBitbucket ? BitbucketServerConfig.parseRemote(remote, config.baseUrl) : null;
+        if (parsed) {
+          config.projectKey = config.projectKey || parsed.projectKey;
+          config.repoSlug = config.repoSlug || parsed.repoSlug;
+        }
+      } catch (error) {
+        // Git remote not configured or not a git repository
+      }
+    }
+
+    if (config.baseUrl) {
+      config.baseUrl = config.baseUrl.replace(/\/+$/, '');
+    }
+
+    return config;
+  }
+
+  /**
+   * Parse a Bitbucket Server remote into project key and repository slug
+   *
+   * HTTP clones are https://host/scm/PROJ/repo.git, SSH clones
+   * ssh://git@host:7999/proj/repo.git; personal repositories use ~user as key.
+   *
+   * @param {string} url - Git remote URL
+   * @param {string|null} baseUrl - Configured web root (its context path is stripped)
+   * @returns {{projectKey: string, repoSlug: string}|null}
+   */
+  static parseRemote(url, baseUrl = null) {
+    const remote = PlatformDetector.splitRemote(url, baseUrl);
+    const match = remote && remote.path.replace(/^scm\//, '').match(/^([^/]+)\/([^/]+)$/);
+
+    if (!match) {
+      return null;
+    }
+
+    return {
+      projectKey: match[1].startsWith('~') ? match[1] : match[1].toUpperCase(),
+      repoSlug: match[2]
+    };
+  }
+
+  /**
+   * Get HTTP access token
+   *
+   * @returns {string|null} Token or null if not configured
+   */
+  getToken() {
+    return this.config.token;
+  }
+
+  /**
+   * Get instance web root, e.g. https://bitbucket.example.com
+   *
+   * @returns {string|null} Base URL without trailing slash
+   */
+  getBaseUrl() {
+    return this.config.baseUrl;
+  }
+
+  /**
+   * Get project key and repository slug
+   *
+   * @returns {Object} { projectKey: string|null, repoSlug: string|null }
+   */
+  getRepoInfo() {
+    return {
+      projectKey: this.config.projectKey,
+      repoSlug: this.config.repoSlug
+    };
+  }
+
+  /**
+   * Check if the API can be reached (token, instance and repository known)
+   *
+   * @returns {boolean} True if token, baseUrl, projectKey and repoSlug are configured
+   */
+  hasCredentials() {
+    return Boolean(this.config.token && this.config.baseUrl && this.config.projectKey && this.config.repoSlug);
+  }
+
+  /**
+   * Check if Bitbucket Server integration is enabled and configured
+   *
+   * @returns {boolean} True if ready to use, false otherwise
+   */
+  isEnabled() {
+    return this.config.enabled === true && this.hasCredentials();
+  }
+}
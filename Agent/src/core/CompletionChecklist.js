@@ -0,0 +1,93 @@
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * CompletionChecklist - Record which completion criteria a task met
+ *
+ * Single Responsibility: Build and evaluate the completion check stored on a task
+ *
+ * `agentic15 commit` asks for each entry in the task's completionCriteria and
+ * stores the answers in the task file:
+ *
+ *   completionCheck: {
+ *     checkedAt, checkedBy, mode: 'interactive' | 'yes' | 'override',
+ *     criteria: [{ criterion, met }],
+ *     override: { reason } | null
+ *   }
+ *
+ * A task with unmet criteria can only be completed with an override reason.
+ */
+export class CompletionChecklist {
+  /**
+   * Completion criteria of a task
+   *
+   * @param {Object} taskData - Task file contents
+   * @returns {string[]} Criteria (empty if none are defined)
+   */
+  static criteriaFor(taskData) {
+    return Array.isArray(taskData.completionCriteria)
+      ? taskData.completionCriteria.filter(criterion => typeof criterion === 'string' && criterion.trim())
+      : [];
+  }
+
+  /**
+   * Build a completion check record
+   *
+   * @param {string[]} criteria - Criteria in task order
+   * @param {boolean[]} answers - Whether each criterion was met
+   * @param {Object} details - { checkedBy, mode, overrideReason }
+   * @returns {Object} Completion check record
+   */
+  static build(criteria, answers, { checkedBy, mode, overrideReason = null }) {
+    return {
+      checkedAt: new Date().toISOString(),
+      checkedBy,
+      mode,
+      criteria: criteria.map((criterion, index) => ({ criterion, met: answers[index] === true })),
+      override: overrideReason ? { reason: overrideReason } : null
+    };
+  }
+
+  /**
+   * Criteria that were met
+   *
+   * @param {Object} check - Completion check record
+   * @returns {string[]}
+   */
+  static met(check) {
+    return check.criteria.filter(item => item.met).map(item => item.criterion);
+  }
+
+  /**
+   * Criteria that were not met
+   *
+   * @param {Object} check - Completion check record
+   * @returns {string[]}
+   */
+  static unmet(check) {
+    return check.criteria.filter(item => !item.met).map(item => item.criterion);
+  }
+
+  /**
+   * Whether the task may be completed
+   *
+   * @param {Object} check - Completion check record
+   * @returns {boolean} True if every criterion was met or an override reason was given
+   */
+  static allowsCompletion(check) {
+    return this.unmet(check).length === 0 || Boolean(check.override && check.override.reason);
+  }
+}
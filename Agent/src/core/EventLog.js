@@ -0,0 +1,238 @@
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { execSync } from 'child_process';
+
+/**
+ * EventLog - Append-only history of workflow actions in a plan
+ *
+ * Single Responsibility: Record and query who changed plan/task state, and when
+ *
+ * Events are appended, one JSON object per line, to events.jsonl in the plan
+ * directory. Lines are never rewritten, so the file also keeps what the
+ * tracker overwrites (a reset task's startedAt, earlier completions):
+ *
+ *   {
+ *     "timestamp": "2025-01-01T10:00:00.000Z",
+ *     "actor": "Jane Doe",
+ *     "type": "task.started",
+ *     "command": "task start",
+ *     "taskId": "TASK-001",
+ *     "from": "pending",
+ *     "to": "in_progress",
+ *     "branch": "feature/task-001",
+ *     "prUrl": null,
+ *     "details": {}
+ *   }
+ *
+ * Types are "<subject>.<action>": task.started, task.reset, task.paused,
+ * task.resumed, task.blocked, task.unblocked, task.completed,
+ * tracker.repaired, plan.locked, plan.amended, plan.created, plan.imported,
+ * plan.switched, plan.archived.
+ *
+ * Recording never fails the command that triggered it.
+ */
+export class EventLog {
+  static FILE = 'events.jsonl';
+
+  /**
+   * @param {string} planDir - Plan directory (.claude/plans/<planId>)
+   */
+  constructor(planDir) {
+    this.planDir = planDir;
+    this.path = path.join(planDir, this.constructor.FILE);
+  }
+
+  /**
+   * Log of the plan named in .claude/ACTIVE-PLAN
+   *
+   * @param {string} projectRoot - Project root (the main worktree for lanes)
+   * @returns {EventLog|null} null when no plan is active
+   */
+  static forActivePlan(projectRoot = process.cwd()) {
+    const activePlanPath = path.join(projectRoot, '.claude', 'ACTIVE-PLAN');
+
+    if (!fs.existsSync(activePlanPath)) {
+      return null;
+    }
+
+    const planId = fs.readFileSync(activePlanPath, 'utf8').trim();
+    return planId ? new EventLog(path.join(projectRoot, '.claude', 'plans', planId)) : null;
+  }
+
+  /**
+   * Append an event; timestamp, actor and branch are filled in when missing
+   *
+   * @param {Object} event - { type, command, taskId?, from?, to?, prUrl?, details? }
+   * @returns {Object|null} The recorded event, or null if it could not be written
+   */
+  record(event) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      actor: event.actor || this.constructor.gitActor(),
+      type: event.type,
+      command: event.command || null,
+      taskId: event.taskId || null,
+      from: event.from || null,
+      to: event.to || null,
+      branch: event.branch !== undefined ? event.branch : this.constructor.currentBranch(),
+      prUrl: event.prUrl || null,
+      details: event.details || {}
+    };
+
+    try {
+      fs.mkdirSync(this.planDir, { recursive: true });
+      fs.appendFileSync(this.path, JSON.stringify(entry) + '\n');
+      return entry;
+    } catch (error) {
+      console.log(`⚠️  Could not record ${event.type} in ${this.constructor.FILE}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * All events, oldest first (unreadable lines are skipped)
+   *
+   * @returns {Array<Object>}
+   */
+  read() {
+    if (!fs.existsSync(this.path)) {
+      return [];
+    }
+
+    return fs.readFileSync(this.path, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Filter events
+   *
+   * `type` matches a full type ("task.completed"), a subject ("task") or an
+   * action ("completed"). `since` / `until` are dates or timestamps; a plain
+   * date for `until` includes that whole day.
+   *
+   * @param {Array<Object>} events - Events
+   * @param {Object} filters - { task, type, since, until }
+   * @returns {Array<Object>}
+   */
+  static filter(events, filters = {}) {
+    const since = filters.since ? this.parseDate(filters.since, false) : null;
+    const until = filters.until ? this.parseDate(filters.until, true) : null;
+    const type = filters.type ? filters.type.toLowerCase() : null;
+    const task = filters.task ? filters.task.toUpperCase() : null;
+
+    return events.filter(event => {
+      const time = new Date(event.timestamp).getTime();
+
+      if (task && (event.taskId || '').toUpperCase() !== task) {
+        return false;
+      }
+      if (type && event.type !== type && !event.type.startsWith(`${type}.`) && !event.type.endsWith(`.${type}`)) {
+        return false;
+      }
+      if (since !== null && time < since) {
+        return false;
+      }
+      if (until !== null && time > until) {
+        return false;
+      }
+
+      return true;
+    });
+  }
+
+  /**
+   * @private
+   * @returns {number} Epoch milliseconds
+   */
+  static parseDate(value, endOfDay) {
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const time = new Date(dateOnly ? `${value}T00:00:00` : value).getTime();
+
+    if (Number.isNaN(time)) {
+      throw new Error(`Invalid date: ${value} (use YYYY-MM-DD or an ISO timestamp)`);
+    }
+
+    return dateOnly && endOfDay ? time + 24 * 60 * 60 * 1000 - 1 : time;
+  }
+
+  /**
+   * One line per event for the terminal
+   *
+   * @param {Object} event - Event
+   * @returns {string}
+   */
+  static format(event) {
+    const when = event.timestamp.replace('T', ' ').slice(0, 19);
+    const transition = event.from || event.to ? `${event.from || '-'} → ${event.to || '-'}` : '';
+    const parts = [when, event.actor, event.type.padEnd(16), event.taskId || '', transition]
+      .filter(part => part !== '');
+
+    if (event.prUrl) {
+      parts.push(event.prUrl);
+    } else if (event.branch) {
+      parts.push(`(${event.branch})`);
+    }
+
+    return parts.join('  ');
+  }
+
+  /**
+   * Who is acting: the git user name, else the git email
+   *
+   * Recorded as the actor of events, and by commands that stamp a user on
+   * tracker and plan records (amendments, blocks, completion checks).
+   *
+   * @returns {string} Name, email or 'unknown'
+   */
+  static gitActor() {
+    for (const key of ['user.name', 'user.email']) {
+      try {
+        const value = execSync(`git config ${key}`, { encoding: 'utf-8', stdio: 'pipe' }).trim();
+        if (value) {
+          return value;
+        }
+      } catch (error) {
+        // Not configured - try the next key
+      }
+    }
+
+    return 'unknown';
+  }
+
+  /**
+   * @private
+   */
+  static currentBranch() {
+    try {
+      const branch = execSync('git rev-parse --abbrev-ref HEAD', { encoding: 'utf-8', stdio: 'pipe' }).trim();
+      return branch && branch !== 'HEAD' ? branch : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
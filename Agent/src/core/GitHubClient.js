@@ -110,6 +110,56 @@ export class GitHubClient {
     }
   }
 
+  /**
+   * Get the body of an existing GitHub issue
+   *
+   * @param {number} issueNumber - Issue number
+   * @returns {Promise<string|null>} Issue body, or null on failure
+   */
+  async getIssueBody(issueNumber) {
+    if (!this.configured || !issueNumber) {
+      return null;
+    }
+
+    try {
+      const response = await this.octokit.issues.get({
+        owner: this.owner,
+        repo: this.repo,
+        issue_number: issueNumber
+      });
+      return response.data.body || '';
+    } catch (error) {
+      console.warn('⚠ Failed to get issue:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Replace the body of an existing GitHub issue
+   *
+   * @param {number} issueNumber - Issue number
+   * @param {string} body - New issue body (markdown supported)
+   * @returns {Promise<boolean>} True if updated, false on failure
+   */
+  async updateIssueBody(issueNumber, body) {
+    if (!this.configured || !issueNumber) {
+      return false;
+    }
+
+    try {
+      await this.octokit.issues.update({
+        owner: this.owner,
+        repo: this.repo,
+        issue_number: issueNumber,
+        body
+      });
+      return true;
+    } catch (error) {
+      console.warn('⚠ Failed to update issue body:', error.message);
+      return false;
+    }
+  }
+
   /**
    * Add a comment to an existing GitHub issue
    *
@@ -136,6 +186,51 @@ export class GitHubClient {
     }
   }
 
+  /**
+   * List issues (pull requests excluded), in the API's order
+   *
+   * @param {Object} filters - { labels: string[], milestone: title or number, state: 'open'|'closed'|'all' }
+   * @returns {Promise<Object[]|null>} Issues, or null on failure
+   */
+  async listIssues({ labels = [], milestone = null, state = 'open' } = {}) {
+    if (!this.configured) {
+      return null;
+    }
+
+    try {
+      let milestoneNumber;
+      if (milestone) {
+        const milestones = await this.octokit.paginate(this.octokit.issues.listMilestones, {
+          owner: this.owner,
+          repo: this.repo,
+          state: 'all',
+          per_page: 100
+        });
+        const match = milestones.find(m => m.title === milestone || String(m.number) === String(milestone));
+
+        if (!match) {
+          console.warn(`⚠ GitHub milestone not found: ${milestone}`);
+          return null;
+        }
+        milestoneNumber = match.number;
+      }
+
+      const issues = await this.octokit.paginate(this.octokit.issues.listForRepo, {
+        owner: this.owner,
+        repo: this.repo,
+        state,
+        per_page: 100,
+        ...(labels.length > 0 ? { labels: labels.join(',') } : {}),
+        ...(milestoneNumber ? { milestone: milestoneNumber } : {})
+      });
+
+      return issues.filter(issue => !issue.pull_request);
+    } catch (error) {
+      console.warn('⚠ Failed to list GitHub issues:', error.message);
+      return null;
+    }
+  }
+
   /**
    * Close a GitHub issue with optional comment
    *
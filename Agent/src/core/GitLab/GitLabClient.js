@@ -0,0 +1,316 @@
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * GitLabClient - Handles GitLab REST API interactions
+ *
+ * Single Responsibility: Communicate with the GitLab Issues and Merge Requests API (v4)
+ *
+ * Works against gitlab.com and self-hosted instances alike - every call goes
+ * to <baseUrl>/api/v4/projects/<url-encoded project path>. Issues are addressed
+ * by their project-scoped IID (the #12 shown in the UI), like GitHub issue
+ * numbers. Methods degrade gracefully (null/false) like GitHubClient.
+ */
+export class GitLabClient {
+  /**
+   * Initialize GitLab client
+   *
+   * @param {string|null} token - Personal, project or group access token
+   * @param {string|null} baseUrl - Instance web root, e.g. https://gitlab.example.com
+   * @param {string|null} projectPath - group/subgroup/project or numeric project ID
+   */
+  constructor(token, baseUrl, projectPath) {
+    if (!token || !baseUrl || !projectPath) {
+      this.configured = false;
+      this.token = null;
+      this.baseUrl = null;
+      this.projectPath = null;
+      return;
+    }
+
+    this.configured = true;
+    this.token = token;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.projectPath = String(projectPath);
+  }
+
+  /**
+   * Check if GitLab client is configured and ready
+   *
+   * @returns {boolean} True if configured, false otherwise
+   */
+  isConfigured() {
+    return this.configured;
+  }
+
+  /**
+   * Get the API URL of the project
+   *
+   * @returns {string} e.g. https://gitlab.example.com/api/v4/projects/group%2Fproject
+   */
+  getProjectApiUrl() {
+    return `${this.baseUrl}/api/v4/projects/${encodeURIComponent(this.projectPath)}`;
+  }
+
+  /**
+   * Get the web URL of an issue
+   *
+   * @param {number} issueIid - Issue IID
+   * @returns {string} Issue URL
+   */
+  getIssueUrl(issueIid) {
+    return `${this.baseUrl}/${this.projectPath}/-/issues/${issueIid}`;
+  }
+
+  /**
+   * Send a request to the project API
+   *
+   * @private
+   * @param {string} method - HTTP method
+   * @param {string} resource - Path below the project, e.g. /issues
+   * @param {Object|null} body - JSON body
+   * @returns {Promise<Object|null>} Parsed response (null for empty responses)
+   * @throws {Error} On non-2xx responses
+   */
+  async request(method, resource, body = null) {
+    const response = await fetch(`${this.getProjectApiUrl()}${resource}`, {
+      method,
+      headers: {
+        'PRIVATE-TOKEN': this.token,
+        'Content-Type': 'application/json'
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`GitLab API error: ${response.status} - ${errorText}`);
+    }
+
+    const text = await response.text();
+    return text ? JSON.parse(text) : null;
+  }
+
+  /**
+   * Create a new GitLab issue
+   *
+   * @param {string} title - Issue title
+   * @param {string} description - Issue description (markdown supported)
+   * @param {string[]} labels - Array of label names
+   * @returns {Promise<number|null>} Issue IID if created, null on failure
+   */
+  async createIssue(title, description, labels = []) {
+    if (!this.configured) {
+      return null;
+    }
+
+    try {
+      const issue = await this.request('POST', '/issues', {
+        title,
+        description,
+        labels: labels.join(',')
+      });
+      return issue.iid;
+    } catch (error) {
+      console.warn('⚠ Failed to create GitLab issue:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Replace issue labels
+   *
+   * @param {number} issueIid - Issue IID
+   * @param {string[]} labels - Array of label names
+   * @returns {Promise<boolean>} True if updated, false on failure
+   */
+  async updateIssueLabels(issueIid, labels) {
+    if (!this.configured) {
+      return false;
+    }
+
+    try {
+      await this.request('PUT', `/issues/${issueIid}`, { labels: labels.join(',') });
+      return true;
+    } catch (error) {
+      console.warn('⚠ Failed to update issue labels:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Get the description of an issue
+   *
+   * @param {number} issueIid - Issue IID
+   * @returns {Promise<string|null>} Issue description, or null on failure
+   */
+  async getIssueBody(issueIid) {
+    if (!this.configured) {
+      return null;
+    }
+
+    try {
+      const issue = await this.request('GET', `/issues/${issueIid}`);
+      return issue.description || '';
+    } catch (error) {
+      console.warn('⚠ Failed to get issue:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Replace the description of an issue
+   *
+   * @param {number} issueIid - Issue IID
+   * @param {string} description - New description
+   * @returns {Promise<boolean>} True if updated, false on failure
+   */
+  async updateIssueBody(issueIid, description) {
+    if (!this.configured) {
+      return false;
+    }
+
+    try {
+      await this.request('PUT', `/issues/${issueIid}`, { description });
+      return true;
+    } catch (error) {
+      console.warn('⚠ Failed to update issue body:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Add a comment (note) to an issue
+   *
+   * @param {number} issueIid - Issue IID
+   * @param {string} comment - Comment text
+   * @returns {Promise<boolean>} True if added, false on failure
+   */
+  async addIssueComment(issueIid, comment) {
+    if (!this.configured) {
+      return false;
+    }
+
+    try {
+      await this.request('POST', `/issues/${issueIid}/notes`, { body: comment });
+      return true;
+    } catch (error) {
+      console.warn('⚠ Failed to add issue comment:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Close an issue, optionally with a closing comment
+   *
+   * @param {number} issueIid - Issue IID
+   * @param {string|null} comment - Optional closing comment
+   * @returns {Promise<boolean>} True if closed, false on failure
+   */
+  async closeIssue(issueIid, comment = null) {
+    if (!this.configured) {
+      return false;
+    }
+
+    try {
+      if (comment) {
+        await this.request('POST', `/issues/${issueIid}/notes`, { body: comment });
+      }
+      await this.request('PUT', `/issues/${issueIid}`, { state_event: 'close' });
+      return true;
+    } catch (error) {
+      console.warn('⚠ Failed to close issue:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Create a merge request
+   *
+   * @param {Object} options - Merge request options
+   * @param {string} options.sourceBranch - Branch with the changes
+   * @param {string} options.targetBranch - Branch to merge into
+   * @param {string} options.title - Merge request title
+   * @param {string} options.description - Merge request description
+   * @returns {Promise<{iid: number, url: string}|null>} Merge request, or null on failure
+   */
+  async createMergeRequest({ sourceBranch, targetBranch, title, description = '' }) {
+    if (!this.configured) {
+      return null;
+    }
+
+    try {
+      const mergeRequest = await this.request('POST', '/merge_requests', {
+        source_branch: sourceBranch,
+        target_branch: targetBranch,
+        title,
+        description,
+        remove_source_branch: true
+      });
+      return { iid: mergeRequest.iid, url: mergeRequest.web_url };
+    } catch (error) {
+      console.warn('⚠ Failed to create GitLab merge request:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * List merge requests from a source branch, newest first
+   *
+   * @param {string} sourceBranch - Source branch
+   * @param {string} state - opened, closed, merged or all
+   * @returns {Promise<Array<{iid: number, state: string, url: string, title: string}>|null>} Merge requests, or null on failure
+   */
+  async findMergeRequests(sourceBranch, state = 'all') {
+    if (!this.configured) {
+      return null;
+    }
+
+    try {
+      const query = new URLSearchParams({ source_branch: sourceBranch, state, order_by: 'created_at', sort: 'desc' });
+      const mergeRequests = await this.request('GET', `/merge_requests?${query}`);
+      return mergeRequests.map(mergeRequest => ({
+        iid: mergeRequest.iid,
+        state: mergeRequest.state,
+        url: mergeRequest.web_url,
+        title: mergeRequest.title
+      }));
+    } catch (error) {
+      console.warn('⚠ Failed to list GitLab merge requests:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Merge a merge request
+   *
+   * @param {number} iid - Merge request IID
+   * @returns {Promise<boolean>} True if merged, false on failure
+   */
+  async acceptMergeRequest(iid) {
+    if (!this.configured) {
+      return false;
+    }
+
+    try {
+      await this.request('PUT', `/merge_requests/${iid}/merge`, {});
+      return true;
+    } catch (error) {
+      console.warn('⚠ Failed to merge GitLab merge request:', error.message);
+      return false;
+    }
+  }
+}
@@ -0,0 +1,212 @@
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { execSync } from 'child_process';
+import { PlatformDetector } from '../Platform/PlatformDetector.js';
+
+/**
+ * GitLabConfig - Manages GitLab integration configuration
+ *
+ * Single Responsibility: Load and validate GitLab settings
+ *
+ * Configuration sources (in order of priority):
+ * 1. Environment variables GITLAB_TOKEN, GITLAB_URL, GITLAB_PROJECT (highest)
+ * 2. .claude/settings.local.json (user-specific, gitignored)
+ * 3. .claude/settings.json (defaults)
+ * 4. Auto-detection from git remote (fallback for baseUrl/projectPath)
+ *
+ * baseUrl is the web root of the instance (https://gitlab.com, or
+ * https://git.example.com/gitlab for a self-hosted one under a path);
+ * projectPath is the full namespace path (group/subgroup/project) or
+ * the numeric project ID.
+ */
+export class GitLabConfig {
+  static DEFAULT_BASE_URL = 'https://gitlab.com';
+
+  /**
+   * Initialize configuration loader
+   *
+   * @param {string} projectRoot - Project root directory
+   */
+  constructor(projectRoot = process.cwd()) {
+    this.projectRoot = projectRoot;
+    this.config = this.loadConfig();
+  }
+
+  /**
+   * Load configuration from all sources
+   *
+   * @returns {Object} Merged configuration object
+   */
+  loadConfig() {
+    const config = {
+      enabled: true,
+      token: null,
+      baseUrl: null,
+      projectPath: null,
+      autoCreate: true,
+      autoUpdate: true,
+      autoClose: true
+    };
+
+    for (const file of ['settings.json', 'settings.local.json']) {
+      const settingsPath = path.join(this.projectRoot, '.claude', file);
+      if (fs.existsSync(settingsPath)) {
+        try {
+          const settings = JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
+          if (settings.gitlab) {
+            Object.assign(config, settings.gitlab);
+          }
+        } catch (error) {
+          console.warn(`⚠ Failed to load .claude/${file}:`, error.message);
+        }
+      }
+    }
+
+    // Override with environment variables (highest priority)
+    if (process.env.GITLAB_TOKEN) {
+      config.token = process.env.GITLAB_TOKEN;
+    }
+    if (process.env.GITLAB_URL) {
+      config.baseUrl = process.env.GITLAB_URL;
+    }
+    if (process.env.GITLAB_PROJECT) {
+      config.projectPath = process.env.GITLAB_PROJECT;
+    }
+    if (process.env.GITLAB_ENABLED !== undefined) {
+      config.enabled = process.env.GITLAB_ENABLED === 'true';
+    }
+
+    // Fill baseUrl/projectPath from the origin remote if it is a GitLab one
+    if (!config.baseUrl || !config.projectPath) {
+      try {
+        const remote = execSync('git remote get-url origin', {
+          cwd: this.projectRoot,
+          encoding: 'utf8',
+          stdio: 'pipe'
+        }).trim();
+
+        const isGitLab = new PlatformDetector(this.projectRoot).identifyRemote(remote) === 'gitlab';
+        const parsed = isGitLab ? GitLabConfig.parseRemote(remote, config.baseUrl) : null;
+        if (parsed) {
+          config.baseUrl = config.baseUrl || parsed.baseUrl;
+          config.projectPath = config.projectPath || parsed.projectPath;
+        }
+      } catch (error) {
+        // Git remote not configured or not a git repository
+      }
+    }
+
+    config.baseUrl = (config.baseUrl || GitLabConfig.DEFAULT_BASE_URL).replace(/\/+$/, '');
+
+    return config;
+  }
+
+  /**
+   * Parse a git remote into the instance web root and project path
+   *
+   * @param {string} url - Git remote URL (https, git@host:path or ssh://)
+   * @param {string|null} baseUrl - Configured web root; its path prefix is stripped from the project path
+   * @returns {{host: string, baseUrl: string, projectPath: string}|null}
+   */
+  static parseRemote(url, baseUrl = null) {
+    const remote = PlatformDetector.splitRemote(url, baseUrl);
+
+    if (!remote || !remote.path.includes('/')) {
+      return null;
+    }
+
+    return { host: remote.host, baseUrl: remote.baseUrl, projectPath: remote.path };
+  }
+
+  /**
+   * Get GitLab access token (personal, project or group token)
+   *
+   * @returns {string|null} Token or null if not configured
+   */
+  getToken() {
+    return this.config.token;
+  }
+
+  /**
+   * Get instance web root, e.g. https://gitlab.example.com
+   *
+   * @returns {string} Base URL without trailing slash
+   */
+  getBaseUrl() {
+    return this.config.baseUrl;
+  }
+
+  /**
+   * Get project path (group/subgroup/project) or numeric project ID
+   *
+   * @returns {string|null} Project path or null if unknown
+   */
+  getProjectPath() {
+    return this.config.projectPath !== null && this.config.projectPath !== undefined
+      ? String(this.config.projectPath)
+      : null;
+  }
+
+  /**
+   * Check if the API can be reached (token and project known)
+   *
+   * Merge requests only need this; issue sync also needs isEnabled().
+   *
+   * @returns {boolean} True if token and project are configured
+   */
+  hasCredentials() {
+    return Boolean(this.config.token) && this.getProjectPath() !== null;
+  }
+
+  /**
+   * Check if GitLab integration is fully enabled and configured
+   *
+   * @returns {boolean} True if ready to use, false otherwise
+   */
+  isEnabled() {
+    return this.config.enabled === true && this.hasCredentials();
+  }
+
+  /**
+   * Check if auto-create issues feature is enabled
+   *
+   * @returns {boolean} True if enabled, false otherwise
+   */
+  isAutoCreateEnabled() {
+    return this.isEnabled() && this.config.autoCreate;
+  }
+
+  /**
+   * Check if auto-update issues feature is enabled
+   *
+   * @returns {boolean} True if enabled, false otherwise
+   */
+  isAutoUpdateEnabled() {
+    return this.isEnabled() && this.config.autoUpdate;
+  }
+
+  /**
+   * Check if auto-close issues feature is enabled
+   *
+   * @returns {boolean} True if enabled, false otherwise
+   */
+  isAutoCloseEnabled() {
+    return this.isEnabled() && this.config.autoClose;
+  }
+}
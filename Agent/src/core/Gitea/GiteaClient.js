@@ -0,0 +1,356 @@
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * GiteaClient - Handles Gitea/Forgejo REST API interactions
+ *
+ * Single Responsibility: Communicate with the Gitea Issues and Pull Requests API (v1)
+ *
+ * Forgejo keeps the Gitea API, so one client serves both. Issues take
+ * label IDs, so label names are looked up - and created when missing -
+ * before they are set. Methods degrade gracefully (null/false) like GitHubClient.
+ */
+export class GiteaClient {
+  static PAGE_SIZE = 50;
+
+  static LABEL_COLOR = '#ededed';
+
+  /**
+   * Initialize Gitea client
+   *
+   * @param {string|null} token - Access token
+   * @param {string|null} baseUrl - Instance web root, e.g. https://git.example.com
+   * @param {string|null} owner - Repository owner (user or organization)
+   * @param {string|null} repo - Repository name
+   */
+  constructor(token, baseUrl, owner, repo) {
+    if (!token || !baseUrl || !owner || !repo) {
+      this.configured = false;
+      this.token = null;
+      this.baseUrl = null;
+      this.owner = null;
+      this.repo = null;
+      return;
+    }
+
+    this.configured = true;
+    this.token = token;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.owner = owner;
+    this.repo = repo;
+  }
+
+  /**
+   * Check if Gitea client is configured and ready
+   *
+   * @returns {boolean} True if configured, false otherwise
+   */
+  isConfigured() {
+    return this.configured;
+  }
+
+  /**
+   * Get the API URL of the repository
+   *
+   * @returns {string} e.g. https://git.example.com/api/v1/repos/owner/repo
+   */
+  getRepoApiUrl() {
+    return `${this.baseUrl}/api/v1/repos/${encodeURIComponent(this.owner)}/${encodeURIComponent(this.repo)}`;
+  }
+
+  /**
+   * Get the web URL of an issue
+   *
+   * @param {number} issueNumber - Issue number
+   * @returns {string} Issue URL
+   */
+  getIssueUrl(issueNumber) {
+    return `${this.baseUrl}/${this.owner}/${this.repo}/issues/${issueNumber}`;
+  }
+
+  /**
+   * Send a request to the repository API
+   *
+   * @private
+   * @param {string} method - HTTP method
+   * @param {string} resource - Path below the repository, e.g. /issues
+   * @param {Object|null} body - JSON body
+   * @returns {Promise<Object|null>} Parsed response (null for empty responses)
+   * @throws {Error} On non-2xx responses
+   */
+  async request(method, resource, body = null) {
+    const response = await fetch(`${this.getRepoApiUrl()}${resource}`, {
+      method,
+      headers: {
+        'Authorization': `token ${this.token}`,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Gitea API error: ${response.status} - ${errorText}`);
+    }
+
+    const text = await response.text();
+    return text ? JSON.parse(text) : null;
+  }
+
+  /**
+   * Look up label IDs by name, creating the labels that do not exist yet
+   *
+   * @private
+   * @param {string[]} names - Label names
+   * @returns {Promise<number[]>} Label IDs
+   */
+  async resolveLabelIds(names) {
+    if (names.length === 0) {
+      return [];
+    }
+
+    const existing = [];
+    for (let page = 1; ; page++) {
+      const labels = await this.request('GET', `/labels?page=${page}&limit=${GiteaClient.PAGE_SIZE}`);
+      existing.push(...labels);
+      if (labels.length < GiteaClient.PAGE_SIZE) {
+        break;
+      }
+    }
+
+    const ids = [];
+    for (const name of names) {
+      const label = existing.find(candidate => candidate.name === name)
+        || await this.request('POST', '/labels', { name, color: GiteaClient.LABEL_COLOR });
+      ids.push(label.id);
+    }
+
+    return ids;
+  }
+
+  /**
+   * Create a new Gitea issue
+   *
+   * @param {string} title - Issue title
+   * @param {string} body - Issue body (markdown supported)
+   * @param {string[]} labels - Array of label names
+   * @returns {Promise<number|null>} Issue number if created, null on failure
+   */
+  async createIssue(title, body, labels = []) {
+    if (!this.configured) {
+      return null;
+    }
+
+    try {
+      const issue = await this.request('POST', '/issues', {
+        title,
+        body,
+        labels: await this.resolveLabelIds(labels)
+      });
+      return issue.number;
+    } catch (error) {
+      console.warn('⚠ Failed to create Gitea issue:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Replace issue labels
+   *
+   * @param {number} issueNumber - Issue number
+   * @param {string[]} labels - Array of label names
+   * @returns {Promise<boolean>} True if updated, false on failure
+   */
+  async updateIssueLabels(issueNumber, labels) {
+    if (!this.configured) {
+      return false;
+    }
+
+    try {
+      await this.request('PUT', `/issues/${issueNumber}/labels`, { labels: await this.resolveLabelIds(labels) });
+      return true;
+    } catch (error) {
+      console.warn('⚠ Failed to update issue labels:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Get the body of an issue
+   *
+   * @param {number} issueNumber - Issue number
+   * @returns {Promise<string|null>} Issue body, or null on failure
+   */
+  async getIssueBody(issueNumber) {
+    if (!this.configured) {
+      return null;
+    }
+
+    try {
+      const issue = await this.request('GET', `/issues/${issueNumber}`);
+      return issue.body || '';
+    } catch (error) {
+      console.warn('⚠ Failed to get issue:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Replace the body of an issue
+   *
+   * @param {number} issueNumber - Issue number
+   * @param {string} body - New body
+   * @returns {Promise<boolean>} True if updated, false on failure
+   */
+  async updateIssueBody(issueNumber, body) {
+    if (!this.configured) {
+      return false;
+    }
+
+    try {
+      await this.request('PATCH', `/issues/${issueNumber}`, { body });
+      return true;
+    } catch (error) {
+      console.warn('⚠ Failed to update issue body:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Add a comment to an issue
+   *
+   * @param {number} issueNumber - Issue number
+   * @param {string} comment - Comment text
+   * @returns {Promise<boolean>} True if added, false on failure
+   */
+  async addIssueComment(issueNumber, comment) {
+    if (!this.configured) {
+      return false;
+    }
+
+    try {
+      await this.request('POST', `/issues/${issueNumber}/comments`, { body: comment });
+      return true;
+    } catch (error) {
+      console.warn('⚠ Failed to add issue comment:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Close an issue, optionally with a closing comment
+   *
+   * @param {number} issueNumber - Issue number
+   * @param {string|null} comment - Optional closing comment
+   * @returns {Promise<boolean>} True if closed, false on failure
+   */
+  async closeIssue(issueNumber, comment = null) {
+    if (!this.configured) {
+      return false;
+    }
+
+    try {
+      if (comment) {
+        await this.request('POST', `/issues/${issueNumber}/comments`, { body: comment });
+      }
+      await this.request('PATCH', `/issues/${issueNumber}`, { state: 'closed' });
+      return true;
+    } catch (error) {
+      console.warn('⚠ Failed to close issue:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Create a pull request
+   *
+   * @param {Object} options - Pull request options
+   * @param {string} options.sourceBranch - Branch with the changes
+   * @param {string} options.targetBranch - Branch to merge into
+   * @param {string} options.title - Pull request title
+   * @param {string} options.description - Pull request body
+   * @returns {Promise<{id: number, url: string}|null>} Pull request, or null on failure
+   */
+  async createPullRequest({ sourceBranch, targetBranch, title, description = '' }) {
+    if (!this.configured) {
+      return null;
+    }
+
+    try {
+      const pullRequest = await this.request('POST', '/pulls', {
+        head: sourceBranch,
+        base: targetBranch,
+        title,
+        body: description
+      });
+      return { id: pullRequest.number, url: pullRequest.html_url };
+    } catch (error) {
+      console.warn('⚠ Failed to create Gitea pull request:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * List pull requests from a source branch, most recently updated first
+   *
+   * The API cannot filter by head branch, so recent pull requests are
+   * scanned (one page of PAGE_SIZE).
+   *
+   * @param {string} sourceBranch - Source branch
+   * @returns {Promise<Array<{id: number, state: string, url: string, title: string}>|null>} state is open, merged or closed; null on failure
+   */
+  async findPullRequests(sourceBranch) {
+    if (!this.configured) {
+      return null;
+    }
+
+    try {
+      const pullRequests = await this.request('GET', `/pulls?state=all&sort=recentupdate&limit=${GiteaClient.PAGE_SIZE}`);
+      return pullRequests
+        .filter(pullRequest => pullRequest.head && pullRequest.head.ref === sourceBranch)
+        .map(pullRequest => ({
+          id: pullRequest.number,
+          state: pullRequest.merged ? 'merged' : pullRequest.state,
+          url: pullRequest.html_url,
+          title: pullRequest.title
+        }));
+    } catch (error) {
+      console.warn('⚠ Failed to list Gitea pull requests:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Merge a pull request with a merge commit
+   *
+   * @param {number} number - Pull request number
+   * @returns {Promise<boolean>} True if merged, false on failure
+   */
+  async mergePullRequest(number) {
+    if (!this.configured) {
+      return false;
+    }
+
+    try {
+      await this.request('POST', `/pulls/${number}/merge`, { Do: 'merge' });
+      return true;
+    } catch (error) {
+      console.warn('⚠ Failed to merge Gitea pull request:', error.message);
+      return false;
+    }
+  }
+}
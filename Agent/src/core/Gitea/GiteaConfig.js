@@ -0,0 +1,193 @@
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { execSync } from 'child_process';
+import { PlatformDetector } from '../Platform/PlatformDetector.js';
+
+/**
+ * GiteaConfig - Manages Gitea/Forgejo integration configuration
+ *
+ * Single Responsibility: Load and validate Gitea settings
+ *
+ * Configuration sources (in order of priority):
+ * 1. Environment variables GITEA_TOKEN, GITEA_URL (highest)
+ * 2. .claude/settings.local.json (user-specific, gitignored)
+ * 3. .claude/settings.json (defaults)
+ * 4. Auto-detection from git remote (fallback for owner/repo)
+ *
+ * Gitea and Forgejo are always self-hosted, so the remote is only
+ * recognised once baseUrl names the instance (see PlatformDetector).
+ */
+export class GiteaConfig {
+  /**
+   * Initialize configuration loader
+   *
+   * @param {string} projectRoot - Project root directory
+   */
+  constructor(projectRoot = process.cwd()) {
+    this.projectRoot = projectRoot;
+    this.config = this.loadConfig();
+  }
+
+  /**
+   * Load configuration from all sources
+   *
+   * @returns {Object} Merged configuration object
+   */
+  loadConfig() {
+    const config = {
+      enabled: true,
+      token: null,
+      baseUrl: null,
+      owner: null,
+      repo: null,
+      autoCreate: true,
+      autoUpdate: true,
+      autoClose: true
+    };
+
+    for (const file of ['settings.json', 'settings.local.json']) {
+      const settingsPath = path.join(this.projectRoot, '.claude', file);
+      if (fs.existsSync(settingsPath)) {
+        try {
+          const settings = JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
+          if (settings.gitea) {
+            Object.assign(config, settings.gitea);
+          }
+        } catch (error) {
+          console.warn(`⚠ Failed to load .claude/${file}:`, error.message);
+        }
+      }
+    }
+
+    // Override with environment variables (highest priority)
+    if (process.env.GITEA_TOKEN) {
+      config.token = process.env.GITEA_TOKEN;
+    }
+    if (process.env.GITEA_URL) {
+      config.baseUrl = process.env.GITEA_URL;
+    }
+    if (process.env.GITEA_ENABLED !== undefined) {
+      config.enabled = process.env.GITEA_ENABLED === 'true';
+    }
+
+    // Fill owner/repo from the origin remote if it is on the instance
+    if (config.baseUrl && (!config.owner || !config.repo)) {
+      try {
+        const remote = execSync('git remote get-url origin', {
+          cwd: this.projectRoot,
+          encoding: 'utf8',
+          stdio: 'pipe'
+        }).trim();
+
+        const isGitea = new PlatformDetector(this.projectRoot).identifyRemote(remote) === 'gitea';
+        const parsed = isGitea ? PlatformDetector.splitRemote(remote, config.baseUrl) : null;
+        const match = parsed && parsed.path.match(/^([^/]+)\/([^/]+)$/);
+        if (match) {
+          config.owner = config.owner || match[1];
+          config.repo = config.repo || match[2];
+        }
+      } catch (error) {
+        // Git remote not configured or not a git repository
+      }
+    }
+
+    if (config.baseUrl) {
+      config.baseUrl = config.baseUrl.replace(/\/+$/, '');
+    }
+
+    return config;
+  }
+
+  /**
+   * Get Gitea access token
+   *
+   * @returns {string|null} Token or null if not configured
+   */
+  getToken() {
+    return this.config.token;
+  }
+
+  /**
+   * Get instance web root, e.g. https://git.example.com
+   *
+   * @returns {string|null} Base URL without trailing slash
+   */
+  getBaseUrl() {
+    return this.config.baseUrl;
+  }
+
+  /**
+   * Get repository owner and name
+   *
+   * @returns {Object} { owner: string|null, repo: string|null }
+   */
+  getRepoInfo() {
+    return {
+      owner: this.config.owner,
+      repo: this.config.repo
+    };
+  }
+
+  /**
+   * Check if the API can be reached (token, instance and repository known)
+   *
+   * Pull requests only need this; issue sync also needs isEnabled().
+   *
+   * @returns {boolean} True if token, baseUrl, owner and repo are configured
+   */
+  hasCredentials() {
+    return Boolean(this.config.token && this.config.baseUrl && this.config.owner && this.config.repo);
+  }
+
+  /**
+   * Check if Gitea integration is fully enabled and configured
+   *
+   * @returns {boolean} True if ready to use, false otherwise
+   */
+  isEnabled() {
+    return this.config.enabled === true && this.hasCredentials();
+  }
+
+  /**
+   * Check if auto-create issues feature is enabled
+   *
+   * @returns {boolean} True if enabled, false otherwise
+   */
+  isAutoCreateEnabled() {
+    return this.isEnabled() && this.config.autoCreate;
+  }
+
+  /**
+   * Check if auto-update issues feature is enabled
+   *
+   * @returns {boolean} True if enabled, false otherwise
+   */
+  isAutoUpdateEnabled() {
+    return this.isEnabled() && this.config.autoUpdate;
+  }
+
+  /**
+   * Check if auto-close issues feature is enabled
+   *
+   * @returns {boolean} True if enabled, false otherwise
+   */
+  isAutoCloseEnabled() {
+    return this.isEnabled() && this.config.autoClose;
+  }
+}
@@ -0,0 +1,136 @@
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ProjectGitignore } from '../ProjectGitignore.js';
+import { TrackerRepository } from '../TrackerRepository.js';
+
+const FRAMEWORK_HOOKS = 'node_modules/@agentic15.com/agentic15-claude-zen/framework/hooks/';
+
+/**
+ * MigrationRegistry - Ordered migrations of the .claude/ project state
+ *
+ * Single Responsibility: Define how each state version is reached from the previous one
+ *
+ * Every migration has a target `version`, an `id`, a `description` and an
+ * `up(claudeDir)` function that changes files under .claude/ in place. Steps
+ * must tolerate state they have already been applied to, because projects
+ * created before the state version was recorded are migrated from a guessed
+ * version (see MigrationRunner.detectVersion).
+ *
+ * Steps that add .gitignore entries change the project root next to
+ * .claude/; those additions are kept when a later step rolls back.
+ *
+ * To change the on-disk layout, append a migration with the next version;
+ * never edit or reorder released ones.
+ */
+export class MigrationRegistry {
+  /**
+   * All migrations in version order
+   *
+   * @returns {Array<{version: number, id: string, description: string, up: Function}>}
+   */
+  static all() {
+    return [
+      {
+        version: 1,
+        id: 'framework-in-node-modules',
+        description: 'Remove framework files copied into .claude/ (v4) and point hooks at node_modules',
+        up: (claudeDir) => this.moveFrameworkToNodeModules(claudeDir)
+      },
+      {
+        version: 2,
+        id: 'tracker-lanes-and-statistics',
+        description: 'Add worktree lanes and paused/blocked statistics to every TASK-TRACKER.json',
+        up: (claudeDir) => this.normalizeTrackers(claudeDir)
+      },
+      {
+        version: 3,
+        id: 'ignore-event-log',
+        description: 'Add the plans\' events.jsonl to .gitignore so commits stop picking it up',
+        up: (claudeDir) => this.ignore(claudeDir, [ProjectGitignore.EVENT_LOG])
+      },
+      {
+        version: 4,
+        id: 'ignore-remote-outbox',
+        description: 'Add remote-outbox.json to .gitignore so queued remote updates stay on this machine',
+        up: (claudeDir) => this.ignore(claudeDir, [ProjectGitignore.REMOTE_OUTBOX])
+      },
+      {
+        version: 5,
+        id: 'ignore-tracker-lock',
+        description: 'Add the task tracker lock and temporary files to .gitignore so commits never pick them up',
+        up: (claudeDir) => this.ignore(claudeDir, [ProjectGitignore.TRACKER_LOCK, ProjectGitignore.TRACKER_TEMP])
+      }
+    ];
+  }
+
+  /**
+   * v4 → v5 layout (see MIGRATION-GUIDE-v4-to-v5.md)
+   *
+   * @private
+   */
+  static moveFrameworkToNodeModules(claudeDir) {
+    fs.rmSync(path.join(claudeDir, 'hooks'), { recursive: true, force: true });
+    fs.rmSync(path.join(claudeDir, 'PLAN-SCHEMA.json'), { force: true });
+    fs.rmSync(path.join(claudeDir, 'PROJECT-PLAN-TEMPLATE.json'), { force: true });
+
+    const settingsPath = path.join(claudeDir, 'settings.json');
+    if (!fs.existsSync(settingsPath)) {
+      return;
+    }
+
+    const settings = fs.readFileSync(settingsPath, 'utf8');
+    const updated = settings.replace(/(?:\.\/)?\.claude\/hooks\//g, FRAMEWORK_HOOKS);
+
+    if (updated !== settings) {
+      JSON.parse(updated);
+      fs.writeFileSync(settingsPath, updated);
+    }
+  }
+
+  /**
+   * Trackers written before parallel lanes, pause and block
+   *
+   * TrackerRepository upgrades them on read and recomputes statistics on write.
+   *
+   * @private
+   */
+  static normalizeTrackers(claudeDir) {
+    const plansDir = path.join(claudeDir, 'plans');
+    if (!fs.existsSync(plansDir)) {
+      return;
+    }
+
+    fs.readdirSync(plansDir).forEach(planId => {
+      const repository = new TrackerRepository(path.join(plansDir, planId));
+
+      if (repository.exists()) {
+        repository.update(() => {});
+      }
+    });
+  }
+
+  /**
+   * Files written next to tracked state that must not be committed
+   *
+   * @private
+   */
+  static ignore(claudeDir, entries) {
+    new ProjectGitignore(path.dirname(claudeDir)).ensure(entries);
+  }
+}
@@ -0,0 +1,223 @@
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { MigrationRegistry } from './MigrationRegistry.js';
+import { ProjectGitignore } from '../ProjectGitignore.js';
+
+/**
+ * MigrationRunner - Bring a project's .claude/ state up to the current layout
+ *
+ * Single Responsibility: Detect the state version and apply pending migrations safely
+ *
+ * The state version lives in .claude/STATE-VERSION.json:
+ *
+ *   { version, migratedAt, history: [{ id, version, appliedAt }] }
+ *
+ * Projects without that file are dated by their layout: framework files
+ * inside .claude/ mean v4 (version 0), anything else version 1.
+ *
+ * Before migrating, .claude/ is copied to .claude/backups/migrate-<timestamp>/
+ * (and .claude/backups/ is added to the project's .gitignore, so the copy
+ * never reaches a commit). If any step throws, .claude/ is restored from that
+ * copy and the error is rethrown with `rolledBack` set.
+ */
+export class MigrationRunner {
+  static STATE_FILE = 'STATE-VERSION.json';
+
+  static BACKUPS_DIR = 'backups';
+
+  /**
+   * @param {string} projectRoot - Project root (where .claude/ lives)
+   * @param {Array<Object>} [migrations] - Migrations in version order
+   */
+  constructor(projectRoot = process.cwd(), migrations = MigrationRegistry.all()) {
+    this.projectRoot = projectRoot;
+    this.claudeDir = path.join(projectRoot, '.claude');
+    this.migrations = migrations;
+  }
+
+  /**
+   * Version the newest migration produces
+   *
+   * @returns {number}
+   */
+  latestVersion() {
+    return this.migrations.reduce((latest, migration) => Math.max(latest, migration.version), 0);
+  }
+
+  /**
+   * Recorded state, or null for projects that never recorded one
+   *
+   * @returns {Object|null}
+   */
+  readState() {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.claudeDir, this.constructor.STATE_FILE), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Current state version of the project
+   *
+   * @returns {number}
+   */
+  currentVersion() {
+    const state = this.readState();
+    return state && typeof state.version === 'number' ? state.version : this.detectVersion();
+  }
+
+  /**
+   * Date a project that has no recorded state version by its layout
+   *
+   * @private
+   * @returns {number}
+   */
+  detectVersion() {
+    const hasV4Files = ['hooks', 'PLAN-SCHEMA.json', 'PROJECT-PLAN-TEMPLATE.json']
+      .some(entry => fs.existsSync(path.join(this.claudeDir, entry)));
+
+    let settings = '';
+    try {
+      settings = fs.readFileSync(path.join(this.claudeDir, 'settings.json'), 'utf8');
+    } catch (error) {
+      // No settings yet
+    }
+
+    return hasV4Files || settings.includes('.claude/hooks/') ? 0 : 1;
+  }
+
+  /**
+   * Migrations not yet applied, in order
+   *
+   * @returns {Array<Object>}
+   */
+  pending() {
+    const current = this.currentVersion();
+    return this.migrations
+      .filter(migration => migration.version > current)
+      .sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Whether the project has a .claude/ directory that needs migrating
+   *
+   * @returns {boolean}
+   */
+  isOutdated() {
+    return fs.existsSync(this.claudeDir) && this.pending().length > 0;
+  }
+
+  /**
+   * Apply all pending migrations
+   *
+   * @param {Function} [onStep] - Called with each migration before it runs
+   * @returns {Object} { from, to, applied: [ids], backupPath }
+   */
+  run(onStep = () => {}) {
+    const from = this.currentVersion();
+    const pending = this.pending();
+
+    if (pending.length === 0) {
+      return { from, to: from, applied: [], backupPath: null };
+    }
+
+    const backupPath = this.backup();
+    const state = this.readState() || { version: from, history: [] };
+
+    try {
+      pending.forEach(migration => {
+        onStep(migration);
+        migration.up(this.claudeDir);
+
+        state.version = migration.version;
+        state.history = [...(state.history || []), {
+          id: migration.id,
+          version: migration.version,
+          appliedAt: new Date().toISOString()
+        }];
+      });
+    } catch (error) {
+      this.restore(backupPath);
+      error.rolledBack = true;
+      error.backupPath = backupPath;
+      throw error;
+    }
+
+    state.migratedAt = new Date().toISOString();
+    this.writeState(state);
+
+    return { from, to: state.version, applied: pending.map(m => m.id), backupPath };
+  }
+
+  /**
+   * Record the latest version (for new projects, which need no migration)
+   */
+  markCurrent() {
+    this.writeState({ version: this.latestVersion(), migratedAt: new Date().toISOString(), history: [] });
+  }
+
+  /**
+   * @private
+   */
+  writeState(state) {
+    fs.writeFileSync(path.join(this.claudeDir, this.constructor.STATE_FILE), JSON.stringify(state, null, 2) + '\n');
+  }
+
+  /**
+   * Copy .claude/ (without earlier backups) to a timestamped backup directory
+   *
+   * @private
+   * @returns {string} Backup path
+   */
+  backup() {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupPath = path.join(this.claudeDir, this.constructor.BACKUPS_DIR, `migrate-${stamp}`);
+
+    new ProjectGitignore(this.projectRoot).ensure([ProjectGitignore.BACKUPS]);
+    fs.mkdirSync(backupPath, { recursive: true });
+    this.stateEntries().forEach(entry => {
+      fs.cpSync(path.join(this.claudeDir, entry), path.join(backupPath, entry), { recursive: true });
+    });
+
+    return backupPath;
+  }
+
+  /**
+   * Put .claude/ back the way backup() found it
+   *
+   * @private
+   */
+  restore(backupPath) {
+    this.stateEntries().forEach(entry => {
+      fs.rmSync(path.join(this.claudeDir, entry), { recursive: true, force: true });
+    });
+
+    fs.readdirSync(backupPath).forEach(entry => {
+      fs.cpSync(path.join(backupPath, entry), path.join(this.claudeDir, entry), { recursive: true });
+    });
+  }
+
+  /**
+   * @private
+   */
+  stateEntries() {
+    return fs.readdirSync(this.claudeDir).filter(entry => entry !== this.constructor.BACKUPS_DIR);
+  }
+}
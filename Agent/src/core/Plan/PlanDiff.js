@@ -0,0 +1,206 @@
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * PlanDiff - Structural diff between two versions of a plan
+ *
+ * Single Responsibility: Compare task lists and report what changed
+ *
+ * Both sides are lists of { task, subproject, milestone } entries as produced
+ * by PlanHierarchy.flatten(). Tasks are matched by ID. Fields written while
+ * the plan is being worked on (status, timestamps, issue links) are not part
+ * of the plan's scope and are ignored.
+ */
+export class PlanDiff {
+  /**
+   * Task fields maintained by the workflow rather than by the plan author
+   */
+  static RUNTIME_FIELDS = [
+    'status',
+    'startedAt',
+    'completedAt',
+    'githubIssue',
+    'azureWorkItem'
+  ];
+
+  /**
+   * Rebuild the locked version of a plan from its tracker and task files
+   *
+   * @param {Object} tracker - Parsed TASK-TRACKER.json
+   * @param {string} tasksDir - Path to the plan's tasks/ directory
+   * @returns {Array<Object>} Entries of { task, subproject, milestone }
+   */
+  static entriesFromTracker(tracker, tasksDir) {
+    return tracker.taskFiles.map(entry => {
+      let task;
+      try {
+        task = JSON.parse(fs.readFileSync(path.join(tasksDir, `${entry.id}.json`), 'utf8'));
+      } catch (error) {
+        task = { id: entry.id, title: entry.title, phase: entry.phase, description: entry.description };
+      }
+
+      if (!Array.isArray(task.dependencies) && Array.isArray(entry.dependencies)) {
+        task.dependencies = entry.dependencies;
+      }
+
+      return {
+        task,
+        subproject: entry.subprojectId ? { id: entry.subprojectId, name: null } : null,
+        milestone: entry.milestoneId ? { id: entry.milestoneId, name: entry.milestoneName || null } : null
+      };
+    });
+  }
+
+  /**
+   * Compare two versions of a plan
+   *
+   * @param {Array<Object>} before - Entries of the locked plan
+   * @param {Array<Object>} after - Entries of the amended plan
+   * @returns {Object} { added, removed, changed, dependencies, unchanged }
+   *   - added/removed: task objects
+   *   - changed: [{ id, fields }] where fields lists changed field names
+   *   - dependencies: [{ id, before, after }] for tasks whose dependencies changed
+   *   - unchanged: task IDs with no scope change
+   */
+  static compare(before, after) {
+    const beforeById = new Map(before.map(entry => [entry.task.id, entry]));
+    const afterById = new Map(after.map(entry => [entry.task.id, entry]));
+
+    const diff = { added: [], removed: [], changed: [], dependencies: [], unchanged: [] };
+
+    after.forEach(entry => {
+      const previous = beforeById.get(entry.task.id);
+
+      if (!previous) {
+        diff.added.push(entry.task);
+        return;
+      }
+
+      const fields = this.changedFields(previous, entry);
+      const dependenciesBefore = this.normalizeDependencies(previous.task.dependencies);
+      const dependenciesAfter = this.normalizeDependencies(entry.task.dependencies);
+      const dependenciesChanged = dependenciesBefore.join(',') !== dependenciesAfter.join(',');
+
+      if (fields.length > 0) {
+        diff.changed.push({ id: entry.task.id, fields });
+      }
+
+      if (dependenciesChanged) {
+        diff.dependencies.push({ id: entry.task.id, before: dependenciesBefore, after: dependenciesAfter });
+      }
+
+      if (fields.length === 0 && !dependenciesChanged) {
+        diff.unchanged.push(entry.task.id);
+      }
+    });
+
+    before.forEach(entry => {
+      if (!afterById.has(entry.task.id)) {
+        diff.removed.push(entry.task);
+      }
+    });
+
+    return diff;
+  }
+
+  /**
+   * Whether a diff contains no changes
+   *
+   * @param {Object} diff - Result of compare()
+   * @returns {boolean}
+   */
+  static isEmpty(diff) {
+    return diff.added.length === 0 &&
+      diff.removed.length === 0 &&
+      diff.changed.length === 0 &&
+      diff.dependencies.length === 0;
+  }
+
+  /**
+   * List the scope fields that differ between two entries
+   *
+   * Moving a task to another milestone or subproject counts as a change
+   * to 'milestone' / 'subproject'. Dependencies are reported separately.
+   *
+   * @private
+   * @param {Object} previous - Entry from the locked plan
+   * @param {Object} current - Entry from the amended plan
+   * @returns {Array<string>} Changed field names, sorted
+   */
+  static changedFields(previous, current) {
+    const ignored = new Set([...this.RUNTIME_FIELDS, 'id', 'dependencies']);
+    const keys = new Set([...Object.keys(previous.task), ...Object.keys(current.task)]);
+    const fields = [];
+
+    keys.forEach(key => {
+      if (ignored.has(key)) {
+        return;
+      }
+
+      if (this.stableStringify(previous.task[key]) !== this.stableStringify(current.task[key])) {
+        fields.push(key);
+      }
+    });
+
+    if ((previous.milestone?.id || null) !== (current.milestone?.id || null)) {
+      fields.push('milestone');
+    }
+
+    if ((previous.subproject?.id || null) !== (current.subproject?.id || null)) {
+      fields.push('subproject');
+    }
+
+    return fields.sort();
+  }
+
+  /**
+   * Sorted, de-duplicated dependency list
+   *
+   * @private
+   * @param {Array<string>|undefined} dependencies - Dependency IDs
+   * @returns {Array<string>}
+   */
+  static normalizeDependencies(dependencies) {
+    return Array.isArray(dependencies) ? [...new Set(dependencies)].sort() : [];
+  }
+
+  /**
+   * JSON serialization with sorted object keys, so key order is not a change
+   *
+   * @private
+   * @param {*} value - Value to serialize
+   * @returns {string}
+   */
+  static stableStringify(value) {
+    if (value === undefined) {
+      return 'undefined';
+    }
+
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.stableStringify(item)).join(',')}]`;
+    }
+
+    if (value && typeof value === 'object') {
+      const keys = Object.keys(value).sort();
+      return `{${keys.map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`).join(',')}}`;
+    }
+
+    return JSON.stringify(value);
+  }
+}
@@ -0,0 +1,508 @@
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { PlanHierarchy } from './PlanHierarchy.js';
+
+const HOUR = 1000 * 60 * 60;
+
+/**
+ * PlanExporter - Render a plan as Markdown, Mermaid, HTML or JSON
+ *
+ * Single Responsibility: Turn a plan and its progress into shareable documents
+ *
+ * build() merges PROJECT-PLAN.json (hierarchy, estimates, dependencies) with
+ * the tracker (statuses), the task files (issue / work item numbers) and the
+ * event log (PR URLs of completed tasks). The renderers only read that model.
+ *
+ * The Gantt chart is a schedule derived from estimates: each task starts
+ * when its last dependency ends, tasks without dependencies start at the
+ * plan start, and HOURS_PER_DAY estimated hours fill one calendar day.
+ * Tasks without an estimate are drawn with DEFAULT_HOURS.
+ */
+export class PlanExporter {
+  static FORMATS = ['md', 'mermaid', 'html', 'json'];
+
+  static DIAGRAMS = ['graph', 'gantt'];
+
+  static HOURS_PER_DAY = 8;
+
+  static DEFAULT_HOURS = 4;
+
+  static STATUS_LABELS = {
+    pending: '⬜ Pending',
+    in_progress: '🔄 In progress',
+    paused: '⏸️ Paused',
+    blocked: '🚫 Blocked',
+    completed: '✅ Completed'
+  };
+
+  /**
+   * Build the export model
+   *
+   * @param {Object} plan - Parsed PROJECT-PLAN.json
+   * @param {Object} options
+   * @param {Object} [options.tracker] - Parsed TASK-TRACKER.json (null while the plan is unlocked)
+   * @param {string} [options.tasksDir] - Path to the plan's tasks/ directory
+   * @param {Array<Object>} [options.events] - Event log entries (for PR URLs)
+   * @param {Object} [options.links] - { github: { owner, repo }, azure: { organization, project } }
+   * @param {Date} [options.now] - Generation time and schedule start for unlocked plans
+   * @returns {Object} { planId, project, generatedAt, startDate, subprojects, tasks, totals }
+   */
+  static build(plan, { tracker = null, tasksDir = null, events = [], links = {}, now = new Date() } = {}) {
+    const trackerById = new Map((tracker ? tracker.taskFiles : []).map(entry => [entry.id, entry]));
+    const prUrls = new Map();
+    events
+      .filter(event => event.type === 'task.completed' && event.taskId && event.prUrl)
+      .forEach(event => prUrls.set(event.taskId, event.prUrl));
+
+    const tasks = PlanHierarchy.flatten(plan).map(({ task, subproject, milestone }) => {
+      const entry = trackerById.get(task.id) || {};
+      const taskFile = tasksDir ? this.readTask(tasksDir, task.id) : {};
+      const githubIssue = taskFile.githubIssue || task.githubIssue || null;
+      const azureWorkItem = taskFile.azureWorkItem || task.azureWorkItem || null;
+
+      return {
+        id: task.id,
+        title: task.title,
+        description: task.description || '',
+        phase: task.phase || 'implementation',
+        status: entry.status || task.status || 'pending',
+        estimatedHours: typeof task.estimatedHours === 'number' ? task.estimatedHours : null,
+        dependencies: Array.isArray(task.dependencies) ? task.dependencies : [],
+        subprojectId: subproject ? subproject.id : null,
+        milestoneId: milestone ? milestone.id : null,
+        startedAt: entry.startedAt || null,
+        completedAt: entry.completedAt || null,
+        githubIssue,
+        issueUrl: githubIssue && links.github ? `https://github.com/${links.github.owner}/${links.github.repo}/issues/${githubIssue}` : null,
+        azureWorkItem,
+        workItemUrl: azureWorkItem && links.azure ? `https://dev.azure.com/${links.azure.organization}/${links.azure.project}/_workitems/edit/${azureWorkItem}` : null,
+        prUrl: prUrls.get(task.id) || null
+      };
+    });
+
+    const schedule = this.schedule(tasks);
+    tasks.forEach(task => Object.assign(task, schedule.get(task.id)));
+
+    const byGroup = (key, id) => tasks.filter(task => task[key] === id);
+    const project = plan.project || {};
+    const subprojects = (project.subprojects || []).map(subproject => ({
+      id: subproject.id,
+      name: subproject.name,
+      milestones: (subproject.milestones || []).map(milestone => ({
+        id: milestone.id,
+        name: milestone.name,
+        tasks: byGroup('milestoneId', milestone.id).filter(task => task.subprojectId === subproject.id)
+      }))
+    }));
+
+    return {
+      planId: tracker ? tracker.planId : null,
+      project: { id: project.id || null, name: project.name || 'Project plan', description: project.description || '' },
+      generatedAt: now.toISOString(),
+      startDate: (tracker && tracker.lockedAt) || now.toISOString(),
+      subprojects,
+      tasks,
+      totals: this.summarize(tasks)
+    };
+  }
+
+  /**
+   * Earliest start and finish of every task, in hours from the plan start
+   *
+   * @param {Array<Object>} tasks - { id, estimatedHours, dependencies } in plan order
+   * @returns {Map<string, {startHour: number, endHour: number, scheduledHours: number}>}
+   */
+  static schedule(tasks) {
+    const byId = new Map(tasks.map(task => [task.id, task]));
+    const result = new Map();
+    const visiting = new Set();
+
+    const visit = (id) => {
+      if (result.has(id)) {
+        return result.get(id).endHour;
+      }
+      // Dependency cycles are rejected when locking; never recurse forever on a hand-edited plan
+      if (visiting.has(id) || !byId.has(id)) {
+        return 0;
+      }
+
+      visiting.add(id);
+      const task = byId.get(id);
+      const startHour = Math.max(0, ...task.dependencies.map(visit));
+      const scheduledHours = task.estimatedHours || this.DEFAULT_HOURS;
+      visiting.delete(id);
+
+      result.set(id, { startHour, endHour: startHour + scheduledHours, scheduledHours });
+      return startHour + scheduledHours;
+    };
+
+    tasks.forEach(task => visit(task.id));
+    return result;
+  }
+
+  /**
+   * @private
+   */
+  static summarize(tasks) {
+    const count = (status) => tasks.filter(task => task.status === status).length;
+    const completed = count('completed');
+
+    return {
+      tasks: tasks.length,
+      completed,
+      inProgress: count('in_progress'),
+      paused: count('paused'),
+      blocked: count('blocked'),
+      pending: count('pending'),
+      percentComplete: tasks.length > 0 ? Math.round((completed / tasks.length) * 100) : 0,
+      estimatedHours: tasks.reduce((sum, task) => sum + (task.estimatedHours || 0), 0),
+      scheduledHours: Math.max(0, ...tasks.map(task => task.endHour || 0))
+    };
+  }
+
+  /**
+   * Render the model in a format
+   *
+   * @param {Object} model - From build()
+   * @param {string} format - md, mermaid, html or json
+   * @param {Object} [options] - { diagram: 'graph'|'gantt' } for mermaid
+   * @returns {string} Document
+   */
+  static render(model, format, { diagram = 'graph' } = {}) {
+    switch (format) {
+      case 'md':
+        return this.toMarkdown(model);
+      case 'mermaid':
+        return (diagram === 'gantt' ? this.toMermaidGantt(model) : this.toMermaidGraph(model)) + '\n';
+      case 'html':
+        return this.toHtml(model);
+      case 'json':
+        return JSON.stringify(model, null, 2) + '\n';
+      default:
+        throw new Error(`Unknown export format: ${format} (use ${this.FORMATS.join(', ')})`);
+    }
+  }
+
+  /**
+   * Mermaid flowchart: one subgraph per milestone, an edge per dependency
+   *
+   * @param {Object} model - From build()
+   * @returns {string} Mermaid source
+   */
+  static toMermaidGraph(model) {
+    const node = (id) => id.replace(/[^A-Za-z0-9_]/g, '_');
+    const lines = ['flowchart LR'];
+
+    model.subprojects.forEach(subproject => subproject.milestones.forEach(milestone => {
+      lines.push(`  subgraph ${node(milestone.id)}["${this.mermaidText(milestone.name)}"]`);
+      milestone.tasks.forEach(task => {
+        lines.push(`    ${node(task.id)}["${task.id}: ${this.mermaidText(task.title)}"]:::${task.status}`);
+      });
+      lines.push('  end');
+    }));
+
+    const known = new Set(model.tasks.map(task => task.id));
+    model.tasks.forEach(task => task.dependencies
+      .filter(dependency => known.has(dependency))
+      .forEach(dependency => lines.push(`  ${node(dependency)} --> ${node(task.id)}`)));
+
+    lines.push(
+      '  classDef pending fill:#f6f8fa,stroke:#8c959f',
+      '  classDef in_progress fill:#ddf4ff,stroke:#0969da',
+      '  classDef paused fill:#fff8c5,stroke:#9a6700',
+      '  classDef blocked fill:#ffebe9,stroke:#cf222e',
+      '  classDef completed fill:#dafbe1,stroke:#1a7f37'
+    );
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Mermaid Gantt chart from the estimate-based schedule, a section per milestone
+   *
+   * @param {Object} model - From build()
+   * @returns {string} Mermaid source
+   */
+  static toMermaidGantt(model) {
+    const start = new Date(model.startDate);
+    start.setUTCHours(0, 0, 0, 0);
+    const toCalendarHours = (hours) => (hours / this.HOURS_PER_DAY) * 24;
+    const lines = [
+      'gantt',
+      `  title ${this.mermaidText(model.project.name).replace(/"/g, '')}`,
+      '  dateFormat YYYY-MM-DD HH:mm',
+      '  axisFormat %m-%d'
+    ];
+
+    model.subprojects.forEach(subproject => subproject.milestones.forEach(milestone => {
+      if (milestone.tasks.length === 0) {
+        return;
+      }
+
+      lines.push(`  section ${this.ganttText(milestone.name)}`);
+      milestone.tasks.forEach(task => {
+        const tag = { completed: 'done, ', in_progress: 'active, ', blocked: 'crit, ' }[task.status] || '';
+        const taskStart = new Date(start.getTime() + toCalendarHours(task.startHour) * HOUR);
+        const duration = Math.max(1, Math.round(toCalendarHours(task.scheduledHours)));
+        lines.push(`  ${task.id} ${this.ganttText(task.title)} :${tag}${this.formatDateTime(taskStart)}, ${duration}h`);
+      });
+    }));
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Markdown report with a progress summary, task tables and both diagrams
+   *
+   * @param {Object} model - From build()
+   * @returns {string} Markdown
+   */
+  static toMarkdown(model) {
+    const totals = model.totals;
+    const lines = [
+      `# ${model.project.name}`,
+      ''
+    ];
+
+    if (model.project.description) {
+      lines.push(model.project.description, '');
+    }
+
+    lines.push(
+      `**Progress:** ${totals.completed}/${totals.tasks} tasks completed (${totals.percentComplete}%)` +
+        ` · ${totals.inProgress} in progress · ${totals.pending} pending` +
+        (totals.blocked > 0 ? ` · ${totals.blocked} blocked` : '') +
+        (totals.paused > 0 ? ` · ${totals.paused} paused` : ''),
+      '',
+      `**Estimated:** ${this.formatHours(totals.estimatedHours)} · **Critical path:** ${this.formatHours(totals.scheduledHours)}`,
+      ''
+    );
+
+    model.subprojects.forEach(subproject => {
+      lines.push(`## ${subproject.id}: ${subproject.name}`, '');
+
+      subproject.milestones.forEach(milestone => {
+        const done = milestone.tasks.filter(task => task.status === 'completed').length;
+        lines.push(`### ${milestone.id}: ${milestone.name} (${done}/${milestone.tasks.length})`, '');
+
+        if (milestone.tasks.length === 0) {
+          lines.push('_No tasks_', '');
+          return;
+        }
+
+        lines.push('| Task | Title | Status | Phase | Estimate | Depends on | Links |');
+        lines.push('| --- | --- | --- | --- | --- | --- | --- |');
+        milestone.tasks.forEach(task => {
+          lines.push(`| ${task.id} | ${this.markdownCell(task.title)} | ${this.STATUS_LABELS[task.status] || task.status} | ${task.phase} | ` +
+            `${task.estimatedHours === null ? '-' : this.formatHours(task.estimatedHours)} | ${task.dependencies.join(', ') || '-'} | ${this.markdownLinks(task) || '-'} |`);
+        });
+        lines.push('');
+      });
+    });
+
+    lines.push(
+      '## Dependency graph', '',
+      '```mermaid', this.toMermaidGraph(model), '```', '',
+      '## Schedule', '',
+      `_Derived from estimates: ${this.HOURS_PER_DAY} estimated hours per day, ${this.DEFAULT_HOURS}h for tasks without an estimate._`, '',
+      '```mermaid', this.toMermaidGantt(model), '```', '',
+      '---', '',
+      `_Generated by agentic15 on ${model.generatedAt}${model.planId ? ` from ${model.planId}` : ''}_`,
+      ''
+    );
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Self-contained HTML report: progress, task tables, a Gantt chart drawn
+   * with CSS and the Mermaid dependency graph (rendered when the page can
+   * load Mermaid, shown as source otherwise)
+   *
+   * @param {Object} model - From build()
+   * @returns {string} HTML
+   */
+  static toHtml(model) {
+    const escape = (text) => this.escapeHtml(text);
+    const totals = model.totals;
+    const span = Math.max(totals.scheduledHours, 1);
+
+    const links = (task) => [
+      task.githubIssue ? this.htmlLink(task.issueUrl, `#${task.githubIssue}`) : null,
+      task.azureWorkItem ? this.htmlLink(task.workItemUrl, `AB#${task.azureWorkItem}`) : null,
+      task.prUrl ? this.htmlLink(task.prUrl, 'PR') : null
+    ].filter(Boolean).join(' ');
+
+    const milestoneSections = model.subprojects.map(subproject => `
+  <h2>${escape(subproject.id)}: ${escape(subproject.name)}</h2>
+${subproject.milestones.map(milestone => `
+  <h3>${escape(milestone.id)}: ${escape(milestone.name)}</h3>
+  <table>
+    <thead><tr><th>Task</th><th>Title</th><th>Status</th><th>Phase</th><th>Estimate</th><th>Depends on</th><th>Links</th></tr></thead>
+    <tbody>
+${milestone.tasks.map(task => `      <tr><td>${escape(task.id)}</td><td>${escape(task.title)}</td><td><span class="status ${escape(task.status)}">${escape(task.status.replace('_', ' '))}</span></td>` +
+  `<td>${escape(task.phase)}</td><td>${task.estimatedHours === null ? '-' : this.formatHours(task.estimatedHours)}</td>` +
+  `<td>${escape(task.dependencies.join(', ')) || '-'}</td><td>${links(task) || '-'}</td></tr>`).join('\n')}
+    </tbody>
+  </table>`).join('\n')}`).join('\n');
+
+    const ganttRows = model.tasks.map(task => {
+      const left = ((task.startHour / span) * 100).toFixed(2);
+      const width = Math.max((task.scheduledHours / span) * 100, 0.5).toFixed(2);
+      return `    <div class="row"><div class="label">${escape(task.id)} ${escape(task.title)}</div>` +
+        `<div class="track"><div class="bar ${escape(task.status)}" style="left:${left}%;width:${width}%" ` +
+        `title="${escape(`${task.startHour}h - ${task.endHour}h`)}"></div></div></div>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escape(model.project.name)} - plan</title>
+  <style>
+    body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2rem auto; max-width: 1100px; color: #1f2328; padding: 0 1rem; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 1.5rem; font-size: 0.9rem; }
+    th, td { border: 1px solid #d0d7de; padding: 0.35rem 0.6rem; text-align: left; vertical-align: top; }
+    th { background: #f6f8fa; }
+    .progress { background: #eaeef2; border-radius: 6px; height: 12px; overflow: hidden; margin: 0.5rem 0 1rem; }
+    .progress > div { background: #1a7f37; height: 100%; }
+    .status { border-radius: 1em; padding: 0 0.6em; font-size: 0.8rem; white-space: nowrap; }
+    .pending { background: #eaeef2; } .in_progress { background: #ddf4ff; } .paused { background: #fff8c5; }
+    .blocked { background: #ffebe9; } .completed { background: #dafbe1; }
+    .gantt .row { display: flex; align-items: center; font-size: 0.8rem; margin: 2px 0; }
+    .gantt .label { width: 35%; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; padding-right: 0.5rem; }
+    .gantt .track { position: relative; flex: 1; height: 14px; background: #f6f8fa; }
+    .gantt .bar { position: absolute; top: 0; bottom: 0; border: 1px solid #8c959f; border-radius: 3px; }
+    footer { color: #656d76; font-size: 0.8rem; margin-top: 2rem; }
+  </style>
+</head>
+<body>
+  <h1>${escape(model.project.name)}</h1>
+  ${model.project.description ? `<p>${escape(model.project.description)}</p>` : ''}
+  <p><strong>${totals.completed}/${totals.tasks}</strong> tasks completed (${totals.percentComplete}%) ·
+    ${totals.inProgress} in progress · ${totals.pending} pending · ${totals.blocked} blocked ·
+    estimated ${this.formatHours(totals.estimatedHours)} · critical path ${this.formatHours(totals.scheduledHours)}</p>
+  <div class="progress"><div style="width:${totals.percentComplete}%"></div></div>
+${milestoneSections}
+
+  <h2>Schedule</h2>
+  <p>Derived from estimates; ${this.DEFAULT_HOURS}h is assumed for tasks without one. Total ${this.formatHours(totals.scheduledHours)} along the longest dependency chain.</p>
+  <div class="gantt">
+${ganttRows}
+  </div>
+
+  <h2>Dependency graph</h2>
+  <pre class="mermaid">
+${escape(this.toMermaidGraph(model))}
+  </pre>
+
+  <footer>Generated by agentic15 on ${escape(model.generatedAt)}${model.planId ? ` from ${escape(model.planId)}` : ''}</footer>
+  <script type="module">
+    import mermaid from 'https://cdn.jsdelivr.net/npm/mermaid@10/dist/mermaid.esm.min.mjs';
+    mermaid.initialize({ startOnLoad: true });
+  </script>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Read a task file (empty object if missing or unreadable)
+   *
+   * @private
+   */
+  static readTask(tasksDir, taskId) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(tasksDir, `${taskId}.json`), 'utf8'));
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * @private
+   */
+  static markdownLinks(task) {
+    const link = (url, text) => (url ? `[${text}](${url})` : text);
+
+    return [
+      task.githubIssue ? link(task.issueUrl, `#${task.githubIssue}`) : null,
+      task.azureWorkItem ? link(task.workItemUrl, `AB#${task.azureWorkItem}`) : null,
+      task.prUrl ? link(task.prUrl, 'PR') : null
+    ].filter(Boolean).join(' ');
+  }
+
+  /**
+   * @private
+   */
+  static htmlLink(url, text) {
+    return url ? `<a href="${this.escapeHtml(url)}">${this.escapeHtml(text)}</a>` : this.escapeHtml(text);
+  }
+
+  /**
+   * @private
+   */
+  static escapeHtml(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * @private
+   */
+  static markdownCell(text) {
+    return String(text ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+  }
+
+  /**
+   * Text inside a quoted Mermaid flowchart label
+   *
+   * @private
+   */
+  static mermaidText(text) {
+    return String(text ?? '').replace(/"/g, '#quot;').replace(/\r?\n/g, ' ');
+  }
+
+  /**
+   * Gantt task and section names end at ":" and cannot hold "#" or ";"
+   *
+   * @private
+   */
+  static ganttText(text) {
+    return String(text ?? '').replace(/[:#;]/g, ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * @private
+   */
+  static formatDateTime(date) {
+    return date.toISOString().slice(0, 16).replace('T', ' ');
+  }
+
+  /**
+   * @private
+   */
+  static formatHours(hours) {
+    return `${Number.isInteger(hours) ? hours : hours.toFixed(1)}h`;
+  }
+}
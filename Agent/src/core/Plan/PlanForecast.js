@@ -0,0 +1,196 @@
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { TaskGraph } from './TaskGraph.js';
+import { TimeReport } from './TimeReport.js';
+import { PlanExporter } from './PlanExporter.js';
+
+const DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * PlanForecast - Critical path and completion forecast for a locked plan
+ *
+ * Single Responsibility: Schedule the remaining work and project when it ends
+ *
+ * Runs the critical path method over the work that is left:
+ *
+ * - Remaining hours: 0 for completed tasks, estimate minus time already
+ *   spent for tasks in progress or paused, the full estimate otherwise.
+ *   Tasks without an estimate count as DEFAULT_HOURS.
+ * - Forward pass: a task's earliest start is the latest earliest finish of
+ *   its dependencies. Backward pass: its latest finish is the earliest
+ *   latest start of the tasks that depend on it.
+ * - Slack is latest start minus earliest start; tasks with remaining work
+ *   and no slack form the critical path. All times are hours from now.
+ *
+ * Velocity is the estimated hours of completed tasks (actual hours when a
+ * task has no estimate) per calendar day since work on the plan started.
+ * The projected completion date is the remaining hours at that velocity.
+ * Without completed work, DEFAULT_VELOCITY is assumed.
+ */
+export class PlanForecast {
+  static DEFAULT_HOURS = PlanExporter.DEFAULT_HOURS;
+
+  static DEFAULT_VELOCITY = 6;
+
+  /**
+   * Build the forecast
+   *
+   * @param {Object} tracker - Parsed TASK-TRACKER.json
+   * @param {Object} options
+   * @param {string} options.tasksDir - Path to the plan's tasks/ directory (for estimates)
+   * @param {number} [options.velocity] - Hours per day to use instead of the observed velocity
+   * @param {Date} [options.now] - Reference time
+   * @returns {Object} { planId, generatedAt, velocity, remainingHours, criticalPathHours, criticalPath, projectedCompletion, activeOnCriticalPath, unestimated, tasks }
+   * @throws {Error} Dependency cycle
+   */
+  static build(tracker, { tasksDir, velocity = null, now = new Date() } = {}) {
+    const graph = TaskGraph.fromTracker(tracker, tasksDir);
+    const cycles = graph.findCycles();
+
+    if (cycles.length > 0) {
+      throw new Error(`Dependency cycle: ${cycles[0].join(' → ')}`);
+    }
+
+    const tasks = tracker.taskFiles.map(entry => {
+      const task = TimeReport.readTask(tasksDir, entry.id);
+      const estimatedHours = typeof task.estimatedHours === 'number' ? task.estimatedHours : null;
+      const { actualHours } = TimeReport.measure(entry, task, { excludePaused: true, now });
+
+      return {
+        id: entry.id,
+        title: entry.title,
+        status: entry.status,
+        estimatedHours,
+        actualHours,
+        remainingHours: this.remaining(entry.status, estimatedHours, actualHours),
+        dependencies: graph.getDependencies(entry.id).filter(id => graph.nodes.has(id))
+      };
+    });
+
+    this.schedule(tasks);
+
+    const open = tasks.filter(task => task.status !== 'completed');
+    const remainingHours = TimeReport.round(open.reduce((total, task) => total + task.remainingHours, 0));
+    const criticalPathHours = TimeReport.round(Math.max(0, ...tasks.map(task => task.earliestFinish)));
+    const rate = velocity ? { hoursPerDay: velocity, source: 'override' } : this.velocity(tracker, tasks, now);
+    const days = remainingHours / rate.hoursPerDay;
+
+    return {
+      planId: tracker.planId,
+      generatedAt: now.toISOString(),
+      velocity: rate,
+      remainingHours,
+      criticalPathHours,
+      criticalPath: tasks.filter(task => task.critical).sort((a, b) => a.earliestStart - b.earliestStart).map(task => task.id),
+      projectedCompletion: new Date(now.getTime() + days * DAY).toISOString(),
+      projectedDays: TimeReport.round(days),
+      activeOnCriticalPath: tasks.filter(task => task.critical && task.status === 'in_progress').map(task => task.id),
+      unestimated: open.filter(task => task.estimatedHours === null).map(task => task.id),
+      tasks
+    };
+  }
+
+  /**
+   * Hours of work left on a task
+   *
+   * @private
+   */
+  static remaining(status, estimatedHours, actualHours) {
+    if (status === 'completed') {
+      return 0;
+    }
+
+    const estimate = estimatedHours === null ? this.DEFAULT_HOURS : estimatedHours;
+
+    if (['in_progress', 'paused'].includes(status) && typeof actualHours === 'number') {
+      return TimeReport.round(Math.max(estimate - actualHours, 0));
+    }
+
+    return estimate;
+  }
+
+  /**
+   * Forward and backward pass; sets earliest/latest start and finish, slack and critical on each task
+   *
+   * @param {Array<Object>} tasks - { id, remainingHours, dependencies } without cycles
+   * @returns {Array<Object>} The same tasks
+   */
+  static schedule(tasks) {
+    const byId = new Map(tasks.map(task => [task.id, task]));
+    const dependents = new Map(tasks.map(task => [task.id, []]));
+    tasks.forEach(task => task.dependencies.forEach(id => dependents.get(id).push(task.id)));
+
+    const finish = (id) => {
+      const task = byId.get(id);
+      if (task.earliestFinish === undefined) {
+        task.earliestStart = Math.max(0, ...task.dependencies.map(finish));
+        task.earliestFinish = TimeReport.round(task.earliestStart + task.remainingHours);
+      }
+      return task.earliestFinish;
+    };
+    tasks.forEach(task => finish(task.id));
+
+    const end = Math.max(0, ...tasks.map(task => task.earliestFinish));
+
+    const latestStart = (id) => {
+      const task = byId.get(id);
+      if (task.latestStart === undefined) {
+        task.latestFinish = Math.min(end, ...dependents.get(id).map(latestStart));
+        task.latestStart = TimeReport.round(task.latestFinish - task.remainingHours);
+      }
+      return task.latestStart;
+    };
+    tasks.forEach(task => latestStart(task.id));
+
+    tasks.forEach(task => {
+      task.slackHours = TimeReport.round(task.latestStart - task.earliestStart);
+      task.critical = task.status !== 'completed' && task.remainingHours > 0 && task.slackHours <= 0;
+    });
+
+    return tasks;
+  }
+
+  /**
+   * Completed hours per calendar day since the first task was started
+   *
+   * @private
+   * @returns {{hoursPerDay: number, source: 'observed'|'default', completedHours: number, days: number|null}}
+   */
+  static velocity(tracker, tasks, now) {
+    const completedHours = TimeReport.round(tasks
+      .filter(task => task.status === 'completed')
+      .reduce((total, task) => total + (task.estimatedHours ?? task.actualHours ?? 0), 0));
+
+    const starts = tracker.taskFiles
+      .map(entry => entry.startedAt)
+      .filter(Boolean)
+      .map(date => new Date(date).getTime());
+
+    if (completedHours === 0 || starts.length === 0) {
+      return { hoursPerDay: this.DEFAULT_VELOCITY, source: 'default', completedHours, days: null };
+    }
+
+    const days = Math.max((now.getTime() - Math.min(...starts)) / DAY, 1);
+
+    return {
+      hoursPerDay: Math.max(TimeReport.round(completedHours / days), 0.01),
+      source: 'observed',
+      completedHours,
+      days: TimeReport.round(days)
+    };
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * PlanHierarchy - Walks the project/subproject/milestone/task structure
+ *
+ * Single Responsibility: Flatten a PROJECT-PLAN.json into an ordered task list
+ *
+ * Tasks are returned in plan order (subproject → milestone → task), together
+ * with the subproject and milestone they belong to. Supports the v2.0
+ * `project.subprojects.milestones.tasks` shape as well as the legacy
+ * `projects[]` and flat `tasks[]` shapes.
+ */
+export class PlanHierarchy {
+  /**
+   * Flatten a plan into an ordered list of task entries
+   *
+   * @param {Object} plan - Parsed PROJECT-PLAN.json
+   * @returns {Array<Object>} Entries of { task, subproject, milestone }
+   */
+  static flatten(plan) {
+    const entries = [];
+    this.walk(plan, { subproject: null, milestone: null }, entries);
+    return entries;
+  }
+
+  /**
+   * Recursively collect tasks while tracking their location
+   *
+   * @private
+   * @param {Object} node - Current plan node
+   * @param {Object} location - { subproject, milestone } of the current node
+   * @param {Array<Object>} entries - Accumulator
+   */
+  static walk(node, location, entries) {
+    if (!node || typeof node !== 'object') {
+      return;
+    }
+
+    if (Array.isArray(node.tasks)) {
+      node.tasks.forEach(task => {
+        entries.push({ task, subproject: location.subproject, milestone: location.milestone });
+      });
+    }
+
+    if (Array.isArray(node.milestones)) {
+      node.milestones.forEach(milestone => {
+        this.walk(milestone, { subproject: location.subproject, milestone: this.summarize(milestone) }, entries);
+      });
+    }
+
+    if (Array.isArray(node.subprojects)) {
+      node.subprojects.forEach(subproject => {
+        this.walk(subproject, { subproject: this.summarize(subproject), milestone: null }, entries);
+      });
+    }
+
+    if (Array.isArray(node.projects)) {
+      node.projects.forEach(project => this.walk(project, location, entries));
+    }
+
+    // Singular 'project' at root level (v2.0 schema)
+    if (node.project && typeof node.project === 'object') {
+      this.walk(node.project, location, entries);
+    }
+  }
+
+  /**
+   * Reduce a subproject/milestone node to its identifying fields
+   *
+   * @private
+   * @param {Object} node - Subproject or milestone
+   * @returns {Object} { id, name }
+   */
+  static summarize(node) {
+    return {
+      id: node.id || null,
+      name: node.name || null
+    };
+  }
+}
@@ -0,0 +1,457 @@
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * PlanImporter - Turn an external backlog into a v2.0 PROJECT-PLAN.json
+ *
+ * Single Responsibility: Map backlog items from other tools onto the plan structure
+ *
+ * Every source is first read into backlog items:
+ *
+ *   { ref, title, description, milestone, phase, estimatedHours,
+ *     dependencies: [ref], completionCriteria: [], done,
+ *     githubIssue, azureWorkItem }
+ *
+ * buildPlan() then numbers the open items TASK-001, TASK-002, ... in source
+ * order, groups them into one milestone per distinct `milestone` (under a
+ * single subproject) and rewrites dependency refs to task IDs. Done items
+ * are not imported; dependencies on them count as met. Items from GitHub
+ * or Azure DevOps keep their issue / work item number, so `task start`
+ * links to it instead of creating a duplicate.
+ *
+ * Markdown checklist format:
+ *
+ *   # Project name
+ *   ## Milestone
+ *   - [ ] Design schema #schema ~3h @design
+ *     - Criterion (nested bullets become completion criteria)
+ *   - [ ] Build API (after #schema)
+ *   - [x] Done items are skipped
+ */
+export class PlanImporter {
+  static PHASES = ['requirements', 'design', 'implementation', 'testing', 'deployment', 'maintenance'];
+
+  static DEFAULT_MILESTONE = 'Backlog';
+
+  static AZURE_DONE_STATES = ['Closed', 'Done', 'Resolved', 'Removed', 'Completed'];
+
+  /**
+   * CSV header (lowercase, letters only) → item field
+   */
+  static CSV_COLUMNS = {
+    id: 'ref', key: 'ref', ref: 'ref',
+    title: 'title', name: 'title', summary: 'title',
+    description: 'description', details: 'description',
+    milestone: 'milestone', group: 'milestone', epic: 'milestone',
+    phase: 'phase',
+    estimate: 'estimatedHours', estimatedhours: 'estimatedHours', hours: 'estimatedHours',
+    dependencies: 'dependencies', dependson: 'dependencies', depends: 'dependencies', after: 'dependencies', blockedby: 'dependencies',
+    criteria: 'completionCriteria', completioncriteria: 'completionCriteria', acceptancecriteria: 'completionCriteria',
+    status: 'done', state: 'done', done: 'done',
+    githubissue: 'githubIssue', issue: 'githubIssue',
+    azureworkitem: 'azureWorkItem', workitem: 'azureWorkItem'
+  };
+
+  /**
+   * Read a Markdown checklist
+   *
+   * @param {string} text - Markdown
+   * @returns {{name: string|null, items: Array<Object>}}
+   */
+  static fromMarkdown(text) {
+    const items = [];
+    let name = null;
+    let milestone = null;
+    let current = null;
+
+    text.split(/\r?\n/).forEach(line => {
+      const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+      if (heading) {
+        if (heading[1].length === 1 && !name && items.length === 0) {
+          name = heading[2];
+        } else {
+          milestone = heading[2];
+        }
+        current = null;
+        return;
+      }
+
+      const indent = line.match(/^\s*/)[0].replace(/\t/g, '  ').length;
+      const checkbox = line.match(/^\s*[-*+]\s+\[([ xX])\]\s+(.+)$/);
+
+      if (checkbox && (indent < 2 || !current)) {
+        current = { ...this.parseAnnotations(checkbox[2]), milestone, done: checkbox[1] !== ' ', completionCriteria: [] };
+        items.push(current);
+        return;
+      }
+
+      if (!current || indent < 2 || !line.trim()) {
+        return;
+      }
+
+      const bullet = line.match(/^\s*(?:[-*+]|\d+\.)\s+(?:\[[ xX]\]\s+)?(.+)$/);
+      if (bullet) {
+        current.completionCriteria.push(bullet[1].trim());
+      } else {
+        current.description = [current.description, line.trim()].filter(Boolean).join(' ');
+      }
+    });
+
+    return { name, items };
+  }
+
+  /**
+   * Split `#key`, `(after #a, #b)`, `~4h` and `@phase` off a checklist line
+   *
+   * @private
+   */
+  static parseAnnotations(text) {
+    const item = { ref: null, dependencies: [], estimatedHours: null, phase: null };
+
+    let title = text.replace(/\(?\bafter:?\s+((?:#[\w-]+[\s,]*(?:and\s+)?)+)\)?/i, (match, refs) => {
+      item.dependencies = [...refs.matchAll(/#([\w-]+)/g)].map(ref => ref[1]);
+      return ' ';
+    });
+
+    title = title.replace(/(^|\s)#([A-Za-z][\w-]*)/g, (match, space, key) => {
+      item.ref = item.ref || key;
+      return space;
+    });
+
+    title = title.replace(/(^|\s)~(\d+(?:\.\d+)?)h\b/i, (match, space, hours) => {
+      item.estimatedHours = Number(hours);
+      return space;
+    });
+
+    title = title.replace(/(^|\s)@([a-z]+)\b/i, (match, space, phase) => {
+      if (!this.PHASES.includes(phase.toLowerCase())) {
+        return match;
+      }
+      item.phase = phase.toLowerCase();
+      return space;
+    });
+
+    return { ...item, title: title.replace(/\s+/g, ' ').trim() };
+  }
+
+  /**
+   * Read a CSV export with a header row
+   *
+   * Columns are matched by name (see CSV_COLUMNS); only "title" is required.
+   * Dependencies are separated by commas or semicolons, completion criteria
+   * by semicolons or line breaks.
+   *
+   * @param {string} text - CSV
+   * @returns {{name: null, items: Array<Object>}}
+   * @throws {Error} No "title" column
+   */
+  static fromCsv(text) {
+    const [header, ...rows] = this.parseCsv(text.replace(/^﻿/, ''));
+    const columns = (header || []).map(cell => this.CSV_COLUMNS[cell.toLowerCase().replace(/[^a-z]/g, '')] || null);
+
+    if (!columns.includes('title')) {
+      throw new Error('CSV needs a "title" column (also accepted: name, summary)');
+    }
+
+    const items = rows.map(row => {
+      const item = { dependencies: [], completionCriteria: [], done: false };
+
+      columns.forEach((field, index) => {
+        const value = (row[index] || '').trim();
+        if (!field || !value) {
+          return;
+        }
+
+        if (field === 'dependencies') {
+          item.dependencies = value.split(/[;,]/).map(ref => ref.trim().replace(/^#/, '')).filter(Boolean);
+        } else if (field === 'completionCriteria') {
+          item.completionCriteria = value.split(/;|\r?\n/).map(criterion => criterion.trim()).filter(Boolean);
+        } else if (field === 'done') {
+          item.done = /^(done|closed|completed|resolved|x|yes|true)$/i.test(value);
+        } else if (field === 'estimatedHours') {
+          item.estimatedHours = parseFloat(value) || null;
+        } else if (field === 'githubIssue' || field === 'azureWorkItem') {
+          item[field] = Number(value.replace(/^#/, '')) || null;
+        } else {
+          item[field] = field === 'phase' ? value.toLowerCase() : value;
+        }
+      });
+
+      return item;
+    });
+
+    return { name: null, items: items.filter(item => item.title) };
+  }
+
+  /**
+   * Parse CSV (RFC 4180: quoted fields, "" escapes, newlines inside quotes)
+   *
+   * @private
+   * @returns {Array<Array<string>>} Rows, blank rows dropped
+   */
+  static parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') {
+          i++;
+        }
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  }
+
+  /**
+   * Read GitHub issues (as returned by the REST API)
+   *
+   * Milestone comes from the issue milestone, phase from a label named after
+   * a phase (optionally "phase: design"), the estimate from an
+   * "estimate: 4h" label, dependencies from "Depends on #12" / "Blocked by
+   * #12" / "After #12" in the body, and completion criteria from the body's
+   * task list. Closed issues are done.
+   *
+   * @param {Array<Object>} issues - Issues
+   * @returns {{name: null, items: Array<Object>}}
+   */
+  static fromGitHubIssues(issues) {
+    const items = issues.map(issue => {
+      const body = issue.body || '';
+      const labels = (issue.labels || []).map(label => (typeof label === 'string' ? label : label.name).toLowerCase());
+      const phase = labels.map(label => label.replace(/^phase:\s*/, '')).find(label => this.PHASES.includes(label));
+      const estimate = labels.map(label => label.match(/^(?:estimate|est):?\s*(\d+(?:\.\d+)?)\s*h?$/)).find(Boolean);
+
+      const dependencies = [...body.matchAll(/\b(?:depends on|blocked by|after)\s*:?\s+((?:#\d+[\s,]*(?:and\s+)?)+)/gi)]
+        .flatMap(match => [...match[1].matchAll(/#(\d+)/g)].map(ref => ref[1]));
+
+      return {
+        ref: String(issue.number),
+        title: issue.title,
+        description: this.summarize(body),
+        milestone: issue.milestone ? issue.milestone.title : null,
+        phase: phase || null,
+        estimatedHours: estimate ? Number(estimate[1]) : null,
+        dependencies,
+        completionCriteria: [...body.matchAll(/^\s*[-*]\s+\[[ xX]\]\s+(.+)$/gm)].map(match => match[1].trim()),
+        done: issue.state === 'closed',
+        githubIssue: issue.number
+      };
+    });
+
+    return { name: null, items };
+  }
+
+  /**
+   * Read Azure DevOps work items (fetched with $expand=relations)
+   *
+   * Milestone comes from the last segment of the iteration path, phase from
+   * a tag named after a phase, the estimate from Original Estimate (or
+   * Remaining Work), dependencies from Predecessor links and completion
+   * criteria from Acceptance Criteria. Closed, Done, Resolved and Removed
+   * items are done.
+   *
+   * @param {Array<Object>} workItems - Work items
+   * @returns {{name: null, items: Array<Object>}}
+   */
+  static fromAzureWorkItems(workItems) {
+    const items = workItems.map(workItem => {
+      const fields = workItem.fields || {};
+      const tags = (fields['System.Tags'] || '').split(';').map(tag => tag.trim().toLowerCase().replace(/^phase:\s*/, ''));
+      const iteration = fields['System.IterationPath'] || '';
+      const estimate = fields['Microsoft.VSTS.Scheduling.OriginalEstimate'] ?? fields['Microsoft.VSTS.Scheduling.RemainingWork'];
+
+      return {
+        ref: String(workItem.id),
+        title: fields['System.Title'],
+        description: this.summarize(this.stripHtml(fields['System.Description'])),
+        milestone: iteration.includes('\\') ? iteration.split('\\').pop() : null,
+        phase: tags.find(tag => this.PHASES.includes(tag)) || null,
+        estimatedHours: typeof estimate === 'number' ? estimate : null,
+        dependencies: (workItem.relations || [])
+          .filter(relation => relation.rel === 'System.LinkTypes.Dependency-Reverse')
+          .map(relation => relation.url.split('/').pop()),
+        completionCriteria: this.stripHtml(fields['Microsoft.VSTS.Common.AcceptanceCriteria'])
+          .split('\n')
+          .map(line => line.replace(/^\s*(?:[-*•]|\d+\.)\s*/, '').trim())
+          .filter(Boolean),
+        done: this.AZURE_DONE_STATES.includes(fields['System.State']),
+        azureWorkItem: workItem.id
+      };
+    });
+
+    return { name: null, items };
+  }
+
+  /**
+   * Build a plan from backlog items
+   *
+   * @param {Array<Object>} items - Backlog items
+   * @param {Object} project - { name, description }
+   * @returns {{plan: Object, warnings: Array<string>, skipped: number}}
+   * @throws {Error} No open items, or more than TASK-999 can number
+   */
+  static buildPlan(items, { name, description = '' }) {
+    const warnings = [];
+    const key = (ref) => String(ref).trim().replace(/^#/, '').toLowerCase();
+    const open = items.filter(item => !item.done);
+    const doneRefs = new Set(items.filter(item => item.done && item.ref).map(item => key(item.ref)));
+
+    if (open.length === 0) {
+      throw new Error(items.length > 0 ? 'Every backlog item is already done - nothing to import' : 'No backlog items found');
+    }
+    if (open.length > 999) {
+      throw new Error(`${open.length} open items - a plan holds at most 999 tasks. Narrow the import`);
+    }
+
+    const idByRef = new Map();
+    open.forEach((item, index) => {
+      item.id = `TASK-${String(index + 1).padStart(3, '0')}`;
+      if (item.ref) {
+        if (idByRef.has(key(item.ref))) {
+          warnings.push(`Duplicate reference "${item.ref}" - dependencies point at its first item`);
+        } else {
+          idByRef.set(key(item.ref), item.id);
+        }
+      }
+    });
+
+    const milestones = new Map();
+    open.forEach(item => {
+      const dependencies = [];
+      (item.dependencies || []).forEach(ref => {
+        const dependencyId = idByRef.get(key(ref));
+        if (dependencyId && dependencyId !== item.id) {
+          dependencies.push(dependencyId);
+        } else if (!dependencyId && !doneRefs.has(key(ref))) {
+          warnings.push(`${item.id} (${item.title}) depends on "${ref}", which was not imported - dependency dropped`);
+        }
+      });
+
+      if (item.phase && !this.PHASES.includes(item.phase)) {
+        warnings.push(`${item.id}: unknown phase "${item.phase}" - using implementation`);
+      }
+
+      const task = {
+        id: item.id,
+        title: item.title,
+        description: item.description || '',
+        status: 'pending',
+        phase: this.PHASES.includes(item.phase) ? item.phase : 'implementation',
+        dependencies: [...new Set(dependencies)],
+        ...(item.estimatedHours ? { estimatedHours: item.estimatedHours } : {}),
+        completionCriteria: item.completionCriteria || [],
+        ...(item.githubIssue ? { githubIssue: item.githubIssue } : {}),
+        ...(item.azureWorkItem ? { azureWorkItem: item.azureWorkItem } : {})
+      };
+
+      const milestoneName = item.milestone || this.DEFAULT_MILESTONE;
+      if (!milestones.has(milestoneName)) {
+        milestones.set(milestoneName, []);
+      }
+      milestones.get(milestoneName).push(task);
+    });
+
+    const plan = {
+      version: '2.0',
+      project: {
+        id: 'PROJ-001',
+        name,
+        description,
+        status: 'planning',
+        createdAt: new Date().toISOString(),
+        createdBy: 'import',
+        locked: false,
+        subprojects: [{
+          id: 'SUB-001',
+          name,
+          description,
+          status: 'pending',
+          dependencies: [],
+          milestones: [...milestones.entries()].map(([milestoneName, tasks], index) => ({
+            id: `MILE-${String(index + 1).padStart(3, '0')}`,
+            name: milestoneName,
+            description: '',
+            status: 'pending',
+            dependencies: [],
+            tasks
+          }))
+        }]
+      }
+    };
+
+    return { plan, warnings, skipped: items.length - open.length };
+  }
+
+  /**
+   * First paragraph of a description, without task lists and headings
+   *
+   * @private
+   */
+  static summarize(text) {
+    const paragraph = (text || '')
+      .split(/\r?\n\s*\r?\n/)
+      .map(block => block.split(/\r?\n/).filter(line => !/^\s*([-*]\s+\[[ xX]\]|#)/.test(line)).join(' ').trim())
+      .find(Boolean) || '';
+
+    return paragraph.length > 500 ? `${paragraph.slice(0, 497)}...` : paragraph;
+  }
+
+  /**
+   * @private
+   */
+  static stripHtml(html) {
+    return (html || '')
+      .replace(/<\s*(br|\/p|\/div|\/li)\s*\/?>/gi, '\n')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+}
@@ -0,0 +1,213 @@
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const FRAMEWORK_TEMPLATES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../../../framework/plan-templates');
+
+/**
+ * PlanTemplates - Named plan skeletons for `plan new --template`
+ *
+ * Single Responsibility: Find plan templates and render them into a PROJECT-PLAN.json
+ *
+ * A template is a JSON file named after the template:
+ *
+ *   {
+ *     "description": "HTTP/JSON API service",
+ *     "variables": { "stack": "Node.js, Express, PostgreSQL" },
+ *     "plan": { "version": "2.0", "project": { "name": "{{projectName}}", ... } }
+ *   }
+ *
+ * `{{name}}` placeholders in any string of the plan are replaced with
+ * variable values: the template's defaults, then projectName and
+ * description supplied by the command, then values given on the command line.
+ *
+ * Templates ship in framework/plan-templates/. A team directory - configured
+ * under "planTemplates" in .claude/settings.json (or settings.local.json):
+ *
+ *   { "directory": "../shared/plan-templates" }
+ *
+ * defaulting to .claude/plan-templates/ - adds templates, and replaces
+ * shipped ones of the same name.
+ */
+export class PlanTemplates {
+  static DEFAULT_TEAM_DIRECTORY = '.claude/plan-templates';
+
+  /**
+   * @param {string} projectRoot - Project root (where .claude/ lives)
+   * @param {string} frameworkDir - Directory of the shipped templates
+   */
+  constructor(projectRoot = process.cwd(), frameworkDir = FRAMEWORK_TEMPLATES_DIR) {
+    this.projectRoot = projectRoot;
+    this.frameworkDir = frameworkDir;
+    this.config = this.loadConfig();
+  }
+
+  /**
+   * Load configuration from settings.json and settings.local.json
+   *
+   * @returns {Object} { directory }
+   */
+  loadConfig() {
+    const config = { directory: this.constructor.DEFAULT_TEAM_DIRECTORY };
+
+    ['settings.json', 'settings.local.json'].forEach(file => {
+      const settingsPath = path.join(this.projectRoot, '.claude', file);
+      if (!fs.existsSync(settingsPath)) {
+        return;
+      }
+
+      try {
+        const planTemplates = JSON.parse(fs.readFileSync(settingsPath, 'utf8')).planTemplates;
+        if (planTemplates) {
+          Object.assign(config, planTemplates);
+        }
+      } catch (error) {
+        console.warn(`⚠ Failed to load .claude/${file}:`, error.message);
+      }
+    });
+
+    return config;
+  }
+
+  /**
+   * @returns {string} Absolute path of the team template directory
+   */
+  get teamDir() {
+    return path.resolve(this.projectRoot, this.config.directory);
+  }
+
+  /**
+   * Available templates by name (a team template replaces a shipped one of the same name)
+   *
+   * @returns {Array<{name: string, description: string, source: 'team'|'framework', path: string}>}
+   */
+  list() {
+    const byName = new Map();
+
+    [['framework', this.frameworkDir], ['team', this.teamDir]].forEach(([source, dir]) => {
+      if (!fs.existsSync(dir)) {
+        return;
+      }
+
+      fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .forEach(file => {
+          const templatePath = path.join(dir, file);
+          let description = '';
+          try {
+            description = JSON.parse(fs.readFileSync(templatePath, 'utf8')).description || '';
+          } catch (error) {
+            description = `(unreadable: ${error.message})`;
+          }
+          byName.set(path.basename(file, '.json'), { name: path.basename(file, '.json'), description, source, path: templatePath });
+        });
+    });
+
+    return [...byName.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Read a template by name
+   *
+   * @param {string} name - Template name (file name without .json)
+   * @returns {Object} { name, description, variables, plan, source, path }
+   * @throws {Error} Unknown template, invalid JSON, or no "plan"
+   */
+  load(name) {
+    const entry = this.list().find(template => template.name === name);
+
+    if (!entry) {
+      const available = this.list().map(template => template.name);
+      throw new Error(`Unknown plan template: ${name}${available.length > 0 ? ` (available: ${available.join(', ')})` : ''}`);
+    }
+
+    let template;
+    try {
+      template = JSON.parse(fs.readFileSync(entry.path, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid JSON in plan template ${entry.path}: ${error.message}`);
+    }
+
+    if (!template.plan || typeof template.plan !== 'object') {
+      throw new Error(`Plan template ${entry.path} has no "plan" object`);
+    }
+
+    return { variables: {}, ...template, name, source: entry.source, path: entry.path };
+  }
+
+  /**
+   * Substitute variables into a template's plan
+   *
+   * @param {Object} template - Loaded template
+   * @param {Object} values - Variable values (override the template's defaults)
+   * @returns {Object} Plan with every placeholder replaced
+   * @throws {Error} Placeholders without a value
+   */
+  static render(template, values = {}) {
+    const variables = { ...template.variables, ...values };
+    const missing = new Set();
+
+    const substitute = (node) => {
+      if (typeof node === 'string') {
+        return node.replace(/\{\{\s*([A-Za-z_][\w]*)\s*\}\}/g, (placeholder, key) => {
+          if (variables[key] === undefined || variables[key] === null) {
+            missing.add(key);
+            return placeholder;
+          }
+          return String(variables[key]);
+        });
+      }
+      if (Array.isArray(node)) {
+        return node.map(substitute);
+      }
+      if (node && typeof node === 'object') {
+        return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, substitute(value)]));
+      }
+      return node;
+    };
+
+    const plan = substitute(template.plan);
+
+    if (missing.size > 0) {
+      throw new Error(
+        `Plan template ${template.name} needs a value for: ${[...missing].join(', ')} ` +
+        `(pass --var ${[...missing][0]}=...)`
+      );
+    }
+
+    return plan;
+  }
+
+  /**
+   * Parse NAME=value pairs from the command line
+   *
+   * @param {Array<string>} pairs - e.g. ['stack=Go', 'database=SQLite']
+   * @returns {Object} { stack: 'Go', database: 'SQLite' }
+   * @throws {Error} A pair without "="
+   */
+  static parseVariables(pairs = []) {
+    return Object.fromEntries(pairs.map(pair => {
+      const index = pair.indexOf('=');
+      if (index < 1) {
+        throw new Error(`Invalid --var "${pair}" (use name=value)`);
+      }
+      return [pair.slice(0, index).trim(), pair.slice(index + 1)];
+    }));
+  }
+}
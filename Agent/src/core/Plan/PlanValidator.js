@@ -0,0 +1,320 @@
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { TaskGraph } from './TaskGraph.js';
+
+const SCHEMA_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '../../../framework/PLAN-SCHEMA.json');
+
+/**
+ * PlanValidator - Validate a PROJECT-PLAN.json against PLAN-SCHEMA.json
+ *
+ * Single Responsibility: Report every way a plan violates the plan schema
+ *
+ * Used by the enforce-plan-template hook, `plan` (lock), `plan amend` and
+ * `plan validate`, so all of them accept and reject exactly the same plans.
+ *
+ * Two passes:
+ * - Schema: the JSON Schema (draft-07) keywords PLAN-SCHEMA.json uses
+ *   (type, required, properties, items, $ref, enum, const, pattern,
+ *   minLength, minimum, format)
+ * - Plan rules the schema cannot express: duplicate IDs, dependencies on
+ *   unknown tasks, dependency cycles
+ *
+ * Every error carries a JSON pointer (RFC 6901) to the offending value,
+ * e.g. /project/subprojects/0/milestones/1/tasks/2/phase
+ */
+export class PlanValidator {
+  /**
+   * @param {Object} schema - Parsed plan schema (defaults to framework/PLAN-SCHEMA.json)
+   */
+  constructor(schema = PlanValidator.loadSchema()) {
+    this.schema = schema;
+  }
+
+  /**
+   * Read the plan schema shipped with the framework
+   *
+   * @returns {Object} Parsed PLAN-SCHEMA.json
+   */
+  static loadSchema() {
+    return JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+  }
+
+  /**
+   * Build a JSON pointer from path segments
+   *
+   * @param {Array<string|number>} segments - Property names and array indexes
+   * @returns {string} Pointer ('' for the document root)
+   */
+  static toPointer(segments) {
+    return segments
+      .map(segment => '/' + String(segment).replace(/~/g, '~0').replace(/\//g, '~1'))
+      .join('');
+  }
+
+  /**
+   * Validate a plan
+   *
+   * @param {Object} plan - Parsed PROJECT-PLAN.json
+   * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}}
+   */
+  validate(plan) {
+    const errors = [];
+
+    this.validateNode(plan, this.schema, [], errors);
+
+    // Plan rules only make sense once the hierarchy itself is well-formed
+    if (errors.length === 0) {
+      this.validateIdentifiers(plan, errors);
+      this.validateDependencies(plan, errors);
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Validate a value against a schema node
+   *
+   * @private
+   * @param {*} value - Value to check
+   * @param {Object} schema - Schema node
+   * @param {Array<string|number>} segments - Path to value
+   * @param {Array<Object>} errors - Collected errors (mutated)
+   */
+  validateNode(value, schema, segments, errors) {
+    if (schema.$ref) {
+      schema = this.resolveRef(schema.$ref);
+    }
+
+    const report = (message) => errors.push({ path: PlanValidator.toPointer(segments), message });
+
+    if (schema.type && !this.matchesType(value, schema.type)) {
+      report(`Expected ${schema.type}, got ${this.typeOf(value)}`);
+      return;
+    }
+
+    if (schema.const !== undefined && value !== schema.const) {
+      report(`Must be ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`);
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      const field = segments.length > 0 ? segments[segments.length - 1] : 'value';
+      report(`Unknown ${field} ${JSON.stringify(value)} (expected one of: ${schema.enum.join(', ')})`);
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        report(schema.minLength === 1 ? 'Must not be empty' : `Must be at least ${schema.minLength} characters`);
+      }
+
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        report(`${JSON.stringify(value)} does not match pattern ${schema.pattern}`);
+      }
+
+      if (schema.format && !this.matchesFormat(value, schema.format)) {
+        report(`${JSON.stringify(value)} is not a valid ${schema.format}`);
+      }
+    }
+
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+      report(`Must be >= ${schema.minimum}, got ${value}`);
+    }
+
+    if (Array.isArray(value) && schema.items) {
+      value.forEach((item, index) => this.validateNode(item, schema.items, [...segments, index], errors));
+    }
+
+    if (this.typeOf(value) === 'object') {
+      (schema.required || []).forEach(field => {
+        if (value[field] === undefined) {
+          errors.push({ path: PlanValidator.toPointer([...segments, field]), message: 'Missing required field' });
+        }
+      });
+
+      Object.entries(schema.properties || {}).forEach(([field, fieldSchema]) => {
+        if (value[field] !== undefined) {
+          this.validateNode(value[field], fieldSchema, [...segments, field], errors);
+        }
+      });
+    }
+  }
+
+  /**
+   * Resolve a local reference (#/definitions/...)
+   *
+   * @private
+   * @param {string} ref - Reference
+   * @returns {Object} Referenced schema node
+   */
+  resolveRef(ref) {
+    const node = ref.replace(/^#\//, '').split('/').reduce(
+      (current, segment) => current && current[segment.replace(/~1/g, '/').replace(/~0/g, '~')],
+      this.schema
+    );
+
+    if (!node) {
+      throw new Error(`Unresolvable schema reference: ${ref}`);
+    }
+
+    return node;
+  }
+
+  /**
+   * JSON Schema type name of a value
+   *
+   * @private
+   * @param {*} value - Value
+   * @returns {string} 'null', 'array', 'integer', 'number', 'object', ...
+   */
+  typeOf(value) {
+    if (value === null) {
+      return 'null';
+    }
+
+    if (Array.isArray(value)) {
+      return 'array';
+    }
+
+    if (Number.isInteger(value)) {
+      return 'integer';
+    }
+
+    return typeof value;
+  }
+
+  /**
+   * @private
+   */
+  matchesType(value, type) {
+    const types = Array.isArray(type) ? type : [type];
+    const actual = this.typeOf(value);
+    return types.some(expected => expected === actual || (expected === 'number' && actual === 'integer'));
+  }
+
+  /**
+   * Check the string formats the plan schema uses (date, date-time)
+   *
+   * Unknown formats are accepted, as draft-07 allows.
+   *
+   * @private
+   */
+  matchesFormat(value, format) {
+    if (format === 'date') {
+      return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+    }
+
+    if (format === 'date-time') {
+      return /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i.test(value) &&
+        !Number.isNaN(Date.parse(value));
+    }
+
+    return true;
+  }
+
+  /**
+   * Report subproject, milestone and task IDs used more than once
+   *
+   * @private
+   * @param {Object} plan - Schema-valid plan
+   * @param {Array<Object>} errors - Collected errors (mutated)
+   */
+  validateIdentifiers(plan, errors) {
+    const seen = { subproject: new Map(), milestone: new Map(), task: new Map() };
+
+    const check = (kind, id, segments) => {
+      const pointer = PlanValidator.toPointer([...segments, 'id']);
+
+      if (seen[kind].has(id)) {
+        errors.push({ path: pointer, message: `Duplicate ${kind} ID ${id} (first used at ${seen[kind].get(id)})` });
+      } else {
+        seen[kind].set(id, pointer);
+      }
+    };
+
+    this.eachTask(plan, (task, segments) => {
+      check('task', task.id, segments);
+    }, (milestone, segments) => {
+      check('milestone', milestone.id, segments);
+    }, (subproject, segments) => {
+      check('subproject', subproject.id, segments);
+    });
+  }
+
+  /**
+   * Report dependencies on unknown tasks and dependency cycles
+   *
+   * @private
+   * @param {Object} plan - Schema-valid plan
+   * @param {Array<Object>} errors - Collected errors (mutated)
+   */
+  validateDependencies(plan, errors) {
+    const tasks = [];
+    const pointers = new Map();
+
+    this.eachTask(plan, (task, segments) => {
+      tasks.push(task);
+      if (!pointers.has(task.id)) {
+        pointers.set(task.id, segments);
+      }
+    });
+
+    const graph = new TaskGraph(tasks);
+
+    graph.findDanglingReferences().forEach(({ taskId, dependency }) => {
+      const segments = pointers.get(taskId);
+      const index = graph.getDependencies(taskId).indexOf(dependency);
+      errors.push({
+        path: PlanValidator.toPointer([...segments, 'dependencies', index]),
+        message: `${taskId} depends on unknown task ${dependency}`
+      });
+    });
+
+    graph.findCycles().forEach(cycle => {
+      errors.push({
+        path: PlanValidator.toPointer([...pointers.get(cycle[0]), 'dependencies']),
+        message: `Dependency cycle: ${cycle.join(' → ')}`
+      });
+    });
+  }
+
+  /**
+   * Walk the plan hierarchy with the path of every node
+   *
+   * @private
+   * @param {Object} plan - Schema-valid plan
+   * @param {Function} onTask - (task, segments, milestone, subproject)
+   * @param {Function} onMilestone - (milestone, segments)
+   * @param {Function} onSubproject - (subproject, segments)
+   */
+  eachTask(plan, onTask, onMilestone = () => {}, onSubproject = () => {}) {
+    plan.project.subprojects.forEach((subproject, s) => {
+      const subprojectSegments = ['project', 'subprojects', s];
+      onSubproject(subproject, subprojectSegments);
+
+      subproject.milestones.forEach((milestone, m) => {
+        const milestoneSegments = [...subprojectSegments, 'milestones', m];
+        onMilestone(milestone, milestoneSegments);
+
+        milestone.tasks.forEach((task, t) => {
+          onTask(task, [...milestoneSegments, 'tasks', t], milestone, subproject);
+        });
+      });
+    });
+  }
+}
@@ -0,0 +1,198 @@
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * TaskGraph - Dependency graph over plan tasks
+ *
+ * Single Responsibility: Answer dependency questions about a set of tasks
+ *
+ * Handles:
+ * - Dangling references (dependencies on tasks that do not exist)
+ * - Dependency cycles
+ * - Ready set computation (pending tasks whose dependencies are all completed)
+ *
+ * Task order is significant: the graph keeps the order tasks were given in
+ * (plan order: subproject → milestone → task) and uses it to rank ready tasks.
+ */
+export class TaskGraph {
+  /**
+   * Build a graph from task-like objects
+   *
+   * @param {Array<Object>} tasks - Objects with { id, dependencies?, status? }
+   */
+  constructor(tasks = []) {
+    this.tasks = tasks;
+    this.order = new Map();
+    this.nodes = new Map();
+
+    tasks.forEach((task, index) => {
+      this.order.set(task.id, index);
+      this.nodes.set(task.id, Array.isArray(task.dependencies) ? task.dependencies : []);
+    });
+  }
+
+  /**
+   * Build a graph from a TASK-TRACKER.json object
+   *
+   * Trackers locked by older versions do not carry dependencies on their
+   * task entries, so those are read from the individual task files.
+   *
+   * @param {Object} tracker - Parsed TASK-TRACKER.json
+   * @param {string} tasksDir - Path to the plan's tasks/ directory
+   * @returns {TaskGraph} Graph in tracker (plan) order
+   */
+  static fromTracker(tracker, tasksDir) {
+    const tasks = tracker.taskFiles.map(entry => ({
+      id: entry.id,
+      dependencies: Array.isArray(entry.dependencies)
+        ? entry.dependencies
+        : TaskGraph.readDependencies(path.join(tasksDir, `${entry.id}.json`))
+    }));
+
+    return new TaskGraph(tasks);
+  }
+
+  /**
+   * Read the dependencies declared in a task file
+   *
+   * @private
+   * @param {string} taskPath - Path to task JSON file
+   * @returns {Array<string>} Dependency IDs (empty if unreadable)
+   */
+  static readDependencies(taskPath) {
+    try {
+      const task = JSON.parse(fs.readFileSync(taskPath, 'utf8'));
+      return Array.isArray(task.dependencies) ? task.dependencies : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Build a status lookup from tracker task entries
+   *
+   * @param {Object} tracker - Parsed TASK-TRACKER.json
+   * @returns {Map<string, string>} Task ID → status
+   */
+  static statusMap(tracker) {
+    return new Map(tracker.taskFiles.map(entry => [entry.id, entry.status]));
+  }
+
+  /**
+   * Get the dependency IDs of a task
+   *
+   * @param {string} taskId - Task ID
+   * @returns {Array<string>} Dependency IDs (empty if unknown task)
+   */
+  getDependencies(taskId) {
+    return this.nodes.get(taskId) || [];
+  }
+
+  /**
+   * Find dependencies that reference tasks not present in the graph
+   *
+   * @returns {Array<Object>} Entries of { taskId, dependency }
+   */
+  findDanglingReferences() {
+    const dangling = [];
+
+    for (const [taskId, dependencies] of this.nodes) {
+      dependencies.forEach(dependency => {
+        if (!this.nodes.has(dependency)) {
+          dangling.push({ taskId, dependency });
+        }
+      });
+    }
+
+    return dangling;
+  }
+
+  /**
+   * Find dependency cycles
+   *
+   * Each cycle is reported once, as the path of task IDs that closes the
+   * loop (e.g. ['TASK-001', 'TASK-002', 'TASK-001']).
+   *
+   * @returns {Array<Array<string>>} Cycles found
+   */
+  findCycles() {
+    const WHITE = 0;
+    const GREY = 1;
+    const BLACK = 2;
+
+    const color = new Map();
+    const cycles = [];
+    const stack = [];
+
+    const visit = (taskId) => {
+      color.set(taskId, GREY);
+      stack.push(taskId);
+
+      for (const dependency of this.getDependencies(taskId)) {
+        if (!this.nodes.has(dependency)) {
+          continue;
+        }
+
+        const state = color.get(dependency) || WHITE;
+
+        if (state === GREY) {
+          const start = stack.indexOf(dependency);
+          cycles.push([...stack.slice(start), dependency]);
+        } else if (state === WHITE) {
+          visit(dependency);
+        }
+      }
+
+      stack.pop();
+      color.set(taskId, BLACK);
+    };
+
+    for (const taskId of this.nodes.keys()) {
+      if ((color.get(taskId) || WHITE) === WHITE) {
+        visit(taskId);
+      }
+    }
+
+    return cycles;
+  }
+
+  /**
+   * Get dependencies of a task that are not yet completed
+   *
+   * @param {string} taskId - Task ID
+   * @param {Map<string, string>} statusById - Current status of every task
+   * @returns {Array<string>} Unfinished dependency IDs
+   */
+  getUnmetDependencies(taskId, statusById) {
+    return this.getDependencies(taskId).filter(dependency => statusById.get(dependency) !== 'completed');
+  }
+
+  /**
+   * Compute the ready set: pending tasks whose dependencies are all completed
+   *
+   * @param {Map<string, string>} statusById - Current status of every task
+   * @returns {Array<string>} Ready task IDs in plan order
+   */
+  getReadyTasks(statusById) {
+    return Array.from(this.nodes.keys())
+      .filter(taskId => statusById.get(taskId) === 'pending')
+      .filter(taskId => this.getUnmetDependencies(taskId, statusById).length === 0)
+      .sort((a, b) => this.order.get(a) - this.order.get(b));
+  }
+}
@@ -0,0 +1,298 @@
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { PlanHierarchy } from './PlanHierarchy.js';
+
+const HOUR = 1000 * 60 * 60;
+
+/**
+ * TimeReport - Actual time spent per task compared with its estimate
+ *
+ * Single Responsibility: Turn tracker timestamps into time and accuracy figures
+ *
+ * Elapsed time runs from startedAt to completedAt (or to now for tasks still
+ * in progress or paused). Tracker entries carry the intervals recorded by
+ * `task pause` / `task resume`:
+ *
+ *   pauses: [{ pausedAt, resumedAt }]   (resumedAt is null while paused)
+ *
+ * which can optionally be excluded from the elapsed time. Estimates come
+ * from estimatedHours in the task files.
+ *
+ * Accuracy is reported as the actual/estimate ratio (1.00 = spot on,
+ * 1.50 = took 50% longer) and only counts completed tasks with an estimate.
+ */
+export class TimeReport {
+  static CSV_COLUMNS = [
+    'level',
+    'id',
+    'name',
+    'subproject',
+    'milestone',
+    'status',
+    'estimated_hours',
+    'actual_hours',
+    'paused_hours',
+    'variance_hours',
+    'actual_to_estimate'
+  ];
+
+  /**
+   * Build the report for a plan
+   *
+   * @param {Object} tracker - Parsed TASK-TRACKER.json
+   * @param {Object} options
+   * @param {string} options.tasksDir - Path to the plan's tasks/ directory
+   * @param {Object} [options.plan] - Parsed PROJECT-PLAN.json (for subproject names)
+   * @param {boolean} [options.excludePaused] - Subtract paused intervals
+   * @param {Date} [options.now] - Reference time for running tasks
+   * @returns {Object} { planId, generatedAt, excludePaused, tasks, milestones, subprojects, totals }
+   */
+  static build(tracker, { tasksDir, plan = null, excludePaused = false, now = new Date() } = {}) {
+    const subprojectNames = new Map();
+    if (plan) {
+      PlanHierarchy.flatten(plan).forEach(({ subproject }) => {
+        if (subproject) {
+          subprojectNames.set(subproject.id, subproject.name);
+        }
+      });
+    }
+
+    const tasks = tracker.taskFiles.map(entry => {
+      const task = this.readTask(tasksDir, entry.id);
+      const time = this.measure(entry, task, { excludePaused, now });
+      const estimatedHours = typeof task.estimatedHours === 'number' ? task.estimatedHours : null;
+
+      return {
+        id: entry.id,
+        title: entry.title,
+        status: entry.status,
+        subprojectId: entry.subprojectId || null,
+        subprojectName: subprojectNames.get(entry.subprojectId) || null,
+        milestoneId: entry.milestoneId || null,
+        milestoneName: entry.milestoneName || null,
+        estimatedHours,
+        actualHours: time.actualHours,
+        pausedHours: time.pausedHours,
+        running: time.running,
+        ...this.accuracy(entry.status === 'completed' ? [{ estimatedHours, actualHours: time.actualHours }] : [])
+      };
+    });
+
+    return {
+      planId: tracker.planId,
+      generatedAt: now.toISOString(),
+      excludePaused,
+      tasks,
+      milestones: this.rollup(tasks, 'milestoneId', 'milestoneName'),
+      subprojects: this.rollup(tasks, 'subprojectId', 'subprojectName'),
+      totals: this.summarize(tasks)
+    };
+  }
+
+  /**
+   * Read a task file (empty object if missing or unreadable)
+   *
+   * @private
+   */
+  static readTask(tasksDir, taskId) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(tasksDir, `${taskId}.json`), 'utf8'));
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Elapsed and paused hours of one task
+   *
+   * Falls back to actualHours in the task file when the tracker has no
+   * timestamps (e.g. the task was completed by the complete-task hook).
+   *
+   * @param {Object} entry - Tracker task entry
+   * @param {Object} task - Task file contents
+   * @param {Object} options - { excludePaused, now }
+   * @returns {{actualHours: number|null, pausedHours: number, running: boolean}}
+   */
+  static measure(entry, task, { excludePaused = false, now = new Date() } = {}) {
+    if (!entry.startedAt) {
+      const recorded = typeof task.actualHours === 'number' ? task.actualHours : null;
+      return { actualHours: recorded, pausedHours: 0, running: false };
+    }
+
+    const start = new Date(entry.startedAt).getTime();
+    const end = entry.completedAt ? new Date(entry.completedAt).getTime() : now.getTime();
+    const running = !entry.completedAt && entry.status !== 'paused';
+    const pausedMs = this.pausedMilliseconds(entry.pauses, start, end);
+    const elapsedMs = Math.max(0, end - start - (excludePaused ? pausedMs : 0));
+
+    return {
+      actualHours: this.round(elapsedMs / HOUR),
+      pausedHours: this.round(pausedMs / HOUR),
+      running
+    };
+  }
+
+  /**
+   * Total paused time within [start, end]
+   *
+   * @private
+   * @param {Array<Object>|undefined} pauses - [{ pausedAt, resumedAt }]
+   * @param {number} start - Start timestamp (ms)
+   * @param {number} end - End timestamp (ms); open pauses run until here
+   * @returns {number} Milliseconds
+   */
+  static pausedMilliseconds(pauses, start, end) {
+    if (!Array.isArray(pauses)) {
+      return 0;
+    }
+
+    return pauses.reduce((total, pause) => {
+      const from = Math.max(start, new Date(pause.pausedAt).getTime());
+      const to = Math.min(end, pause.resumedAt ? new Date(pause.resumedAt).getTime() : end);
+      return to > from ? total + (to - from) : total;
+    }, 0);
+  }
+
+  /**
+   * Group task rows and summarize each group
+   *
+   * @private
+   * @param {Array<Object>} tasks - Task rows
+   * @param {string} idField - Row field holding the group ID
+   * @param {string} nameField - Row field holding the group name
+   * @returns {Array<Object>} [{ id, name, ...summary }] in plan order
+   */
+  static rollup(tasks, idField, nameField) {
+    const groups = new Map();
+
+    tasks.forEach(row => {
+      if (!row[idField]) {
+        return;
+      }
+
+      if (!groups.has(row[idField])) {
+        groups.set(row[idField], { id: row[idField], name: row[nameField], rows: [] });
+      }
+
+      groups.get(row[idField]).rows.push(row);
+    });
+
+    return Array.from(groups.values()).map(({ id, name, rows }) => ({ id, name, ...this.summarize(rows) }));
+  }
+
+  /**
+   * Totals for a set of task rows
+   *
+   * @private
+   * @param {Array<Object>} rows - Task rows
+   * @returns {Object} { tasks, completed, estimatedHours, actualHours, pausedHours, varianceHours, ratio }
+   */
+  static summarize(rows) {
+    const sum = (field) => this.round(rows.reduce((total, row) => total + (row[field] || 0), 0));
+    const completed = rows.filter(row => row.status === 'completed');
+
+    return {
+      tasks: rows.length,
+      completed: completed.length,
+      estimatedHours: sum('estimatedHours'),
+      actualHours: sum('actualHours'),
+      pausedHours: sum('pausedHours'),
+      ...this.accuracy(completed)
+    };
+  }
+
+  /**
+   * Estimate accuracy over completed rows that have both an estimate and an actual
+   *
+   * @private
+   * @param {Array<Object>} rows - Rows with estimatedHours and actualHours
+   * @returns {{varianceHours: number|null, ratio: number|null}}
+   */
+  static accuracy(rows) {
+    const measured = rows.filter(row => row.estimatedHours > 0 && typeof row.actualHours === 'number');
+
+    if (measured.length === 0) {
+      return { varianceHours: null, ratio: null };
+    }
+
+    const estimated = measured.reduce((total, row) => total + row.estimatedHours, 0);
+    const actual = measured.reduce((total, row) => total + row.actualHours, 0);
+
+    return {
+      varianceHours: this.round(actual - estimated),
+      ratio: this.round(actual / estimated)
+    };
+  }
+
+  /**
+   * Render the report as CSV: one row per task, milestone, subproject and the total
+   *
+   * @param {Object} report - Result of build()
+   * @returns {string} CSV with header row
+   */
+  static toCsv(report) {
+    const lines = [this.CSV_COLUMNS.join(',')];
+
+    const line = (values) => lines.push(values.map(value => this.csvValue(value)).join(','));
+
+    report.tasks.forEach(row => line([
+      'task', row.id, row.title, row.subprojectId, row.milestoneId, row.status,
+      row.estimatedHours, row.actualHours, row.pausedHours, row.varianceHours, row.ratio
+    ]));
+
+    report.milestones.forEach(group => line([
+      'milestone', group.id, group.name, null, group.id, null,
+      group.estimatedHours, group.actualHours, group.pausedHours, group.varianceHours, group.ratio
+    ]));
+
+    report.subprojects.forEach(group => line([
+      'subproject', group.id, group.name, group.id, null, null,
+      group.estimatedHours, group.actualHours, group.pausedHours, group.varianceHours, group.ratio
+    ]));
+
+    const totals = report.totals;
+    line([
+      'total', report.planId, null, null, null, null,
+      totals.estimatedHours, totals.actualHours, totals.pausedHours, totals.varianceHours, totals.ratio
+    ]);
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Quote a CSV field when needed
+   *
+   * @private
+   */
+  static csvValue(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * @private
+   */
+  static round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
@@ -0,0 +1,232 @@
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { TrackerRepository } from './TrackerRepository.js';
+import { WorktreeLanes } from './WorktreeLanes.js';
+
+/**
+ * PlanRegistry - The plans of a project and which one is current
+ *
+ * Single Responsibility: Find plans under .claude/plans/ and resolve plan and task references
+ *
+ * Several plans can be open (drafted or locked) side by side; archived
+ * plans live in .claude/plans/archived/ and are not listed. .claude/ACTIVE-PLAN
+ * names the current plan - the one `task next`, `plan`, `report` and the
+ * other commands act on unless told otherwise (`plan switch` changes it).
+ *
+ * Task IDs are unique within a plan, so across plans a task is referenced
+ * as <plan>:<task>, e.g. plan-002:TASK-004. The plan part is a plan ID or
+ * any unambiguous form of its number (plan-002, 002, 2). A bare TASK-004
+ * refers to the current plan.
+ *
+ * Task branches are feature/task-004 while the project has one plan, and
+ * feature/plan-002-task-004 once there are several, so tasks with the same
+ * ID in different plans never share a branch.
+ */
+export class PlanRegistry {
+  static ARCHIVED_DIRECTORY = 'archived';
+
+  static SEPARATOR = ':';
+
+  /**
+   * @param {string} projectRoot - Project root (the main worktree for lanes)
+   */
+  constructor(projectRoot = process.cwd()) {
+    this.projectRoot = projectRoot;
+    this.plansDir = path.join(projectRoot, '.claude', 'plans');
+    this.activePlanPath = path.join(projectRoot, '.claude', 'ACTIVE-PLAN');
+  }
+
+  /**
+   * @param {string} planId - Plan ID
+   * @returns {string} Plan directory
+   */
+  planDir(planId) {
+    return path.join(this.plansDir, planId);
+  }
+
+  /**
+   * @returns {string|null} Current plan ID (null when none is set)
+   */
+  getActivePlanId() {
+    if (!fs.existsSync(this.activePlanPath)) {
+      return null;
+    }
+
+    return fs.readFileSync(this.activePlanPath, 'utf8').trim() || null;
+  }
+
+  /**
+   * Make a plan the current one
+   *
+   * @param {string} planId - Plan ID (must exist)
+   */
+  setActivePlan(planId) {
+    fs.mkdirSync(path.dirname(this.activePlanPath), { recursive: true });
+    fs.writeFileSync(this.activePlanPath, planId);
+  }
+
+  /**
+   * @returns {Array<string>} IDs of the open (not archived) plans, sorted
+   */
+  listPlanIds() {
+    if (!fs.existsSync(this.plansDir)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.plansDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && entry.name !== this.constructor.ARCHIVED_DIRECTORY)
+      .map(entry => entry.name)
+      .sort();
+  }
+
+  /**
+   * Open plans with their state and progress
+   *
+   * @returns {Array<Object>} { id, shortId, active, locked, hasPlan, tracker, total, completed, inProgress, error }
+   */
+  list() {
+    const activePlanId = this.getActivePlanId();
+
+    return this.listPlanIds().map(id => {
+      const dir = this.planDir(id);
+      const summary = {
+        id,
+        shortId: this.constructor.shortId(id),
+        active: id === activePlanId,
+        locked: fs.existsSync(path.join(dir, '.plan-locked')),
+        hasPlan: fs.existsSync(path.join(dir, 'PROJECT-PLAN.json')),
+        tracker: null,
+        total: 0,
+        completed: 0,
+        inProgress: [],
+        error: null
+      };
+
+      const repository = new TrackerRepository(dir);
+      if (repository.exists()) {
+        try {
+          summary.tracker = repository.read();
+          summary.total = summary.tracker.taskFiles.length;
+          summary.completed = summary.tracker.taskFiles.filter(task => task.status === 'completed').length;
+          summary.inProgress = summary.tracker.taskFiles.filter(task => task.status === 'in_progress').map(task => task.id);
+        } catch (error) {
+          summary.error = error.message;
+        }
+      }
+
+      return summary;
+    });
+  }
+
+  /**
+   * Resolve a plan reference to a plan ID
+   *
+   * @param {string} ref - Plan ID, plan-002, 002 or 2
+   * @returns {string} Plan ID
+   * @throws {Error} No plan or several plans match
+   */
+  resolve(ref) {
+    const planIds = this.listPlanIds();
+    const value = String(ref || '').trim();
+
+    if (planIds.includes(value)) {
+      return value;
+    }
+
+    const number = value.match(/^(?:plan-)?(\d+)$/i);
+    const matches = number
+      ? planIds.filter(id => {
+        const match = id.match(/^plan-(\d+)/i);
+        return match && Number(match[1]) === Number(number[1]);
+      })
+      : planIds.filter(id => id.startsWith(value));
+
+    if (matches.length === 1) {
+      return matches[0];
+    }
+
+    if (matches.length > 1) {
+      throw new Error(`Plan reference "${value}" is ambiguous: ${matches.join(', ')}`);
+    }
+
+    throw new Error(`Plan not found: ${value}${planIds.length > 0 ? ` (plans: ${planIds.join(', ')})` : ''}`);
+  }
+
+  /**
+   * Plans holding a task bound to a worktree lane
+   *
+   * @param {string} laneKey - Lane key ('.' for the main worktree)
+   * @returns {Array<{planId: string, taskId: string}>} Current plan first
+   */
+  findBoundTasks(laneKey = WorktreeLanes.MAIN_LANE) {
+    return this.list()
+      .filter(plan => plan.tracker)
+      .sort((a, b) => Number(b.active) - Number(a.active))
+      .map(plan => ({ planId: plan.id, taskId: WorktreeLanes.getBoundTaskId(plan.tracker, laneKey) }))
+      .filter(bound => bound.taskId);
+  }
+
+  /**
+   * Branch for a task that is about to start
+   *
+   * @param {string} planId - Plan the task belongs to
+   * @param {string} taskId - Task ID
+   * @returns {string} feature/task-004, or feature/plan-002-task-004 when several plans are open
+   */
+  taskBranch(planId, taskId) {
+    return this.listPlanIds().length > 1
+      ? `feature/${this.constructor.shortId(planId).toLowerCase()}-${taskId.toLowerCase()}`
+      : `feature/${taskId.toLowerCase()}`;
+  }
+
+  /**
+   * Split a task reference into plan and task parts
+   *
+   * @param {string} ref - TASK-004 or plan-002:TASK-004
+   * @returns {{planRef: string|null, taskId: string}}
+   */
+  static parseTaskRef(ref) {
+    const value = String(ref || '');
+    const index = value.lastIndexOf(this.SEPARATOR);
+
+    if (index < 0) {
+      return { planRef: null, taskId: value };
+    }
+
+    return { planRef: value.slice(0, index), taskId: value.slice(index + 1) };
+  }
+
+  /**
+   * @param {string} planId - e.g. plan-002-generated
+   * @returns {string} e.g. plan-002 (the full ID when it has no plan number)
+   */
+  static shortId(planId) {
+    const match = String(planId).match(/^plan-\d+/i);
+    return match ? match[0] : planId;
+  }
+
+  /**
+   * @param {string} planId - Plan ID
+   * @param {string} taskId - Task ID
+   * @returns {string} e.g. plan-002:TASK-004
+   */
+  static qualify(planId, taskId) {
+    return `${this.shortId(planId)}${this.SEPARATOR}${taskId}`;
+  }
+}
@@ -0,0 +1,338 @@
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { execFileSync } from 'child_process';
+import { PlatformAdapter } from './PlatformAdapter.js';
+import { WorkItemSync } from '../Azure/WorkItemSync.js';
+
+/**
+ * AzureDevOpsAdapter - Azure Boards work items and Azure Repos pull requests
+ *
+ * Single Responsibility: Implement the PlatformAdapter contract for Azure DevOps
+ *
+ * Work items go through WorkItemSync (azureDevOps settings); pull requests
+ * through the az CLI, addressed by the organization, project and repository
+ * of the git remote.
+ */
+export class AzureDevOpsAdapter extends PlatformAdapter {
+  /**
+   * az pull request statuses mapped to open, merged or closed
+   */
+  static PR_STATES = {
+    active: 'open',
+    completed: 'merged',
+    abandoned: 'closed'
+  };
+
+  /**
+   * @param {string} projectRoot - Project root directory
+   */
+  constructor(projectRoot = process.cwd()) {
+    super('azure', projectRoot);
+
+    this.sync = null;
+    try {
+      this.sync = new WorkItemSync(projectRoot);
+      this.config = this.sync.config;
+    } catch (error) {
+      console.warn('⚠ Failed to initialize Azure client:', error.message);
+    }
+
+    this.repository = this.readRemote();
+  }
+
+  /**
+   * Parse an Azure Repos remote
+   *
+   * @param {string} url - https://dev.azure.com/org/project/_git/repo,
+   *   git@ssh.dev.azure.com:v3/org/project/repo or https://org.visualstudio.com/project/_git/repo
+   * @returns {{organization: string, project: string, repository: string}|null} Remote parts, or null
+   */
+  static parseRemote(url) {
+    const patterns = [
+      /dev\.azure\.com\/([^/]+)\/([^/]+)\/_git\/([^/]+?)(?:\.git)?\/?$/i,
+      /ssh\.dev\.azure\.com:v3\/([^/]+)\/([^/]+)\/([^/]+?)(?:\.git)?\/?$/i,
+      /\/\/(?:[^@/]+@)?([^./]+)\.visualstudio\.com\/(?:DefaultCollection\/)?([^/]+)\/_git\/([^/]+?)(?:\.git)?\/?$/i
+    ];
+
+    for (const pattern of patterns) {
+      const match = (url || '').trim().match(pattern);
+      if (match) {
+        const [organization, project, repository] = match.slice(1).map(part => decodeURIComponent(part));
+        return { organization, project, repository };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * @returns {string} Azure DevOps calls task items work items
+   */
+  getItemName() {
+    return 'work item';
+  }
+
+  /**
+   * @returns {string} Task file field holding the work item ID
+   */
+  getItemField() {
+    return 'azureWorkItem';
+  }
+
+  /**
+   * @param {number} workItemId - Work item ID
+   * @returns {string|null} Work item URL
+   */
+  getItemUrl(workItemId) {
+    if (this.sync && this.sync.client) {
+      return this.sync.client.getWorkItemUrl(workItemId);
+    }
+
+    const { organization, project } = this.getProjectInfo();
+    return organization && project
+      ? `https://dev.azure.com/${organization}/${encodeURIComponent(project)}/_workitems/edit/${workItemId}`
+      : null;
+  }
+
+  /**
+   * @returns {string} How to set up the az CLI
+   */
+  getSetupHint() {
+    return 'Install Azure CLI (https://aka.ms/azure-cli) and run: az login';
+  }
+
+  /**
+   * @returns {WorkItemSync|null} Work item sync when enabled
+   */
+  getClient() {
+    return this.isConfigured() ? this.sync : null;
+  }
+
+  /**
+   * @returns {boolean} True if work item sync is enabled and az is authenticated
+   */
+  isConfigured() {
+    return Boolean(this.sync && this.sync.isEnabled());
+  }
+
+  /**
+   * @returns {boolean} True if the remote names an Azure Repos repository
+   */
+  canManagePullRequests() {
+    return Boolean(this.repository);
+  }
+
+  /**
+   * @param {Object} task - Task object (mapped by TaskWorkItemMapper)
+   * @returns {Promise<number|null>} Work item ID or null
+   */
+  async createIssue(task) {
+    return this.isConfigured() ? await this.sync.createWorkItem(task) : null;
+  }
+
+  /**
+   * Set the mapped state and the status tags (not every process has a Blocked state)
+   *
+   * @param {number} workItemId - Work item ID
+   * @param {Object} task - { status, phase }
+   * @returns {Promise<boolean>} True if either was updated
+   */
+  async updateStatus(workItemId, task) {
+    if (!this.isConfigured() || !workItemId) {
+      return false;
+    }
+
+    const stateUpdated = await this.sync.updateWorkItemStatus(task, workItemId);
+    const tagsUpdated = await this.sync.updateWorkItemTags(task, workItemId);
+    return stateUpdated || tagsUpdated;
+  }
+
+  /**
+   * @param {number} workItemId - Work item ID
+   * @param {string} text - Comment text
+   * @returns {Promise<boolean>} True if added
+   */
+  async comment(workItemId, text) {
+    return this.isConfigured() && Boolean(workItemId) && await this.sync.addWorkItemComment(workItemId, text);
+  }
+
+  /**
+   * @param {number} workItemId - Work item ID
+   * @param {string|null} comment - Optional closing comment
+   * @returns {Promise<boolean>} True if closed
+   */
+  async close(workItemId, comment = null) {
+    if (!this.isConfigured() || !workItemId) {
+      return false;
+    }
+
+    const task = { id: `TASK-${workItemId}` }; // Minimal task object for closure
+    return await this.sync.closeWorkItem(task, workItemId, comment);
+  }
+
+  /**
+   * @param {number} workItemId - Work item ID
+   * @param {string[]} criteria - Criteria that were met
+   * @returns {Promise<boolean>} True if the description has them ticked (now or already)
+   */
+  async tickCompletionCriteria(workItemId, criteria) {
+    return this.isConfigured() && Boolean(workItemId) && criteria.length > 0 &&
+      await this.sync.tickCompletionCriteria(workItemId, criteria);
+  }
+
+  /**
+   * Create a pull request with az repos pr create
+   *
+   * @param {Object} options - { sourceBranch, targetBranch, title, description }
+   * @returns {Promise<{id: number, url: string}|null>} Pull request, or null on failure
+   */
+  async createPR({ sourceBranch, targetBranch, title, description = '' }) {
+    if (!this.canManagePullRequests()) {
+      return null;
+    }
+
+    try {
+      const pullRequest = JSON.parse(this.az([
+        'repos', 'pr', 'create',
+        '--repository', this.repository.repository,
+        '--source-branch', sourceBranch,
+        '--target-branch', targetBranch,
+        '--title', title,
+        '--description', description,
+        ...this.projectArgs()
+      ]));
+      return { id: pullRequest.pullRequestId, url: this.getPullRequestUrl(pullRequest.pullRequestId) };
+    } catch (error) {
+      console.warn('⚠ Failed to create Azure DevOps pull request:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Pull requests from a branch in any status, with az repos pr list
+   *
+   * @param {string} sourceBranch - Source branch
+   * @returns {Promise<Array<Object>|null>} Newest first; null on failure
+   */
+  async listPRs(sourceBranch) {
+    if (!this.canManagePullRequests()) {
+      return null;
+    }
+
+    try {
+      const pullRequests = JSON.parse(this.az([
+        'repos', 'pr', 'list',
+        '--repository', this.repository.repository,
+        '--source-branch', sourceBranch,
+        '--status', 'all',
+        ...this.projectArgs()
+      ]));
+      return this.normalizePRs(pullRequests.map(pullRequest => ({
+        id: pullRequest.pullRequestId,
+        state: pullRequest.status,
+        url: this.getPullRequestUrl(pullRequest.pullRequestId),
+        title: pullRequest.title
+      })), AzureDevOpsAdapter.PR_STATES);
+    } catch (error) {
+      console.warn('⚠ Failed to list Azure DevOps pull requests:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Complete a pull request with az repos pr update
+   *
+   * @param {number} id - Pull request ID
+   * @returns {Promise<boolean>} True if completed
+   */
+  async mergePR(id) {
+    if (!this.canManagePullRequests()) {
+      return false;
+    }
+
+    try {
+      this.az(['repos', 'pr', 'update', '--id', String(id), '--status', 'completed',
+        '--organization', `https://dev.azure.com/${this.repository.organization}`, '--output', 'json']);
+      return true;
+    } catch (error) {
+      console.warn('⚠ Failed to complete Azure DevOps pull request:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Organization and project from the settings, else from the remote
+   *
+   * @private
+   * @returns {{organization: string|null, project: string|null}} Project info
+   */
+  getProjectInfo() {
+    const settings = this.config ? this.config.getProjectInfo() : {};
+    const remote = this.repository || {};
+    return {
+      organization: settings.organization || remote.organization || null,
+      project: settings.project || remote.project || null
+    };
+  }
+
+  /**
+   * @private
+   * @param {number} id - Pull request ID
+   * @returns {string} Web URL of the pull request
+   */
+  getPullRequestUrl(id) {
+    const { organization, project, repository } = this.repository;
+    return `https://dev.azure.com/${organization}/${encodeURIComponent(project)}/_git/${encodeURIComponent(repository)}/pullrequest/${id}`;
+  }
+
+  /**
+   * @private
+   * @returns {string[]} az arguments addressing the repository's project
+   */
+  projectArgs() {
+    return [
+      '--organization', `https://dev.azure.com/${this.repository.organization}`,
+      '--project', this.repository.project,
+      '--output', 'json'
+    ];
+  }
+
+  /**
+   * @private
+   * @returns {{organization: string, project: string, repository: string}|null} Parsed origin remote
+   */
+  readRemote() {
+    try {
+      const remote = execFileSync('git', ['remote', 'get-url', 'origin'], { cwd: this.projectRoot, encoding: 'utf-8', stdio: 'pipe' });
+      return AzureDevOpsAdapter.parseRemote(remote);
+    } catch (error) {
+      // Git remote not configured or not a git repository
+      return null;
+    }
+  }
+
+  /**
+   * Run the az CLI in the project
+   *
+   * @private
+   * @param {string[]} args - az arguments
+   * @returns {string} Standard output
+   */
+  az(args) {
+    return execFileSync('az', args, { cwd: this.projectRoot, encoding: 'utf-8', stdio: 'pipe' });
+  }
+}
@@ -0,0 +1,97 @@
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { PlatformAdapter } from './PlatformAdapter.js';
+import { BitbucketServerConfig } from '../Bitbucket/BitbucketServerConfig.js';
+import { BitbucketServerClient } from '../Bitbucket/BitbucketServerClient.js';
+
+/**
+ * BitbucketServerAdapter - Bitbucket Server/Data Center pull requests through the REST API
+ *
+ * Single Responsibility: Implement the PlatformAdapter contract for Bitbucket Server
+ *
+ * Bitbucket Server has no issues, so the task item operations keep their
+ * "not supported" defaults and tasks stay local.
+ */
+export class BitbucketServerAdapter extends PlatformAdapter {
+  /**
+   * Bitbucket Server pull request states mapped to open, merged or closed
+   */
+  static PR_STATES = {
+    OPEN: 'open',
+    MERGED: 'merged',
+    DECLINED: 'closed'
+  };
+
+  /**
+   * @param {string} projectRoot - Project root directory
+   */
+  constructor(projectRoot = process.cwd()) {
+    super('bitbucket-server', projectRoot);
+
+    try {
+      const config = new BitbucketServerConfig(projectRoot);
+
+      if (config.isEnabled()) {
+        const { projectKey, repoSlug } = config.getRepoInfo();
+        this.client = new BitbucketServerClient(config.getToken(), config.getBaseUrl(), projectKey, repoSlug);
+      }
+    } catch (error) {
+      console.warn('⚠ Failed to initialize Bitbucket Server client:', error.message);
+      this.client = null;
+    }
+  }
+
+  /**
+   * @returns {string} How to give the API a token
+   */
+  getSetupHint() {
+    return 'Set BITBUCKET_TOKEN, or the token in the bitbucketServer section of .claude/settings.local.json';
+  }
+
+  /**
+   * @returns {boolean} True with a token and a repository
+   */
+  canManagePullRequests() {
+    return Boolean(this.client && this.client.isConfigured());
+  }
+
+  /**
+   * @param {Object} options - { sourceBranch, targetBranch, title, description }
+   * @returns {Promise<{id: number, url: string}|null>} Pull request, or null
+   */
+  async createPR(options) {
+    return this.canManagePullRequests() ? await this.client.createPullRequest(options) : null;
+  }
+
+  /**
+   * @param {string} sourceBranch - Source branch
+   * @returns {Promise<Array<Object>|null>} Pull requests, newest first; null on failure
+   */
+  async listPRs(sourceBranch) {
+    return this.canManagePullRequests()
+      ? this.normalizePRs(await this.client.findPullRequests(sourceBranch), BitbucketServerAdapter.PR_STATES)
+      : null;
+  }
+
+  /**
+   * @param {number} id - Pull request ID
+   * @returns {Promise<boolean>} True if merged
+   */
+  async mergePR(id) {
+    return this.canManagePullRequests() && await this.client.mergePullRequest(id);
+  }
+}
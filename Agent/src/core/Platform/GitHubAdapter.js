@@ -0,0 +1,161 @@
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { execFileSync } from 'child_process';
+import { PlatformAdapter } from './PlatformAdapter.js';
+import { GitHubConfig } from '../GitHubConfig.js';
+import { GitHubClient } from '../GitHubClient.js';
+
+/**
+ * GitHubAdapter - GitHub issues through the REST API, pull requests through the gh CLI
+ *
+ * Single Responsibility: Implement the PlatformAdapter contract for GitHub
+ *
+ * Issues need github.enabled and a token (GitHubClient); pull requests use
+ * the authenticated gh CLI, which is checked when a command runs.
+ */
+export class GitHubAdapter extends PlatformAdapter {
+  /**
+   * gh pull request states mapped to open, merged or closed
+   */
+  static PR_STATES = {
+    OPEN: 'open',
+    MERGED: 'merged',
+    CLOSED: 'closed'
+  };
+
+  /**
+   * @param {string} projectRoot - Project root directory
+   */
+  constructor(projectRoot = process.cwd()) {
+    super('github', projectRoot);
+
+    try {
+      this.config = new GitHubConfig(projectRoot);
+
+      if (this.config.isEnabled()) {
+        const { owner, repo } = this.config.getRepoInfo();
+        this.client = new GitHubClient(this.config.getToken(), owner, repo);
+        this.issuesEnabled = true;
+      }
+    } catch (error) {
+      console.warn('⚠ Failed to initialize GitHub client:', error.message);
+      this.client = null;
+    }
+  }
+
+  /**
+   * @returns {string} GitHub's pull request template path
+   */
+  getPullRequestTemplate() {
+    return '.github/PULL_REQUEST_TEMPLATE.md';
+  }
+
+  /**
+   * @returns {string} Task file field holding the issue number
+   */
+  getItemField() {
+    return 'githubIssue';
+  }
+
+  /**
+   * @param {number} issueNumber - Issue number
+   * @returns {string|null} Issue URL
+   */
+  getItemUrl(issueNumber) {
+    const { owner, repo } = this.config ? this.config.getRepoInfo() : {};
+    return owner && repo ? `https://github.com/${owner}/${repo}/issues/${issueNumber}` : null;
+  }
+
+  /**
+   * @returns {string} How to set up the gh CLI
+   */
+  getSetupHint() {
+    return 'Install GitHub CLI (https://cli.github.com/) and run: gh auth login';
+  }
+
+  /**
+   * @returns {boolean} Always true - gh is checked when a pull request command runs
+   */
+  canManagePullRequests() {
+    return true;
+  }
+
+  /**
+   * Create a pull request with gh pr create
+   *
+   * @param {Object} options - { sourceBranch, targetBranch, title, description }
+   * @returns {Promise<{id: number, url: string}|null>} Pull request, or null on failure
+   */
+  async createPR({ sourceBranch, targetBranch, title, description = '' }) {
+    try {
+      const output = this.gh(['pr', 'create', '--head', sourceBranch, '--base', targetBranch, '--title', title, '--body', description]);
+      const match = output.match(/https?:\/\/\S+\/pull\/(\d+)/);
+      return match ? { id: Number(match[1]), url: match[0] } : null;
+    } catch (error) {
+      console.warn('⚠ Failed to create GitHub pull request:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Pull requests from a branch in any state, with gh pr list
+   *
+   * @param {string} sourceBranch - Source branch
+   * @returns {Promise<Array<Object>|null>} Newest first; null on failure
+   */
+  async listPRs(sourceBranch) {
+    try {
+      const pullRequests = JSON.parse(this.gh(['pr', 'list', '--head', sourceBranch, '--state', 'all', '--json', 'number,url,state,title']));
+      return this.normalizePRs(pullRequests.map(pullRequest => ({
+        id: pullRequest.number,
+        state: pullRequest.state,
+        url: pullRequest.url,
+        title: pullRequest.title
+      })), GitHubAdapter.PR_STATES);
+    } catch (error) {
+      console.warn('⚠ Failed to list GitHub pull requests:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Merge a pull request with a merge commit, with gh pr merge
+   *
+   * @param {number} id - Pull request number
+   * @returns {Promise<boolean>} True if merged
+   */
+  async mergePR(id) {
+    try {
+      this.gh(['pr', 'merge', String(id), '--merge']);
+      return true;
+    } catch (error) {
+      console.warn('⚠ Failed to merge GitHub pull request:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Run the gh CLI in the project
+   *
+   * @private
+   * @param {string[]} args - gh arguments
+   * @returns {string} Standard output
+   */
+  gh(args) {
+    return execFileSync('gh', args, { cwd: this.projectRoot, encoding: 'utf-8', stdio: 'pipe' });
+  }
+}
@@ -0,0 +1,134 @@
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { PlatformAdapter } from './PlatformAdapter.js';
+import { GitLabConfig } from '../GitLab/GitLabConfig.js';
+import { GitLabClient } from '../GitLab/GitLabClient.js';
+
+/**
+ * GitLabAdapter - GitLab issues and merge requests through the REST API
+ *
+ * Single Responsibility: Implement the PlatformAdapter contract for GitLab
+ *
+ * Merge requests only need a token; issue sync is opt-in (gitlab.enabled).
+ */
+export class GitLabAdapter extends PlatformAdapter {
+  /**
+   * GitLab merge request states mapped to open, merged or closed
+   */
+  static PR_STATES = {
+    opened: 'open',
+    locked: 'open',
+    merged: 'merged',
+    closed: 'closed'
+  };
+
+  /**
+   * @param {string} projectRoot - Project root directory
+   */
+  constructor(projectRoot = process.cwd()) {
+    super('gitlab', projectRoot);
+
+    try {
+      this.config = new GitLabConfig(projectRoot);
+
+      if (this.config.hasCredentials()) {
+        this.client = new GitLabClient(this.config.getToken(), this.config.getBaseUrl(), this.config.getProjectPath());
+        this.issuesEnabled = this.config.isEnabled();
+      }
+    } catch (error) {
+      console.warn('⚠ Failed to initialize GitLab client:', error.message);
+      this.client = null;
+    }
+  }
+
+  /**
+   * @returns {string} GitLab calls pull requests merge requests
+   */
+  getPullRequestName() {
+    return 'merge request';
+  }
+
+  /**
+   * @returns {string} Short form of merge request
+   */
+  getPullRequestShortName() {
+    return 'MR';
+  }
+
+  /**
+   * @returns {string} GitLab's default merge request template path
+   */
+  getPullRequestTemplate() {
+    return '.gitlab/merge_request_templates/Default.md';
+  }
+
+  /**
+   * @returns {string} Task file field holding the issue IID
+   */
+  getItemField() {
+    return 'gitlabIssue';
+  }
+
+  /**
+   * @returns {string} How to give the API a token
+   */
+  getSetupHint() {
+    return 'Set GITLAB_TOKEN, or the token in the gitlab section of .claude/settings.local.json';
+  }
+
+  /**
+   * @returns {boolean} True with a token and a project
+   */
+  canManagePullRequests() {
+    return Boolean(this.client && this.client.isConfigured());
+  }
+
+  /**
+   * @param {Object} options - { sourceBranch, targetBranch, title, description }
+   * @returns {Promise<{id: number, url: string}|null>} Merge request (id is the IID), or null
+   */
+  async createPR(options) {
+    if (!this.canManagePullRequests()) {
+      return null;
+    }
+
+    const mergeRequest = await this.client.createMergeRequest(options);
+    return mergeRequest ? { id: mergeRequest.iid, url: mergeRequest.url } : null;
+  }
+
+  /**
+   * @param {string} sourceBranch - Source branch
+   * @returns {Promise<Array<Object>|null>} Merge requests, newest first; null on failure
+   */
+  async listPRs(sourceBranch) {
+    if (!this.canManagePullRequests()) {
+      return null;
+    }
+
+    const mergeRequests = await this.client.findMergeRequests(sourceBranch);
+    return this.normalizePRs(mergeRequests && mergeRequests.map(({ iid, ...mergeRequest }) => ({ id: iid, ...mergeRequest })),
+      GitLabAdapter.PR_STATES);
+  }
+
+  /**
+   * @param {number} id - Merge request IID
+   * @returns {Promise<boolean>} True if merged
+   */
+  async mergePR(id) {
+    return this.canManagePullRequests() && await this.client.acceptMergeRequest(id);
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { PlatformAdapter } from './PlatformAdapter.js';
+import { GiteaConfig } from '../Gitea/GiteaConfig.js';
+import { GiteaClient } from '../Gitea/GiteaClient.js';
+
+/**
+ * GiteaAdapter - Gitea/Forgejo issues and pull requests through the REST API
+ *
+ * Single Responsibility: Implement the PlatformAdapter contract for Gitea/Forgejo
+ *
+ * Pull requests only need a token; issue sync is opt-in (gitea.enabled).
+ */
+export class GiteaAdapter extends PlatformAdapter {
+  /**
+   * @param {string} projectRoot - Project root directory
+   */
+  constructor(projectRoot = process.cwd()) {
+    super('gitea', projectRoot);
+
+    try {
+      this.config = new GiteaConfig(projectRoot);
+
+      if (this.config.hasCredentials()) {
+        const { owner, repo } = this.config.getRepoInfo();
+        this.client = new GiteaClient(this.config.getToken(), this.config.getBaseUrl(), owner, repo);
+        this.issuesEnabled = this.config.isEnabled();
+      }
+    } catch (error) {
+      console.warn('⚠ Failed to initialize Gitea client:', error.message);
+      this.client = null;
+    }
+  }
+
+  /**
+   * @returns {string} Gitea's pull request template path
+   */
+  getPullRequestTemplate() {
+    return '.gitea/pull_request_template.md';
+  }
+
+  /**
+   * @returns {string} Task file field holding the issue number
+   */
+  getItemField() {
+    return 'giteaIssue';
+  }
+
+  /**
+   * @returns {string} How to give the API a token
+   */
+  getSetupHint() {
+    return 'Set GITEA_TOKEN, or the token in the gitea section of .claude/settings.local.json';
+  }
+
+  /**
+   * @returns {boolean} True with a token and a repository
+   */
+  canManagePullRequests() {
+    return Boolean(this.client && this.client.isConfigured());
+  }
+
+  /**
+   * @param {Object} options - { sourceBranch, targetBranch, title, description }
+   * @returns {Promise<{id: number, url: string}|null>} Pull request, or null
+   */
+  async createPR(options) {
+    return this.canManagePullRequests() ? await this.client.createPullRequest(options) : null;
+  }
+
+  /**
+   * @param {string} sourceBranch - Source branch
+   * @returns {Promise<Array<Object>|null>} Pull requests (already open, merged or closed), newest first; null on failure
+   */
+  async listPRs(sourceBranch) {
+    return this.canManagePullRequests() ? await this.client.findPullRequests(sourceBranch) : null;
+  }
+
+  /**
+   * @param {number} id - Pull request number
+   * @returns {Promise<boolean>} True if merged
+   */
+  async mergePR(id) {
+    return this.canManagePullRequests() && await this.client.mergePullRequest(id);
+  }
+}
@@ -0,0 +1,305 @@
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { PlatformDetector } from './PlatformDetector.js';
+import { TaskIssueMapper } from '../TaskIssueMapper.js';
+
+/**
+ * PlatformAdapter - Contract every git platform implements
+ *
+ * Single Responsibility: Define the task item and pull request operations
+ * PlatformRouter delegates to, with "not supported" defaults
+ *
+ * Task items (issues, work items):
+ * - createIssue(task, content) -> item ID | null
+ * - updateStatus(itemId, task) -> boolean
+ * - comment(itemId, text) -> boolean
+ * - close(itemId, comment) -> boolean
+ * - tickCompletionCriteria(itemId, criteria) -> boolean (true when nothing is left to tick)
+ *
+ * Pull requests (pull/merge requests), states normalized to open, merged or closed:
+ * - createPR({ sourceBranch, targetBranch, title, description }) -> { id, url } | null
+ * - listPRs(sourceBranch) -> [{ id, state, url, title }] newest first | null
+ * - getPRStatus(sourceBranch) -> most recent { id, state, url, title } | null
+ * - mergePR(id) -> boolean
+ *
+ * Failures are reported with a warning and a null/false result, never thrown.
+ *
+ * The issue operations work on any client with the GitHub-style issue methods
+ * (createIssue, updateIssueLabels, getIssueBody, updateIssueBody,
+ * addIssueComment, closeIssue) set as `this.client`; adapters for platforms
+ * with other task items override them. Supporting a new platform means one
+ * subclass registered in PlatformRouter.ADAPTERS.
+ */
+export class PlatformAdapter {
+  /**
+   * @param {string} platform - Platform ID ('github', 'azure', ...)
+   * @param {string} projectRoot - Project root directory
+   */
+  constructor(platform, projectRoot = process.cwd()) {
+    this.platform = platform;
+    this.projectRoot = projectRoot;
+
+    // Settings section with isAutoCreateEnabled/isAutoUpdateEnabled/isAutoCloseEnabled
+    this.config = null;
+
+    // Issue client (GitHub-style issue methods) and whether issue sync is turned on
+    this.client = null;
+    this.issuesEnabled = false;
+  }
+
+  // ===== Description =====
+
+  /**
+   * @returns {string} Human-readable platform name
+   */
+  getName() {
+    return PlatformDetector.getPlatformName(this.platform);
+  }
+
+  /**
+   * @returns {string} What the platform calls a pull request
+   */
+  getPullRequestName() {
+    return 'pull request';
+  }
+
+  /**
+   * @returns {string} Short form of getPullRequestName()
+   */
+  getPullRequestShortName() {
+    return 'PR';
+  }
+
+  /**
+   * @returns {string|null} Pull request template path relative to the repository root
+   */
+  getPullRequestTemplate() {
+    return null;
+  }
+
+  /**
+   * @returns {string} What the platform calls a task item
+   */
+  getItemName() {
+    return 'issue';
+  }
+
+  /**
+   * @returns {string|null} Task file field holding the linked item ID
+   */
+  getItemField() {
+    return null;
+  }
+
+  /**
+   * @param {number} itemId - Issue/work item ID
+   * @returns {string|null} Web URL of the item
+   */
+  getItemUrl(itemId) {
+    return this.client && this.client.getIssueUrl ? this.client.getIssueUrl(itemId) : null;
+  }
+
+  /**
+   * @returns {string} What to do when pull requests cannot be managed
+   */
+  getSetupHint() {
+    return 'Diagnose with: npx agentic15 doctor';
+  }
+
+  // ===== Capabilities =====
+
+  /**
+   * @returns {Object|null} Underlying client
+   */
+  getClient() {
+    return this.client;
+  }
+
+  /**
+   * @returns {boolean} True if task items can be synced
+   */
+  isConfigured() {
+    return Boolean(this.issuesEnabled && this.client && this.client.isConfigured());
+  }
+
+  /**
+   * @returns {boolean} True if task items should be created when a task starts
+   */
+  isAutoCreateEnabled() {
+    return Boolean(this.config && this.config.isAutoCreateEnabled && this.config.isAutoCreateEnabled());
+  }
+
+  /**
+   * @returns {boolean} True if task items should follow task progress
+   */
+  isAutoUpdateEnabled() {
+    return Boolean(this.config && this.config.isAutoUpdateEnabled && this.config.isAutoUpdateEnabled());
+  }
+
+  /**
+   * @returns {boolean} True if task items should be closed with their task
+   */
+  isAutoCloseEnabled() {
+    return Boolean(this.config && this.config.isAutoCloseEnabled && this.config.isAutoCloseEnabled());
+  }
+
+  /**
+   * @returns {boolean} True if pull requests can be created and checked
+   */
+  canManagePullRequests() {
+    return false;
+  }
+
+  // ===== Task items =====
+
+  /**
+   * Create the item for a task
+   *
+   * @param {Object} task - Task object
+   * @param {Object} content - { title, body, labels } (defaults built from the task)
+   * @returns {Promise<number|null>} Item ID or null
+   */
+  async createIssue(task, content = {}) {
+    if (!this.isConfigured()) {
+      return null;
+    }
+
+    const {
+      title = `[${task.id}] ${task.title}`,
+      body = task.description || '',
+      labels = task.tags || []
+    } = content;
+
+    return await this.client.createIssue(title, body, labels);
+  }
+
+  /**
+   * Reflect the task's status (and phase) on its item
+   *
+   * @param {number} itemId - Issue/work item ID
+   * @param {Object} task - { status, phase }
+   * @returns {Promise<boolean>} True if updated
+   */
+  async updateStatus(itemId, task) {
+    if (!this.isConfigured() || !itemId) {
+      return false;
+    }
+
+    return await this.client.updateIssueLabels(itemId, TaskIssueMapper.taskStatusToLabels(task.status, task.phase));
+  }
+
+  /**
+   * @param {number} itemId - Issue/work item ID
+   * @param {string} text - Comment text
+   * @returns {Promise<boolean>} True if added
+   */
+  async comment(itemId, text) {
+    if (!this.isConfigured() || !itemId) {
+      return false;
+    }
+
+    return await this.client.addIssueComment(itemId, text);
+  }
+
+  /**
+   * @param {number} itemId - Issue/work item ID
+   * @param {string|null} comment - Optional closing comment
+   * @returns {Promise<boolean>} True if closed
+   */
+  async close(itemId, comment = null) {
+    if (!this.isConfigured() || !itemId) {
+      return false;
+    }
+
+    return await this.client.closeIssue(itemId, comment);
+  }
+
+  /**
+   * Tick met completion criteria in the item's description
+   *
+   * @param {number} itemId - Issue/work item ID
+   * @param {string[]} criteria - Criteria that were met
+   * @returns {Promise<boolean>} True if the description has them ticked (now or already)
+   */
+  async tickCompletionCriteria(itemId, criteria) {
+    if (!this.isConfigured() || !itemId || criteria.length === 0) {
+      return false;
+    }
+
+    const body = await this.client.getIssueBody(itemId);
+    if (body === null) {
+      return false;
+    }
+
+    const ticked = TaskIssueMapper.tickCompletionCriteria(body, criteria);
+    return ticked === body || await this.client.updateIssueBody(itemId, ticked);
+  }
+
+  // ===== Pull requests =====
+
+  /**
+   * @param {Object} options - { sourceBranch, targetBranch, title, description }
+   * @returns {Promise<{id: number, url: string}|null>} Pull request or null
+   */
+  async createPR(options) {
+    return null;
+  }
+
+  /**
+   * @param {string} sourceBranch - Source branch
+   * @returns {Promise<Array<{id: number, state: string, url: string, title: string}>|null>} Newest first; null when unavailable
+   */
+  async listPRs(sourceBranch) {
+    return null;
+  }
+
+  /**
+   * @param {string} sourceBranch - Source branch
+   * @returns {Promise<{id: number, state: string, url: string, title: string}|null>} Most recent pull request, or null
+   */
+  async getPRStatus(sourceBranch) {
+    const pullRequests = await this.listPRs(sourceBranch);
+    return pullRequests && pullRequests.length > 0 ? pullRequests[0] : null;
+  }
+
+  /**
+   * @param {number} id - Pull request ID
+   * @returns {Promise<boolean>} True if merged
+   */
+  async mergePR(id) {
+    return false;
+  }
+
+  /**
+   * Map platform pull request states to open, merged or closed
+   *
+   * @protected
+   * @param {Array<Object>|null} pullRequests - Pull requests with platform states
+   * @param {Object} states - Platform state -> normalized state
+   * @returns {Array<Object>|null} Pull requests with normalized states
+   */
+  normalizePRs(pullRequests, states) {
+    if (!pullRequests) {
+      return null;
+    }
+
+    return pullRequests.map(pullRequest => ({
+      ...pullRequest,
+      state: states[pullRequest.state] || pullRequest.state
+    }));
+  }
+}
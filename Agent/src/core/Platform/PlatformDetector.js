@@ -19,13 +19,15 @@ import path from 'path';
 import { execSync } from 'child_process';
 
 /**
- * PlatformDetector - Detects whether repository is GitHub or Azure DevOps
+ * PlatformDetector - Detects whether repository is GitHub, Azure DevOps, GitLab,
+ * Gitea/Forgejo or Bitbucket Server
  *
  * Single Responsibility: Platform detection and identification
  *
  * Detection hierarchy:
  * 1. User config override (highest priority)
- * 2. Git remote URL parsing
+ * 2. Git remote URL parsing (well-known hosts, then hosts configured for
+ *    self-hosted instances: gitlab.baseUrl, gitea.baseUrl, bitbucketServer.baseUrl)
  * 3. .git/config file inspection
  * 4. Feature flags inference
  * 5. Default (GitHub)
@@ -50,7 +52,7 @@ export class PlatformDetector {
    * Detect platform with caching
    *
    * @param {boolean} useCache - Whether to use cached result
-   * @returns {string|null} Platform name ('github', 'azure', or null)
+   * @returns {string|null} Platform name ('github', 'azure', 'gitlab', 'gitea', 'bitbucket-server', or null)
    */
   static detect(useCache = true, projectRoot = process.cwd()) {
     if (useCache && this._cachedPlatform) {
@@ -99,7 +101,7 @@ export class PlatformDetector {
           env: { ...process.env, GIT_DIR: gitPath }
         }).trim();
 
-        const platform = PlatformDetector.parseRemoteURL(remote);
+        const platform = this.identifyRemote(remote);
         if (platform) {
           return platform;
         }
@@ -115,7 +117,7 @@ export class PlatformDetector {
         const gitConfig = fs.readFileSync(gitConfigPath, 'utf-8');
         const url = this.extractURLFromConfig(gitConfig);
         if (url) {
-          const platform = PlatformDetector.parseRemoteURL(url);
+          const platform = this.identifyRemote(url);
           if (platform) {
             return platform;
           }
@@ -135,11 +137,121 @@ export class PlatformDetector {
     return null;
   }
 
+  /**
+   * Identify a remote by well-known host, then by configured self-hosted instances
+   *
+   * @param {string} url - Git remote URL
+   * @returns {string|null} Platform name or null
+   */
+  identifyRemote(url) {
+    return PlatformDetector.parseRemoteURL(url) || this.matchConfiguredHost(url);
+  }
+
+  /**
+   * Match a remote against the hosts of configured self-hosted instances
+   *
+   * A self-hosted instance at git.example.com cannot be told from its URL,
+   * so its host is taken from the baseUrl of the platform's settings section
+   * (or the matching environment variable).
+   *
+   * @param {string} url - Git remote URL
+   * @returns {string|null} Platform name or null
+   */
+  matchConfiguredHost(url) {
+    const host = PlatformDetector.getRemoteHost(url);
+    if (!host) {
+      return null;
+    }
+
+    const config = this.loadSettings();
+    const instances = {
+      gitlab: process.env.GITLAB_URL || config.gitlab?.baseUrl,
+      gitea: process.env.GITEA_URL || config.gitea?.baseUrl,
+      'bitbucket-server': process.env.BITBUCKET_URL || config.bitbucketServer?.baseUrl
+    };
+
+    for (const [platform, baseUrl] of Object.entries(instances)) {
+      if (baseUrl && PlatformDetector.getRemoteHost(baseUrl) === host) {
+        return platform;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the host name of a remote or web URL
+   *
+   * @param {string} url - https://host/..., ssh://git@host:22/... or git@host:path
+   * @returns {string|null} Lowercased host name without port, or null
+   */
+  static getRemoteHost(url) {
+    const remote = PlatformDetector.splitRemote(url);
+    return remote ? remote.host : null;
+  }
+
+  /**
+   * Split a git remote into host, instance web root and repository path
+   *
+   * Handles https://host[:port]/path.git, git@host:path.git and
+   * ssh://git@host[:port]/path.git. SSH ports are not carried into baseUrl
+   * (the web UI rarely shares them); configure baseUrl when it differs.
+   *
+   * @param {string} url - Git remote URL
+   * @param {string|null} baseUrl - Configured web root; its path prefix (https://host/gitlab) is stripped from the path
+   * @returns {{host: string, baseUrl: string, path: string}|null} path without leading slash or .git
+   */
+  static splitRemote(url, baseUrl = null) {
+    if (!url || typeof url !== 'string') {
+      return null;
+    }
+
+    let host;
+    let webRoot;
+    let remotePath;
+
+    const scp = url.match(/^(?:[^@/]+@)?([^:/]+):(?!\/\/)(.+)$/);
+    if (scp) {
+      host = scp[1];
+      webRoot = `https://${host}`;
+      remotePath = scp[2];
+    } else {
+      let parsed;
+      try {
+        parsed = new URL(url);
+      } catch (error) {
+        return null;
+      }
+
+      host = parsed.hostname;
+      webRoot = parsed.protocol === 'http:' || parsed.protocol === 'https:'
+        ? `${parsed.protocol}//${parsed.host}`
+        : `https://${parsed.hostname}`;
+      remotePath = parsed.pathname;
+    }
+
+    let repoPath = remotePath.replace(/^\/+/, '').replace(/\.git\/?$/, '').replace(/\/+$/, '');
+
+    let prefix = '';
+    try {
+      prefix = baseUrl ? new URL(baseUrl).pathname.replace(/^\/+|\/+$/g, '') : '';
+    } catch (error) {
+      // Not a URL - no prefix to strip
+    }
+
+    if (prefix && repoPath.startsWith(`${prefix}/`)) {
+      repoPath = repoPath.slice(prefix.length + 1);
+      webRoot = `${webRoot}/${prefix}`;
+    }
+
+    return { host: host.toLowerCase(), baseUrl: webRoot, path: repoPath };
+  }
+
   /**
    * Parse remote URL to detect platform
    *
    * @param {string} url - Git remote URL
-   * @returns {string|null} Platform name ('github', 'azure', or null)
+   * @returns {string|null} Platform name ('github', 'azure', 'gitlab', or null)
    */
   static parseRemoteURL(url) {
     if (!url || typeof url !== 'string' || url.trim() === '') {
@@ -159,6 +271,12 @@ export class PlatformDetector {
       return 'azure';
     }
 
+    // GitLab patterns (gitlab.com and instances named gitlab.*)
+    const host = PlatformDetector.getRemoteHost(normalizedURL);
+    if (host && host.split('.').includes('gitlab')) {
+      return 'gitlab';
+    }
+
     // Unknown platform
     return null;
   }
@@ -203,26 +321,29 @@ export class PlatformDetector {
   detectFromFeatureFlags() {
     const config = this.loadSettings();
 
-    const githubEnabled = config.github?.enabled === true;
-    const azureEnabled = config.azureDevOps?.enabled === true;
+    // Settings section per platform, in order of preference
+    const sections = {
+      github: 'github',
+      azure: 'azureDevOps',
+      gitlab: 'gitlab',
+      gitea: 'gitea',
+      'bitbucket-server': 'bitbucketServer'
+    };
+    const enabled = Object.keys(sections).filter(platform => config[sections[platform]]?.enabled === true);
 
     // Only one enabled - clear choice
-    if (githubEnabled && !azureEnabled) {
-      return 'github';
-    }
-
-    if (azureEnabled && !githubEnabled) {
-      return 'azure';
+    if (enabled.length === 1) {
+      return enabled[0];
     }
 
-    // Both enabled - default to GitHub with warning
-    if (githubEnabled && azureEnabled) {
-      console.warn('⚠️  Both GitHub and Azure are enabled. Defaulting to GitHub.');
+    // Several enabled - default to the first with warning
+    if (enabled.length > 1) {
+      console.warn(`⚠️  Several platforms are enabled. Defaulting to ${PlatformDetector.getPlatformName(enabled[0])}.`);
       console.warn('   Set platform.type in settings.json to override.');
-      return 'github';
+      return enabled[0];
     }
 
-    // Neither enabled
+    // None enabled
     return null;
   }
 
@@ -250,7 +371,13 @@ export class PlatformDetector {
     if (fs.existsSync(localSettingsPath)) {
       try {
         const localSettings = JSON.parse(fs.readFileSync(localSettingsPath, 'utf-8'));
-        Object.assign(settings, localSettings);
+
+        // Merge per section, so a local gitlab.token keeps the shared gitlab.baseUrl
+        for (const [key, value] of Object.entries(localSettings)) {
+          const shared = settings[key];
+          const isSection = (item) => item && typeof item === 'object' && !Array.isArray(item);
+          settings[key] = isSection(shared) && isSection(value) ? { ...shared, ...value } : value;
+        }
       } catch (error) {
         // Ignore parse errors
       }
@@ -268,7 +395,10 @@ export class PlatformDetector {
   static getPlatformName(platform) {
     const names = {
       'github': 'GitHub',
-      'azure': 'Azure DevOps'
+      'azure': 'Azure DevOps',
+      'gitlab': 'GitLab',
+      'gitea': 'Gitea/Forgejo',
+      'bitbucket-server': 'Bitbucket Server'
     };
     return names[platform] || 'Unknown';
   }
@@ -280,6 +410,6 @@ export class PlatformDetector {
    * @returns {boolean} True if supported
    */
   static isSupported(platform) {
-    return platform === 'github' || platform === 'azure';
+    return ['github', 'azure', 'gitlab', 'gitea', 'bitbucket-server'].includes(platform);
   }
 }
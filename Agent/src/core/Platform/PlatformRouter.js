@@ -15,23 +15,43 @@
  */
 
 import { PlatformDetector } from './PlatformDetector.js';
-import { GitHubConfig } from '../GitHubConfig.js';
-import { GitHubClient } from '../GitHubClient.js';
-import { AzureDevOpsConfig } from '../Azure/AzureDevOpsConfig.js';
-import { WorkItemSync } from '../Azure/WorkItemSync.js';
+import { GitHubAdapter } from './GitHubAdapter.js';
+import { AzureDevOpsAdapter } from './AzureDevOpsAdapter.js';
+import { GitLabAdapter } from './GitLabAdapter.js';
+import { GiteaAdapter } from './GiteaAdapter.js';
+import { BitbucketServerAdapter } from './BitbucketServerAdapter.js';
 
 /**
- * PlatformRouter - Routes operations to GitHub or Azure DevOps
+ * PlatformRouter - Routes operations to the detected git platform
  *
- * Single Responsibility: Detect platform and route task operations to correct client
+ * Single Responsibility: Detect platform and route task and pull request
+ * operations to its adapter
  *
- * Provides unified interface for:
- * - GitHub Issues (via GitHubClient)
- * - Azure DevOps Work Items (via WorkItemSync)
+ * Every platform implements the PlatformAdapter contract:
+ * - GitHub (GitHubAdapter: issues via REST, pull requests via gh)
+ * - Azure DevOps (AzureDevOpsAdapter: work items via WorkItemSync, pull requests via az)
+ * - GitLab (GitLabAdapter: issues and merge requests via REST)
+ * - Gitea/Forgejo (GiteaAdapter: issues and pull requests via REST)
+ * - Bitbucket Server (BitbucketServerAdapter: pull requests via REST, no issues)
+ *
+ * CLI commands go through the router instead of talking to a platform, so
+ * supporting a platform is one adapter registered in ADAPTERS (plus its
+ * detection in PlatformDetector).
  *
  * Automatically detects platform from git remote and configuration
  */
 export class PlatformRouter {
+  /**
+   * Adapter class of each platform ID
+   */
+  static ADAPTERS = {
+    github: GitHubAdapter,
+    azure: AzureDevOpsAdapter,
+    gitlab: GitLabAdapter,
+    gitea: GiteaAdapter,
+    'bitbucket-server': BitbucketServerAdapter
+  };
+
   /**
    * Initialize platform router
    *
@@ -43,87 +63,68 @@ export class PlatformRouter {
     // Detect platform (disable cache for test isolation)
     this.platform = PlatformDetector.detect(false, projectRoot);
 
-    // Initialize clients based on detected platform
-    this.githubClient = null;
-    this.azureSync = null;
+    const Adapter = PlatformRouter.ADAPTERS[this.platform];
+    this.adapter = Adapter ? new Adapter(projectRoot) : null;
+  }
 
-    this._initializeClients();
+  /**
+   * Get detected platform
+   *
+   * @returns {string|null} Platform name ('github', 'azure', 'gitlab', 'gitea', 'bitbucket-server') or null
+   */
+  getPlatform() {
+    return this.platform;
   }
 
   /**
-   * Initialize platform-specific clients
+   * Get the adapter of the detected platform
    *
-   * @private
+   * @returns {PlatformAdapter|null} Adapter, or null when no platform was detected
    */
-  _initializeClients() {
-    if (this.platform === 'github') {
-      this._initializeGitHubClient();
-    } else if (this.platform === 'azure') {
-      this._initializeAzureClient();
-    }
+  getAdapter() {
+    return this.adapter;
   }
 
   /**
-   * Initialize GitHub client
+   * Get platform-specific client
    *
-   * @private
+   * @returns {Object|null} Platform client, Azure sync or null
    */
-  _initializeGitHubClient() {
-    try {
-      const config = new GitHubConfig(this.projectRoot);
-
-      if (config.isEnabled()) {
-        this.githubClient = new GitHubClient(
-          config.getToken(),
-          config.getRepoInfo().owner,
-          config.getRepoInfo().repo
-        );
-      }
-    } catch (error) {
-      console.warn('⚠ Failed to initialize GitHub client:', error.message);
-      this.githubClient = null;
-    }
+  getClient() {
+    return this.adapter ? this.adapter.getClient() : null;
   }
 
   /**
-   * Initialize Azure DevOps client
+   * Get the ID of the item linked to a task on the detected platform
    *
-   * @private
+   * @param {Object} taskData - Task file contents
+   * @returns {number|null} GitHub issue, Azure work item, GitLab issue IID or Gitea issue number
    */
-  _initializeAzureClient() {
-    try {
-      this.azureSync = new WorkItemSync(this.projectRoot);
+  getTaskItemId(taskData) {
+    const field = this.getTaskItemField();
+    return (field && taskData && taskData[field]) || null;
+  }
 
-      if (!this.azureSync.isEnabled()) {
-        this.azureSync = null;
-      }
-    } catch (error) {
-      console.warn('⚠ Failed to initialize Azure client:', error.message);
-      this.azureSync = null;
-    }
+  /**
+   * @returns {string|null} Task file field holding the linked item ID (githubIssue, azureWorkItem, ...)
+   */
+  getTaskItemField() {
+    return this.adapter ? this.adapter.getItemField() : null;
   }
 
   /**
-   * Get detected platform
-   *
-   * @returns {string|null} Platform name ('github', 'azure') or null
+   * @returns {string} What the platform calls a task item ('issue' or 'work item')
    */
-  getPlatform() {
-    return this.platform;
+  getTaskItemName() {
+    return this.adapter ? this.adapter.getItemName() : 'issue';
   }
 
   /**
-   * Get platform-specific client
-   *
-   * @returns {Object|null} GitHub client or Azure sync or null
+   * @param {number} itemId - Issue/work item ID
+   * @returns {string|null} Web URL of the item
    */
-  getClient() {
-    if (this.platform === 'github') {
-      return this.githubClient;
-    } else if (this.platform === 'azure') {
-      return this.azureSync;
-    }
-    return null;
+  getTaskItemUrl(itemId) {
+    return this.adapter ? this.adapter.getItemUrl(itemId) : null;
   }
 
   /**
@@ -132,39 +133,116 @@ export class PlatformRouter {
    * @returns {boolean} True if ready to route operations
    */
   isConfigured() {
-    if (this.platform === 'github') {
-      return this.githubClient && this.githubClient.isConfigured();
-    } else if (this.platform === 'azure') {
-      return this.azureSync && this.azureSync.isEnabled();
-    }
-    return false;
+    return Boolean(this.adapter && this.adapter.isConfigured());
+  }
+
+  /**
+   * @returns {boolean} True if task items should be created when a task starts
+   */
+  isAutoCreateEnabled() {
+    return Boolean(this.adapter && this.adapter.isAutoCreateEnabled());
+  }
+
+  /**
+   * @returns {boolean} True if task items should follow task progress
+   */
+  isAutoUpdateEnabled() {
+    return Boolean(this.adapter && this.adapter.isAutoUpdateEnabled());
+  }
+
+  /**
+   * Check if pull requests can be created and checked
+   *
+   * @returns {boolean} True when the platform's CLI or API can be used
+   */
+  canManagePullRequests() {
+    return Boolean(this.adapter && this.adapter.canManagePullRequests());
+  }
+
+  /**
+   * What the platform calls a pull request
+   *
+   * @returns {string} 'merge request' on GitLab, 'pull request' elsewhere
+   */
+  getPullRequestName() {
+    return this.adapter ? this.adapter.getPullRequestName() : 'pull request';
+  }
+
+  /**
+   * @returns {string} 'MR' on GitLab, 'PR' elsewhere
+   */
+  getPullRequestShortName() {
+    return this.adapter ? this.adapter.getPullRequestShortName() : 'PR';
+  }
+
+  /**
+   * @returns {string|null} Pull request template path relative to the repository root
+   */
+  getPullRequestTemplate() {
+    return this.adapter ? this.adapter.getPullRequestTemplate() : null;
+  }
+
+  /**
+   * @returns {string} What to do when the platform cannot be reached
+   */
+  getSetupHint() {
+    return this.adapter ? this.adapter.getSetupHint() : 'Add a remote: git remote add origin <url>';
+  }
+
+  /**
+   * Create a pull request (GitLab merge request)
+   *
+   * @param {Object} options - { sourceBranch, targetBranch, title, description }
+   * @returns {Promise<{id: number, url: string}|null>} Pull request, or null on failure
+   */
+  async createPullRequest(options) {
+    return this.canManagePullRequests() ? await this.adapter.createPR(options) : null;
+  }
+
+  /**
+   * Pull requests from a source branch, newest first
+   *
+   * @param {string} sourceBranch - Source branch
+   * @returns {Promise<Array<{id: number, state: string, url: string, title: string}>|null>} state is open, merged or closed; null when unavailable
+   */
+  async findPullRequests(sourceBranch) {
+    return this.canManagePullRequests() ? await this.adapter.listPRs(sourceBranch) : null;
   }
 
   /**
-   * Create task item (GitHub issue or Azure work item)
+   * Most recent pull request from a source branch
+   *
+   * @param {string} sourceBranch - Source branch
+   * @returns {Promise<{id: number, state: string, url: string, title: string}|null>} null when there is none or it cannot be checked
+   */
+  async getPullRequestStatus(sourceBranch) {
+    return this.canManagePullRequests() ? await this.adapter.getPRStatus(sourceBranch) : null;
+  }
+
+  /**
+   * Merge a pull request
+   *
+   * @param {number} id - Pull request ID (GitLab merge request IID)
+   * @returns {Promise<boolean>} True if merged
+   */
+  async mergePullRequest(id) {
+    return this.canManagePullRequests() && await this.adapter.mergePR(id);
+  }
+
+  /**
+   * Create task item (GitHub/GitLab/Gitea issue or Azure work item)
    *
    * @param {Object} task - Task object
+   * @param {Object} content - Optional { title, body, labels } for issues (defaults built from the task)
    * @returns {Promise<number|null>} Item ID or null
    */
-  async createTaskItem(task) {
+  async createTaskItem(task, content = {}) {
     if (!this.isConfigured()) {
       return null;
     }
 
     try {
-      if (this.platform === 'github') {
-        // Create GitHub issue
-        const title = `[${task.id}] ${task.title}`;
-        const body = task.description || '';
-        const labels = task.tags || [];
-
-        return await this.githubClient.createIssue(title, body, labels);
-      } else if (this.platform === 'azure') {
-        // Create Azure work item
-        return await this.azureSync.createWorkItem(task);
-      }
-
-      return null;
+      return await this.adapter.createIssue(task, content);
     } catch (error) {
       console.warn('⚠ Failed to create task item:', error.message);
       return null;
@@ -172,7 +250,7 @@ export class PlatformRouter {
   }
 
   /**
-   * Update task item (GitHub issue or Azure work item)
+   * Update task item (GitHub/GitLab/Gitea issue or Azure work item)
    *
    * @param {Object} task - Task object with updated status
    * @param {number} itemId - Issue/work item ID
@@ -184,16 +262,7 @@ export class PlatformRouter {
     }
 
     try {
-      if (this.platform === 'github') {
-        // Update GitHub issue labels based on status
-        const labels = this._taskStatusToGitHubLabels(task.status);
-        return await this.githubClient.updateIssueLabels(itemId, labels);
-      } else if (this.platform === 'azure') {
-        // Update Azure work item
-        return await this.azureSync.updateWorkItemStatus(task, itemId);
-      }
-
-      return false;
+      return await this.adapter.updateStatus(itemId, task);
     } catch (error) {
       console.warn('⚠ Failed to update task item:', error.message);
       return false;
@@ -201,7 +270,7 @@ export class PlatformRouter {
   }
 
   /**
-   * Close task item (GitHub issue or Azure work item)
+   * Close task item (GitHub/GitLab/Gitea issue or Azure work item)
    *
    * @param {number} itemId - Issue/work item ID
    * @param {string} comment - Optional closing comment
@@ -213,18 +282,29 @@ export class PlatformRouter {
     }
 
     try {
-      if (this.platform === 'github') {
-        // Close GitHub issue
-        return await this.githubClient.closeIssue(itemId, comment);
-      } else if (this.platform === 'azure') {
-        // Close Azure work item
-        const task = { id: `TASK-${itemId}` }; // Minimal task object for closure
-        return await this.azureSync.closeWorkItem(task, itemId, comment);
-      }
+      return await this.adapter.close(itemId, comment);
+    } catch (error) {
+      console.warn('⚠ Failed to close task item:', error.message);
+      return false;
+    }
+  }
 
+  /**
+   * Tick met completion criteria in the task item's description
+   *
+   * @param {number} itemId - Issue/work item ID
+   * @param {string[]} criteria - Criteria that were met
+   * @returns {Promise<boolean>} True if the description has them ticked (now or already)
+   */
+  async tickCompletionCriteria(itemId, criteria) {
+    if (!this.isConfigured() || !itemId || criteria.length === 0) {
       return false;
+    }
+
+    try {
+      return await this.adapter.tickCompletionCriteria(itemId, criteria);
     } catch (error) {
-      console.warn('⚠ Failed to close task item:', error.message);
+      console.warn('⚠ Failed to tick completion criteria:', error.message);
       return false;
     }
   }
@@ -242,49 +322,20 @@ export class PlatformRouter {
     }
 
     try {
-      if (this.platform === 'github') {
-        return await this.githubClient.addIssueComment(itemId, comment);
-      } else if (this.platform === 'azure') {
-        return await this.azureSync.addWorkItemComment(itemId, comment);
-      }
-
-      return false;
+      return await this.adapter.comment(itemId, comment);
     } catch (error) {
       console.warn('⚠ Failed to add comment:', error.message);
       return false;
     }
   }
 
-  /**
-   * Convert task status to GitHub labels
-   *
-   * @private
-   * @param {string} status - Task status
-   * @returns {Array<string>} GitHub labels
-   */
-  _taskStatusToGitHubLabels(status) {
-    const labelMap = {
-      'pending': ['status: pending'],
-      'in_progress': ['status: in progress'],
-      'completed': ['status: completed'],
-      'blocked': ['status: blocked']
-    };
-
-    return labelMap[status] || [];
-  }
-
   /**
    * Get platform name for display
    *
    * @returns {string} Human-readable platform name
    */
   getPlatformName() {
-    if (this.platform === 'github') {
-      return 'GitHub';
-    } else if (this.platform === 'azure') {
-      return 'Azure DevOps';
-    }
-    return 'None';
+    return this.adapter ? this.adapter.getName() : 'None';
   }
 
   /**
@@ -304,4 +355,31 @@ export class PlatformRouter {
   isAzure() {
     return this.platform === 'azure';
   }
+
+  /**
+   * Check if platform is GitLab
+   *
+   * @returns {boolean} True if GitLab
+   */
+  isGitLab() {
+    return this.platform === 'gitlab';
+  }
+
+  /**
+   * Check if platform is Gitea/Forgejo
+   *
+   * @returns {boolean} True if Gitea
+   */
+  isGitea() {
+    return this.platform === 'gitea';
+  }
+
+  /**
+   * Check if platform is Bitbucket Server
+   *
+   * @returns {boolean} True if Bitbucket Server
+   */
+  isBitbucketServer() {
+    return this.platform === 'bitbucket-server';
+  }
 }
@@ -0,0 +1,381 @@
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { PlatformRouter } from './PlatformRouter.js';
+import { RemoteOutbox } from '../RemoteOutbox.js';
+
+/**
+ * RemoteSync - Task item operations that survive gh/az/network failures
+ *
+ * Single Responsibility: Deliver task item changes now, or queue them in the outbox and retry later
+ *
+ * Wraps the PlatformRouter task item methods. An operation the project has
+ * turned on (auto-create, auto-update, comments on a configured platform)
+ * that comes back null/false is queued in RemoteOutbox; so are operations on
+ * a task whose item is itself still queued for creation. retry() replays
+ * queued operations in order:
+ * - creates are skipped when the task file is already linked to an item,
+ *   and link the task file when they succeed
+ * - updates, comments and ticks read the item ID from the task file, and wait
+ *   while the item's creation is pending
+ * - entries whose task file is gone, or whose task has no item, are dropped
+ * - entries queued for another platform stay pending
+ */
+export class RemoteSync {
+  /**
+   * @param {string} projectRoot - Project root (the main worktree for lanes)
+   * @param {PlatformRouter} router - Router for the project's platform
+   * @param {RemoteOutbox} outbox - Outbox of the project
+   */
+  constructor(projectRoot = process.cwd(), router = null, outbox = null) {
+    this.projectRoot = projectRoot;
+    this.router = router || new PlatformRouter(projectRoot);
+    this.outbox = outbox || new RemoteOutbox(projectRoot);
+  }
+
+  /**
+   * Retry the queued operations that are due, reporting only what happened
+   *
+   * Runs at the start of commands that talk to the platform anyway. Never
+   * throws; does nothing (not even platform detection) when nothing is due.
+   *
+   * @param {string} projectRoot - Project root (the main worktree for lanes)
+   * @returns {Promise<Object|null>} retry() result, or null if nothing was due
+   */
+  static async retryDue(projectRoot = process.cwd()) {
+    const outbox = new RemoteOutbox(projectRoot);
+
+    if (outbox.due().length === 0) {
+      return null;
+    }
+
+    try {
+      const result = await new RemoteSync(projectRoot, null, outbox).retry();
+
+      if (result.delivered.length > 0) {
+        console.log(`📤 Delivered ${result.delivered.length} queued remote update(s)`);
+      }
+      if (result.failed.length > 0) {
+        console.log(`⏳ ${result.pending} remote update(s) still pending - retry now: npx agentic15 sync-remote`);
+      }
+
+      return result;
+    } catch (error) {
+      console.log(`⚠️  Could not retry pending remote updates: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * One-line description of a queued entry
+   *
+   * @param {Object} entry - Outbox entry
+   * @returns {string}
+   */
+  static describe(entry) {
+    switch (entry.operation) {
+      case 'create':
+        return `Create ${entry.platform} item for ${entry.taskId}`;
+      case 'update':
+        return `Set ${entry.taskId} to ${entry.payload.status} on ${entry.platform}`;
+      case 'tick':
+        return `Tick ${entry.payload.criteria.length} completion criteria of ${entry.taskId} on ${entry.platform}`;
+      default:
+        return `Comment on ${entry.taskId} on ${entry.platform}`;
+    }
+  }
+
+  /**
+   * Create the task's item and link it in the task file, or queue the create
+   *
+   * @param {string} taskPath - Task file
+   * @param {Object} taskData - Task file contents
+   * @param {Object} content - { title, body, labels } for issues
+   * @returns {Promise<number|null>} Item ID, or null if not created (now)
+   */
+  async createTaskItem(taskPath, taskData, content = {}) {
+    const itemId = await this.router.createTaskItem(taskData, content);
+
+    if (itemId) {
+      this.linkTaskFile(taskPath, taskData, itemId);
+      return itemId;
+    }
+
+    if (this.isExpected('create')) {
+      this.queue('create', taskPath, taskData, { content }, true);
+    }
+
+    return null;
+  }
+
+  /**
+   * Reflect a status (and phase) on the task's item, or queue the update
+   *
+   * @param {string} taskPath - Task file
+   * @param {Object} taskData - Task file contents
+   * @param {Object} task - { status, phase }
+   * @returns {Promise<boolean>} True if updated now
+   */
+  async updateTaskItem(taskPath, taskData, task) {
+    const payload = { status: task.status, phase: task.phase || taskData.phase || null };
+    return await this.deliver('update', taskPath, taskData, payload);
+  }
+
+  /**
+   * Comment on the task's item, or queue the comment
+   *
+   * @param {string} taskPath - Task file
+   * @param {Object} taskData - Task file contents
+   * @param {string} comment - Comment text
+   * @returns {Promise<boolean>} True if added now
+   */
+  async addComment(taskPath, taskData, comment) {
+    return await this.deliver('comment', taskPath, taskData, { comment });
+  }
+
+  /**
+   * Tick met completion criteria in the task item's description, or queue the tick
+   *
+   * @param {string} taskPath - Task file
+   * @param {Object} taskData - Task file contents
+   * @param {string[]} criteria - Criteria that were met
+   * @returns {Promise<boolean>} True if ticked now
+   */
+  async tickCompletionCriteria(taskPath, taskData, criteria) {
+    if (criteria.length === 0) {
+      return false;
+    }
+
+    return await this.deliver('tick', taskPath, taskData, { criteria });
+  }
+
+  /**
+   * Replay queued operations, oldest first
+   *
+   * @param {Object} options - { force: retry entries whose backoff has not run out, now }
+   * @returns {Promise<Object>} { delivered, failed, waiting, skipped, dropped: [{ entry, reason }], pending }
+   */
+  async retry({ force = false, now = new Date() } = {}) {
+    const result = { delivered: [], failed: [], waiting: [], skipped: [], dropped: [], pending: 0 };
+    const due = new Set(this.outbox.due(now).map(entry => entry.key));
+
+    for (const entry of this.outbox.read()) {
+      if ((!force && !due.has(entry.key)) || entry.platform !== this.router.getPlatform()) {
+        result.skipped.push(entry);
+        continue;
+      }
+
+      const outcome = await this.replay(entry, now);
+      if (outcome.dropped) {
+        this.outbox.remove(entry.key);
+        result.dropped.push({ entry, reason: outcome.dropped });
+      } else {
+        result[outcome.status].push(entry);
+      }
+    }
+
+    result.pending = this.outbox.count();
+    return result;
+  }
+
+  /**
+   * @private
+   * @param {Object} entry - Outbox entry
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} { status: delivered|failed|waiting } or { dropped: reason }
+   */
+  async replay(entry, now) {
+    const taskPath = path.join(this.projectRoot, entry.taskFile);
+
+    let taskData;
+    try {
+      taskData = JSON.parse(fs.readFileSync(taskPath, 'utf8'));
+    } catch (error) {
+      return { dropped: `task file ${entry.taskFile} no longer exists` };
+    }
+
+    const itemId = this.router.getTaskItemId(taskData);
+
+    if (entry.operation === 'create' && itemId) {
+      return { dropped: `${entry.taskId} is already linked to #${itemId}` };
+    }
+
+    if (entry.operation !== 'create' && !itemId) {
+      return this.isCreatePending(entry.taskFile)
+        ? { status: 'waiting' }
+        : { dropped: `${entry.taskId} has no linked ${this.router.getTaskItemName()}` };
+    }
+
+    if (!this.router.isConfigured()) {
+      this.outbox.recordFailure(entry.key, `${this.router.getPlatformName()} not configured`, now);
+      return { status: 'failed' };
+    }
+
+    let delivered = false;
+    if (entry.operation === 'create') {
+      const createdId = await this.router.createTaskItem(taskData, entry.payload.content || {});
+      if (createdId) {
+        this.linkTaskFile(taskPath, taskData, createdId);
+        delivered = true;
+      }
+    } else {
+      delivered = await this.perform(entry.operation, itemId, taskData, entry.payload);
+    }
+
+    if (delivered) {
+      this.outbox.remove(entry.key);
+      return { status: 'delivered' };
+    }
+
+    this.outbox.recordFailure(entry.key, this.failureMessage(entry.operation), now);
+    return { status: 'failed' };
+  }
+
+  /**
+   * @private
+   * @param {string} operation - update, comment or tick
+   * @param {string} taskPath - Task file
+   * @param {Object} taskData - Task file contents
+   * @param {Object} payload - Operation arguments
+   * @returns {Promise<boolean>} True if delivered now
+   */
+  async deliver(operation, taskPath, taskData, payload) {
+    const itemId = this.router.getTaskItemId(taskData);
+    const taskFile = this.relativeTaskFile(taskPath);
+
+    if (!itemId) {
+      // The item is queued for creation; the change follows it
+      if (this.isExpected(operation) && this.isCreatePending(taskFile)) {
+        this.queue(operation, taskPath, taskData, payload, false);
+      }
+      return false;
+    }
+
+    if (await this.perform(operation, itemId, taskData, payload)) {
+      return true;
+    }
+
+    if (this.isExpected(operation)) {
+      this.queue(operation, taskPath, taskData, payload, true);
+    }
+
+    return false;
+  }
+
+  /**
+   * @private
+   * @param {string} operation - update, comment or tick
+   * @param {number} itemId - Issue/work item ID
+   * @param {Object} taskData - Task file contents
+   * @param {Object} payload - Operation arguments
+   * @returns {Promise<boolean>} True if delivered
+   */
+  async perform(operation, itemId, taskData, payload) {
+    if (operation === 'update') {
+      return await this.router.updateTaskItem({ ...taskData, status: payload.status, phase: payload.phase || taskData.phase }, itemId);
+    }
+
+    if (operation === 'tick') {
+      return await this.router.tickCompletionCriteria(itemId, payload.criteria);
+    }
+
+    return await this.router.addComment(itemId, payload.comment);
+  }
+
+  /**
+   * A null/false result only means failure when the project asked for the operation
+   *
+   * @private
+   * @param {string} operation - create, update, comment or tick
+   * @returns {boolean}
+   */
+  isExpected(operation) {
+    if (!this.router.isConfigured()) {
+      return false;
+    }
+
+    if (operation === 'create') {
+      return this.router.isAutoCreateEnabled();
+    }
+
+    return operation === 'comment' ? true : this.router.isAutoUpdateEnabled();
+  }
+
+  /**
+   * @private
+   * @param {string} taskFile - Task file relative to the project root
+   * @returns {boolean} True if the task's item is queued for creation
+   */
+  isCreatePending(taskFile) {
+    return Boolean(this.outbox.get(RemoteOutbox.keyFor(this.router.getPlatform(), 'create', taskFile)));
+  }
+
+  /**
+   * @private
+   * @param {string} operation - create, update, comment or tick
+   * @param {string} taskPath - Task file
+   * @param {Object} taskData - Task file contents
+   * @param {Object} payload - Operation arguments
+   * @param {boolean} attempted - Whether delivery was tried
+   */
+  queue(operation, taskPath, taskData, payload, attempted) {
+    const entry = this.outbox.enqueue({
+      platform: this.router.getPlatform(),
+      operation,
+      taskId: taskData.id,
+      taskFile: this.relativeTaskFile(taskPath),
+      payload,
+      error: attempted ? this.failureMessage(operation) : null,
+      attempted
+    });
+
+    const pending = this.outbox.count();
+    console.log(`⏳ Queued for retry (${pending} pending remote update(s)): ${RemoteSync.describe(entry)}`);
+    console.log('   Retried by the next agentic15 command, or now with: npx agentic15 sync-remote');
+  }
+
+  /**
+   * @private
+   * @param {string} operation - create, update, comment or tick
+   * @returns {string}
+   */
+  failureMessage(operation) {
+    const verbs = { create: 'create', update: 'update', comment: 'comment on', tick: 'tick completion criteria on' };
+    return `Could not ${verbs[operation]} ${this.router.getPlatformName()} ${this.router.getTaskItemName()}`;
+  }
+
+  /**
+   * @private
+   * @param {string} taskPath - Task file
+   * @param {Object} taskData - Task file contents (mutated)
+   * @param {number} itemId - Created item ID
+   */
+  linkTaskFile(taskPath, taskData, itemId) {
+    taskData[this.router.getTaskItemField()] = itemId;
+    fs.writeFileSync(taskPath, JSON.stringify(taskData, null, 2));
+  }
+
+  /**
+   * @private
+   * @param {string} taskPath - Task file
+   * @returns {string} Task file relative to the project root
+   */
+  relativeTaskFile(taskPath) {
+    return path.relative(this.projectRoot, path.resolve(taskPath)).split(path.sep).join('/');
+  }
+}
@@ -0,0 +1,412 @@
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { MigrationRunner } from './Migration/MigrationRunner.js';
+import { TrackerRepository } from './TrackerRepository.js';
+import { ProjectGitignore } from './ProjectGitignore.js';
+
+/**
+ * ProjectDoctor - Diagnose broken project state and tooling
+ *
+ * Single Responsibility: Run health checks and apply the repairs that are safe
+ *
+ * Every check returns:
+ *
+ *   { id, title, status: 'pass'|'warn'|'fail', message, fix, repair }
+ *
+ * `fix` is a suggestion for the user; `repair` (when present) is a function
+ * that fixes the problem without losing work - clearing a stale pointer,
+ * recomputing derived data, running backed-up state migrations. Problems
+ * that need a decision (reinstalling packages, logging in, choosing a plan)
+ * only get a suggestion.
+ *
+ * External tools are probed through the `tools` passed in, so the CLI can
+ * reuse its existing checks and tests can fake them:
+ *
+ *   {
+ *     detectPlatform: () => 'github' | 'azure' | 'gitlab' | 'gitea' | 'bitbucket-server' | null,
+ *     gh: { isInstalled: () => boolean, isAuthenticated: () => boolean },
+ *     azure: { validateSetup: () => AzureAuthValidator results },
+ *     gitlab: { validateSetup: () => { token: boolean, baseUrl, projectPath } },
+ *     gitea: { validateSetup: () => { token: boolean, baseUrl, projectPath } },
+ *     'bitbucket-server': { validateSetup: () => { token: boolean, baseUrl, projectPath } }
+ *   }
+ *
+ * Platform checks are skipped when no tools are given.
+ */
+export class ProjectDoctor {
+  /**
+   * Platforms reached over their REST API with a token instead of a CLI
+   */
+  static API_PLATFORMS = {
+    gitlab: {
+      name: 'GitLab',
+      tokenHint: 'Set GITLAB_TOKEN, or gitlab.token in .claude/settings.local.json (scope: api)',
+      projectHint: 'Set gitlab.projectPath (group/project) in .claude/settings.json'
+    },
+    gitea: {
+      name: 'Gitea',
+      tokenHint: 'Set GITEA_TOKEN, or gitea.token in .claude/settings.local.json (scopes: write:issue, write:repository)',
+      projectHint: 'Set gitea.owner and gitea.repo in .claude/settings.json'
+    },
+    'bitbucket-server': {
+      name: 'Bitbucket Server',
+      tokenHint: 'Set BITBUCKET_TOKEN, or bitbucketServer.token in .claude/settings.local.json (HTTP access token, repository write)',
+      projectHint: 'Set bitbucketServer.projectKey and bitbucketServer.repoSlug in .claude/settings.json'
+    }
+  };
+
+  /**
+   * @param {string} projectRoot - Project root (where .claude/ lives)
+   * @param {Object} [tools] - External tool probes (see class comment)
+   */
+  constructor(projectRoot = process.cwd(), tools = null) {
+    this.projectRoot = projectRoot;
+    this.claudeDir = path.join(projectRoot, '.claude');
+    this.tools = tools;
+  }
+
+  /**
+   * Run every check
+   *
+   * @returns {Array<Object>} Check results in display order
+   */
+  run() {
+    if (!fs.existsSync(this.claudeDir)) {
+      return [this.result('project', 'Project', 'fail', '.claude/ directory not found',
+        'Run from the project root, or create a project: npx @agentic15.com/agentic15-claude-zen my-project')];
+    }
+
+    return [
+      this.checkSettings(),
+      this.checkHooks(),
+      this.checkStateVersion(),
+      this.checkGitignore(),
+      ...this.checkPlan(),
+      ...this.checkPlatform()
+    ];
+  }
+
+  /**
+   * Apply the repair of every fixable check
+   *
+   * @param {Array<Object>} results - Result of run()
+   * @returns {Array<{id: string, error?: string}>} Repairs attempted
+   */
+  repair(results) {
+    return results
+      .filter(result => result.status !== 'pass' && result.repair)
+      .map(result => {
+        try {
+          result.repair();
+          return { id: result.id };
+        } catch (error) {
+          return { id: result.id, error: error.message };
+        }
+      });
+  }
+
+  /**
+   * Counts per status
+   *
+   * @param {Array<Object>} results - Result of run()
+   * @returns {{pass: number, warn: number, fail: number}}
+   */
+  static summarize(results) {
+    return results.reduce((summary, result) => {
+      summary[result.status]++;
+      return summary;
+    }, { pass: 0, warn: 0, fail: 0 });
+  }
+
+  /**
+   * JSON-safe copy of the results
+   *
+   * @param {Array<Object>} results - Result of run()
+   * @returns {Object} { ok, summary, checks }
+   */
+  static toJSON(results) {
+    const summary = this.summarize(results);
+
+    return {
+      ok: summary.fail === 0,
+      summary,
+      checks: results.map(({ id, title, status, message, fix, repair }) => ({
+        id, title, status, message, fix: fix || null, fixable: Boolean(repair)
+      }))
+    };
+  }
+
+  // ===== Checks =====
+
+  /**
+   * @private
+   */
+  checkSettings() {
+    const invalid = [];
+
+    ['settings.json', 'settings.local.json'].forEach(file => {
+      const settingsPath = path.join(this.claudeDir, file);
+      if (!fs.existsSync(settingsPath)) {
+        return;
+      }
+
+      try {
+        JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
+      } catch (error) {
+        invalid.push(`.claude/${file}: ${error.message}`);
+      }
+    });
+
+    if (invalid.length > 0) {
+      return this.result('settings', 'Settings', 'fail', `Invalid JSON - ${invalid.join('; ')}`,
+        'Fix the syntax error; to start over from the framework settings, delete the file and run: npx agentic15 update-settings');
+    }
+
+    if (!fs.existsSync(path.join(this.claudeDir, 'settings.json'))) {
+      return this.result('settings', 'Settings', 'fail', '.claude/settings.json not found',
+        'Run: npx agentic15 update-settings');
+    }
+
+    return this.result('settings', 'Settings', 'pass', 'settings.json is valid');
+  }
+
+  /**
+   * Hook commands must point at scripts that exist
+   *
+   * @private
+   */
+  checkHooks() {
+    const scripts = this.hookScripts();
+    const missing = scripts.filter(script => !fs.existsSync(path.resolve(this.projectRoot, script)));
+
+    if (missing.length === 0) {
+      return this.result('hooks', 'Hooks', 'pass', `${scripts.length} hook script(s) found`);
+    }
+
+    const fix = missing.some(script => script.includes('.claude/hooks/'))
+      ? 'Hooks still point at the v4 layout - run: npx agentic15 migrate'
+      : missing.some(script => script.includes('node_modules/'))
+        ? 'The framework package is not installed here - run: npm install'
+        : 'Fix the hook commands in .claude/settings.json';
+
+    return this.result('hooks', 'Hooks', 'fail', `Missing hook script(s): ${missing.join(', ')}`, fix);
+  }
+
+  /**
+   * @private
+   */
+  checkStateVersion() {
+    const runner = new MigrationRunner(this.projectRoot);
+    const pending = runner.pending();
+
+    if (pending.length === 0) {
+      return this.result('state-version', 'State version', 'pass', `v${runner.currentVersion()} (latest)`);
+    }
+
+    return this.result('state-version', 'State version', 'warn',
+      `v${runner.currentVersion()}, ${pending.length} migration(s) pending: ${pending.map(m => m.id).join(', ')}`,
+      'Run: npx agentic15 migrate',
+      () => runner.run());
+  }
+
+  /**
+   * Machine-local files must be ignored, or `agentic15 commit` (git add -A) commits them
+   *
+   * @private
+   */
+  checkGitignore() {
+    const gitignore = new ProjectGitignore(this.projectRoot);
+    const missing = gitignore.missing();
+
+    if (missing.length === 0) {
+      return this.result('gitignore', '.gitignore', 'pass', 'Local .claude/ files are ignored');
+    }
+
+    return this.result('gitignore', '.gitignore', 'warn',
+      `Not ignored, so agentic15 commit would commit them: ${missing.map(entry => entry.pattern).join(', ')}`,
+      `Add ${missing.length === 1 ? 'this line' : 'these lines'} to .gitignore (run: npx agentic15 doctor --fix)`,
+      () => gitignore.ensure());
+  }
+
+  /**
+   * ACTIVE-PLAN, tracker and active task consistency
+   *
+   * @private
+   */
+  checkPlan() {
+    const activePlanPath = path.join(this.claudeDir, 'ACTIVE-PLAN');
+    const planId = fs.existsSync(activePlanPath) ? fs.readFileSync(activePlanPath, 'utf8').trim() : '';
+
+    if (!planId) {
+      return [this.result('active-plan', 'Active plan', 'warn', 'No active plan', 'Create one: npx agentic15 plan "project description"')];
+    }
+
+    const planDir = path.join(this.claudeDir, 'plans', planId);
+    if (!fs.existsSync(planDir)) {
+      return [this.result('active-plan', 'Active plan', 'fail', `ACTIVE-PLAN points to ${planId}, which does not exist`,
+        'Clear the stale pointer and create or choose a plan',
+        () => fs.writeFileSync(activePlanPath, ''))];
+    }
+
+    const results = [this.result('active-plan', 'Active plan', 'pass', planId)];
+    const trackerPath = path.join(planDir, 'TASK-TRACKER.json');
+    const locked = fs.existsSync(path.join(planDir, '.plan-locked'));
+
+    if (!fs.existsSync(trackerPath)) {
+      results.push(locked
+        ? this.result('tracker', 'Task tracker', 'fail', `Plan ${planId} is locked but TASK-TRACKER.json is missing`,
+          `Restore it from git (git checkout -- .claude/plans/${planId}/TASK-TRACKER.json), or delete .plan-locked and run: npx agentic15 plan`)
+        : this.result('tracker', 'Task tracker', 'warn', `Plan ${planId} is not locked yet`, 'Lock it: npx agentic15 plan'));
+      return results;
+    }
+
+    const repository = new TrackerRepository(planDir);
+    let tracker;
+    try {
+      tracker = repository.read();
+    } catch (error) {
+      results.push(this.result('tracker', 'Task tracker', 'fail', `Cannot read TASK-TRACKER.json: ${error.message}`,
+        `Restore it from git: git checkout -- .claude/plans/${planId}/TASK-TRACKER.json`));
+      return results;
+    }
+
+    results.push(this.result('tracker', 'Task tracker', 'pass', `${tracker.taskFiles.length} task(s)`));
+
+    // Dry-run the repair that `task repair` applies
+    const findings = TrackerRepository.reconcile(JSON.parse(JSON.stringify(tracker)));
+    const repair = () => repository.update(current => TrackerRepository.reconcile(current));
+    const messages = (kinds) => findings.filter(f => kinds.includes(f.kind)).map(f => f.message).join('; ');
+
+    if (findings.some(f => f.kind === 'lane')) {
+      results.push(this.result('active-task', 'Active task', 'fail', `Active task disagrees with task statuses: ${messages(['lane', 'unbound'])}`,
+        'Run: npx agentic15 task repair', repair));
+    } else if (findings.some(f => f.kind === 'unbound')) {
+      const fixable = findings.some(f => f.kind === 'unbound' && f.fixed);
+      results.push(this.result('active-task', 'Active task', 'warn', messages(['unbound']),
+        fixable ? 'Run: npx agentic15 task repair' : 'Resume or reset the task', fixable ? repair : null));
+    } else {
+      results.push(this.result('active-task', 'Active task', 'pass', tracker.activeTask || 'No task in progress'));
+    }
+
+    results.push(findings.some(f => f.kind === 'statistics')
+      ? this.result('statistics', 'Tracker statistics', 'warn', messages(['statistics']), 'Run: npx agentic15 task repair', repair)
+      : this.result('statistics', 'Tracker statistics', 'pass', 'Match task statuses'));
+
+    return results;
+  }
+
+  /**
+   * Git platform and the CLI it needs
+   *
+   * @private
+   */
+  checkPlatform() {
+    if (!this.tools) {
+      return [];
+    }
+
+    const platform = this.tools.detectPlatform();
+
+    if (!platform) {
+      return [this.result('platform', 'Platform', 'warn', 'No GitHub, Azure DevOps, GitLab, Gitea or Bitbucket Server remote detected',
+        'Add a remote: git remote add origin <url> (self-hosted: set baseUrl in the gitlab, gitea or bitbucketServer section of .claude/settings.json)')];
+    }
+
+    const names = { github: 'GitHub', azure: 'Azure DevOps', gitlab: 'GitLab', gitea: 'Gitea', 'bitbucket-server': 'Bitbucket Server' };
+    const results = [this.result('platform', 'Platform', 'pass', names[platform] || platform)];
+
+    if (platform === 'github') {
+      if (!this.tools.gh.isInstalled()) {
+        results.push(this.result('cli', 'GitHub CLI', 'fail', 'gh is not installed', 'Install it from https://cli.github.com/'));
+      } else if (!this.tools.gh.isAuthenticated()) {
+        results.push(this.result('cli', 'GitHub CLI', 'fail', 'gh is not authenticated', 'Run: gh auth login (then npx agentic15 auth)'));
+      } else {
+        results.push(this.result('cli', 'GitHub CLI', 'pass', 'Installed and authenticated'));
+      }
+    }
+
+    if (platform === 'azure') {
+      const setup = this.tools.azure.validateSetup();
+      const suggestion = (messages) => messages.filter(m => m.startsWith('Run:')).join('; ');
+      const problems = (messages) => messages.filter(m => !m.startsWith('Run:')).join('; ');
+
+      if (setup.errors.length > 0) {
+        results.push(this.result('cli', 'Azure CLI', 'fail', problems(setup.errors),
+          suggestion(setup.errors) || 'Install it from https://aka.ms/installazurecli'));
+      } else if (setup.warnings.length > 0) {
+        results.push(this.result('cli', 'Azure CLI', 'warn', problems(setup.warnings), suggestion(setup.warnings)));
+      } else {
+        results.push(this.result('cli', 'Azure CLI', 'pass', `Authenticated (${setup.organization}, ${setup.project})`));
+      }
+    }
+
+    const api = ProjectDoctor.API_PLATFORMS[platform];
+    if (api) {
+      const setup = this.tools[platform].validateSetup();
+
+      if (!setup.token) {
+        results.push(this.result('api', `${api.name} API`, 'fail', `No ${api.name} token configured`, api.tokenHint));
+      } else if (!setup.projectPath) {
+        results.push(this.result('api', `${api.name} API`, 'warn', `Project not detected on ${setup.baseUrl}`, api.projectHint));
+      } else {
+        results.push(this.result('api', `${api.name} API`, 'pass', `Token set (${setup.baseUrl}/${setup.projectPath})`));
+      }
+    }
+
+    return results;
+  }
+
+  // ===== Helpers =====
+
+  /**
+   * Script paths referenced by hook commands in settings.json and settings.local.json
+   *
+   * @private
+   */
+  hookScripts() {
+    const scripts = new Set();
+
+    ['settings.json', 'settings.local.json'].forEach(file => {
+      let settings;
+      try {
+        settings = JSON.parse(fs.readFileSync(path.join(this.claudeDir, file), 'utf8'));
+      } catch (error) {
+        return;
+      }
+
+      Object.values(settings.hooks || {}).flat().forEach(entry => {
+        ((entry && entry.hooks) || []).forEach(hook => {
+          const match = typeof hook.command === 'string' && hook.command.match(/[^\s"']+\.[cm]?js\b/);
+          if (match) {
+            scripts.add(match[0]);
+          }
+        });
+      });
+    });
+
+    return Array.from(scripts);
+  }
+
+  /**
+   * @private
+   */
+  result(id, title, status, message, fix = null, repair = null) {
+    return { id, title, status, message, fix, repair };
+  }
+}
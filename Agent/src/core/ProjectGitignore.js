@@ -0,0 +1,91 @@
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * ProjectGitignore - Keep machine-local .claude/ files out of git
+ *
+ * Single Responsibility: Add the framework's ignore entries to a project's .gitignore
+ *
+ * New projects get the entries from templates/.gitignore. Projects created
+ * before an entry existed get it from a state migration, because
+ * `agentic15 commit` stages everything (git add -A) and would otherwise put
+ * the file into the next task branch.
+ *
+ * An entry counts as present when .gitignore has a line with exactly its
+ * pattern; missing entries are appended with their comment.
+ */
+export class ProjectGitignore {
+  static BACKUPS = { pattern: '.claude/backups/', comment: 'Backups written by agentic15 migrate and update-settings' };
+
+  static EVENT_LOG = { pattern: '.claude/plans/**/events.jsonl', comment: 'Workflow event log (appended after commits, so kept out of task branches)' };
+
+  static REMOTE_OUTBOX = { pattern: '.claude/remote-outbox.json', comment: 'Issue/work item updates queued for retry on this machine' };
+
+  static TRACKER_LOCK = { pattern: '.claude/plans/*/TASK-TRACKER.json.lock', comment: 'Task tracker lock (left behind when an agentic15 process is killed)' };
+
+  static TRACKER_TEMP = { pattern: '.claude/plans/*/TASK-TRACKER.json.*.tmp', comment: 'Task tracker writes in flight' };
+
+  static ENTRIES = [
+    ProjectGitignore.BACKUPS,
+    ProjectGitignore.EVENT_LOG,
+    ProjectGitignore.REMOTE_OUTBOX,
+    ProjectGitignore.TRACKER_LOCK,
+    ProjectGitignore.TRACKER_TEMP
+  ];
+
+  /**
+   * @param {string} projectRoot - Project root (where .claude/ and .gitignore live)
+   */
+  constructor(projectRoot = process.cwd()) {
+    this.path = path.join(projectRoot, '.gitignore');
+  }
+
+  /**
+   * @param {Array<{pattern: string, comment: string}>} entries - Entries to look for
+   * @returns {Array<{pattern: string, comment: string}>} Entries .gitignore lacks
+   */
+  missing(entries = this.constructor.ENTRIES) {
+    const lines = fs.existsSync(this.path)
+      ? fs.readFileSync(this.path, 'utf8').split(/\r?\n/).map(line => line.trim())
+      : [];
+
+    return entries.filter(entry => !lines.includes(entry.pattern));
+  }
+
+  /**
+   * Append the entries .gitignore lacks (creating the file if needed)
+   *
+   * @param {Array<{pattern: string, comment: string}>} entries - Entries to add
+   * @returns {string[]} Patterns added
+   */
+  ensure(entries = this.constructor.ENTRIES) {
+    const missing = this.missing(entries);
+
+    if (missing.length === 0) {
+      return [];
+    }
+
+    const existing = fs.existsSync(this.path) ? fs.readFileSync(this.path, 'utf8') : '';
+    const separator = existing === '' ? '' : existing.endsWith('\n') ? '\n' : '\n\n';
+    const block = missing.map(entry => `# ${entry.comment}\n${entry.pattern}\n`).join('\n');
+
+    fs.writeFileSync(this.path, existing + separator + block);
+    return missing.map(entry => entry.pattern);
+  }
+}
@@ -0,0 +1,277 @@
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { spawnSync } from 'child_process';
+
+/**
+ * QualityGates - Checks that must pass before a task is committed
+ *
+ * Single Responsibility: Run the configured gate commands and report the outcome
+ *
+ * Configured under "qualityGates" in .claude/settings.json, overridable in
+ * .claude/settings.local.json:
+ *
+ *   {
+ *     "enabled": true,
+ *     "lint": "npm run lint",
+ *     "typecheck": "npx tsc --noEmit",
+ *     "test": "npm test",
+ *     "coverage": { "threshold": 80, "metric": "lines",
+ *                   "summaryFile": "coverage/coverage-summary.json", "command": null },
+ *     "timeoutSeconds": 600
+ *   }
+ *
+ * Commands left null are skipped. Gates run in the order above and stop at
+ * the first failure. The coverage gate reads an Istanbul json-summary report
+ * (written by the test command, or by coverage.command when set).
+ */
+export class QualityGates {
+  static COMMAND_GATES = ['lint', 'typecheck', 'test'];
+
+  static OUTPUT_LINES = 40;
+
+  /**
+   * @param {string} projectRoot - Project root (where .claude/ lives)
+   */
+  constructor(projectRoot = process.cwd()) {
+    this.projectRoot = projectRoot;
+    this.config = this.loadConfig();
+  }
+
+  /**
+   * Load configuration from settings.json and settings.local.json
+   *
+   * @returns {Object} Merged configuration
+   */
+  loadConfig() {
+    const config = {
+      enabled: true,
+      lint: null,
+      typecheck: null,
+      test: null,
+      coverage: { threshold: null, metric: 'lines', summaryFile: 'coverage/coverage-summary.json', command: null },
+      timeoutSeconds: 600
+    };
+
+    ['settings.json', 'settings.local.json'].forEach(file => {
+      const settingsPath = path.join(this.projectRoot, '.claude', file);
+      if (!fs.existsSync(settingsPath)) {
+        return;
+      }
+
+      try {
+        const gates = JSON.parse(fs.readFileSync(settingsPath, 'utf8')).qualityGates;
+        if (gates) {
+          const coverage = { ...config.coverage, ...(gates.coverage || {}) };
+          Object.assign(config, gates, { coverage });
+        }
+      } catch (error) {
+        console.warn(`⚠ Failed to load .claude/${file}:`, error.message);
+      }
+    });
+
+    return config;
+  }
+
+  /**
+   * Whether any gate is configured
+   *
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return this.config.enabled !== false &&
+      (this.constructor.COMMAND_GATES.some(name => this.config[name]) || this.hasCoverageGate());
+  }
+
+  /**
+   * @private
+   */
+  hasCoverageGate() {
+    return typeof this.config.coverage.threshold === 'number';
+  }
+
+  /**
+   * Run all configured gates
+   *
+   * @param {string} cwd - Directory to run the commands in (the task's worktree)
+   * @param {Function} [onGate] - Called with each result as it finishes
+   * @returns {Object} { ranAt, passed, results: [{ name, command, status, ... }] }
+   */
+  run(cwd, onGate = () => {}) {
+    const results = [];
+    let failed = false;
+
+    const record = (result) => {
+      results.push(result);
+      onGate(result);
+      failed = failed || result.status === 'failed';
+    };
+
+    this.constructor.COMMAND_GATES
+      .filter(name => this.config[name])
+      .forEach(name => {
+        record(failed ? this.skipped(name, this.config[name]) : this.runCommand(name, this.config[name], cwd));
+      });
+
+    if (this.hasCoverageGate()) {
+      record(failed ? this.skipped('coverage', this.config.coverage.command) : this.checkCoverage(cwd));
+    }
+
+    return {
+      ranAt: new Date().toISOString(),
+      passed: !failed,
+      results
+    };
+  }
+
+  /**
+   * Run one gate command
+   *
+   * @private
+   * @returns {Object} { name, command, status, exitCode, durationMs, output? }
+   */
+  runCommand(name, command, cwd) {
+    const started = Date.now();
+    const child = spawnSync(command, {
+      cwd,
+      shell: true,
+      encoding: 'utf8',
+      timeout: this.config.timeoutSeconds * 1000,
+      maxBuffer: 64 * 1024 * 1024
+    });
+
+    const result = {
+      name,
+      command,
+      status: child.status === 0 ? 'passed' : 'failed',
+      exitCode: child.status,
+      durationMs: Date.now() - started
+    };
+
+    if (result.status === 'failed') {
+      const reason = child.error ? child.error.message : '';
+      result.output = this.constructor.tail(`${child.stdout || ''}${child.stderr || ''}${reason}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Compare the coverage report against the threshold
+   *
+   * @private
+   * @returns {Object} { name, command, status, coverage: { metric, actual, threshold }, output? }
+   */
+  checkCoverage(cwd) {
+    const { threshold, metric, summaryFile, command } = this.config.coverage;
+
+    if (command) {
+      const generated = this.runCommand('coverage', command, cwd);
+      if (generated.status === 'failed') {
+        return { ...generated, coverage: { metric, actual: null, threshold } };
+      }
+    }
+
+    const started = Date.now();
+    const summaryPath = path.resolve(cwd, summaryFile);
+    let actual = null;
+
+    try {
+      const summary = JSON.parse(fs.readFileSync(summaryPath, 'utf8'));
+      actual = summary.total[metric].pct;
+    } catch (error) {
+      return {
+        name: 'coverage',
+        command,
+        status: 'failed',
+        durationMs: Date.now() - started,
+        coverage: { metric, actual: null, threshold },
+        output: `Coverage summary not found or unreadable: ${summaryFile}`
+      };
+    }
+
+    return {
+      name: 'coverage',
+      command,
+      status: actual >= threshold ? 'passed' : 'failed',
+      durationMs: Date.now() - started,
+      coverage: { metric, actual, threshold }
+    };
+  }
+
+  /**
+   * @private
+   */
+  skipped(name, command) {
+    return { name, command: command || null, status: 'skipped' };
+  }
+
+  /**
+   * Last lines of command output
+   *
+   * @param {string} output - Full output
+   * @param {number} [lines]
+   * @returns {string}
+   */
+  static tail(output, lines = this.OUTPUT_LINES) {
+    return output.trimEnd().split('\n').slice(-lines).join('\n');
+  }
+
+  /**
+   * One-line description of a gate result
+   *
+   * @param {Object} result - Gate result
+   * @returns {string} e.g. "passed in 3.2s" or "72.5% lines (minimum 80%)"
+   */
+  static describe(result) {
+    if (result.coverage && result.coverage.actual !== null) {
+      const { actual, metric, threshold } = result.coverage;
+      return `${actual}% ${metric} (minimum ${threshold}%)`;
+    }
+
+    if (result.status === 'skipped') {
+      return 'skipped';
+    }
+
+    const duration = typeof result.durationMs === 'number' ? ` in ${(result.durationMs / 1000).toFixed(1)}s` : '';
+    return `${result.status}${duration}`;
+  }
+
+  /**
+   * Render gate results as a Markdown section for the PR body
+   *
+   * @param {Object} gates - Result of run() (as stored in the task file)
+   * @returns {string} Markdown
+   */
+  static toMarkdown(gates) {
+    const icons = { passed: '✅', failed: '❌', skipped: '⏭️' };
+
+    let markdown = `## Quality Gates\n\n`;
+    markdown += `| Gate | Command | Result |\n`;
+    markdown += `|------|---------|--------|\n`;
+
+    gates.results.forEach(result => {
+      const command = result.command ? `\`${result.command}\`` : '-';
+      markdown += `| ${result.name} | ${command} | ${icons[result.status]} ${this.describe(result)} |\n`;
+    });
+
+    markdown += `\nRan ${gates.ranAt} - ${gates.passed ? 'all gates passed' : 'gates failed'}\n`;
+
+    return markdown;
+  }
+}
@@ -0,0 +1,240 @@
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+
+/**
+ * RemoteOutbox - Issue tracker updates that could not be delivered yet
+ *
+ * Single Responsibility: Persist failed remote operations and schedule their retries
+ *
+ * Entries live in .claude/remote-outbox.json, oldest first:
+ *
+ *   {
+ *     "key": "github:update:plan-001-initial/TASK-001",
+ *     "platform": "github",
+ *     "operation": "update",
+ *     "taskId": "TASK-001",
+ *     "taskFile": ".claude/plans/plan-001-initial/tasks/TASK-001.json",
+ *     "payload": { "status": "in_review", "phase": "implementation" },
+ *     "attempts": 2,
+ *     "createdAt": "2025-01-01T10:00:00.000Z",
+ *     "lastAttemptAt": "2025-01-01T10:01:00.000Z",
+ *     "nextAttemptAt": "2025-01-01T10:03:00.000Z",
+ *     "lastError": "gh: connection refused"
+ *   }
+ *
+ * The key is the entry's idempotency key: queueing an operation whose key is
+ * already pending updates that entry instead of adding a second one. Creates,
+ * status updates and completion criteria ticks are keyed per task (the newest
+ * payload wins), comments per task and text.
+ *
+ * Retries back off exponentially: BASE_DELAY_MS after the first failure,
+ * doubling with every further attempt, at most MAX_DELAY_MS.
+ */
+export class RemoteOutbox {
+  static FILE = 'remote-outbox.json';
+
+  static BASE_DELAY_MS = 60 * 1000;
+
+  static MAX_DELAY_MS = 60 * 60 * 1000;
+
+  /**
+   * @param {string} projectRoot - Project root (the main worktree for lanes)
+   */
+  constructor(projectRoot = process.cwd()) {
+    this.projectRoot = projectRoot;
+    this.path = path.join(projectRoot, '.claude', this.constructor.FILE);
+  }
+
+  /**
+   * Idempotency key of an operation on a task's item
+   *
+   * @param {string} platform - Platform ID
+   * @param {string} operation - create, update, comment or tick
+   * @param {string} taskFile - Task file relative to the project root
+   * @param {Object} payload - Operation arguments
+   * @returns {string}
+   */
+  static keyFor(platform, operation, taskFile, payload = {}) {
+    const task = taskFile.replace(/\\/g, '/').replace(/^\.claude\/plans\//, '').replace(/\/tasks\//, '/').replace(/\.json$/, '');
+    const key = `${platform}:${operation}:${task}`;
+
+    if (operation !== 'comment') {
+      return key;
+    }
+
+    const digest = createHash('sha256').update(payload.comment || '').digest('hex').slice(0, 12);
+    return `${key}:${digest}`;
+  }
+
+  /**
+   * Delay before the next retry
+   *
+   * @param {number} attempts - Failed attempts so far (at least 1)
+   * @returns {number} Milliseconds
+   */
+  static backoffDelay(attempts) {
+    const delay = this.BASE_DELAY_MS * Math.pow(2, Math.max(attempts, 1) - 1);
+    return Math.min(delay, this.MAX_DELAY_MS);
+  }
+
+  /**
+   * Pending entries, oldest first (an unreadable file counts as empty)
+   *
+   * @returns {Array<Object>}
+   */
+  read() {
+    if (!fs.existsSync(this.path)) {
+      return [];
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+      return Array.isArray(data.entries) ? data.entries : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Replace all entries; the file is removed once the outbox is empty
+   *
+   * @param {Array<Object>} entries - Entries
+   */
+  write(entries) {
+    if (entries.length === 0) {
+      fs.rmSync(this.path, { force: true });
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    fs.writeFileSync(this.path, JSON.stringify({ entries }, null, 2));
+  }
+
+  /**
+   * @returns {number} Number of pending entries
+   */
+  count() {
+    return this.read().length;
+  }
+
+  /**
+   * @param {string} key - Idempotency key
+   * @returns {Object|null} Pending entry with this key
+   */
+  get(key) {
+    return this.read().find(entry => entry.key === key) || null;
+  }
+
+  /**
+   * Entries whose retry time has come
+   *
+   * @param {Date} now - Current time
+   * @returns {Array<Object>}
+   */
+  due(now = new Date()) {
+    return this.read().filter(entry => new Date(entry.nextAttemptAt).getTime() <= now.getTime());
+  }
+
+  /**
+   * Queue an operation after a failed attempt
+   *
+   * An entry with the same key takes the new payload and counts the attempt.
+   * Pass attempted: false for operations held back without trying them (their
+   * item is still being created), so they are retried right away.
+   *
+   * @param {Object} operation - { platform, operation, taskId, taskFile, payload, error, attempted }
+   * @param {Date} now - Current time
+   * @returns {Object} The queued entry
+   */
+  enqueue({ platform, operation, taskId, taskFile, payload = {}, error = null, attempted = true }, now = new Date()) {
+    const entries = this.read();
+    const key = this.constructor.keyFor(platform, operation, taskFile, payload);
+    let entry = entries.find(existing => existing.key === key);
+
+    if (!entry) {
+      entry = { key, platform, operation, taskId, taskFile, payload, attempts: 0, createdAt: now.toISOString(), lastAttemptAt: null, nextAttemptAt: null, lastError: null };
+      entries.push(entry);
+    }
+
+    entry.payload = payload;
+    this.applyAttempt(entry, attempted, error, now);
+
+    this.write(entries);
+    return entry;
+  }
+
+  /**
+   * Record another failed delivery of a queued entry
+   *
+   * @param {string} key - Idempotency key
+   * @param {string|null} error - What went wrong
+   * @param {Date} now - Current time
+   * @returns {Object|null} The updated entry
+   */
+  recordFailure(key, error, now = new Date()) {
+    const entries = this.read();
+    const entry = entries.find(existing => existing.key === key);
+
+    if (!entry) {
+      return null;
+    }
+
+    this.applyAttempt(entry, true, error, now);
+    this.write(entries);
+    return entry;
+  }
+
+  /**
+   * Drop an entry (delivered, or no longer deliverable)
+   *
+   * @param {string} key - Idempotency key
+   * @returns {boolean} True if an entry was removed
+   */
+  remove(key) {
+    const entries = this.read();
+    const remaining = entries.filter(entry => entry.key !== key);
+
+    if (remaining.length === entries.length) {
+      return false;
+    }
+
+    this.write(remaining);
+    return true;
+  }
+
+  /**
+   * @private
+   * @param {Object} entry - Entry (mutated)
+   * @param {boolean} attempted - Whether delivery was tried
+   * @param {string|null} error - What went wrong
+   * @param {Date} now - Current time
+   */
+  applyAttempt(entry, attempted, error, now) {
+    if (!attempted) {
+      entry.nextAttemptAt = entry.nextAttemptAt || now.toISOString();
+      return;
+    }
+
+    entry.attempts += 1;
+    entry.lastAttemptAt = now.toISOString();
+    entry.nextAttemptAt = new Date(now.getTime() + this.constructor.backoffDelay(entry.attempts)).toISOString();
+    entry.lastError = error || entry.lastError;
+  }
+}
@@ -0,0 +1,215 @@
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * SettingsMerge - Three-way merge of settings.json
+ *
+ * Single Responsibility: Combine framework updates with a project's own settings edits
+ *
+ * Merges three versions of a JSON document:
+ *
+ * - base:   framework settings the project last synced from (null if unknown)
+ * - local:  the project's .claude/settings.json
+ * - update: the new framework settings
+ *
+ * Rules, applied recursively:
+ * - a value changed on one side only takes that side's change
+ * - objects merge key by key (a key removed on one side stays removed)
+ * - arrays merge as sets of entries (permission rules, hook entries): entries
+ *   added on either side are kept, entries removed on either side are dropped
+ * - a value changed differently on both sides is a conflict; the local value
+ *   is kept and the conflict reported
+ *
+ * Without a base, every local value counts as a local edit, so the project's
+ * own values are kept and framework additions are still picked up. Arrays are
+ * the exception: a union would keep framework entries that were since renamed
+ * or removed forever, so the local settings are taken as the previous
+ * framework version - the framework's array is installed and the local
+ * entries it lacks are reported as dropped.
+ */
+export class SettingsMerge {
+  /**
+   * Merge framework updates into local settings
+   *
+   * @param {Object|null} base - Framework settings last synced from
+   * @param {Object} local - Current project settings
+   * @param {Object} update - New framework settings
+   * @returns {{merged: Object, conflicts: Array<{path, base, local, update}>, dropped: Array<{path, entry}>}}
+   */
+  static merge(base, local, update) {
+    const report = { hasBase: base !== null, conflicts: [], dropped: [] };
+    const merged = this.mergeValue(base === null ? undefined : base, local, update, [], report);
+    return { merged, conflicts: report.conflicts, dropped: report.dropped };
+  }
+
+  /**
+   * @private
+   */
+  static mergeValue(base, local, update, path, report) {
+    if (this.equal(local, update)) {
+      return local;
+    }
+    if (this.equal(base, local)) {
+      return update;
+    }
+    if (this.equal(base, update)) {
+      return local;
+    }
+
+    if (Array.isArray(local) && Array.isArray(update)) {
+      if (!report.hasBase) {
+        return this.replaceArray(local, update, path, report);
+      }
+      return this.mergeArrays(Array.isArray(base) ? base : [], local, update);
+    }
+
+    if (this.isObject(local) && this.isObject(update)) {
+      const baseObject = this.isObject(base) ? base : {};
+      const result = {};
+      const keys = [...Object.keys(local), ...Object.keys(update).filter(key => !(key in local))];
+
+      keys.forEach(key => {
+        const value = this.mergeValue(baseObject[key], local[key], update[key], [...path, key], report);
+        if (value !== undefined) {
+          result[key] = value;
+        }
+      });
+
+      return result;
+    }
+
+    report.conflicts.push({ path: this.formatPath(path), base, local, update });
+    return local;
+  }
+
+  /**
+   * Install the framework's array, recording the local entries it drops
+   *
+   * @private
+   */
+  static replaceArray(local, update, path, report) {
+    const key = (entry) => JSON.stringify(this.canonical(entry));
+    const updateKeys = new Set(update.map(key));
+
+    local
+      .filter(entry => !updateKeys.has(key(entry)))
+      .forEach(entry => report.dropped.push({ path: this.formatPath(path), entry }));
+
+    return update;
+  }
+
+  /**
+   * Merge arrays as sets of entries, keeping the local order
+   *
+   * @private
+   */
+  static mergeArrays(base, local, update) {
+    const key = (entry) => JSON.stringify(this.canonical(entry));
+    const baseKeys = new Set(base.map(key));
+    const localKeys = new Set(local.map(key));
+    const updateKeys = new Set(update.map(key));
+
+    const kept = local.filter(entry => !baseKeys.has(key(entry)) || updateKeys.has(key(entry)));
+    const added = update.filter(entry => !baseKeys.has(key(entry)) && !localKeys.has(key(entry)));
+
+    return [...kept, ...added];
+  }
+
+  /**
+   * Differences between two versions of the settings, for a preview
+   *
+   * @param {Object} before - Current settings
+   * @param {Object} after - Merged settings
+   * @returns {Array<{type: 'added'|'removed'|'changed', path: string, before?, after?}>}
+   */
+  static diff(before, after, path = []) {
+    if (this.equal(before, after)) {
+      return [];
+    }
+
+    if (Array.isArray(before) && Array.isArray(after)) {
+      const key = (entry) => JSON.stringify(this.canonical(entry));
+      const beforeKeys = new Set(before.map(key));
+      const afterKeys = new Set(after.map(key));
+
+      return [
+        ...before.filter(entry => !afterKeys.has(key(entry)))
+          .map(entry => ({ type: 'removed', path: this.formatPath(path), before: entry })),
+        ...after.filter(entry => !beforeKeys.has(key(entry)))
+          .map(entry => ({ type: 'added', path: this.formatPath(path), after: entry }))
+      ];
+    }
+
+    if (this.isObject(before) && this.isObject(after)) {
+      const keys = [...Object.keys(before), ...Object.keys(after).filter(key => !(key in before))];
+      return keys.flatMap(key => this.diff(before[key], after[key], [...path, key]));
+    }
+
+    if (before === undefined) {
+      return [{ type: 'added', path: this.formatPath(path), after }];
+    }
+    if (after === undefined) {
+      return [{ type: 'removed', path: this.formatPath(path), before }];
+    }
+
+    return [{ type: 'changed', path: this.formatPath(path), before, after }];
+  }
+
+  /**
+   * Deep equality for JSON values (object key order ignored)
+   *
+   * @param {*} a
+   * @param {*} b
+   * @returns {boolean}
+   */
+  static equal(a, b) {
+    return JSON.stringify(this.canonical(a)) === JSON.stringify(this.canonical(b));
+  }
+
+  /**
+   * Copy of a JSON value with object keys sorted
+   *
+   * @private
+   */
+  static canonical(value) {
+    if (Array.isArray(value)) {
+      return value.map(entry => this.canonical(entry));
+    }
+
+    if (this.isObject(value)) {
+      return Object.keys(value).sort().reduce((sorted, key) => {
+        sorted[key] = this.canonical(value[key]);
+        return sorted;
+      }, {});
+    }
+
+    return value;
+  }
+
+  /**
+   * @private
+   */
+  static isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * @private
+   */
+  static formatPath(path) {
+    return path.length > 0 ? path.join('.') : '(root)';
+  }
+}
@@ -0,0 +1,207 @@
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { PlatformRouter } from './Platform/PlatformRouter.js';
+import { RemoteSync } from './Platform/RemoteSync.js';
+
+/**
+ * TaskBlocking - Blocked-task bookkeeping on tracker entries
+ *
+ * Single Responsibility: Record why a task is blocked and lift blocks again
+ *
+ * Tracker entries keep every block as an interval, newest last:
+ *
+ *   status: 'blocked'
+ *   blocks: [{ reason, blockedBy, blockedAt, blockedOn, previousStatus,
+ *              unblockedAt, unblockedBy }]
+ *
+ * blockedOn lists the tasks the block waits on (null for a block only a
+ * person can lift); the block is lifted automatically once all of them are
+ * completed. Blocks recorded before it was a list hold a single task ID.
+ * Unblocking restores the status the task had before (pending or paused).
+ */
+export class TaskBlocking {
+  static BLOCKABLE_STATUSES = ['pending', 'paused'];
+
+  static AUTOMATIC = 'agentic15';
+
+  /**
+   * Current (open) block of a task
+   *
+   * @param {Object} entry - Tracker task entry
+   * @returns {Object|null} Block record
+   */
+  static getCurrentBlock(entry) {
+    if (entry.status !== 'blocked' || !Array.isArray(entry.blocks)) {
+      return null;
+    }
+
+    return entry.blocks.filter(block => !block.unblockedAt).pop() || null;
+  }
+
+  /**
+   * Tasks a block waits on
+   *
+   * @param {Object} record - Block record
+   * @returns {string[]} Task IDs (empty for a manual block)
+   */
+  static getBlockers(record) {
+    if (!record || !record.blockedOn) {
+      return [];
+    }
+
+    return Array.isArray(record.blockedOn) ? record.blockedOn : [record.blockedOn];
+  }
+
+  /**
+   * Mark a task blocked
+   *
+   * @param {Object} entry - Tracker task entry (mutated)
+   * @param {Object} details - { reason, blockedBy, blockedOn: task ID(s) to wait on }
+   * @returns {Object} The new block record
+   */
+  static block(entry, { reason, blockedBy, blockedOn = null }) {
+    const blockers = [].concat(blockedOn || []);
+    const record = {
+      reason,
+      blockedBy,
+      blockedAt: new Date().toISOString(),
+      blockedOn: blockers.length > 0 ? blockers : null,
+      previousStatus: entry.status,
+      unblockedAt: null,
+      unblockedBy: null
+    };
+
+    entry.blocks = [...(entry.blocks || []), record];
+    entry.status = 'blocked';
+
+    return record;
+  }
+
+  /**
+   * Lift a task's block
+   *
+   * @param {Object} entry - Tracker task entry (mutated)
+   * @param {string} unblockedBy - Who lifted it (a user, or AUTOMATIC)
+   * @returns {Object|null} The closed block record, or null if not blocked
+   */
+  static unblock(entry, unblockedBy) {
+    const record = this.getCurrentBlock(entry);
+
+    if (entry.status !== 'blocked') {
+      return null;
+    }
+
+    if (record) {
+      record.unblockedAt = new Date().toISOString();
+      record.unblockedBy = unblockedBy;
+    }
+
+    entry.status = record && record.previousStatus ? record.previousStatus : 'pending';
+    return record;
+  }
+
+  /**
+   * Lift every block that was waiting on a task that just completed
+   *
+   * A block waiting on several tasks is lifted with the last of them; tasks
+   * no longer in the plan count as done.
+   *
+   * @param {Object} tracker - Parsed TASK-TRACKER.json (mutated)
+   * @param {string} completedTaskId - Task that completed
+   * @returns {Array<Object>} Entries that were unblocked
+   */
+  static releaseBlockedOn(tracker, completedTaskId) {
+    const statusById = new Map(tracker.taskFiles.map(entry => [entry.id, entry.status]));
+    const isDone = (taskId) => taskId === completedTaskId || [undefined, 'completed'].includes(statusById.get(taskId));
+
+    return tracker.taskFiles.filter(entry => {
+      const blockers = this.getBlockers(this.getCurrentBlock(entry));
+
+      if (!blockers.includes(completedTaskId) || !blockers.every(isDone)) {
+        return false;
+      }
+
+      this.unblock(entry, this.AUTOMATIC);
+      return true;
+    });
+  }
+
+  /**
+   * Mirror a block change to the task's GitHub/GitLab issue or Azure work item
+   *
+   * Updates the status label/tag and adds a comment. Tasks without a linked
+   * item, or projects without a configured platform, are skipped silently;
+   * failed changes are queued in the remote outbox.
+   *
+   * @param {string} projectRoot - Project root
+   * @param {string} taskPath - Task file
+   * @param {Object} taskData - Task file contents (githubIssue / azureWorkItem / gitlabIssue)
+   * @param {string} status - New tracker status
+   * @param {string} comment - Comment to add
+   * @returns {Promise<boolean>} True if the platform item was updated
+   */
+  static async mirrorToPlatform(projectRoot, taskPath, taskData, status, comment) {
+    try {
+      const router = new PlatformRouter(projectRoot);
+
+      if (!router.isConfigured()) {
+        return false;
+      }
+
+      const sync = new RemoteSync(projectRoot, router);
+      const updated = await sync.updateTaskItem(taskPath, taskData, { ...taskData, status });
+      const commented = await sync.addComment(taskPath, taskData, comment);
+
+      return updated || commented;
+    } catch (error) {
+      console.log(`⚠️  Failed to update ${taskData.id} on the issue tracker: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Comment text for a new block
+   *
+   * @param {Object} record - Block record
+   * @returns {string} Markdown
+   */
+  static blockComment(record) {
+    let comment = `🚫 **Blocked** by ${record.blockedBy}\n\n**Reason:** ${record.reason}`;
+
+    const blockers = this.getBlockers(record);
+    if (blockers.length > 0) {
+      comment += `\n\nWaiting on ${blockers.join(', ')} - unblocks automatically when ${blockers.length > 1 ? 'they complete' : 'it completes'}.`;
+    }
+
+    return comment;
+  }
+
+  /**
+   * Comment text for a lifted block
+   *
+   * @param {Object} record - Closed block record
+   * @param {string} [completedTaskId] - Task whose completion lifted the block
+   * @returns {string} Markdown
+   */
+  static unblockComment(record, completedTaskId = null) {
+    if (completedTaskId) {
+      return `✅ **Unblocked** automatically: ${completedTaskId} completed`;
+    }
+
+    return `✅ **Unblocked** by ${record ? record.unblockedBy : 'unknown'}`;
+  }
+}
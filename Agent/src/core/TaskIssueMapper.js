@@ -139,10 +139,24 @@ export class TaskIssueMapper {
     return body;
   }
 
+  /**
+   * Tick completion criteria checkboxes in an issue body
+   *
+   * @param {string} body - Current issue body (as written by taskToIssueBody)
+   * @param {string[]} criteria - Criteria that were met
+   * @returns {string} Updated issue body
+   */
+  static tickCompletionCriteria(body, criteria) {
+    return criteria.reduce((updated, criterion) => {
+      const escaped = criterion.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return updated.replace(new RegExp(`^- \\[ \\] ${escaped}$`, 'gm'), `- [x] ${criterion}`);
+    }, body);
+  }
+
   /**
    * Map task status and phase to GitHub labels
    *
-   * @param {string} status - Task status (pending, in_progress, completed, blocked)
+   * @param {string} status - Task status (pending, in_progress, in_review, completed, blocked)
    * @param {string|null} phase - Task phase (design, implementation, testing, etc.)
    * @returns {string[]} Array of label names
    */
@@ -157,6 +171,9 @@ export class TaskIssueMapper {
       case 'in_progress':
         labels.push('status: in-progress');
         break;
+      case 'in_review':
+        labels.push('status: in-review');
+        break;
       case 'completed':
         labels.push('status: completed');
         break;
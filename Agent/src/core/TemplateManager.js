@@ -17,6 +17,7 @@
 import { mkdirSync, cpSync, readFileSync, writeFileSync, existsSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { MigrationRunner } from './Migration/MigrationRunner.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -57,6 +58,20 @@ export class TemplateManager {
       join(targetDir, '.claude', 'settings.json')
     );
 
+    // Record the framework settings as the base for future update-settings merges
+    const packageVersion = JSON.parse(readFileSync(join(__dirname, '..', '..', 'package.json'), 'utf8')).version;
+    writeFileSync(
+      join(targetDir, '.claude', 'settings.framework.json'),
+      JSON.stringify({
+        frameworkVersion: packageVersion,
+        syncedAt: new Date().toISOString(),
+        settings: JSON.parse(readFileSync(join(frameworkDir, 'settings.json'), 'utf8'))
+      }, null, 2) + '\n'
+    );
+
+    // New projects start at the latest state version - nothing to migrate
+    new MigrationRunner(targetDir).markCurrent();
+
     // Copy framework documentation
     console.log('  ├─ .claude/POST-INSTALL.md (from framework)');
     cpSync(
@@ -0,0 +1,338 @@
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * TrackerRepository - The one way to read and write TASK-TRACKER.json
+ *
+ * Single Responsibility: Persist a plan's task tracker safely and keep its derived data consistent
+ *
+ * - Writes go to a temporary file that is renamed over the tracker, so a
+ *   crash never leaves a half-written file.
+ * - Writers take an advisory lock (TASK-TRACKER.json.lock, holding the
+ *   owner's pid). update() holds it across read-modify-write; locks whose
+ *   owner is gone, or older than STALE_LOCK_MS, are broken.
+ * - Every write stamps schemaVersion and recomputes statistics, so no
+ *   caller maintains them. Trackers from before schemaVersion are upgraded
+ *   on read; trackers from a newer framework are refused.
+ * - reconcile() repairs activeTask / worktrees against task statuses
+ *   (`agentic15 task repair`).
+ */
+export class TrackerRepository {
+  static FILE = 'TASK-TRACKER.json';
+
+  static SCHEMA_VERSION = 1;
+
+  static LOCK_TIMEOUT_MS = 5000;
+
+  static STALE_LOCK_MS = 30000;
+
+  /**
+   * @param {string} planDir - Plan directory (.claude/plans/<planId>)
+   */
+  constructor(planDir) {
+    this.planDir = planDir;
+    this.path = path.join(planDir, this.constructor.FILE);
+    this.lockPath = `${this.path}.lock`;
+    this.lockDepth = 0;
+  }
+
+  /**
+   * Repository for the plan named in .claude/ACTIVE-PLAN
+   *
+   * @param {string} projectRoot - Project root (the main worktree for lanes)
+   * @returns {TrackerRepository|null} null when no plan is active
+   */
+  static forActivePlan(projectRoot = process.cwd()) {
+    const activePlanPath = path.join(projectRoot, '.claude', 'ACTIVE-PLAN');
+
+    if (!fs.existsSync(activePlanPath)) {
+      return null;
+    }
+
+    const planId = fs.readFileSync(activePlanPath, 'utf8').trim();
+    return planId ? new TrackerRepository(path.join(projectRoot, '.claude', 'plans', planId)) : null;
+  }
+
+  /**
+   * @returns {boolean} Whether the tracker file exists
+   */
+  exists() {
+    return fs.existsSync(this.path);
+  }
+
+  /**
+   * Read the tracker, upgraded to the current schema in memory
+   *
+   * @returns {Object} Tracker
+   * @throws {Error} Invalid JSON, or a tracker written by a newer framework version
+   */
+  read() {
+    return this.constructor.upgrade(JSON.parse(fs.readFileSync(this.path, 'utf8')));
+  }
+
+  /**
+   * Write the tracker atomically, under the lock
+   *
+   * @param {Object} tracker - Tracker (statistics and schemaVersion are set on it)
+   */
+  write(tracker) {
+    this.withLock(() => this.writeFile(tracker));
+  }
+
+  /**
+   * Read, change and write the tracker while holding the lock
+   *
+   * @param {Function} change - (tracker) => result; mutates the tracker
+   * @returns {*} Return value of change
+   */
+  update(change) {
+    return this.withLock(() => {
+      const tracker = this.read();
+      const result = change(tracker);
+      this.writeFile(tracker);
+      return result;
+    });
+  }
+
+  /**
+   * Run fn holding the tracker lock (re-entrant within this repository)
+   *
+   * @param {Function} fn - Operation to run
+   * @returns {*} Return value of fn
+   */
+  withLock(fn) {
+    if (this.lockDepth === 0) {
+      this.acquireLock();
+    }
+
+    this.lockDepth++;
+    try {
+      return fn();
+    } finally {
+      this.lockDepth--;
+      if (this.lockDepth === 0) {
+        fs.rmSync(this.lockPath, { force: true });
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  acquireLock() {
+    const deadline = Date.now() + this.constructor.LOCK_TIMEOUT_MS;
+
+    for (;;) {
+      try {
+        const fd = fs.openSync(this.lockPath, 'wx');
+        fs.writeSync(fd, JSON.stringify({ pid: process.pid, createdAt: new Date().toISOString() }));
+        fs.closeSync(fd);
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      const owner = this.readLockOwner();
+      if (this.isStale(owner)) {
+        fs.rmSync(this.lockPath, { force: true });
+        continue;
+      }
+
+      if (Date.now() >= deadline) {
+        throw new Error(
+          `${this.constructor.FILE} is locked by another agentic15 process${owner.pid ? ` (pid ${owner.pid})` : ''}. ` +
+          `If none is running, delete ${this.lockPath}`
+        );
+      }
+
+      Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 50);
+    }
+  }
+
+  /**
+   * @private
+   */
+  readLockOwner() {
+    try {
+      const owner = JSON.parse(fs.readFileSync(this.lockPath, 'utf8'));
+      owner.mtimeMs = fs.statSync(this.lockPath).mtimeMs;
+      return owner;
+    } catch (error) {
+      // Being written or just released - treat as fresh
+      return { mtimeMs: Date.now() };
+    }
+  }
+
+  /**
+   * @private
+   */
+  isStale(owner) {
+    if (Date.now() - owner.mtimeMs > this.constructor.STALE_LOCK_MS) {
+      return true;
+    }
+
+    if (!owner.pid || owner.pid === process.pid) {
+      return false;
+    }
+
+    try {
+      process.kill(owner.pid, 0);
+      return false;
+    } catch (error) {
+      return error.code === 'ESRCH';
+    }
+  }
+
+  /**
+   * @private
+   */
+  writeFile(tracker) {
+    tracker.schemaVersion = this.constructor.SCHEMA_VERSION;
+    tracker.statistics = this.constructor.computeStatistics(tracker);
+    tracker.lastUpdated = new Date().toISOString();
+
+    const tempPath = `${this.path}.${process.pid}.tmp`;
+    try {
+      fs.writeFileSync(tempPath, JSON.stringify(tracker, null, 2));
+      fs.renameSync(tempPath, this.path);
+    } catch (error) {
+      fs.rmSync(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Task counts per status
+   *
+   * @param {Object} tracker - Tracker
+   * @returns {Object} { totalTasks, completed, inProgress, pending, paused, blocked }
+   */
+  static computeStatistics(tracker) {
+    const tasks = Array.isArray(tracker.taskFiles) ? tracker.taskFiles : [];
+    const count = (status) => tasks.filter(t => t.status === status).length;
+
+    return {
+      totalTasks: tasks.length,
+      completed: count('completed'),
+      inProgress: count('in_progress'),
+      pending: count('pending'),
+      paused: count('paused'),
+      blocked: count('blocked')
+    };
+  }
+
+  /**
+   * Bring a tracker read from disk to the current schema
+   *
+   * @param {Object} tracker - Parsed tracker (mutated)
+   * @returns {Object} The same tracker
+   */
+  static upgrade(tracker) {
+    const version = tracker.schemaVersion || 0;
+
+    if (version > this.SCHEMA_VERSION) {
+      throw new Error(
+        `${this.FILE} has schema version ${version}, but this framework supports up to ${this.SCHEMA_VERSION}. ` +
+        'Upgrade: npm install @agentic15.com/agentic15-claude-zen@latest'
+      );
+    }
+
+    if (version < 1) {
+      // Before parallel lanes, the only lane was the main worktree
+      tracker.taskFiles = Array.isArray(tracker.taskFiles) ? tracker.taskFiles : [];
+      tracker.worktrees = tracker.worktrees || (tracker.activeTask ? { '.': tracker.activeTask } : {});
+    }
+
+    return tracker;
+  }
+
+  /**
+   * Reconcile lanes and statistics with task statuses
+   *
+   * - lanes (activeTask / worktrees) holding a task that is missing or not
+   *   in progress are released
+   * - activeTask follows the main lane
+   * - an in-progress task no lane holds is bound to the main lane when that
+   *   lane is free and it is the only one; others are reported unresolved
+   * - statistics are recomputed
+   *
+   * @param {Object} tracker - Tracker (mutated)
+   * @returns {Array<{kind: 'lane'|'unbound'|'statistics', message: string, fixed: boolean}>}
+   */
+  static reconcile(tracker) {
+    const findings = [];
+    const tasks = tracker.taskFiles || [];
+    const statusOf = (taskId) => (tasks.find(t => t.id === taskId) || {}).status;
+    const describe = (laneKey) => laneKey === '.' ? 'the main worktree' : `worktree ${laneKey}`;
+
+    tracker.worktrees = tracker.worktrees || {};
+    if (tracker.activeTask && !Object.values(tracker.worktrees).includes(tracker.activeTask) && !tracker.worktrees['.']) {
+      tracker.worktrees['.'] = tracker.activeTask;
+    }
+
+    Object.entries(tracker.worktrees).forEach(([laneKey, taskId]) => {
+      const status = statusOf(taskId);
+      if (status !== 'in_progress') {
+        delete tracker.worktrees[laneKey];
+        findings.push({
+          kind: 'lane',
+          message: `Released ${taskId} (${status || 'not in plan'}) from ${describe(laneKey)}`,
+          fixed: true
+        });
+      }
+    });
+
+    const bound = new Set(Object.values(tracker.worktrees));
+    const unbound = tasks.filter(t => t.status === 'in_progress' && !bound.has(t.id));
+
+    if (unbound.length === 1 && !tracker.worktrees['.']) {
+      tracker.worktrees['.'] = unbound[0].id;
+      tracker.activeTask = unbound[0].id;
+      findings.push({ kind: 'unbound', message: `Made in-progress ${unbound[0].id} the active task of the main worktree`, fixed: true });
+    } else {
+      unbound.forEach(task => findings.push({
+        kind: 'unbound',
+        message: `${task.id} is in progress but no worktree holds it - resume it with: agentic15 task start ${task.id} --worktree, or reset it`,
+        fixed: false
+      }));
+    }
+
+    const activeTask = tracker.worktrees['.'] || null;
+    if ((tracker.activeTask || null) !== activeTask) {
+      findings.push({ kind: 'lane', message: `activeTask ${tracker.activeTask || 'none'} → ${activeTask || 'none'}`, fixed: true });
+      tracker.activeTask = activeTask;
+    }
+
+    const before = tracker.statistics || {};
+    const after = this.computeStatistics(tracker);
+    const changed = Object.keys(after).filter(key => (before[key] || 0) !== after[key]);
+    if (changed.length > 0) {
+      findings.push({
+        kind: 'statistics',
+        message: `Statistics: ${changed.map(key => `${key} ${before[key] || 0} → ${after[key]}`).join(', ')}`,
+        fixed: true
+      });
+    }
+    tracker.statistics = after;
+
+    return findings;
+  }
+}
@@ -0,0 +1,144 @@
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { execSync } from 'child_process';
+
+/**
+ * WipSnapshot - Park uncommitted task work on a git ref
+ *
+ * Single Responsibility: Save and restore a worktree's uncommitted changes per task
+ *
+ * Uses git stash machinery (so staged, unstaged and untracked files are all
+ * captured and restored with a three-way merge), but moves the stash commit
+ * to refs/agentic15/wip/<task-id> instead of leaving it on the stash list.
+ * The ref is shared by all worktrees of the repository, so work paused in
+ * one worktree can be resumed in another.
+ *
+ * Framework state under .claude/plans/ and .claude/ACTIVE-PLAN is never part
+ * of a snapshot; the tracker has to stay where the commands expect it.
+ */
+export class WipSnapshot {
+  static REF_PREFIX = 'refs/agentic15/wip';
+
+  static EXCLUDED_PATHS = ['.claude/plans', '.claude/ACTIVE-PLAN'];
+
+  /**
+   * Ref holding a task's snapshot
+   *
+   * @param {string} taskId - Task ID
+   * @returns {string} e.g. refs/agentic15/wip/task-001
+   */
+  static refFor(taskId) {
+    return `${this.REF_PREFIX}/${taskId.toLowerCase()}`;
+  }
+
+  /**
+   * Whether a task has a saved snapshot
+   *
+   * @param {string} cwd - Directory inside the repository
+   * @param {string} taskId - Task ID
+   * @returns {boolean}
+   */
+  static exists(cwd, taskId) {
+    return this.resolveRef(cwd, this.refFor(taskId)) !== null;
+  }
+
+  /**
+   * Save the worktree's uncommitted changes and reset it to HEAD
+   *
+   * @param {string} worktreeRoot - Root of the worktree to snapshot
+   * @param {string} taskId - Task ID
+   * @returns {string|null} Ref name, or null when there was nothing to save
+   */
+  static save(worktreeRoot, taskId) {
+    const git = (command) => execSync(command, { cwd: worktreeRoot, encoding: 'utf-8', stdio: 'pipe' });
+    const ref = this.refFor(taskId);
+
+    if (this.resolveRef(worktreeRoot, ref)) {
+      throw new Error(`A WIP snapshot already exists for ${taskId} (${ref})`);
+    }
+
+    const before = this.resolveRef(worktreeRoot, 'refs/stash');
+    const pathspec = ['.', ...this.EXCLUDED_PATHS.map(excluded => `":(exclude)${excluded}"`)].join(' ');
+
+    git(`git stash push --include-untracked -m "agentic15 WIP ${taskId}" -- ${pathspec}`);
+
+    const after = this.resolveRef(worktreeRoot, 'refs/stash');
+    if (!after || after === before) {
+      return null;
+    }
+
+    git(`git update-ref -m "agentic15: pause ${taskId}" ${ref} ${after}`);
+    git('git stash drop -q stash@{0}');
+
+    return ref;
+  }
+
+  /**
+   * Re-apply a task's snapshot to the worktree and delete the ref
+   *
+   * The ref is kept when the snapshot cannot be applied cleanly, so no work
+   * is lost; the error message explains how to apply it by hand.
+   *
+   * @param {string} worktreeRoot - Root of the worktree to restore into
+   * @param {string} taskId - Task ID
+   * @returns {boolean} True if a snapshot was restored, false if none existed
+   */
+  static restore(worktreeRoot, taskId) {
+    const ref = this.refFor(taskId);
+    const sha = this.resolveRef(worktreeRoot, ref);
+
+    if (!sha) {
+      return false;
+    }
+
+    try {
+      execSync(`git stash apply ${sha}`, { cwd: worktreeRoot, encoding: 'utf-8', stdio: 'pipe' });
+    } catch (error) {
+      const details = (error.stderr || error.message || '').toString().trim();
+      throw new Error(`Could not apply WIP snapshot ${ref}${details ? `: ${details}` : ''}`);
+    }
+
+    this.discard(worktreeRoot, taskId);
+    return true;
+  }
+
+  /**
+   * Delete a task's snapshot ref
+   *
+   * @param {string} cwd - Directory inside the repository
+   * @param {string} taskId - Task ID
+   */
+  static discard(cwd, taskId) {
+    if (this.exists(cwd, taskId)) {
+      execSync(`git update-ref -d ${this.refFor(taskId)}`, { cwd, stdio: 'pipe' });
+    }
+  }
+
+  /**
+   * Resolve a ref to a commit SHA
+   *
+   * @private
+   * @returns {string|null} SHA, or null if the ref does not exist
+   */
+  static resolveRef(cwd, ref) {
+    try {
+      return execSync(`git rev-parse -q --verify ${ref}`, { cwd, encoding: 'utf-8', stdio: 'pipe' }).trim() || null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
@@ -0,0 +1,333 @@
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { execSync } from 'child_process';
+
+/**
+ * WorktreeLanes - Parallel task lanes backed by git worktrees
+ *
+ * Single Responsibility: Map tasks to the git worktree they are checked out in
+ *
+ * Each lane is a git worktree with one feature/task-xxx branch checked out.
+ * The main worktree is the lane '.'; linked worktrees are keyed by their path
+ * relative to the main worktree (e.g. '../my-app-task-002').
+ *
+ * The main worktree holds the canonical .claude/ state. Commands running in a
+ * linked worktree read and write the tracker there, and mirror the files they
+ * change into their own worktree so the task branch commits them.
+ *
+ * Tracker fields:
+ * - worktrees: { '<lane key>': 'TASK-ID' } - task bound to each lane
+ * - activeTask: task bound to the main worktree (kept for hooks and older trackers)
+ */
+export class WorktreeLanes {
+  static MAIN_LANE = '.';
+
+  /**
+   * List worktrees of the repository containing cwd
+   *
+   * @param {string} cwd - Directory inside the repository
+   * @returns {Array<{path: string, branch: string|null}>} Main worktree first
+   */
+  static listWorktrees(cwd = process.cwd()) {
+    try {
+      const output = execSync('git worktree list --porcelain', { cwd, encoding: 'utf-8', stdio: 'pipe' });
+      const worktrees = [];
+
+      output.split('\n').forEach(line => {
+        if (line.startsWith('worktree ')) {
+          worktrees.push({ path: path.resolve(line.slice('worktree '.length)), branch: null });
+        } else if (line.startsWith('branch ') && worktrees.length > 0) {
+          worktrees[worktrees.length - 1].branch = line.slice('branch '.length).replace(/^refs\/heads\//, '');
+        }
+      });
+
+      return worktrees;
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Resolve the lane the given directory belongs to
+   *
+   * Outside a git repository everything resolves to cwd, so callers behave
+   * exactly as they did before lanes existed.
+   *
+   * @param {string} cwd - Directory to resolve
+   * @returns {{mainRoot: string, worktreeRoot: string, laneKey: string, isLinked: boolean}}
+   */
+  static resolve(cwd = process.cwd()) {
+    let worktreeRoot = cwd;
+    try {
+      worktreeRoot = path.resolve(execSync('git rev-parse --show-toplevel', { cwd, encoding: 'utf-8', stdio: 'pipe' }).trim());
+    } catch (error) {
+      return { mainRoot: cwd, worktreeRoot: cwd, laneKey: this.MAIN_LANE, isLinked: false };
+    }
+
+    const [main] = this.listWorktrees(cwd);
+    const mainRoot = main ? main.path : worktreeRoot;
+    const laneKey = this.getLaneKey(mainRoot, worktreeRoot);
+
+    return { mainRoot, worktreeRoot, laneKey, isLinked: laneKey !== this.MAIN_LANE };
+  }
+
+  /**
+   * Root of the main worktree (where the canonical .claude/ state lives)
+   *
+   * @param {string} cwd - Directory inside the repository
+   * @returns {string} Absolute path
+   */
+  static getMainRoot(cwd = process.cwd()) {
+    return this.resolve(cwd).mainRoot;
+  }
+
+  /**
+   * Lane key for a worktree
+   *
+   * @param {string} mainRoot - Main worktree root
+   * @param {string} worktreeRoot - Worktree root
+   * @returns {string} '.' for the main worktree, otherwise a relative POSIX path
+   */
+  static getLaneKey(mainRoot, worktreeRoot) {
+    const relative = path.relative(mainRoot, worktreeRoot);
+    return relative ? relative.split(path.sep).join('/') : this.MAIN_LANE;
+  }
+
+  /**
+   * Absolute path of a lane
+   *
+   * @param {string} mainRoot - Main worktree root
+   * @param {string} laneKey - Lane key
+   * @returns {string} Absolute path
+   */
+  static getLanePath(mainRoot, laneKey) {
+    return path.resolve(mainRoot, laneKey);
+  }
+
+  /**
+   * Task bound to a lane
+   *
+   * In the main lane, trackers written before lanes existed are honoured:
+   * activeTask, or failing that the first in-progress task no other lane owns.
+   *
+   * @param {Object} tracker - Parsed TASK-TRACKER.json
+   * @param {string} laneKey - Lane key
+   * @returns {string|null} Task ID
+   */
+  static getBoundTaskId(tracker, laneKey) {
+    const lanes = tracker.worktrees || {};
+
+    if (lanes[laneKey]) {
+      return lanes[laneKey];
+    }
+
+    if (laneKey !== this.MAIN_LANE) {
+      return null;
+    }
+
+    if (tracker.activeTask) {
+      return tracker.activeTask;
+    }
+
+    const owned = new Set(Object.values(lanes));
+    const unowned = (tracker.taskFiles || []).find(t => t.status === 'in_progress' && !owned.has(t.id));
+    return unowned ? unowned.id : null;
+  }
+
+  /**
+   * Lane a task is bound to
+   *
+   * @param {Object} tracker - Parsed TASK-TRACKER.json
+   * @param {string} taskId - Task ID
+   * @returns {string|null} Lane key
+   */
+  static getLaneOf(tracker, taskId) {
+    const entry = Object.entries(tracker.worktrees || {}).find(([, id]) => id === taskId);
+
+    if (entry) {
+      return entry[0];
+    }
+
+    return this.getBoundTaskId(tracker, this.MAIN_LANE) === taskId ? this.MAIN_LANE : null;
+  }
+
+  /**
+   * Lanes that currently hold a task, main worktree first
+   *
+   * @param {Object} tracker - Parsed TASK-TRACKER.json
+   * @returns {Array<{laneKey: string, taskId: string}>}
+   */
+  static getLanes(tracker) {
+    const lanes = Object.entries(tracker.worktrees || {})
+      .filter(([laneKey]) => laneKey !== this.MAIN_LANE)
+      .map(([laneKey, taskId]) => ({ laneKey, taskId }));
+
+    const mainTaskId = this.getBoundTaskId(tracker, this.MAIN_LANE);
+    if (mainTaskId) {
+      lanes.unshift({ laneKey: this.MAIN_LANE, taskId: mainTaskId });
+    }
+
+    return lanes;
+  }
+
+  /**
+   * Bind a task to a lane
+   *
+   * @param {Object} tracker - Parsed TASK-TRACKER.json (mutated)
+   * @param {string} laneKey - Lane key
+   * @param {string} taskId - Task ID
+   */
+  static bindTask(tracker, laneKey, taskId) {
+    this.releaseTask(tracker, taskId);
+
+    tracker.worktrees = tracker.worktrees || {};
+    tracker.worktrees[laneKey] = taskId;
+
+    if (laneKey === this.MAIN_LANE) {
+      tracker.activeTask = taskId;
+    }
+  }
+
+  /**
+   * Remove a task from whichever lane holds it
+   *
+   * @param {Object} tracker - Parsed TASK-TRACKER.json (mutated)
+   * @param {string} taskId - Task ID
+   */
+  static releaseTask(tracker, taskId) {
+    if (tracker.worktrees) {
+      Object.keys(tracker.worktrees).forEach(laneKey => {
+        if (tracker.worktrees[laneKey] === taskId) {
+          delete tracker.worktrees[laneKey];
+        }
+      });
+    }
+
+    if (tracker.activeTask === taskId) {
+      tracker.activeTask = null;
+    }
+  }
+
+  /**
+   * Default location for a task's worktree: a sibling of the main worktree
+   *
+   * @param {string} mainRoot - Main worktree root
+   * @param {string} taskId - Task ID, or task branch without feature/ (e.g. plan-002-task-002)
+   * @returns {string} Absolute path (e.g. /work/my-app-task-002)
+   */
+  static getDefaultPath(mainRoot, taskId) {
+    return path.join(path.dirname(mainRoot), `${path.basename(mainRoot)}-${taskId.toLowerCase()}`);
+  }
+
+  /**
+   * Create a worktree with the task branch checked out
+   *
+   * Creates the branch from baseRef, or checks out the branch if it exists.
+   *
+   * @param {string} mainRoot - Main worktree root
+   * @param {string} worktreePath - Where to create the worktree
+   * @param {string} branchName - Task branch (feature/task-xxx)
+   * @param {string} baseRef - Ref to branch from
+   */
+  static addWorktree(mainRoot, worktreePath, branchName, baseRef) {
+    try {
+      execSync(`git worktree add --no-track -b ${branchName} "${worktreePath}" ${baseRef}`, { cwd: mainRoot, stdio: 'pipe' });
+    } catch (error) {
+      execSync(`git worktree add "${worktreePath}" ${branchName}`, { cwd: mainRoot, stdio: 'pipe' });
+    }
+  }
+
+  /**
+   * Remove a worktree (refuses when it has uncommitted changes)
+   *
+   * @param {string} mainRoot - Main worktree root
+   * @param {string} worktreePath - Worktree to remove
+   */
+  static removeWorktree(mainRoot, worktreePath) {
+    execSync(`git worktree remove "${worktreePath}"`, { cwd: mainRoot, stdio: 'pipe' });
+  }
+
+  /**
+   * Copy canonical files from the main worktree into a linked worktree
+   *
+   * @param {Object} lane - Result of resolve()
+   * @param {Array<string>} relativePaths - Paths relative to the worktree root
+   */
+  static mirrorToWorktree(lane, relativePaths) {
+    if (!lane.isLinked) {
+      return;
+    }
+
+    relativePaths.forEach(relativePath => {
+      const source = path.join(lane.mainRoot, relativePath);
+      const target = path.join(lane.worktreeRoot, relativePath);
+
+      if (fs.existsSync(source)) {
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.copyFileSync(source, target);
+      }
+    });
+  }
+
+  /**
+   * Run a git operation in the main worktree without losing lane state
+   *
+   * Lanes keep the canonical tracker in the main worktree, so it is usually
+   * modified there. Modified .claude/plans/ files are saved, restored to HEAD
+   * while fn runs (so checkout/pull are not refused), then written back.
+   *
+   * @param {string} mainRoot - Main worktree root
+   * @param {Function} fn - Operation to run
+   * @returns {*} Return value of fn
+   */
+  static withPlanStatePreserved(mainRoot, fn) {
+    const saved = this.getModifiedPlanFiles(mainRoot).map(file => ({
+      file,
+      content: fs.readFileSync(path.join(mainRoot, file))
+    }));
+
+    saved.forEach(({ file }) => {
+      execSync(`git checkout -- "${file}"`, { cwd: mainRoot, stdio: 'pipe' });
+    });
+
+    try {
+      return fn();
+    } finally {
+      saved.forEach(({ file, content }) => {
+        fs.mkdirSync(path.dirname(path.join(mainRoot, file)), { recursive: true });
+        fs.writeFileSync(path.join(mainRoot, file), content);
+      });
+    }
+  }
+
+  /**
+   * Tracked .claude/plans/ files with uncommitted modifications
+   *
+   * @param {string} root - Worktree root
+   * @returns {Array<string>} Paths relative to root
+   */
+  static getModifiedPlanFiles(root) {
+    try {
+      const output = execSync('git diff --name-only HEAD -- .claude/plans', { cwd: root, encoding: 'utf-8', stdio: 'pipe' });
+      return output.trim().split('\n').filter(Boolean);
+    } catch (error) {
+      return [];
+    }
+  }
+}
@@ -14,21 +14,26 @@
  * limitations under the License.
  */
 
+import path from 'path';
 import { GitHubConfig } from '../core/GitHubConfig.js';
 import { GitHubClient } from '../core/GitHubClient.js';
 import { TaskIssueMapper } from '../core/TaskIssueMapper.js';
+import { RemoteOutbox } from '../core/RemoteOutbox.js';
 
 /**
  * Update GitHub issue status when task state changes
  *
  * This utility function is used by various hooks to keep GitHub issues
- * in sync with local task status changes.
+ * in sync with local task status changes. When options.taskFile is given,
+ * changes that fail (or whose issue is still queued for creation) are queued
+ * in the remote outbox and retried by later agentic15 commands.
  *
  * @param {Object} taskData - Task JSON object
  * @param {string} projectRoot - Path to project root directory
  * @param {string} newStatus - New task status (pending, in_progress, completed, blocked)
  * @param {Object} options - Optional parameters
  * @param {string} options.comment - Optional comment to add to the issue
+ * @param {string} options.taskFile - Optional path of the task file, for queued retries
  * @returns {Promise<boolean>} - Success status
  */
 export async function updateTaskGitHubStatus(taskData, projectRoot, newStatus, options = {}) {
@@ -41,8 +46,17 @@ export async function updateTaskGitHubStatus(taskData, projectRoot, newStatus, o
       return false;
     }
 
+    const outbox = new RemoteOutbox(projectRoot);
+
     // Check if task has associated GitHub issue
     if (!taskData.githubIssue) {
+      // Its creation failed earlier - the update follows the queued create
+      if (options.taskFile && outbox.get(RemoteOutbox.keyFor('github', 'create', relativeTaskFile(projectRoot, options.taskFile)))) {
+        queueRetry(outbox, projectRoot, taskData, options.taskFile, 'update', { status: newStatus, phase: taskData.phase || null }, false);
+        if (options.comment) {
+          queueRetry(outbox, projectRoot, taskData, options.taskFile, 'comment', { comment: options.comment }, false);
+        }
+      }
       return false;
     }
 
@@ -53,6 +67,7 @@ export async function updateTaskGitHubStatus(taskData, projectRoot, newStatus, o
       owner,
       repo
     );
+    const canRetry = Boolean(options.taskFile) && githubClient.isConfigured();
 
     // Update issue labels based on new status
     const labels = TaskIssueMapper.taskStatusToLabels(newStatus, taskData.phase);
@@ -60,6 +75,12 @@ export async function updateTaskGitHubStatus(taskData, projectRoot, newStatus, o
 
     if (!labelsUpdated) {
       console.warn(`⚠ Failed to update GitHub issue #${taskData.githubIssue} labels`);
+      if (canRetry) {
+        queueRetry(outbox, projectRoot, taskData, options.taskFile, 'update', { status: newStatus, phase: taskData.phase || null }, true);
+        if (options.comment) {
+          queueRetry(outbox, projectRoot, taskData, options.taskFile, 'comment', { comment: options.comment }, false);
+        }
+      }
       return false;
     }
 
@@ -68,6 +89,9 @@ export async function updateTaskGitHubStatus(taskData, projectRoot, newStatus, o
       const commentAdded = await githubClient.addIssueComment(taskData.githubIssue, options.comment);
       if (!commentAdded) {
         console.warn(`⚠ Failed to add comment to GitHub issue #${taskData.githubIssue}`);
+        if (canRetry) {
+          queueRetry(outbox, projectRoot, taskData, options.taskFile, 'comment', { comment: options.comment }, true);
+        }
       }
     }
 
@@ -79,3 +103,36 @@ export async function updateTaskGitHubStatus(taskData, projectRoot, newStatus, o
     return false;
   }
 }
+
+/**
+ * Queue an issue change for retry by later agentic15 commands
+ *
+ * @param {RemoteOutbox} outbox - Project outbox
+ * @param {string} projectRoot - Path to project root directory
+ * @param {Object} taskData - Task JSON object
+ * @param {string} taskFile - Path of the task file
+ * @param {string} operation - update or comment
+ * @param {Object} payload - Operation arguments
+ * @param {boolean} attempted - Whether delivery was tried
+ */
+function queueRetry(outbox, projectRoot, taskData, taskFile, operation, payload, attempted) {
+  outbox.enqueue({
+    platform: 'github',
+    operation,
+    taskId: taskData.id,
+    taskFile: relativeTaskFile(projectRoot, taskFile),
+    payload,
+    error: attempted ? `Could not ${operation === 'update' ? 'update' : 'comment on'} GitHub issue #${taskData.githubIssue}` : null,
+    attempted
+  });
+  console.warn(`⏳ Queued GitHub ${operation} for ${taskData.id} - retried by the next agentic15 command, or now with: npx agentic15 sync-remote`);
+}
+
+/**
+ * @param {string} projectRoot - Path to project root directory
+ * @param {string} taskFile - Path of the task file
+ * @returns {string} Task file relative to the project root
+ */
+function relativeTaskFile(projectRoot, taskFile) {
+  return path.relative(path.resolve(projectRoot), path.resolve(taskFile)).split(path.sep).join('/');
+}
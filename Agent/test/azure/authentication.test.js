@@ -129,7 +129,7 @@ await testAsync('AzureDevOpsClient should return false if project is missing', a
 // ===== Test Suite 2: Configuration Loading (No Tokens) =====
 console.log('\n--- Configuration Loading (CLI Auth) ---\n');
 
-await testAsync('AzureDevOpsConfig should not have token field', async () => {
+await testAsync('AzureDevOpsConfig with CLI auth should use the cli transport and no token', async () => {
   const { tempDir, cleanup } = createTempSettings({
     azureDevOps: {
       enabled: true,
@@ -143,8 +143,9 @@ await testAsync('AzureDevOpsConfig should not have token field', async () => {
     const { AzureDevOpsConfig } = await import('../../src/core/Azure/AzureDevOpsConfig.js');
     const config = new AzureDevOpsConfig(tempDir);
 
-    // Config should NOT have getToken() method
-    assert(typeof config.getToken !== 'function', 'Config should not have getToken() method');
+    // CLI auth needs no token
+    assertEqual(config.getToken(), null, 'Config should not have a token');
+    assertEqual(config.getTransport(), 'cli', 'Config should use the Azure CLI');
 
     // Config should have organization and project
     assert(typeof config.getOrganization === 'function', 'Config should have getOrganization()');
@@ -321,7 +322,7 @@ await testAsync('Azure should use CLI auth while GitHub uses token auth', async
     assertEqual(githubConfig.getToken(), 'github-token', 'GitHub should have token');
 
     // Azure uses CLI authentication (no token)
-    assert(typeof azureConfig.getToken !== 'function', 'Azure should NOT have getToken()');
+    assertEqual(azureConfig.getToken(), null, 'Azure should NOT have a token');
     assertEqual(azureConfig.getOrganization(), 'test-org', 'Azure should have organization');
     assertEqual(azureConfig.getProject(), 'test-project', 'Azure should have project');
 
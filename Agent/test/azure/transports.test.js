@@ -0,0 +1,451 @@
+#!/usr/bin/env node
+
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Azure DevOps Transport Tests
+ *
+ * Runs AzureDevOpsClient against a local fake of the Azure DevOps work item
+ * REST API, and against a stand-in `az` executable put first on PATH:
+ * - Transport selection and config resolution (PAT, useCliAuth, transport, baseUrl)
+ * - Work item create/update/state/tags/description/comments/close/get/query over REST
+ * - WorkItemSync driving the REST transport
+ * - The CLI transport issuing the equivalent az boards commands
+ * - Failures degrading to null/false with a warning
+ */
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { AzureDevOpsConfig } from '../../src/core/Azure/AzureDevOpsConfig.js';
+import { AzureDevOpsClient } from '../../src/core/Azure/AzureDevOpsClient.js';
+import { AzureCliTransport } from '../../src/core/Azure/AzureCliTransport.js';
+import { AzureRestTransport } from '../../src/core/Azure/AzureRestTransport.js';
+import { WorkItemSync } from '../../src/core/Azure/WorkItemSync.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Test results
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+// ===== Fake Azure DevOps REST API =====
+
+const PAT = 'azure-test-pat';
+const PROJECT_PATH = '/contoso/Web%20App/_apis';
+
+function createFakeAzureDevOps() {
+  const state = { workItems: new Map(), comments: [], requests: [] };
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const body = raw ? JSON.parse(raw) : null;
+      state.requests.push({
+        method: req.method,
+        path: url.pathname,
+        query: url.searchParams,
+        auth: req.headers.authorization,
+        contentType: req.headers['content-type'],
+        body
+      });
+
+      const send = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(data === undefined ? '' : JSON.stringify(data));
+      };
+
+      if (req.headers.authorization !== `Basic ${Buffer.from(`:${PAT}`).toString('base64')}`) {
+        return send(401, { message: 'TF400813: The user is not authorized' });
+      }
+      if (!url.pathname.startsWith(PROJECT_PATH)) {
+        return send(404, { message: 'Project not found' });
+      }
+
+      const resource = url.pathname.slice(PROJECT_PATH.length);
+      const applyPatch = (workItem, operations) => {
+        operations.forEach(operation => {
+          workItem.fields[operation.path.replace('/fields/', '')] = operation.value;
+        });
+        workItem.rev++;
+      };
+
+      const createMatch = resource.match(/^\/wit\/workitems\/\$(.+)$/);
+      if (createMatch && req.method === 'PATCH') {
+        const id = 100 + state.workItems.size + 1;
+        const workItem = {
+          id,
+          rev: 0,
+          fields: { 'System.WorkItemType': decodeURIComponent(createMatch[1]), 'System.State': 'New' },
+          relations: [],
+          _links: { html: { href: `https://dev.azure.com/contoso/Web%20App/_workitems/edit/${id}` } }
+        };
+        applyPatch(workItem, body);
+        state.workItems.set(id, workItem);
+        return send(200, workItem);
+      }
+
+      const itemMatch = resource.match(/^\/wit\/workitems\/(\d+)(\/comments)?$/);
+      if (itemMatch) {
+        const workItem = state.workItems.get(Number(itemMatch[1]));
+        if (!workItem) {
+          return send(404, { message: `TF401232: Work item ${itemMatch[1]} does not exist` });
+        }
+        if (itemMatch[2] && req.method === 'POST') {
+          state.comments.push({ id: workItem.id, text: body.text, apiVersion: url.searchParams.get('api-version') });
+          return send(200, { id: state.comments.length, text: body.text });
+        }
+        if (req.method === 'PATCH') {
+          applyPatch(workItem, body);
+        }
+        const { relations, ...withoutRelations } = workItem;
+        return send(200, url.searchParams.get('$expand') === 'relations' ? workItem : withoutRelations);
+      }
+
+      if (resource === '/wit/wiql' && req.method === 'POST') {
+        const tag = (body.query.match(/CONTAINS '([^']+)'/) || [])[1];
+        const ids = [...state.workItems.values()]
+          .filter(workItem => (workItem.fields['System.Tags'] || '').includes(tag))
+          .map(workItem => workItem.id)
+          .reverse();
+        return send(200, { workItems: ids.map(id => ({ id })) });
+      }
+
+      if (resource === '/wit/workitems' && req.method === 'GET') {
+        // Batch results come back in ID order, not query order
+        const ids = url.searchParams.get('ids').split(',').map(Number).sort((a, b) => a - b);
+        return send(200, { count: ids.length, value: ids.map(id => state.workItems.get(id)).filter(Boolean) });
+      }
+
+      return send(404, { message: 'Not found' });
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, state, baseUrl: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+// ===== az stand-in =====
+
+// Records its arguments and answers like az boards
+const AZ_STAND_IN = `#!/usr/bin/env node
+import fs from 'fs';
+const args = process.argv.slice(2);
+fs.appendFileSync(process.env.AZ_LOG, JSON.stringify(args) + '\\n');
+if (process.env.AZ_FAIL) {
+  process.stderr.write('ERROR: Please run az login\\n');
+  process.exit(1);
+}
+const value = flag => args[args.indexOf(flag) + 1];
+const command = args.slice(0, 3).join(' ');
+if (command === 'boards work-item create') {
+  process.stdout.write(JSON.stringify({ id: 7, fields: { 'System.Title': value('--title') } }));
+} else if (command === 'boards work-item update') {
+  process.stdout.write(JSON.stringify({ id: Number(value('--id')), fields: { 'System.State': args.includes('--state') ? value('--state') : 'Active' } }));
+} else if (command === 'boards work-item show') {
+  process.stdout.write(JSON.stringify({ id: Number(value('--id')), fields: { 'System.State': 'Active' }, ...(args.includes('--expand') ? { relations: [] } : {}) }));
+} else if (args[0] === 'boards' && args[1] === 'query') {
+  process.stdout.write(JSON.stringify([{ id: 9 }, { id: 8 }]));
+} else {
+  process.stdout.write('{}');
+}
+`;
+
+function readAzCalls() {
+  if (!fs.existsSync(process.env.AZ_LOG)) {
+    return [];
+  }
+  return fs.readFileSync(process.env.AZ_LOG, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+function argValue(args, flag) {
+  const index = args.indexOf(flag);
+  return index === -1 ? undefined : args[index + 1];
+}
+
+function createProject(root, azureDevOps, localAzureDevOps = null) {
+  fs.mkdirSync(path.join(root, '.claude'), { recursive: true });
+  fs.writeFileSync(path.join(root, '.claude', 'settings.json'), JSON.stringify({ azureDevOps }));
+  if (localAzureDevOps) {
+    fs.writeFileSync(path.join(root, '.claude', 'settings.local.json'), JSON.stringify({ azureDevOps: localAzureDevOps }));
+  }
+  return root;
+}
+
+['AZURE_DEVOPS_PAT', 'AZURE_DEVOPS_URL', 'AZURE_DEVOPS_TRANSPORT', 'AZURE_DEVOPS_ORGANIZATION', 'AZURE_DEVOPS_PROJECT',
+  'AZURE_DEVOPS_ENABLED', 'AZURE_DEVOPS_AUTO_CREATE', 'AZURE_DEVOPS_AUTO_UPDATE', 'AZURE_DEVOPS_AUTO_CLOSE'].forEach(name => delete process.env[name]);
+
+const tempRoot = path.join(__dirname, `.tmp-transports-${process.pid}`);
+const { server, state, baseUrl } = await createFakeAzureDevOps();
+const originalPath = process.env.PATH;
+const warn = console.warn;
+const log = console.log;
+
+try {
+  console.log('\n=== Configuration ===\n');
+
+  await test('a PAT should select the REST transport', () => {
+    const root = createProject(path.join(tempRoot, 'pat'), { enabled: true, organization: 'contoso', project: 'Web App' }, { token: PAT });
+    const config = new AzureDevOpsConfig(root);
+
+    assertEqual(config.getTransport(), 'rest');
+    assertEqual(config.config.useCliAuth, false);
+    assertEqual(config.getToken(), PAT);
+    assert(config.isEnabled());
+    assert(AzureDevOpsClient.fromConfig(config).transport instanceof AzureRestTransport);
+  });
+
+  await test('AZURE_DEVOPS_PAT should count like a token in settings', () => {
+    const root = createProject(path.join(tempRoot, 'pat-env'), { enabled: true, organization: 'contoso', project: 'Web App' });
+    process.env.AZURE_DEVOPS_PAT = PAT;
+    const config = new AzureDevOpsConfig(root);
+    delete process.env.AZURE_DEVOPS_PAT;
+
+    assertEqual(config.getTransport(), 'rest');
+    assertEqual(config.getToken(), PAT);
+  });
+
+  await test('useCliAuth and transport should force a transport', () => {
+    const cliRoot = createProject(path.join(tempRoot, 'force-cli'), { enabled: true, organization: 'contoso', project: 'Web App', useCliAuth: true }, { token: PAT });
+    assertEqual(new AzureDevOpsConfig(cliRoot).getTransport(), 'cli');
+    assert(AzureDevOpsClient.fromConfig(new AzureDevOpsConfig(cliRoot)).transport instanceof AzureCliTransport);
+
+    const restRoot = createProject(path.join(tempRoot, 'force-rest'), { enabled: true, organization: 'contoso', project: 'Web App', transport: 'rest' });
+    const rest = new AzureDevOpsConfig(restRoot);
+    assertEqual(rest.getTransport(), 'rest');
+    assert(!rest.isEnabled(), 'The REST transport needs a token');
+
+    process.env.AZURE_DEVOPS_TRANSPORT = 'cli';
+    assertEqual(new AzureDevOpsConfig(restRoot).getTransport(), 'cli', 'Environment should override settings');
+    delete process.env.AZURE_DEVOPS_TRANSPORT;
+  });
+
+  await test('baseUrl should address Azure DevOps Server collections', () => {
+    const root = createProject(path.join(tempRoot, 'server'), { enabled: true, organization: 'DefaultCollection', project: 'Web App', baseUrl: 'https://tfs.example.com/tfs/' });
+    const config = new AzureDevOpsConfig(root);
+    const client = AzureDevOpsClient.fromConfig(config);
+
+    assertEqual(config.getOrganizationUrl(), 'https://tfs.example.com/tfs/DefaultCollection');
+    assertEqual(client.getWorkItemUrl(5), 'https://tfs.example.com/tfs/DefaultCollection/Web%20App/_workitems/edit/5');
+    assertEqual(new AzureDevOpsClient('contoso', 'Web').getWorkItemUrl(5), 'https://dev.azure.com/contoso/Web/_workitems/edit/5');
+  });
+
+  console.log('\n=== REST transport ===\n');
+
+  const restRoot = createProject(path.join(tempRoot, 'rest'), {
+    enabled: true, autoCreate: true, autoUpdate: true, autoClose: true,
+    organization: 'contoso', project: 'Web App', baseUrl
+  }, { token: PAT });
+  const client = AzureDevOpsClient.fromConfig(new AzureDevOpsConfig(restRoot));
+
+  await test('createWorkItem should PATCH a JSON Patch document with the PAT', async () => {
+    const id = await client.createWorkItem('[TASK-001] Build API', '<p>Build it</p>', ['status: pending', 'phase: implementation']);
+    assertEqual(id, 101);
+
+    const request = state.requests[state.requests.length - 1];
+    assertEqual(request.path, `${PROJECT_PATH}/wit/workitems/$Task`);
+    assertEqual(request.contentType, 'application/json-patch+json');
+    assertEqual(request.query.get('api-version'), '7.0');
+
+    const fields = state.workItems.get(101).fields;
+    assertEqual(fields['System.Title'], '[TASK-001] Build API');
+    assertEqual(fields['System.Description'], '<p>Build it</p>');
+    assertEqual(fields['System.Tags'], 'status: pending; phase: implementation');
+  });
+
+  await test('createWorkItem should take other work item types', async () => {
+    const id = await client.createWorkItem('Login fails', 'Steps', [], 'Bug');
+    assertEqual(state.workItems.get(id).fields['System.WorkItemType'], 'Bug');
+    assertEqual(state.workItems.get(id).fields['System.Tags'], undefined, 'No tags should be sent when there are none');
+  });
+
+  await test('state, tags and description updates should reach the work item', async () => {
+    assert(await client.updateWorkItemState(101, 'Active'));
+    assert(await client.updateWorkItemTags(101, ['status: in-progress']));
+    assert(await client.updateWorkItemDescription(101, '<p>Built</p>'));
+
+    const workItem = await client.getWorkItem(101);
+    assertEqual(workItem.id, 101);
+    assertEqual(workItem.fields['System.State'], 'Active');
+    assertEqual(workItem.fields['System.Tags'], 'status: in-progress');
+    assertEqual(workItem.fields['System.Description'], '<p>Built</p>');
+  });
+
+  await test('comments should use the preview comments API', async () => {
+    assert(await client.addWorkItemComment(101, 'Halfway'));
+    const comment = state.comments[state.comments.length - 1];
+    assertEqual(comment.text, 'Halfway');
+    assertEqual(comment.apiVersion, '7.0-preview.3');
+  });
+
+  await test('closeWorkItem should comment then close', async () => {
+    assert(await client.closeWorkItem(102, 'Fixed'));
+    assertEqual(state.workItems.get(102).fields['System.State'], 'Closed');
+    assertEqual(state.comments[state.comments.length - 1].text, 'Fixed');
+  });
+
+  await test('queryWorkItems should keep query order and include links', async () => {
+    state.workItems.get(101).relations = [{ rel: 'System.LinkTypes.Hierarchy-Reverse', url: `${baseUrl}/_apis/wit/workItems/100` }];
+    await client.createWorkItem('[TASK-002] Form', 'Form', ['status: pending']);
+
+    const workItems = await client.queryWorkItems("SELECT [System.Id] FROM WorkItems WHERE [System.Tags] CONTAINS 'status'");
+    assertEqual(workItems.map(workItem => workItem.id).join(','), '103,101');
+    assertEqual(workItems[1].relations.length, 1);
+    assertEqual(state.requests[state.requests.length - 1].query.get('$expand'), 'relations');
+  });
+
+  await test('API errors should degrade to null/false with a warning', async () => {
+    const warnings = [];
+    console.warn = (...args) => warnings.push(args.join(' '));
+
+    assertEqual(await client.updateWorkItemState(999, 'Active'), false);
+    assertEqual(await client.getWorkItem(999), null);
+    const wrongToken = new AzureDevOpsClient('contoso', 'Web App', new AzureRestTransport(`${baseUrl}/contoso`, 'Web App', 'wrong'));
+    assertEqual(await wrongToken.createWorkItem('x', 'y'), null);
+    assertEqual(await new AzureDevOpsClient('contoso', 'Web App', new AzureRestTransport(`${baseUrl}/contoso`, 'Web App', null)).createWorkItem('x', 'y'), null);
+    console.warn = warn;
+
+    assertEqual(warnings.length, 4);
+    assert(warnings[0].includes('404'));
+    assert(warnings[2].includes('401'));
+    assert(warnings[3].includes('AZURE_DEVOPS_PAT'), 'A missing PAT should say how to set it');
+  });
+
+  await test('WorkItemSync should drive the REST transport', async () => {
+    console.log = () => {};
+    const sync = new WorkItemSync(restRoot);
+
+    assert(sync.isEnabled());
+    const id = await sync.createWorkItem({ id: 'TASK-003', title: 'Docs', status: 'pending', completionCriteria: ['README updated'] });
+    assert(await sync.updateWorkItemStatus({ id: 'TASK-003', status: 'in_progress' }, id));
+    assert(await sync.tickCompletionCriteria(id, ['README updated']));
+    assert(await sync.tickCompletionCriteria(id, ['README updated']), 'Already ticked criteria should count as done');
+    console.log = log;
+
+    const fields = state.workItems.get(id).fields;
+    assertEqual(fields['System.Title'], '[TASK-003] Docs');
+    assertEqual(fields['System.State'], 'Active');
+    assert(!fields['System.Description'].includes('[ ] README updated'), 'Met criteria should be ticked');
+  });
+
+  console.log('\n=== CLI transport ===\n');
+
+  const binDir = path.join(tempRoot, 'bin');
+  fs.mkdirSync(binDir, { recursive: true });
+  fs.writeFileSync(path.join(binDir, 'az'), AZ_STAND_IN, { mode: 0o755 });
+  process.env.PATH = `${binDir}${path.delimiter}${originalPath}`;
+  process.env.AZ_LOG = path.join(tempRoot, 'az.jsonl');
+
+  const cliRoot = createProject(path.join(tempRoot, 'cli'), { enabled: true, organization: 'contoso', project: 'Web App' });
+  const cliClient = AzureDevOpsClient.fromConfig(new AzureDevOpsConfig(cliRoot));
+
+  await test('the CLI transport should create work items with az boards', async () => {
+    assert(cliClient.transport instanceof AzureCliTransport);
+    assertEqual(await cliClient.createWorkItem('[TASK-001] Build API', 'Build it', ['a', 'b'], 'Bug'), 7);
+
+    const args = readAzCalls().filter(call => call[0] === 'boards').pop();
+    assertEqual(args.slice(0, 3).join(' '), 'boards work-item create');
+    assertEqual(argValue(args, '--type'), 'Bug');
+    assertEqual(argValue(args, '--title'), '[TASK-001] Build API');
+    assertEqual(argValue(args, '--fields'), 'System.Tags=a; b');
+    assertEqual(argValue(args, '--organization'), 'https://dev.azure.com/contoso');
+    assertEqual(argValue(args, '--project'), 'Web App');
+  });
+
+  await test('the CLI transport should update state and read work items', async () => {
+    assert(await cliClient.updateWorkItemState(7, 'Resolved'));
+    const update = readAzCalls().pop();
+    assertEqual(argValue(update, '--state'), 'Resolved');
+    assert(!update.includes('--project'), 'az boards work-item update takes no --project');
+
+    const workItem = await cliClient.getWorkItem(7);
+    assertEqual(workItem.id, 7);
+    assertEqual(workItem.fields['System.State'], 'Active');
+  });
+
+  await test('the CLI transport should query work items with their links', async () => {
+    const workItems = await cliClient.queryWorkItems('SELECT [System.Id] FROM WorkItems');
+    assertEqual(workItems.map(workItem => workItem.id).join(','), '9,8');
+    assert(Array.isArray(workItems[0].relations));
+    assertEqual(argValue(readAzCalls().pop(), '--expand'), 'relations');
+  });
+
+  await test('an unauthenticated az should degrade to null with a warning', async () => {
+    const warnings = [];
+    console.warn = (...args) => warnings.push(args.join(' '));
+    process.env.AZ_FAIL = '1';
+
+    assertEqual(await cliClient.createWorkItem('x', 'y'), null);
+    assertEqual(await cliClient.updateWorkItemState(7, 'Closed'), false);
+
+    delete process.env.AZ_FAIL;
+    console.warn = warn;
+    assertEqual(warnings.length, 2);
+    assert(warnings[0].includes('az login'));
+  });
+} finally {
+  console.warn = warn;
+  console.log = log;
+  process.env.PATH = originalPath;
+  delete process.env.AZ_LOG;
+  delete process.env.AZ_FAIL;
+  server.close();
+  fs.rmSync(tempRoot, { recursive: true, force: true });
+}
+
+// ===== Test Summary =====
+console.log('\n=== Test Summary ===\n');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log(`Total: ${passed + failed}\n`);
+
+if (failed > 0) {
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!\n');
+  process.exit(0);
+}
@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Artifact Verifier Tests
+ *
+ * Tests for `agentic15 task verify` and the artifact check in `commit`:
+ * - Normalizing declared artifacts
+ * - Missing, untouched and undeclared findings
+ * - Directory and glob declarations
+ * - Strictness levels
+ * - Diffing a task branch (committed, uncommitted and untracked changes)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { execSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { ArtifactVerifier } from '../../src/core/ArtifactVerifier.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Test results
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+// The throwaway repository needs an identity to commit
+Object.assign(process.env, {
+  GIT_AUTHOR_NAME: 'test',
+  GIT_AUTHOR_EMAIL: 'test@example.com',
+  GIT_COMMITTER_NAME: 'test',
+  GIT_COMMITTER_EMAIL: 'test@example.com'
+});
+
+const tempDir = path.join(__dirname, 'temp-artifacts-' + Date.now());
+
+function write(relativePath, content = 'x\n') {
+  fs.mkdirSync(path.dirname(path.join(tempDir, relativePath)), { recursive: true });
+  fs.writeFileSync(path.join(tempDir, relativePath), content);
+}
+
+const task = {
+  artifacts: {
+    design: [],
+    code: ['./Agent/src/auth.js', './Agent/src/routes/'],
+    tests: ['./Agent/tests/**/*.test.js'],
+    documentation: ['./docs/auth.md']
+  }
+};
+
+console.log('\n=== Artifact Verifier Tests ===\n');
+
+try {
+  // ===== Test Suite 1: Comparing =====
+  console.log('--- Comparing ---\n');
+
+  test('declaredArtifacts should strip ./ and keep categories', () => {
+    const declared = ArtifactVerifier.declaredArtifacts(task);
+    assertEqual(declared.length, 4);
+    assertEqual(declared[0].path, 'Agent/src/auth.js');
+    assertEqual(declared[0].category, 'code');
+    assertEqual(declared[2].category, 'tests');
+  });
+
+  test('declaredArtifacts should tolerate tasks without artifacts', () => {
+    assertEqual(ArtifactVerifier.declaredArtifacts({}).length, 0);
+  });
+
+  test('covers should match files, directories and globs', () => {
+    assert(ArtifactVerifier.covers('Agent/src/auth.js', 'Agent/src/auth.js'));
+    assert(!ArtifactVerifier.covers('Agent/src/auth.js', 'Agent/src/auth.jsx'));
+    assert(ArtifactVerifier.covers('Agent/src/routes/', 'Agent/src/routes/login.js'));
+    assert(ArtifactVerifier.covers('Agent/src/routes', 'Agent/src/routes/login.js'));
+    assert(ArtifactVerifier.covers('Agent/tests/**/*.test.js', 'Agent/tests/auth/login.test.js'));
+    assert(!ArtifactVerifier.covers('Agent/tests/*.test.js', 'Agent/tests/auth/login.test.js'));
+  });
+
+  test('compare should report missing, untouched and undeclared files', () => {
+    const declared = ArtifactVerifier.declaredArtifacts(task);
+    const changed = ['Agent/src/routes/login.js', 'Agent/tests/auth/login.test.js', 'Agent/src/db.js', '.claude/plans/p/TASK-TRACKER.json'];
+    const exists = (artifact) => artifact.path !== 'docs/auth.md';
+
+    const report = ArtifactVerifier.compare(declared, changed, exists, ['.claude/**']);
+
+    assertEqual(report.missing.map(a => a.path).join(','), 'docs/auth.md');
+    assertEqual(report.untouched.map(a => a.path).join(','), 'Agent/src/auth.js');
+    assertEqual(report.undeclared.join(','), 'Agent/src/db.js');
+  });
+
+  test('passes should follow the strictness level', () => {
+    const clean = { missing: [], untouched: [], undeclared: [] };
+    const untouchedOnly = { missing: [], untouched: [{ path: 'a' }], undeclared: [] };
+    const missingOnly = { missing: [{ path: 'a' }], untouched: [], undeclared: [] };
+
+    assert(ArtifactVerifier.passes(missingOnly, 'off'));
+    assert(ArtifactVerifier.passes(missingOnly, 'warn'));
+    assert(!ArtifactVerifier.passes(missingOnly, 'missing'));
+    assert(ArtifactVerifier.passes(untouchedOnly, 'missing'));
+    assert(!ArtifactVerifier.passes(untouchedOnly, 'strict'));
+    assert(ArtifactVerifier.passes(clean, 'strict'));
+  });
+
+  // ===== Test Suite 2: Task branch =====
+  console.log('\n--- Task branch ---\n');
+
+  fs.mkdirSync(tempDir, { recursive: true });
+  execSync('git init -q -b main', { cwd: tempDir });
+  write('Agent/src/auth.js');
+  write('README.md');
+  execSync('git add -A && git commit -q -m init', { cwd: tempDir });
+  execSync('git checkout -q -b feature/task-001', { cwd: tempDir });
+
+  write('Agent/src/routes/login.js');
+  execSync('git add -A && git commit -q -m routes', { cwd: tempDir });
+  write('README.md', 'changed\n');
+  write('Agent/tests/auth/login.test.js');
+  write('.claude/plans/plan-001/TASK-TRACKER.json', '{}');
+
+  test('changedFiles should include committed, modified and untracked files', () => {
+    const changed = ArtifactVerifier.changedFiles(tempDir, 'main');
+    assertEqual(
+      changed.join(','),
+      '.claude/plans/plan-001/TASK-TRACKER.json,Agent/src/routes/login.js,Agent/tests/auth/login.test.js,README.md'
+    );
+  });
+
+  test('changedFiles should fail without the base branch', () => {
+    let error = null;
+    try {
+      ArtifactVerifier.changedFiles(tempDir, 'develop');
+    } catch (e) {
+      error = e;
+    }
+    assert(error && error.message.includes('develop'), 'Should name the missing base branch');
+  });
+
+  test('check should combine config, diff and the filesystem', () => {
+    write('.claude/settings.json', JSON.stringify({ artifacts: { strictness: 'strict', ignore: ['README.md'] } }));
+
+    const verifier = new ArtifactVerifier(tempDir);
+    const report = verifier.check(tempDir, task, 'main');
+
+    assertEqual(verifier.config.strictness, 'strict');
+    assertEqual(report.missing.map(a => a.path).join(','), 'docs/auth.md');
+    assertEqual(report.untouched.map(a => a.path).join(','), 'Agent/src/auth.js');
+    assertEqual(report.undeclared.length, 0, 'README.md is ignored and .claude/ is framework state');
+    assert(!ArtifactVerifier.passes(report, verifier.config.strictness));
+  });
+} finally {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+}
+
+// ===== Test Summary =====
+console.log('\n=== Test Summary ===\n');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log(`Total: ${passed + failed}\n`);
+
+if (failed > 0) {
+  console.log('⚠️  Some tests failed\n');
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!\n');
+  process.exit(0);
+}
@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Quality Gates Tests
+ *
+ * Tests for the checks `agentic15 commit` runs before completing a task:
+ * - Configuration from settings.json / settings.local.json
+ * - Gate order, fail-fast and skipped gates
+ * - Coverage threshold against an Istanbul json-summary report
+ * - PR body rendering
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { QualityGates } from '../../src/core/QualityGates.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Test results
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+const tempDir = path.join(__dirname, 'temp-gates-' + Date.now());
+
+const PASS = 'node -e "process.exit(0)"';
+const FAIL = 'node -e "console.log(\'lint error in app.js\'); process.exit(3)"';
+
+function writeSettings(qualityGates, file = 'settings.json') {
+  fs.mkdirSync(path.join(tempDir, '.claude'), { recursive: true });
+  fs.writeFileSync(path.join(tempDir, '.claude', file), JSON.stringify({ qualityGates }));
+}
+
+function writeCoverage(pct) {
+  fs.mkdirSync(path.join(tempDir, 'coverage'), { recursive: true });
+  fs.writeFileSync(
+    path.join(tempDir, 'coverage', 'coverage-summary.json'),
+    JSON.stringify({ total: { lines: { pct }, branches: { pct: 50 } } })
+  );
+}
+
+console.log('\n=== Quality Gates Tests ===\n');
+
+try {
+  fs.mkdirSync(tempDir, { recursive: true });
+
+  // ===== Test Suite 1: Configuration =====
+  console.log('--- Configuration ---\n');
+
+  test('should not be configured without settings', () => {
+    assert(!new QualityGates(tempDir).isConfigured(), 'No gates by default');
+  });
+
+  test('settings.local.json should override settings.json', () => {
+    writeSettings({ test: 'npm test', coverage: { threshold: 80 } });
+    writeSettings({ test: 'npm run test:ci' }, 'settings.local.json');
+
+    const config = new QualityGates(tempDir).config;
+    assertEqual(config.test, 'npm run test:ci');
+    assertEqual(config.coverage.threshold, 80);
+    assertEqual(config.coverage.summaryFile, 'coverage/coverage-summary.json', 'Coverage defaults kept');
+
+    fs.unlinkSync(path.join(tempDir, '.claude', 'settings.local.json'));
+  });
+
+  test('enabled: false should turn all gates off', () => {
+    writeSettings({ enabled: false, test: PASS });
+    assert(!new QualityGates(tempDir).isConfigured());
+  });
+
+  // ===== Test Suite 2: Running =====
+  console.log('\n--- Running ---\n');
+
+  test('should run configured gates in order and pass', () => {
+    writeSettings({ test: PASS, lint: PASS });
+    const seen = [];
+    const outcome = new QualityGates(tempDir).run(tempDir, result => seen.push(result.name));
+
+    assert(outcome.passed, 'All gates should pass');
+    assertEqual(seen.join(','), 'lint,test');
+    assert(outcome.results.every(r => r.exitCode === 0 && typeof r.durationMs === 'number'));
+    assert(!isNaN(Date.parse(outcome.ranAt)), 'ranAt should be an ISO date');
+  });
+
+  test('should stop at the first failure and keep its output', () => {
+    writeSettings({ lint: FAIL, typecheck: PASS, test: PASS });
+    const outcome = new QualityGates(tempDir).run(tempDir);
+
+    assert(!outcome.passed, 'Should fail');
+    assertEqual(outcome.results[0].status, 'failed');
+    assertEqual(outcome.results[0].exitCode, 3);
+    assert(outcome.results[0].output.includes('lint error in app.js'), 'Output should be captured');
+    assertEqual(outcome.results[1].status, 'skipped');
+    assertEqual(outcome.results[2].status, 'skipped');
+  });
+
+  test('tail should keep only the last lines of output', () => {
+    const output = Array.from({ length: 100 }, (_, i) => `line ${i}`).join('\n');
+    const tail = QualityGates.tail(output, 3);
+    assertEqual(tail, 'line 97\nline 98\nline 99');
+  });
+
+  // ===== Test Suite 3: Coverage =====
+  console.log('\n--- Coverage ---\n');
+
+  test('coverage should pass at or above the threshold', () => {
+    writeSettings({ test: PASS, coverage: { threshold: 80 } });
+    writeCoverage(80);
+
+    const outcome = new QualityGates(tempDir).run(tempDir);
+    const coverage = outcome.results.find(r => r.name === 'coverage');
+
+    assert(outcome.passed, 'Should pass');
+    assertEqual(coverage.coverage.actual, 80);
+  });
+
+  test('coverage should fail below the threshold', () => {
+    writeCoverage(72.5);
+    const outcome = new QualityGates(tempDir).run(tempDir);
+
+    assert(!outcome.passed, 'Should fail');
+    assertEqual(QualityGates.describe(outcome.results[1]), '72.5% lines (minimum 80%)');
+  });
+
+  test('coverage should use the configured metric', () => {
+    writeSettings({ coverage: { threshold: 60, metric: 'branches' } });
+    writeCoverage(90);
+    assert(!new QualityGates(tempDir).run(tempDir).passed, 'Branches are at 50%');
+  });
+
+  test('coverage should fail when the report is missing', () => {
+    fs.rmSync(path.join(tempDir, 'coverage'), { recursive: true, force: true });
+    const outcome = new QualityGates(tempDir).run(tempDir);
+
+    assert(!outcome.passed, 'Should fail');
+    assert(outcome.results[0].output.includes('coverage/coverage-summary.json'), 'Should name the missing file');
+  });
+
+  // ===== Test Suite 4: Rendering =====
+  console.log('\n--- Rendering ---\n');
+
+  test('toMarkdown should render a row per gate', () => {
+    const markdown = QualityGates.toMarkdown({
+      ranAt: '2025-01-01T00:00:00.000Z',
+      passed: false,
+      results: [
+        { name: 'lint', command: 'npm run lint', status: 'passed', durationMs: 1500 },
+        { name: 'test', command: 'npm test', status: 'failed', durationMs: 200 },
+        { name: 'coverage', command: null, status: 'skipped' }
+      ]
+    });
+
+    assert(markdown.startsWith('## Quality Gates'), 'Should have a heading');
+    assert(markdown.includes('| lint | `npm run lint` | ✅ passed in 1.5s |'), 'Should render the passed gate');
+    assert(markdown.includes('| test | `npm test` | ❌ failed in 0.2s |'), 'Should render the failed gate');
+    assert(markdown.includes('| coverage | - | ⏭️ skipped |'), 'Should render the skipped gate');
+  });
+} finally {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+}
+
+// ===== Test Summary =====
+console.log('\n=== Test Summary ===\n');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log(`Total: ${passed + failed}\n`);
+
+if (failed > 0) {
+  console.log('⚠️  Some tests failed\n');
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!\n');
+  process.exit(0);
+}
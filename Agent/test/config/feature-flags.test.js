@@ -108,7 +108,7 @@ await testAsync('AzureDevOpsConfig class should exist', async () => {
   // This will import the AzureDevOpsConfig class when implemented
   try {
     // Dynamically import to handle missing file gracefully in TDD
-    const { AzureDevOpsConfig } = await import('../../src/core/AzureDevOpsConfig.js').catch(() => ({}));
+    const { AzureDevOpsConfig } = await import('../../src/core/Azure/AzureDevOpsConfig.js').catch(() => ({}));
     assert(AzureDevOpsConfig !== undefined, 'AzureDevOpsConfig class should be defined');
   } catch {
     throw new Error('AzureDevOpsConfig class not found - needs to be implemented');
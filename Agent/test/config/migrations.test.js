@@ -0,0 +1,317 @@
+#!/usr/bin/env node
+
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * State Migration Tests
+ *
+ * Tests for `agentic15 migrate`:
+ * - State version detection (recorded, v4 layout, v5 layout)
+ * - Pending migrations applied in order and recorded
+ * - Backup and rollback when a migration fails
+ * - Registry migrations (v4 layout, tracker lanes and statistics)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { MigrationRunner } from '../../src/core/Migration/MigrationRunner.js';
+import { MigrationRegistry } from '../../src/core/Migration/MigrationRegistry.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Test results
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+const tempRoot = path.join(__dirname, `.tmp-migrations-${process.pid}`);
+let projectCount = 0;
+
+function createProject(files = {}) {
+  const projectRoot = path.join(tempRoot, `project-${++projectCount}`);
+  fs.mkdirSync(path.join(projectRoot, '.claude'), { recursive: true });
+
+  Object.entries(files).forEach(([file, content]) => {
+    const filePath = path.join(projectRoot, '.claude', file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+  });
+
+  return projectRoot;
+}
+
+function readJson(projectRoot, file) {
+  return JSON.parse(fs.readFileSync(path.join(projectRoot, '.claude', file), 'utf8'));
+}
+
+function step(version, up = () => {}) {
+  return { version, id: `step-${version}`, description: `Step ${version}`, up };
+}
+
+const v4Settings = {
+  hooks: { SessionStart: [{ hooks: [{ type: 'command', command: 'node .claude/hooks/session-start-context.js' }] }] }
+};
+
+const oldTracker = {
+  planId: 'plan-001',
+  activeTask: 'TASK-002',
+  taskFiles: [
+    { id: 'TASK-001', status: 'completed' },
+    { id: 'TASK-002', status: 'in_progress' },
+    { id: 'TASK-003', status: 'blocked' },
+    { id: 'TASK-004', status: 'pending' }
+  ],
+  statistics: { totalTasks: 4, completed: 1, inProgress: 1, pending: 2 }
+};
+
+console.log('\n=== State Migration Tests ===\n');
+
+try {
+  // ===== Test Suite 1: Version detection =====
+  console.log('--- Version detection ---\n');
+
+  test('recorded state version should be used', () => {
+    const latest = MigrationRegistry.all().length;
+    const runner = new MigrationRunner(createProject({ 'STATE-VERSION.json': { version: latest, history: [] } }));
+    assertEqual(runner.currentVersion(), latest);
+    assertEqual(runner.isOutdated(), false);
+  });
+
+  test('framework files in .claude/ should be detected as the v4 layout', () => {
+    const runner = new MigrationRunner(createProject({ 'hooks/start-task.js': '', 'settings.json': '{}' }));
+    assertEqual(runner.currentVersion(), 0);
+  });
+
+  test('settings pointing at .claude/hooks/ should be detected as the v4 layout', () => {
+    const runner = new MigrationRunner(createProject({ 'settings.json': v4Settings }));
+    assertEqual(runner.currentVersion(), 0);
+  });
+
+  test('v5 layout without a recorded version should be version 1', () => {
+    const runner = new MigrationRunner(createProject({ 'settings.json': '{}' }));
+    assertEqual(runner.currentVersion(), 1);
+    assertEqual(runner.pending()[0].version, 2);
+  });
+
+  test('project without .claude/ should not be outdated', () => {
+    const projectRoot = path.join(tempRoot, 'no-claude');
+    fs.mkdirSync(projectRoot, { recursive: true });
+    assertEqual(new MigrationRunner(projectRoot).isOutdated(), false);
+  });
+
+  // ===== Test Suite 2: Running =====
+  console.log('\n--- Running ---\n');
+
+  test('pending migrations should run in version order and be recorded', () => {
+    const order = [];
+    const projectRoot = createProject({ 'STATE-VERSION.json': { version: 1, history: [] } });
+    const runner = new MigrationRunner(projectRoot, [
+      step(3, () => order.push(3)),
+      step(1, () => order.push(1)),
+      step(2, () => order.push(2))
+    ]);
+
+    const result = runner.run();
+    const state = readJson(projectRoot, 'STATE-VERSION.json');
+
+    assertEqual(order.join(','), '2,3', 'Only pending steps, in order');
+    assertEqual(result.from, 1);
+    assertEqual(result.to, 3);
+    assertEqual(state.version, 3);
+    assertEqual(state.history.map(h => h.id).join(','), 'step-2,step-3');
+    assert(fs.existsSync(result.backupPath), 'Backup created');
+  });
+
+  test('running again should do nothing', () => {
+    const projectRoot = createProject({ 'STATE-VERSION.json': { version: 0, history: [] } });
+    const runner = new MigrationRunner(projectRoot, [step(1)]);
+
+    runner.run();
+    const result = runner.run();
+
+    assertEqual(result.applied.length, 0);
+    assertEqual(result.backupPath, null);
+  });
+
+  test('failing migration should roll back every change', () => {
+    const projectRoot = createProject({ 'STATE-VERSION.json': { version: 0, history: [] }, 'notes.txt': 'original' });
+    const runner = new MigrationRunner(projectRoot, [
+      step(1, (claudeDir) => {
+        fs.writeFileSync(path.join(claudeDir, 'notes.txt'), 'changed');
+        fs.writeFileSync(path.join(claudeDir, 'extra.txt'), 'new');
+      }),
+      step(2, () => {
+        throw new Error('boom');
+      })
+    ]);
+
+    let error;
+    try {
+      runner.run();
+    } catch (e) {
+      error = e;
+    }
+
+    assert(error && error.rolledBack, 'Error rethrown with rolledBack');
+    assertEqual(fs.readFileSync(path.join(projectRoot, '.claude', 'notes.txt'), 'utf8'), 'original');
+    assert(!fs.existsSync(path.join(projectRoot, '.claude', 'extra.txt')), 'Created file removed');
+    assertEqual(readJson(projectRoot, 'STATE-VERSION.json').version, 0, 'Version unchanged');
+    assert(fs.existsSync(error.backupPath), 'Backup kept');
+  });
+
+  test('backup should not include earlier backups', () => {
+    const projectRoot = createProject({ 'STATE-VERSION.json': { version: 0 }, 'backups/old/file.txt': 'x' });
+    const { backupPath } = new MigrationRunner(projectRoot, [step(1)]).run();
+    assert(!fs.existsSync(path.join(backupPath, 'backups')), 'No nested backups');
+    assert(fs.existsSync(path.join(backupPath, 'STATE-VERSION.json')), 'State backed up');
+  });
+
+  test('backup should add .claude/backups/ to the project .gitignore once', () => {
+    const projectRoot = createProject({ 'STATE-VERSION.json': { version: 0 } });
+    fs.writeFileSync(path.join(projectRoot, '.gitignore'), 'node_modules/');
+
+    new MigrationRunner(projectRoot, [step(1)]).run();
+    new MigrationRunner(projectRoot, [step(1), step(2)]).run();
+
+    const lines = fs.readFileSync(path.join(projectRoot, '.gitignore'), 'utf8').split('\n');
+    assertEqual(lines[0], 'node_modules/', 'Existing entries kept');
+    assertEqual(lines.filter(line => line === '.claude/backups/').length, 1);
+  });
+
+  test('markCurrent should record the latest version', () => {
+    const projectRoot = createProject();
+    new MigrationRunner(projectRoot, [step(1), step(4)]).markCurrent();
+    assertEqual(readJson(projectRoot, 'STATE-VERSION.json').version, 4);
+  });
+
+  // ===== Test Suite 3: Registry =====
+  console.log('\n--- Registry ---\n');
+
+  test('registry versions should be unique and ascending', () => {
+    const versions = MigrationRegistry.all().map(m => m.version);
+    versions.forEach((version, i) => assertEqual(version, i + 1, `Migration ${i} has version ${version}`));
+  });
+
+  test('v4 project should be migrated to the latest layout', () => {
+    const projectRoot = createProject({
+      'settings.json': v4Settings,
+      'hooks/start-task.js': '',
+      'PLAN-SCHEMA.json': '{}',
+      'POST-INSTALL.md': '# Installed',
+      'plans/plan-001/TASK-TRACKER.json': oldTracker
+    });
+
+    const runner = new MigrationRunner(projectRoot);
+    runner.run();
+
+    const command = readJson(projectRoot, 'settings.json').hooks.SessionStart[0].hooks[0].command;
+    const tracker = readJson(projectRoot, 'plans/plan-001/TASK-TRACKER.json');
+
+    assert(!fs.existsSync(path.join(projectRoot, '.claude', 'hooks')), 'Copied hooks removed');
+    assert(!fs.existsSync(path.join(projectRoot, '.claude', 'PLAN-SCHEMA.json')), 'Schema removed');
+    assert(fs.existsSync(path.join(projectRoot, '.claude', 'POST-INSTALL.md')), 'Docs kept');
+    assertEqual(command, 'node node_modules/@agentic15.com/agentic15-claude-zen/framework/hooks/session-start-context.js');
+    assertEqual(tracker.worktrees['.'], 'TASK-002');
+    assertEqual(tracker.statistics.blocked, 1);
+    assertEqual(tracker.statistics.pending, 1);
+    assertEqual(tracker.statistics.paused, 0);
+    assertEqual(runner.currentVersion(), runner.latestVersion());
+  });
+
+  test('v2 project should get the event log added to .gitignore', () => {
+    const projectRoot = createProject({ 'STATE-VERSION.json': { version: 2, history: [] } });
+    fs.writeFileSync(path.join(projectRoot, '.gitignore'), 'node_modules/\n');
+
+    new MigrationRunner(projectRoot).run();
+
+    const lines = fs.readFileSync(path.join(projectRoot, '.gitignore'), 'utf8').split('\n');
+    assert(lines.includes('.claude/plans/**/events.jsonl'), 'Event log ignored');
+    assert(lines.includes('.claude/backups/'), 'Backups ignored');
+  });
+
+  test('v3 project should get the remote outbox added to .gitignore', () => {
+    const projectRoot = createProject({ 'STATE-VERSION.json': { version: 3, history: [] } });
+    fs.writeFileSync(path.join(projectRoot, '.gitignore'), 'node_modules/\n.claude/plans/**/events.jsonl\n');
+
+    const result = new MigrationRunner(projectRoot).run();
+
+    assertEqual(result.applied[0], 'ignore-remote-outbox');
+    const lines = fs.readFileSync(path.join(projectRoot, '.gitignore'), 'utf8').split('\n');
+    assert(lines.includes('.claude/remote-outbox.json'), 'Remote outbox ignored');
+  });
+
+  test('v4 project should get the tracker lock and temporary files added to .gitignore', () => {
+    const projectRoot = createProject({ 'STATE-VERSION.json': { version: 4, history: [] } });
+    fs.writeFileSync(path.join(projectRoot, '.gitignore'), 'node_modules/\n');
+
+    const result = new MigrationRunner(projectRoot).run();
+
+    assertEqual(result.applied.join(','), 'ignore-tracker-lock');
+    const lines = fs.readFileSync(path.join(projectRoot, '.gitignore'), 'utf8').split('\n');
+    assert(lines.includes('.claude/plans/*/TASK-TRACKER.json.lock'), 'Tracker lock ignored');
+    assert(lines.includes('.claude/plans/*/TASK-TRACKER.json.*.tmp'), 'Tracker temporary files ignored');
+  });
+
+  test('tracker migration should keep existing lanes', () => {
+    const tracker = { ...oldTracker, worktrees: { '.': 'TASK-002', '../lane-b': 'TASK-004' } };
+    const projectRoot = createProject({ 'plans/plan-001/TASK-TRACKER.json': tracker });
+
+    MigrationRegistry.normalizeTrackers(path.join(projectRoot, '.claude'));
+
+    assertEqual(Object.keys(readJson(projectRoot, 'plans/plan-001/TASK-TRACKER.json').worktrees).length, 2);
+  });
+} finally {
+  fs.rmSync(tempRoot, { recursive: true, force: true });
+}
+
+// ===== Test Summary =====
+console.log('\n=== Test Summary ===\n');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log(`Total: ${passed + failed}\n`);
+
+if (failed > 0) {
+  console.log('⚠️  Some tests failed\n');
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!\n');
+  process.exit(0);
+}
@@ -0,0 +1,244 @@
+#!/usr/bin/env node
+
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Settings Merge Tests
+ *
+ * Tests for the three-way merge behind `agentic15 update-settings`:
+ * - One-sided changes, additions and removals
+ * - Permission lists and hook entries merged as sets
+ * - Conflicts keep the local value
+ * - Merging without a recorded base (framework lists installed, dropped entries reported)
+ * - Diff preview
+ */
+
+import { SettingsMerge } from '../../src/core/SettingsMerge.js';
+
+// Test results
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+const hook = (command) => ({ matcher: 'Edit|Write', hooks: [{ type: 'command', command }] });
+
+const base = {
+  permissions: { allow: ['Read(**)', 'Bash(npm run:*)'], deny: ['Bash(git push:*)'] },
+  sandbox: { enabled: true },
+  hooks: { PreToolUse: [hook('node a.js'), hook('node b.js')] },
+  github: { enabled: true, comment: 'old text' }
+};
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+console.log('\n=== Settings Merge Tests ===\n');
+
+// ===== Test Suite 1: Merging =====
+console.log('--- Merging ---\n');
+
+test('framework-only changes should be applied', () => {
+  const update = clone(base);
+  update.github.comment = 'new text';
+  update.qualityGates = { test: null };
+
+  const { merged, conflicts } = SettingsMerge.merge(base, clone(base), update);
+
+  assertEqual(merged.github.comment, 'new text');
+  assert(merged.qualityGates, 'New section should be added');
+  assertEqual(conflicts.length, 0);
+});
+
+test('local-only changes should be kept', () => {
+  const local = clone(base);
+  local.sandbox.enabled = false;
+  local.team = { owner: 'platform' };
+
+  const { merged } = SettingsMerge.merge(base, local, clone(base));
+
+  assertEqual(merged.sandbox.enabled, false);
+  assertEqual(merged.team.owner, 'platform');
+});
+
+test('permission lists should keep local additions and apply framework changes', () => {
+  const local = clone(base);
+  local.permissions.allow.push('Bash(make:*)');
+
+  const update = clone(base);
+  update.permissions.allow = ['Read(**)', 'Glob'];
+  update.permissions.deny.push('Bash(sudo:*)');
+
+  const { merged } = SettingsMerge.merge(base, local, update);
+
+  assertEqual(merged.permissions.allow.join(','), 'Read(**),Bash(make:*),Glob');
+  assertEqual(merged.permissions.deny.join(','), 'Bash(git push:*),Bash(sudo:*)');
+});
+
+test('local removals should stay removed', () => {
+  const local = clone(base);
+  local.permissions.deny = [];
+  delete local.github;
+
+  const { merged } = SettingsMerge.merge(base, local, clone(base));
+
+  assertEqual(merged.permissions.deny.length, 0);
+  assert(!('github' in merged), 'Removed section should not come back');
+});
+
+test('hook entries should merge as whole entries', () => {
+  const local = clone(base);
+  local.hooks.PreToolUse.push(hook('node team-lint.js'));
+
+  const update = clone(base);
+  update.hooks.PreToolUse[1] = hook('node b-v2.js');
+
+  const { merged } = SettingsMerge.merge(base, local, update);
+  const commands = merged.hooks.PreToolUse.map(entry => entry.hooks[0].command);
+
+  assertEqual(commands.join(','), 'node a.js,node team-lint.js,node b-v2.js');
+});
+
+test('values changed on both sides should conflict and keep the local value', () => {
+  const local = clone(base);
+  local.github.comment = 'ours';
+  const update = clone(base);
+  update.github.comment = 'theirs';
+
+  const { merged, conflicts } = SettingsMerge.merge(base, local, update);
+
+  assertEqual(merged.github.comment, 'ours');
+  assertEqual(conflicts.length, 1);
+  assertEqual(conflicts[0].path, 'github.comment');
+  assertEqual(conflicts[0].update, 'theirs');
+});
+
+test('identical changes on both sides should not conflict', () => {
+  const local = clone(base);
+  local.sandbox.enabled = false;
+  const update = clone(base);
+  update.sandbox.enabled = false;
+
+  assertEqual(SettingsMerge.merge(base, local, update).conflicts.length, 0);
+});
+
+test('without a base, local values win and framework additions are picked up', () => {
+  const local = clone(base);
+  local.github.comment = 'ours';
+  local.permissions.allow.push('Bash(make:*)');
+
+  const update = clone(base);
+  update.github.comment = 'theirs';
+  update.permissions.allow.push('Glob');
+  update.artifacts = { strictness: 'warn' };
+
+  const { merged, conflicts, dropped } = SettingsMerge.merge(null, local, update);
+
+  assertEqual(merged.github.comment, 'ours');
+  assertEqual(merged.permissions.allow.join(','), 'Read(**),Bash(npm run:*),Glob');
+  assertEqual(merged.artifacts.strictness, 'warn');
+  assertEqual(conflicts.length, 1);
+  assertEqual(dropped.length, 1);
+  assertEqual(dropped[0].path, 'permissions.allow');
+  assertEqual(dropped[0].entry, 'Bash(make:*)');
+});
+
+test('without a base, renamed framework entries should replace the old ones', () => {
+  const local = clone(base);
+  local.hooks.PreToolUse = [{ matcher: 'enforce-plan-template', hooks: [{ type: 'command', command: 'node a.js' }] }];
+
+  const update = clone(base);
+  update.hooks.PreToolUse = [hook('node a.js')];
+
+  const { merged, conflicts, dropped } = SettingsMerge.merge(null, local, update);
+
+  assertEqual(merged.hooks.PreToolUse.length, 1);
+  assertEqual(merged.hooks.PreToolUse[0].matcher, 'Edit|Write');
+  assertEqual(conflicts.length, 0);
+  assertEqual(dropped.length, 1);
+  assertEqual(dropped[0].path, 'hooks.PreToolUse');
+  assertEqual(dropped[0].entry.matcher, 'enforce-plan-template');
+});
+
+test('with a base, arrays should not report dropped entries', () => {
+  const local = clone(base);
+  local.permissions.allow.push('Bash(make:*)');
+
+  assertEqual(SettingsMerge.merge(base, local, clone(base)).dropped.length, 0);
+});
+
+// ===== Test Suite 2: Diff =====
+console.log('\n--- Diff ---\n');
+
+test('diff should list added, removed and changed values', () => {
+  const after = clone(base);
+  after.permissions.allow = ['Read(**)', 'Glob'];
+  after.sandbox.enabled = false;
+  after.artifacts = { strictness: 'warn' };
+  delete after.github;
+
+  const changes = SettingsMerge.diff(base, after);
+  const summary = changes.map(c => `${c.type} ${c.path}`);
+
+  assert(summary.includes('removed permissions.allow'), 'Removed permission');
+  assert(summary.includes('added permissions.allow'), 'Added permission');
+  assert(summary.includes('changed sandbox.enabled'), 'Changed scalar');
+  assert(summary.includes('added artifacts'), 'Added section');
+  assert(summary.includes('removed github'), 'Removed section');
+});
+
+test('diff should ignore key order', () => {
+  const reordered = { github: base.github, hooks: base.hooks, sandbox: base.sandbox, permissions: base.permissions };
+  assertEqual(SettingsMerge.diff(base, reordered).length, 0);
+});
+
+// ===== Test Summary =====
+console.log('\n=== Test Summary ===\n');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log(`Total: ${passed + failed}\n`);
+
+if (failed > 0) {
+  console.log('⚠️  Some tests failed\n');
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!\n');
+  process.exit(0);
+}
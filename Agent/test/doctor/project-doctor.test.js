@@ -0,0 +1,338 @@
+#!/usr/bin/env node
+
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Project Doctor Tests
+ *
+ * Tests for `agentic15 doctor`:
+ * - Settings and hook script checks
+ * - Stale ACTIVE-PLAN, missing tracker, active task disagreeing with statuses
+ * - Platform CLI checks through injected tool probes
+ * - Safe repairs and JSON output
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ProjectDoctor } from '../../src/core/ProjectDoctor.js';
+import { MigrationRegistry } from '../../src/core/Migration/MigrationRegistry.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Test results
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+const tempRoot = path.join(__dirname, `.tmp-doctor-${process.pid}`);
+let projectCount = 0;
+
+const tracker = (overrides = {}) => ({
+  planId: 'plan-001',
+  activeTask: 'TASK-001',
+  worktrees: { '.': 'TASK-001' },
+  statistics: { totalTasks: 2, completed: 0, inProgress: 1, pending: 1, paused: 0, blocked: 0 },
+  taskFiles: [
+    { id: 'TASK-001', status: 'in_progress' },
+    { id: 'TASK-002', status: 'pending' }
+  ],
+  ...overrides
+});
+
+function createProject(files = {}) {
+  const projectRoot = path.join(tempRoot, `project-${++projectCount}`);
+  const defaults = {
+    'settings.json': { hooks: { SessionStart: [{ hooks: [{ type: 'command', command: 'node scripts/hook.js' }] }] } },
+    'STATE-VERSION.json': { version: MigrationRegistry.all().length, history: [] },
+    'ACTIVE-PLAN': 'plan-001',
+    'plans/plan-001/.plan-locked': 'locked',
+    'plans/plan-001/TASK-TRACKER.json': tracker()
+  };
+
+  Object.entries({ ...defaults, ...files }).forEach(([file, content]) => {
+    if (content === null) {
+      return;
+    }
+    const filePath = path.join(projectRoot, '.claude', file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+  });
+
+  fs.copyFileSync(path.join(__dirname, '..', '..', 'templates', '.gitignore'), path.join(projectRoot, '.gitignore'));
+  fs.mkdirSync(path.join(projectRoot, 'scripts'), { recursive: true });
+  fs.writeFileSync(path.join(projectRoot, 'scripts', 'hook.js'), '');
+
+  return projectRoot;
+}
+
+function check(results, id) {
+  const result = results.find(r => r.id === id);
+  assert(result, `No result for ${id}`);
+  return result;
+}
+
+function readTracker(projectRoot) {
+  return JSON.parse(fs.readFileSync(path.join(projectRoot, '.claude', 'plans', 'plan-001', 'TASK-TRACKER.json'), 'utf8'));
+}
+
+const tools = (overrides = {}) => ({
+  detectPlatform: () => 'github',
+  gh: { isInstalled: () => true, isAuthenticated: () => true },
+  azure: { validateSetup: () => ({ errors: [], warnings: [], organization: 'org', project: 'proj' }) },
+  gitlab: { validateSetup: () => ({ token: true, baseUrl: 'https://git.example.com', projectPath: 'group/app' }) },
+  gitea: { validateSetup: () => ({ token: true, baseUrl: 'https://gitea.example.com', projectPath: 'team/app' }) },
+  'bitbucket-server': { validateSetup: () => ({ token: true, baseUrl: 'https://bitbucket.example.com', projectPath: 'PROJ/app' }) },
+  ...overrides
+});
+
+console.log('\n=== Project Doctor Tests ===\n');
+
+try {
+  // ===== Test Suite 1: Project state =====
+  console.log('--- Project state ---\n');
+
+  test('healthy project should pass every check', () => {
+    const results = new ProjectDoctor(createProject(), tools()).run();
+    const summary = ProjectDoctor.summarize(results);
+    assertEqual(summary.warn + summary.fail, 0, results.filter(r => r.status !== 'pass').map(r => r.message).join('; '));
+  });
+
+  test('missing .claude/ should fail with a single check', () => {
+    const projectRoot = path.join(tempRoot, 'empty');
+    fs.mkdirSync(projectRoot, { recursive: true });
+    const results = new ProjectDoctor(projectRoot).run();
+    assertEqual(results.length, 1);
+    assertEqual(results[0].status, 'fail');
+  });
+
+  test('invalid settings JSON should fail', () => {
+    const results = new ProjectDoctor(createProject({ 'settings.local.json': '{ broken' })).run();
+    assertEqual(check(results, 'settings').status, 'fail');
+  });
+
+  test('hook pointing at a missing node_modules script should suggest npm install', () => {
+    const settings = { hooks: { Stop: [{ hooks: [{ command: 'node node_modules/pkg/framework/hooks/x.js' }] }] } };
+    const result = check(new ProjectDoctor(createProject({ 'settings.json': settings })).run(), 'hooks');
+    assertEqual(result.status, 'fail');
+    assert(result.fix.includes('npm install'), result.fix);
+  });
+
+  test('hook pointing at .claude/hooks/ should suggest migrate', () => {
+    const settings = { hooks: { Stop: [{ hooks: [{ command: 'node .claude/hooks/x.js' }] }] } };
+    const result = check(new ProjectDoctor(createProject({ 'settings.json': settings })).run(), 'hooks');
+    assert(result.fix.includes('migrate'), result.fix);
+  });
+
+  test('stale ACTIVE-PLAN should fail and be cleared by --fix', () => {
+    const projectRoot = createProject({ 'ACTIVE-PLAN': 'plan-009' });
+    const doctor = new ProjectDoctor(projectRoot);
+    const results = doctor.run();
+
+    assertEqual(check(results, 'active-plan').status, 'fail');
+    doctor.repair(results);
+
+    assertEqual(fs.readFileSync(path.join(projectRoot, '.claude', 'ACTIVE-PLAN'), 'utf8'), '');
+    assertEqual(check(doctor.run(), 'active-plan').status, 'warn', 'No active plan after repair');
+  });
+
+  test('locked plan without tracker should fail', () => {
+    const results = new ProjectDoctor(createProject({ 'plans/plan-001/TASK-TRACKER.json': null })).run();
+    const result = check(results, 'tracker');
+    assertEqual(result.status, 'fail');
+    assertEqual(result.repair, null, 'Not repaired automatically');
+  });
+
+  test('activeTask that is not in progress should fail and be cleared by --fix', () => {
+    const taskFiles = [{ id: 'TASK-001', status: 'completed' }, { id: 'TASK-002', status: 'pending' }];
+    const projectRoot = createProject({
+      'plans/plan-001/TASK-TRACKER.json': tracker({
+        taskFiles,
+        statistics: { totalTasks: 2, completed: 1, inProgress: 0, pending: 1, paused: 0, blocked: 0 }
+      })
+    });
+    const doctor = new ProjectDoctor(projectRoot);
+    const results = doctor.run();
+
+    assertEqual(check(results, 'active-task').status, 'fail');
+    assert(check(results, 'active-task').message.includes('TASK-001 (completed)'));
+
+    doctor.repair(results);
+    const repaired = readTracker(projectRoot);
+
+    assertEqual(repaired.activeTask, null);
+    assertEqual(Object.keys(repaired.worktrees).length, 0);
+    assertEqual(check(doctor.run(), 'active-task').status, 'pass');
+  });
+
+  test('in-progress task bound to no lane should warn', () => {
+    const projectRoot = createProject({
+      'plans/plan-001/TASK-TRACKER.json': tracker({ activeTask: null, worktrees: {} })
+    });
+    const result = check(new ProjectDoctor(projectRoot).run(), 'active-task');
+    assertEqual(result.status, 'warn');
+    assert(result.message.includes('TASK-001'));
+  });
+
+  test('outdated statistics should warn and be recomputed by --fix', () => {
+    const projectRoot = createProject({
+      'plans/plan-001/TASK-TRACKER.json': tracker({ statistics: { totalTasks: 2, completed: 0, inProgress: 0, pending: 2 } })
+    });
+    const doctor = new ProjectDoctor(projectRoot);
+    const results = doctor.run();
+
+    assertEqual(check(results, 'statistics').status, 'warn');
+    doctor.repair(results);
+    assertEqual(readTracker(projectRoot).statistics.inProgress, 1);
+  });
+
+  test('pending state migrations should warn and run with --fix', () => {
+    const projectRoot = createProject({ 'STATE-VERSION.json': { version: 1, history: [] } });
+    const doctor = new ProjectDoctor(projectRoot);
+    const results = doctor.run();
+
+    assertEqual(check(results, 'state-version').status, 'warn');
+    doctor.repair(results);
+    assertEqual(check(doctor.run(), 'state-version').status, 'pass');
+  });
+
+  test('missing .gitignore entries should warn and be added by --fix', () => {
+    const projectRoot = createProject();
+    fs.writeFileSync(path.join(projectRoot, '.gitignore'), 'node_modules/\n.claude/backups/\n');
+    const doctor = new ProjectDoctor(projectRoot);
+    const results = doctor.run();
+    const result = check(results, 'gitignore');
+
+    assertEqual(result.status, 'warn');
+    assert(result.message.includes('.claude/plans/**/events.jsonl'), result.message);
+    assert(!result.message.includes('.claude/backups/'), 'Present entries not reported');
+
+    doctor.repair(results);
+    assertEqual(check(doctor.run(), 'gitignore').status, 'pass');
+    assert(fs.readFileSync(path.join(projectRoot, '.gitignore'), 'utf8').startsWith('node_modules/\n'), 'Existing lines kept');
+  });
+
+  // ===== Test Suite 2: Platform =====
+  console.log('\n--- Platform ---\n');
+
+  test('platform checks should be skipped without tools', () => {
+    const results = new ProjectDoctor(createProject()).run();
+    assert(!results.some(r => r.id === 'platform' || r.id === 'cli'));
+  });
+
+  test('missing gh should fail', () => {
+    const results = new ProjectDoctor(createProject(), tools({ gh: { isInstalled: () => false, isAuthenticated: () => false } })).run();
+    assertEqual(check(results, 'cli').status, 'fail');
+    assert(check(results, 'cli').message.includes('not installed'));
+  });
+
+  test('unauthenticated gh should fail with a login suggestion', () => {
+    const results = new ProjectDoctor(createProject(), tools({ gh: { isInstalled: () => true, isAuthenticated: () => false } })).run();
+    assert(check(results, 'cli').fix.includes('gh auth login'));
+  });
+
+  test('Azure setup errors should fail with the validator suggestion', () => {
+    const azure = { validateSetup: () => ({ errors: ['Not authenticated with Azure CLI', 'Run: az login'], warnings: [] }) };
+    const results = new ProjectDoctor(createProject(), tools({ detectPlatform: () => 'azure', azure })).run();
+    const result = check(results, 'cli');
+
+    assertEqual(result.status, 'fail');
+    assertEqual(result.message, 'Not authenticated with Azure CLI');
+    assertEqual(result.fix, 'Run: az login');
+  });
+
+  test('GitLab without a token should fail with a token suggestion', () => {
+    const gitlab = { validateSetup: () => ({ token: false, baseUrl: 'https://git.example.com', projectPath: 'group/app' }) };
+    const results = new ProjectDoctor(createProject(), tools({ detectPlatform: () => 'gitlab', gitlab })).run();
+
+    assertEqual(check(results, 'platform').message, 'GitLab');
+    assertEqual(check(results, 'api').status, 'fail');
+    assert(check(results, 'api').fix.includes('GITLAB_TOKEN'));
+    assertEqual(new ProjectDoctor(createProject(), tools({ detectPlatform: () => 'gitlab' })).run().find(r => r.id === 'api').status, 'pass');
+  });
+
+  test('Gitea and Bitbucket Server should be checked through their APIs', () => {
+    const bitbucket = { validateSetup: () => ({ token: true, baseUrl: 'https://bitbucket.example.com', projectPath: null }) };
+    const gitea = new ProjectDoctor(createProject(), tools({ detectPlatform: () => 'gitea' })).run();
+    const server = new ProjectDoctor(createProject(), tools({ detectPlatform: () => 'bitbucket-server', 'bitbucket-server': bitbucket })).run();
+
+    assertEqual(check(gitea, 'platform').message, 'Gitea');
+    assertEqual(check(gitea, 'api').message, 'Token set (https://gitea.example.com/team/app)');
+    assertEqual(check(server, 'api').title, 'Bitbucket Server API');
+    assertEqual(check(server, 'api').status, 'warn');
+    assert(check(server, 'api').fix.includes('bitbucketServer.projectKey'));
+  });
+
+  test('no detected platform should warn', () => {
+    const results = new ProjectDoctor(createProject(), tools({ detectPlatform: () => null })).run();
+    assertEqual(check(results, 'platform').status, 'warn');
+    assert(!results.some(r => r.id === 'cli'));
+  });
+
+  // ===== Test Suite 3: JSON =====
+  console.log('\n--- JSON ---\n');
+
+  test('JSON output should report ok, counts and fixability', () => {
+    const results = new ProjectDoctor(createProject({ 'ACTIVE-PLAN': 'plan-009' })).run();
+    const json = JSON.parse(JSON.stringify(ProjectDoctor.toJSON(results)));
+    const activePlan = json.checks.find(c => c.id === 'active-plan');
+
+    assertEqual(json.ok, false);
+    assertEqual(json.summary.fail, 1);
+    assertEqual(activePlan.fixable, true);
+    assert(!('repair' in activePlan), 'Functions not serialized');
+  });
+} finally {
+  fs.rmSync(tempRoot, { recursive: true, force: true });
+}
+
+// ===== Test Summary =====
+console.log('\n=== Test Summary ===\n');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log(`Total: ${passed + failed}\n`);
+
+if (failed > 0) {
+  console.log('⚠️  Some tests failed\n');
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!\n');
+  process.exit(0);
+}
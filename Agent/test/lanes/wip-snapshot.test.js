@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * WIP Snapshot Tests
+ *
+ * Tests for the snapshots behind `task pause` / `task resume`:
+ * - Saving modified and untracked files to refs/agentic15/wip/<task>
+ * - Framework state under .claude/plans is left in place
+ * - Restoring in the same or another worktree
+ * - Conflicts keep the snapshot
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { execSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { WipSnapshot } from '../../src/core/WipSnapshot.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Test results
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+// git stash records an author, so give the throwaway repository one
+Object.assign(process.env, {
+  GIT_AUTHOR_NAME: 'test',
+  GIT_AUTHOR_EMAIL: 'test@example.com',
+  GIT_COMMITTER_NAME: 'test',
+  GIT_COMMITTER_EMAIL: 'test@example.com'
+});
+
+const tempDir = path.join(__dirname, 'temp-wip-' + Date.now());
+const repoDir = path.join(tempDir, 'app');
+const trackerFile = path.join('.claude', 'plans', 'plan-001', 'TASK-TRACKER.json');
+
+function write(relativePath, content, root = repoDir) {
+  fs.mkdirSync(path.dirname(path.join(root, relativePath)), { recursive: true });
+  fs.writeFileSync(path.join(root, relativePath), content);
+}
+
+function read(relativePath, root = repoDir) {
+  return fs.readFileSync(path.join(root, relativePath), 'utf-8');
+}
+
+function status(root = repoDir) {
+  return execSync('git status --porcelain -- src', { cwd: root, encoding: 'utf-8' }).trim();
+}
+
+console.log('\n=== WIP Snapshot Tests ===\n');
+
+try {
+  fs.mkdirSync(repoDir, { recursive: true });
+  execSync('git init -q', { cwd: repoDir });
+  write('src/app.js', 'v1\n');
+  write(trackerFile, '{"status":"in_progress"}');
+  execSync('git add -A && git commit -q -m init', { cwd: repoDir });
+  execSync('git checkout -q -b feature/task-001', { cwd: repoDir });
+
+  // ===== Test Suite 1: Save =====
+  console.log('--- Save ---\n');
+
+  test('refFor should namespace snapshots per task', () => {
+    assertEqual(WipSnapshot.refFor('TASK-001'), 'refs/agentic15/wip/task-001');
+  });
+
+  test('save should return null when there is nothing to save', () => {
+    assertEqual(WipSnapshot.save(repoDir, 'TASK-001'), null);
+    assert(!WipSnapshot.exists(repoDir, 'TASK-001'), 'No ref should be created');
+  });
+
+  test('save should capture modified and untracked files and clean the worktree', () => {
+    write('src/app.js', 'v2\n');
+    write('src/new.js', 'new\n');
+    write(trackerFile, '{"status":"paused"}');
+
+    const ref = WipSnapshot.save(repoDir, 'TASK-001');
+
+    assertEqual(ref, 'refs/agentic15/wip/task-001');
+    assertEqual(read('src/app.js'), 'v1\n');
+    assert(!fs.existsSync(path.join(repoDir, 'src/new.js')), 'Untracked file should be stashed');
+    assertEqual(read(trackerFile), '{"status":"paused"}', 'Plan state must stay in place');
+  });
+
+  test('save should leave the user stash list untouched', () => {
+    const stashes = execSync('git stash list', { cwd: repoDir, encoding: 'utf-8' }).trim();
+    assertEqual(stashes, '');
+  });
+
+  test('save should refuse to overwrite an existing snapshot', () => {
+    write('src/other.js', 'x\n');
+    let error = null;
+    try {
+      WipSnapshot.save(repoDir, 'TASK-001');
+    } catch (e) {
+      error = e;
+    }
+    fs.unlinkSync(path.join(repoDir, 'src/other.js'));
+    assert(error && error.message.includes('already exists'), 'Should throw');
+  });
+
+  // ===== Test Suite 2: Restore =====
+  console.log('\n--- Restore ---\n');
+
+  test('restore should bring the work back and delete the ref', () => {
+    assert(WipSnapshot.restore(repoDir, 'TASK-001'), 'Should report a restore');
+
+    assertEqual(read('src/app.js'), 'v2\n');
+    assertEqual(read('src/new.js'), 'new\n');
+    assert(!WipSnapshot.exists(repoDir, 'TASK-001'), 'Ref should be deleted');
+  });
+
+  test('restore should return false when no snapshot exists', () => {
+    assertEqual(WipSnapshot.restore(repoDir, 'TASK-009'), false);
+  });
+
+  test('restore should work in another worktree of the same repository', () => {
+    WipSnapshot.save(repoDir, 'TASK-001');
+    execSync('git checkout -q -', { cwd: repoDir });
+
+    const worktreePath = path.join(tempDir, 'app-task-001');
+    execSync(`git worktree add -q "${worktreePath}" feature/task-001`, { cwd: repoDir });
+
+    assert(WipSnapshot.restore(worktreePath, 'TASK-001'), 'Should restore in the linked worktree');
+    assertEqual(read('src/app.js', worktreePath), 'v2\n');
+    assertEqual(read('src/new.js', worktreePath), 'new\n');
+    assertEqual(status(repoDir), '', 'Main worktree sources should be untouched');
+  });
+
+  test('restore should keep the snapshot when it cannot be applied', () => {
+    const worktreePath = path.join(tempDir, 'app-task-001');
+    WipSnapshot.save(worktreePath, 'TASK-001');
+
+    // A file of the same name appeared meanwhile
+    write('src/new.js', 'conflict\n', worktreePath);
+
+    let error = null;
+    try {
+      WipSnapshot.restore(worktreePath, 'TASK-001');
+    } catch (e) {
+      error = e;
+    }
+
+    assert(error && error.message.includes('refs/agentic15/wip/task-001'), 'Should explain which snapshot failed');
+    assert(WipSnapshot.exists(worktreePath, 'TASK-001'), 'Snapshot must be kept');
+
+    WipSnapshot.discard(worktreePath, 'TASK-001');
+    assert(!WipSnapshot.exists(worktreePath, 'TASK-001'), 'discard should delete the ref');
+  });
+} finally {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+}
+
+// ===== Test Summary =====
+console.log('\n=== Test Summary ===\n');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log(`Total: ${passed + failed}\n`);
+
+if (failed > 0) {
+  console.log('⚠️  Some tests failed\n');
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!\n');
+  process.exit(0);
+}
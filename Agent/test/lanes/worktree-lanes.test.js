@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Worktree Lanes Tests
+ *
+ * Tests for parallel task lanes:
+ * - Binding tasks to worktrees in the tracker
+ * - Compatibility with single-task trackers (activeTask only)
+ * - Resolving lanes in a real repository with a linked worktree
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { execSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { WorktreeLanes } from '../../src/core/WorktreeLanes.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Test results
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+function createTracker() {
+  return {
+    activeTask: null,
+    taskFiles: [
+      { id: 'TASK-001', status: 'pending' },
+      { id: 'TASK-002', status: 'pending' },
+      { id: 'TASK-003', status: 'pending' }
+    ]
+  };
+}
+
+console.log('\n=== Worktree Lanes Tests ===\n');
+
+// ===== Test Suite 1: Task Binding =====
+console.log('--- Task Binding ---\n');
+
+test('bindTask on the main lane should also set activeTask', () => {
+  const tracker = createTracker();
+  WorktreeLanes.bindTask(tracker, '.', 'TASK-001');
+
+  assertEqual(tracker.activeTask, 'TASK-001');
+  assertEqual(tracker.worktrees['.'], 'TASK-001');
+});
+
+test('bindTask on a linked lane should leave activeTask alone', () => {
+  const tracker = createTracker();
+  WorktreeLanes.bindTask(tracker, '.', 'TASK-001');
+  WorktreeLanes.bindTask(tracker, '../app-task-002', 'TASK-002');
+
+  assertEqual(tracker.activeTask, 'TASK-001');
+  assertEqual(WorktreeLanes.getBoundTaskId(tracker, '../app-task-002'), 'TASK-002');
+  assertEqual(WorktreeLanes.getLaneOf(tracker, 'TASK-002'), '../app-task-002');
+});
+
+test('releaseTask should free only the lane holding the task', () => {
+  const tracker = createTracker();
+  WorktreeLanes.bindTask(tracker, '.', 'TASK-001');
+  WorktreeLanes.bindTask(tracker, '../app-task-002', 'TASK-002');
+  WorktreeLanes.releaseTask(tracker, 'TASK-001');
+
+  assertEqual(tracker.activeTask, null);
+  assertEqual(WorktreeLanes.getBoundTaskId(tracker, '.'), null);
+  assertEqual(WorktreeLanes.getBoundTaskId(tracker, '../app-task-002'), 'TASK-002');
+});
+
+test('getLanes should list the main lane first', () => {
+  const tracker = createTracker();
+  WorktreeLanes.bindTask(tracker, '../app-task-002', 'TASK-002');
+  WorktreeLanes.bindTask(tracker, '.', 'TASK-001');
+
+  const lanes = WorktreeLanes.getLanes(tracker);
+
+  assertEqual(lanes.length, 2);
+  assertEqual(lanes[0].laneKey, '.');
+  assertEqual(lanes[1].taskId, 'TASK-002');
+});
+
+// ===== Test Suite 2: Single-Task Trackers =====
+console.log('\n--- Single-Task Trackers ---\n');
+
+test('getBoundTaskId should fall back to activeTask on the main lane', () => {
+  const tracker = createTracker();
+  tracker.activeTask = 'TASK-003';
+
+  assertEqual(WorktreeLanes.getBoundTaskId(tracker, '.'), 'TASK-003');
+});
+
+test('getBoundTaskId should fall back to an unowned in-progress task', () => {
+  const tracker = createTracker();
+  tracker.taskFiles[1].status = 'in_progress';
+
+  assertEqual(WorktreeLanes.getBoundTaskId(tracker, '.'), 'TASK-002');
+});
+
+test('getBoundTaskId should not claim tasks owned by a linked lane', () => {
+  const tracker = createTracker();
+  tracker.taskFiles[1].status = 'in_progress';
+  WorktreeLanes.bindTask(tracker, '../app-task-002', 'TASK-002');
+
+  assertEqual(WorktreeLanes.getBoundTaskId(tracker, '.'), null);
+});
+
+// ===== Test Suite 3: Git Worktrees =====
+console.log('\n--- Git Worktrees ---\n');
+
+const tempDir = path.join(__dirname, 'temp-lanes-' + Date.now());
+const repoDir = path.join(tempDir, 'app');
+const git = 'git -c user.name=test -c user.email=test@example.com';
+
+try {
+  fs.mkdirSync(repoDir, { recursive: true });
+  execSync('git init -q', { cwd: repoDir });
+  execSync(`${git} commit -q --allow-empty -m init`, { cwd: repoDir });
+  const baseBranch = execSync('git branch --show-current', { cwd: repoDir, encoding: 'utf-8' }).trim();
+
+  const worktreePath = WorktreeLanes.getDefaultPath(repoDir, 'TASK-002');
+
+  test('getDefaultPath should place worktrees beside the main worktree', () => {
+    assertEqual(worktreePath, path.join(tempDir, 'app-task-002'));
+  });
+
+  test('addWorktree should check out the task branch', () => {
+    WorktreeLanes.addWorktree(repoDir, worktreePath, 'feature/task-002', baseBranch);
+
+    const branch = execSync('git branch --show-current', { cwd: worktreePath, encoding: 'utf-8' }).trim();
+    assertEqual(branch, 'feature/task-002');
+  });
+
+  test('resolve should identify the main worktree', () => {
+    const lane = WorktreeLanes.resolve(repoDir);
+
+    assertEqual(lane.laneKey, '.');
+    assertEqual(lane.isLinked, false);
+  });
+
+  test('resolve should identify a linked worktree and its main root', () => {
+    const lane = WorktreeLanes.resolve(worktreePath);
+
+    assertEqual(lane.laneKey, '../app-task-002');
+    assertEqual(lane.isLinked, true);
+    assertEqual(fs.realpathSync(lane.mainRoot), fs.realpathSync(repoDir));
+  });
+
+  test('mirrorToWorktree should copy canonical files into the lane', () => {
+    const trackerFile = path.join('.claude', 'plans', 'plan-001', 'TASK-TRACKER.json');
+    fs.mkdirSync(path.join(repoDir, path.dirname(trackerFile)), { recursive: true });
+    fs.writeFileSync(path.join(repoDir, trackerFile), '{"planId":"plan-001"}');
+
+    WorktreeLanes.mirrorToWorktree(WorktreeLanes.resolve(worktreePath), [trackerFile]);
+
+    assert(fs.existsSync(path.join(worktreePath, trackerFile)), 'Tracker should be mirrored');
+  });
+
+  test('withPlanStatePreserved should restore modified plan files afterwards', () => {
+    const trackerFile = path.join('.claude', 'plans', 'plan-001', 'TASK-TRACKER.json');
+    execSync(`git add -A && ${git} commit -q -m plan`, { cwd: repoDir });
+    fs.writeFileSync(path.join(repoDir, trackerFile), '{"planId":"plan-001","activeTask":"TASK-001"}');
+
+    let contentDuring = null;
+    WorktreeLanes.withPlanStatePreserved(repoDir, () => {
+      contentDuring = fs.readFileSync(path.join(repoDir, trackerFile), 'utf-8');
+    });
+
+    assertEqual(contentDuring, '{"planId":"plan-001"}', 'Committed content should be checked out during fn');
+    assert(fs.readFileSync(path.join(repoDir, trackerFile), 'utf-8').includes('TASK-001'), 'Modified content should be restored');
+  });
+
+  test('removeWorktree should remove a clean worktree', () => {
+    execSync(`git add -A && ${git} commit -q -m tracker`, { cwd: worktreePath });
+    WorktreeLanes.removeWorktree(repoDir, worktreePath);
+
+    assert(!fs.existsSync(worktreePath), 'Worktree directory should be gone');
+    assertEqual(WorktreeLanes.listWorktrees(repoDir).length, 1);
+  });
+} finally {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+}
+
+// ===== Test Summary =====
+console.log('\n=== Test Summary ===\n');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log(`Total: ${passed + failed}\n`);
+
+if (failed > 0) {
+  console.log('⚠️  Some tests failed\n');
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!\n');
+  process.exit(0);
+}
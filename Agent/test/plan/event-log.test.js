@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Event Log Tests
+ *
+ * Tests for the per-plan events.jsonl behind `agentic15 log`:
+ * - Appending events with defaults filled in
+ * - Reading past malformed lines
+ * - Filtering by task, type and date range
+ * - Terminal formatting
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { EventLog } from '../../src/core/EventLog.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Test results
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+const tempRoot = path.join(__dirname, `.tmp-event-log-${process.pid}`);
+let planCount = 0;
+
+function createLog() {
+  return new EventLog(path.join(tempRoot, `plan-${++planCount}`));
+}
+
+const events = [
+  { timestamp: '2025-03-01T09:00:00.000Z', type: 'task.started', taskId: 'TASK-001' },
+  { timestamp: '2025-03-01T17:00:00.000Z', type: 'task.reset', taskId: 'TASK-001' },
+  { timestamp: '2025-03-02T10:00:00.000Z', type: 'task.started', taskId: 'TASK-002' },
+  { timestamp: '2025-03-03T12:00:00.000Z', type: 'task.completed', taskId: 'TASK-002' },
+  { timestamp: '2025-03-04T08:00:00.000Z', type: 'plan.archived', taskId: null }
+];
+
+const ids = (list) => list.map(event => `${event.type}:${event.taskId}`).join(',');
+
+console.log('\n=== Event Log Tests ===\n');
+
+try {
+  // ===== Test Suite 1: Recording =====
+  console.log('--- Recording ---\n');
+
+  test('record should append one JSON line per event', () => {
+    const eventLog = createLog();
+    eventLog.record({ type: 'task.started', command: 'task start', taskId: 'TASK-001', from: 'pending', to: 'in_progress', actor: 'dev', branch: 'feature/task-001' });
+    eventLog.record({ type: 'task.reset', command: 'task reset', taskId: 'TASK-001', actor: 'dev', branch: null });
+
+    const lines = fs.readFileSync(eventLog.path, 'utf8').trim().split('\n');
+    assertEqual(lines.length, 2);
+    assertEqual(JSON.parse(lines[0]).branch, 'feature/task-001');
+    assertEqual(JSON.parse(lines[1]).type, 'task.reset');
+  });
+
+  test('record should fill timestamp, actor and optional fields', () => {
+    const entry = createLog().record({ type: 'plan.locked', command: 'plan', branch: null });
+
+    assert(!Number.isNaN(new Date(entry.timestamp).getTime()), 'Timestamp');
+    assert(entry.actor, 'Actor from git config or "unknown"');
+    assertEqual(entry.taskId, null);
+    assertEqual(entry.prUrl, null);
+    assertEqual(JSON.stringify(entry.details), '{}');
+  });
+
+  test('record should keep details such as a reset task\'s previous timestamps', () => {
+    const eventLog = createLog();
+    eventLog.record({ type: 'task.reset', taskId: 'TASK-001', actor: 'dev', details: { startedAt: '2025-03-01T09:00:00.000Z' } });
+    assertEqual(eventLog.read()[0].details.startedAt, '2025-03-01T09:00:00.000Z');
+  });
+
+  test('record should warn instead of throwing when the log cannot be written', () => {
+    const blocker = path.join(tempRoot, 'not-a-directory');
+    fs.mkdirSync(tempRoot, { recursive: true });
+    fs.writeFileSync(blocker, '');
+
+    const log = console.log;
+    let warning = '';
+    console.log = (message) => { warning += message; };
+    try {
+      assertEqual(new EventLog(blocker).record({ type: 'task.started', actor: 'dev', branch: null }), null);
+    } finally {
+      console.log = log;
+    }
+    assert(warning.includes('events.jsonl'), warning);
+  });
+
+  test('read should skip malformed lines and return [] without a log', () => {
+    const eventLog = createLog();
+    assertEqual(eventLog.read().length, 0);
+
+    eventLog.record({ type: 'task.started', actor: 'dev', branch: null });
+    fs.appendFileSync(eventLog.path, '{ truncated\n\n');
+    eventLog.record({ type: 'task.paused', actor: 'dev', branch: null });
+
+    assertEqual(eventLog.read().map(event => event.type).join(','), 'task.started,task.paused');
+  });
+
+  test('forActivePlan should follow ACTIVE-PLAN', () => {
+    const projectRoot = path.join(tempRoot, 'project');
+    fs.mkdirSync(path.join(projectRoot, '.claude'), { recursive: true });
+    assertEqual(EventLog.forActivePlan(projectRoot), null);
+
+    fs.writeFileSync(path.join(projectRoot, '.claude', 'ACTIVE-PLAN'), 'plan-003\n');
+    assertEqual(EventLog.forActivePlan(projectRoot).path,
+      path.join(projectRoot, '.claude', 'plans', 'plan-003', 'events.jsonl'));
+  });
+
+  // ===== Test Suite 2: Filtering =====
+  console.log('\n--- Filtering ---\n');
+
+  test('filter by task should ignore case', () => {
+    assertEqual(ids(EventLog.filter(events, { task: 'task-001' })), 'task.started:TASK-001,task.reset:TASK-001');
+  });
+
+  test('filter by type should match full type, subject or action', () => {
+    assertEqual(EventLog.filter(events, { type: 'task.started' }).length, 2);
+    assertEqual(EventLog.filter(events, { type: 'task' }).length, 4);
+    assertEqual(ids(EventLog.filter(events, { type: 'archived' })), 'plan.archived:null');
+    assertEqual(EventLog.filter(events, { type: 'start' }).length, 0, 'No partial word matches');
+  });
+
+  test('filter by date range should include whole days for plain dates', () => {
+    const march1 = EventLog.filter(events, { since: '2025-03-01T00:00:00Z', until: '2025-03-01T23:59:59Z' });
+    assertEqual(march1.length, 2);
+
+    const fromTimestamp = EventLog.filter(events, { since: '2025-03-02T10:00:00.000Z' });
+    assertEqual(fromTimestamp.length, 3, 'since is inclusive');
+
+    const untilDay = EventLog.filter(events, { until: '2025-03-03' });
+    assertEqual(untilDay[untilDay.length - 1].type, 'task.completed', 'Plain until date covers that day');
+  });
+
+  test('filters should combine', () => {
+    assertEqual(ids(EventLog.filter(events, { type: 'started', since: '2025-03-02' })), 'task.started:TASK-002');
+  });
+
+  test('invalid dates should be rejected', () => {
+    let error;
+    try {
+      EventLog.filter(events, { since: 'last tuesday' });
+    } catch (e) {
+      error = e;
+    }
+    assert(error && error.message.includes('Invalid date'), error && error.message);
+  });
+
+  // ===== Test Suite 3: Formatting =====
+  console.log('\n--- Formatting ---\n');
+
+  test('format should show transition and PR URL', () => {
+    const line = EventLog.format({
+      timestamp: '2025-03-03T12:00:00.000Z',
+      actor: 'dev',
+      type: 'task.completed',
+      taskId: 'TASK-002',
+      from: 'in_progress',
+      to: 'completed',
+      branch: 'feature/task-002',
+      prUrl: 'https://github.com/o/r/pull/7'
+    });
+
+    assert(line.startsWith('2025-03-03 12:00:00  dev  task.completed'), line);
+    assert(line.includes('in_progress → completed'), line);
+    assert(line.endsWith('https://github.com/o/r/pull/7'), line);
+  });
+
+  test('format should fall back to the branch and skip empty fields', () => {
+    const line = EventLog.format({ timestamp: '2025-03-04T08:00:00.000Z', actor: 'dev', type: 'plan.archived', branch: 'admin/archive' });
+    assert(!line.includes('→'), line);
+    assert(line.endsWith('(admin/archive)'), line);
+  });
+} finally {
+  fs.rmSync(tempRoot, { recursive: true, force: true });
+}
+
+// ===== Test Summary =====
+console.log('\n=== Test Summary ===\n');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log(`Total: ${passed + failed}\n`);
+
+if (failed > 0) {
+  console.log('⚠️  Some tests failed\n');
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!\n');
+  process.exit(0);
+}
@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Plan Diff Tests
+ *
+ * Tests for the structural diff used by `plan amend`:
+ * - Added, removed and changed tasks
+ * - Dependency changes
+ * - Runtime fields (status, timestamps, issue links) are not scope changes
+ * - Rebuilding the locked plan from tracker and task files
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { PlanDiff } from '../../src/core/Plan/PlanDiff.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Test results
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+const milestone = { id: 'MILE-001', name: 'Core' };
+
+function entry(task, milestoneRef = milestone) {
+  return { task, subproject: { id: 'SUB-001', name: 'App' }, milestone: milestoneRef };
+}
+
+const lockedPlan = [
+  entry({ id: 'TASK-001', title: 'Schema', phase: 'design', dependencies: [] }),
+  entry({ id: 'TASK-002', title: 'API', phase: 'implementation', dependencies: ['TASK-001'] }),
+  entry({ id: 'TASK-003', title: 'Docs', phase: 'implementation', dependencies: [] })
+];
+
+console.log('\n=== Plan Diff Tests ===\n');
+
+// ===== Test Suite 1: Task Changes =====
+console.log('--- Task Changes ---\n');
+
+test('compare should report nothing for identical plans', () => {
+  const diff = PlanDiff.compare(lockedPlan, lockedPlan);
+
+  assert(PlanDiff.isEmpty(diff), 'Diff should be empty');
+  assertEqual(diff.unchanged.length, 3);
+});
+
+test('compare should report added and removed tasks', () => {
+  const amended = [
+    lockedPlan[0],
+    lockedPlan[1],
+    entry({ id: 'TASK-004', title: 'Deploy', dependencies: ['TASK-002'] })
+  ];
+
+  const diff = PlanDiff.compare(lockedPlan, amended);
+
+  assertEqual(diff.added.map(t => t.id).join(','), 'TASK-004');
+  assertEqual(diff.removed.map(t => t.id).join(','), 'TASK-003');
+});
+
+test('compare should report changed fields by name', () => {
+  const amended = [
+    lockedPlan[0],
+    entry({ id: 'TASK-002', title: 'REST API', phase: 'testing', dependencies: ['TASK-001'] }),
+    lockedPlan[2]
+  ];
+
+  const diff = PlanDiff.compare(lockedPlan, amended);
+
+  assertEqual(diff.changed.length, 1);
+  assertEqual(diff.changed[0].fields.join(','), 'phase,title');
+  assertEqual(diff.dependencies.length, 0);
+});
+
+test('compare should report a task moved to another milestone', () => {
+  const amended = [
+    lockedPlan[0],
+    lockedPlan[1],
+    entry(lockedPlan[2].task, { id: 'MILE-002', name: 'Polish' })
+  ];
+
+  const diff = PlanDiff.compare(lockedPlan, amended);
+
+  assertEqual(diff.changed[0].id, 'TASK-003');
+  assertEqual(diff.changed[0].fields.join(','), 'milestone');
+});
+
+test('compare should ignore object key order', () => {
+  const before = [entry({ id: 'TASK-001', artifacts: { code: ['a.js'], tests: ['a.test.js'] } })];
+  const after = [entry({ id: 'TASK-001', artifacts: { tests: ['a.test.js'], code: ['a.js'] } })];
+
+  assert(PlanDiff.isEmpty(PlanDiff.compare(before, after)), 'Key order should not count as a change');
+});
+
+// ===== Test Suite 2: Dependencies =====
+console.log('\n--- Dependencies ---\n');
+
+test('compare should report dependency changes separately', () => {
+  const amended = [
+    lockedPlan[0],
+    entry({ id: 'TASK-002', title: 'API', phase: 'implementation', dependencies: ['TASK-001', 'TASK-003'] }),
+    lockedPlan[2]
+  ];
+
+  const diff = PlanDiff.compare(lockedPlan, amended);
+
+  assertEqual(diff.changed.length, 0, 'Dependency change is not a field change');
+  assertEqual(diff.dependencies.length, 1);
+  assertEqual(diff.dependencies[0].before.join(','), 'TASK-001');
+  assertEqual(diff.dependencies[0].after.join(','), 'TASK-001,TASK-003');
+});
+
+test('compare should ignore dependency order', () => {
+  const before = [entry({ id: 'TASK-003', dependencies: ['TASK-001', 'TASK-002'] })];
+  const after = [entry({ id: 'TASK-003', dependencies: ['TASK-002', 'TASK-001'] })];
+
+  assert(PlanDiff.isEmpty(PlanDiff.compare(before, after)), 'Order should not matter');
+});
+
+// ===== Test Suite 3: Runtime Fields =====
+console.log('\n--- Runtime Fields ---\n');
+
+test('compare should ignore status, timestamps and issue links', () => {
+  const worked = [
+    entry({ ...lockedPlan[0].task, status: 'completed', completedAt: '2025-01-01T00:00:00Z', githubIssue: 12 }),
+    entry({ ...lockedPlan[1].task, status: 'in_progress', startedAt: '2025-01-02T00:00:00Z', azureWorkItem: 7 }),
+    lockedPlan[2]
+  ];
+
+  assert(PlanDiff.isEmpty(PlanDiff.compare(worked, lockedPlan)), 'Runtime fields should be ignored');
+});
+
+test('entriesFromTracker should read task files and milestone from tracker', () => {
+  const tempDir = path.join(__dirname, 'temp-diff-' + Date.now());
+  fs.mkdirSync(tempDir, { recursive: true });
+
+  try {
+    fs.writeFileSync(
+      path.join(tempDir, 'TASK-001.json'),
+      JSON.stringify({ id: 'TASK-001', title: 'Schema', phase: 'design', dependencies: [], githubIssue: 3 })
+    );
+
+    const tracker = {
+      taskFiles: [
+        { id: 'TASK-001', title: 'Schema', status: 'completed', milestoneId: 'MILE-001', subprojectId: 'SUB-001' },
+        { id: 'TASK-002', title: 'API', phase: 'implementation', status: 'pending', dependencies: ['TASK-001'], milestoneId: 'MILE-001', subprojectId: 'SUB-001' }
+      ]
+    };
+
+    const entries = PlanDiff.entriesFromTracker(tracker, tempDir);
+
+    assertEqual(entries.length, 2);
+    assertEqual(entries[0].task.phase, 'design', 'Should read task file');
+    assertEqual(entries[1].task.dependencies.join(','), 'TASK-001', 'Should fall back to tracker entry');
+    assertEqual(entries[1].milestone.id, 'MILE-001');
+
+    const diff = PlanDiff.compare(entries, [
+      entry({ id: 'TASK-001', title: 'Schema', phase: 'design', dependencies: [] }),
+      entry({ id: 'TASK-002', title: 'API', phase: 'implementation', dependencies: ['TASK-001'] })
+    ]);
+    assert(PlanDiff.isEmpty(diff), 'Locked plan should match the original plan');
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+});
+
+// ===== Test Summary =====
+console.log('\n=== Test Summary ===\n');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log(`Total: ${passed + failed}\n`);
+
+if (failed > 0) {
+  console.log('⚠️  Some tests failed\n');
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!\n');
+  process.exit(0);
+}
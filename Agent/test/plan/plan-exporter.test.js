@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Plan Exporter Tests
+ *
+ * Tests for `plan export`:
+ * - The model merges plan, tracker statuses, task file links and PR URLs
+ * - The estimate-based schedule follows dependencies
+ * - Markdown, Mermaid, HTML and JSON renderings
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { PlanExporter } from '../../src/core/Plan/PlanExporter.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Test results
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+const tempRoot = path.join(__dirname, `.tmp-plan-exporter-${process.pid}`);
+const tasksDir = path.join(tempRoot, 'tasks');
+
+const plan = {
+  version: '2.0',
+  project: {
+    id: 'PROJ-001',
+    name: 'Shop <beta>',
+    description: 'Online shop',
+    subprojects: [{
+      id: 'SUB-001',
+      name: 'Web',
+      milestones: [
+        {
+          id: 'MILE-001',
+          name: 'Cart',
+          tasks: [
+            { id: 'TASK-001', title: 'Cart model', phase: 'design', estimatedHours: 4, dependencies: [] },
+            { id: 'TASK-002', title: 'Cart API: add | remove', phase: 'implementation', estimatedHours: 8, dependencies: ['TASK-001'] }
+          ]
+        },
+        {
+          id: 'MILE-002',
+          name: 'Checkout',
+          tasks: [
+            { id: 'TASK-003', title: 'Payment form', phase: 'implementation', dependencies: ['TASK-001'] },
+            { id: 'TASK-004', title: 'Order confirmation', phase: 'testing', estimatedHours: 2, dependencies: ['TASK-002', 'TASK-003'] }
+          ]
+        }
+      ]
+    }]
+  }
+};
+
+const tracker = {
+  planId: 'plan-001-generated',
+  lockedAt: '2025-03-03T09:00:00.000Z',
+  taskFiles: [
+    { id: 'TASK-001', status: 'completed' },
+    { id: 'TASK-002', status: 'in_progress' },
+    { id: 'TASK-003', status: 'blocked' },
+    { id: 'TASK-004', status: 'pending' }
+  ]
+};
+
+const events = [
+  { type: 'task.started', taskId: 'TASK-001' },
+  { type: 'task.completed', taskId: 'TASK-001', prUrl: 'https://github.com/acme/shop/pull/5' }
+];
+
+function build() {
+  return PlanExporter.build(plan, {
+    tracker,
+    tasksDir,
+    events,
+    links: { github: { owner: 'acme', repo: 'shop' } },
+    now: new Date('2025-03-10T12:00:00.000Z')
+  });
+}
+
+try {
+  fs.mkdirSync(tasksDir, { recursive: true });
+  fs.writeFileSync(path.join(tasksDir, 'TASK-001.json'), JSON.stringify({ id: 'TASK-001', githubIssue: 12 }));
+
+  console.log('\n=== Model ===\n');
+
+  test('build should take statuses from the tracker and links from task files and events', () => {
+    const model = build();
+    const first = model.tasks[0];
+
+    assertEqual(model.tasks.map(task => task.status).join(','), 'completed,in_progress,blocked,pending');
+    assertEqual(first.githubIssue, 12);
+    assertEqual(first.issueUrl, 'https://github.com/acme/shop/issues/12');
+    assertEqual(first.prUrl, 'https://github.com/acme/shop/pull/5');
+    assertEqual(model.tasks[1].prUrl, null);
+    assertEqual(model.subprojects[0].milestones[1].tasks.length, 2);
+  });
+
+  test('build should work on an unlocked plan without a tracker', () => {
+    const model = PlanExporter.build(plan);
+    assertEqual(model.planId, null);
+    assertEqual(model.totals.pending, 4);
+  });
+
+  test('build should summarize progress and hours', () => {
+    const totals = build().totals;
+    assertEqual(totals.completed, 1);
+    assertEqual(totals.percentComplete, 25);
+    assertEqual(totals.estimatedHours, 14);
+    assertEqual(totals.scheduledHours, 14, '4 + 8 + 2 along the longest chain');
+  });
+
+  test('schedule should start tasks after their last dependency and default missing estimates', () => {
+    const byId = new Map(build().tasks.map(task => [task.id, task]));
+    assertEqual(byId.get('TASK-002').startHour, 4);
+    assertEqual(byId.get('TASK-003').startHour, 4);
+    assertEqual(byId.get('TASK-003').scheduledHours, PlanExporter.DEFAULT_HOURS);
+    assertEqual(byId.get('TASK-004').startHour, 12);
+  });
+
+  test('schedule should not loop on dependency cycles', () => {
+    const schedule = PlanExporter.schedule([
+      { id: 'A', estimatedHours: 1, dependencies: ['B'] },
+      { id: 'B', estimatedHours: 1, dependencies: ['A'] }
+    ]);
+    assertEqual(schedule.size, 2);
+  });
+
+  console.log('\n=== Rendering ===\n');
+
+  test('Markdown should hold task tables, links and both diagrams', () => {
+    const markdown = PlanExporter.render(build(), 'md');
+    assert(markdown.startsWith('# Shop <beta>\n'));
+    assert(markdown.includes('### MILE-001: Cart (1/2)'));
+    assert(markdown.includes('Cart API: add \\| remove'), 'pipes escaped in cells');
+    assert(markdown.includes('[#12](https://github.com/acme/shop/issues/12) [PR](https://github.com/acme/shop/pull/5)'));
+    assertEqual(markdown.split('```mermaid').length - 1, 2);
+  });
+
+  test('Mermaid graph should draw milestones as subgraphs and dependencies as edges', () => {
+    const graph = PlanExporter.render(build(), 'mermaid');
+    assert(graph.startsWith('flowchart LR'));
+    assert(graph.includes('subgraph MILE_001["Cart"]'));
+    assert(graph.includes('TASK_001["TASK-001: Cart model"]:::completed'));
+    assert(graph.includes('TASK_002 --> TASK_004'));
+    assert(graph.includes('TASK_003 --> TASK_004'));
+  });
+
+  test('Mermaid gantt should place tasks on the calendar from the lock date', () => {
+    const gantt = PlanExporter.render(build(), 'mermaid', { diagram: 'gantt' });
+    assert(gantt.includes('section Checkout'));
+    assert(gantt.includes('TASK-001 Cart model :done, 2025-03-03 00:00, 12h'));
+    assert(gantt.includes('TASK-002 Cart API add | remove :active, 2025-03-03 12:00, 24h'), 'colon stripped from gantt names');
+    assert(gantt.includes('TASK-004 Order confirmation :2025-03-04 12:00, 6h'));
+  });
+
+  test('HTML should be a standalone page with escaped content', () => {
+    const html = PlanExporter.render(build(), 'html');
+    assert(html.startsWith('<!DOCTYPE html>'));
+    assert(html.includes('<h1>Shop &lt;beta&gt;</h1>'));
+    assert(html.includes('<a href="https://github.com/acme/shop/pull/5">PR</a>'));
+    assertEqual(html.split('class="row"').length - 1, 4);
+  });
+
+  test('JSON should round-trip the model and unknown formats should throw', () => {
+    assertEqual(JSON.parse(PlanExporter.render(build(), 'json')).tasks.length, 4);
+
+    let error = null;
+    try {
+      PlanExporter.render(build(), 'pdf');
+    } catch (e) {
+      error = e;
+    }
+    assert(error && error.message.includes('Unknown export format'));
+  });
+} finally {
+  fs.rmSync(tempRoot, { recursive: true, force: true });
+}
+
+// ===== Test Summary =====
+console.log('\n=== Test Summary ===\n');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log(`Total: ${passed + failed}\n`);
+
+if (failed > 0) {
+  console.log('⚠️  Some tests failed\n');
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!\n');
+  process.exit(0);
+}
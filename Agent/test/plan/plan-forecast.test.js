@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Plan Forecast Tests
+ *
+ * Tests for `plan forecast`:
+ * - Critical path, earliest/latest start and slack over the remaining work
+ * - Remaining hours of tasks in progress
+ * - Velocity from tracker timestamps and the projected completion date
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { PlanForecast } from '../../src/core/Plan/PlanForecast.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Test results
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+const tempRoot = path.join(__dirname, `.tmp-plan-forecast-${process.pid}`);
+const now = new Date('2025-03-10T12:00:00.000Z');
+
+//   TASK-001 (4h, done) → TASK-002 (8h, 3h spent) → TASK-004 (2h)
+//                       → TASK-003 (no estimate)  ↗
+//   TASK-005 (1h, independent)
+const estimates = { 'TASK-001': 4, 'TASK-002': 8, 'TASK-004': 2, 'TASK-005': 1 };
+
+function writeTasks(tasksDir) {
+  fs.mkdirSync(tasksDir, { recursive: true });
+  ['TASK-001', 'TASK-002', 'TASK-003', 'TASK-004', 'TASK-005'].forEach(id => {
+    const task = { id, ...(estimates[id] ? { estimatedHours: estimates[id] } : {}) };
+    fs.writeFileSync(path.join(tasksDir, `${id}.json`), JSON.stringify(task));
+  });
+}
+
+function tracker(overrides = {}) {
+  return {
+    planId: 'plan-001-generated',
+    taskFiles: [
+      { id: 'TASK-001', title: 'Model', status: 'completed', dependencies: [], startedAt: '2025-03-08T12:00:00.000Z', completedAt: '2025-03-09T12:00:00.000Z' },
+      { id: 'TASK-002', title: 'API', status: 'in_progress', dependencies: ['TASK-001'], startedAt: '2025-03-10T09:00:00.000Z' },
+      { id: 'TASK-003', title: 'Form', status: 'pending', dependencies: ['TASK-001'] },
+      { id: 'TASK-004', title: 'Release', status: 'pending', dependencies: ['TASK-002', 'TASK-003'] },
+      { id: 'TASK-005', title: 'Docs', status: 'pending', dependencies: [] }
+    ],
+    ...overrides
+  };
+}
+
+try {
+  const tasksDir = path.join(tempRoot, 'tasks');
+  writeTasks(tasksDir);
+  const build = (options = {}) => PlanForecast.build(options.tracker || tracker(), { tasksDir, now, ...options });
+  const byId = (forecast) => new Map(forecast.tasks.map(task => [task.id, task]));
+
+  console.log('\n=== Critical path ===\n');
+
+  test('remaining hours should subtract time spent on tasks in progress', () => {
+    const tasks = byId(build());
+    assertEqual(tasks.get('TASK-001').remainingHours, 0);
+    assertEqual(tasks.get('TASK-002').remainingHours, 5, '8h estimate, 3h spent');
+    assertEqual(tasks.get('TASK-003').remainingHours, PlanForecast.DEFAULT_HOURS);
+  });
+
+  test('forward and backward pass should give earliest/latest start and slack', () => {
+    const tasks = byId(build());
+    assertEqual(tasks.get('TASK-002').earliestStart, 0);
+    assertEqual(tasks.get('TASK-004').earliestStart, 5);
+    assertEqual(tasks.get('TASK-003').latestStart, 1);
+    assertEqual(tasks.get('TASK-003').slackHours, 1);
+    assertEqual(tasks.get('TASK-005').slackHours, 6);
+  });
+
+  test('critical path should be the zero-slack chain with remaining work', () => {
+    const forecast = build();
+    assertEqual(forecast.criticalPath.join(','), 'TASK-002,TASK-004');
+    assertEqual(forecast.criticalPathHours, 7);
+    assertEqual(forecast.activeOnCriticalPath.join(','), 'TASK-002');
+    assertEqual(forecast.unestimated.join(','), 'TASK-003');
+  });
+
+  test('the in-progress task should leave the critical path when another chain is longer', () => {
+    const forecast = build({ tracker: tracker({
+      taskFiles: tracker().taskFiles.map(entry => (entry.id === 'TASK-002' ? { ...entry, startedAt: '2025-03-10T05:00:00.000Z' } : entry))
+    }) });
+    const tasks = byId(forecast);
+    assertEqual(tasks.get('TASK-002').remainingHours, 1);
+    assertEqual(forecast.criticalPath.join(','), 'TASK-003,TASK-004');
+    assertEqual(forecast.activeOnCriticalPath.length, 0);
+  });
+
+  test('dependency cycles should be rejected', () => {
+    const cyclic = tracker({
+      taskFiles: [
+        { id: 'TASK-001', status: 'pending', dependencies: ['TASK-002'] },
+        { id: 'TASK-002', status: 'pending', dependencies: ['TASK-001'] }
+      ]
+    });
+
+    let error = null;
+    try {
+      build({ tracker: cyclic });
+    } catch (e) {
+      error = e;
+    }
+    assert(error && error.message.includes('Dependency cycle'));
+  });
+
+  console.log('\n=== Velocity ===\n');
+
+  test('velocity should be completed hours per day since the first start', () => {
+    const forecast = build();
+    assertEqual(forecast.velocity.source, 'observed');
+    assertEqual(forecast.velocity.completedHours, 4);
+    assertEqual(forecast.velocity.days, 2);
+    assertEqual(forecast.velocity.hoursPerDay, 2);
+  });
+
+  test('projected completion should be the remaining hours at that velocity', () => {
+    const forecast = build();
+    assertEqual(forecast.remainingHours, 12, '5 + 4 + 2 + 1');
+    assertEqual(forecast.projectedDays, 6);
+    assertEqual(forecast.projectedCompletion, '2025-03-16T12:00:00.000Z');
+  });
+
+  test('an explicit velocity should override the observed one', () => {
+    const forecast = build({ velocity: 6 });
+    assertEqual(forecast.velocity.source, 'override');
+    assertEqual(forecast.projectedDays, 2);
+  });
+
+  test('without completed work the default velocity should be assumed', () => {
+    const fresh = tracker({ taskFiles: tracker().taskFiles.map(entry => ({ ...entry, status: 'pending', startedAt: undefined, completedAt: undefined })) });
+    const forecast = build({ tracker: fresh });
+    assertEqual(forecast.velocity.source, 'default');
+    assertEqual(forecast.velocity.hoursPerDay, PlanForecast.DEFAULT_VELOCITY);
+  });
+} finally {
+  fs.rmSync(tempRoot, { recursive: true, force: true });
+}
+
+// ===== Test Summary =====
+console.log('\n=== Test Summary ===\n');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log(`Total: ${passed + failed}\n`);
+
+if (failed > 0) {
+  console.log('⚠️  Some tests failed\n');
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!\n');
+  process.exit(0);
+}
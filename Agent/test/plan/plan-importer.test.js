@@ -0,0 +1,254 @@
+#!/usr/bin/env node
+
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Plan Importer Tests
+ *
+ * Tests for `plan import`:
+ * - Markdown checklists and CSV exports are read into backlog items
+ * - GitHub issues and Azure DevOps work items map onto tasks
+ * - buildPlan numbers tasks, maps dependencies and produces a valid plan
+ */
+
+import { PlanImporter } from '../../src/core/Plan/PlanImporter.js';
+import { PlanValidator } from '../../src/core/Plan/PlanValidator.js';
+import { PlanHierarchy } from '../../src/core/Plan/PlanHierarchy.js';
+
+// Test results
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+function throws(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected an error');
+}
+
+const tasksOf = (plan) => PlanHierarchy.flatten(plan).map(entry => entry.task);
+
+const markdown = `# Inventory Service
+
+Loose notes before the first task are ignored.
+
+## Foundation
+- [x] Pick a database #db
+- [ ] Design schema #schema ~3h @design (after #db)
+  Tables for items and stock levels.
+  - ERD committed to docs/
+  - Reviewed by the team
+- [ ] Build API #api (after #schema, #auth)
+
+## Release
+* [ ] Deploy to staging ~2h @deployment after: #api
+`;
+
+console.log('\n=== Markdown ===\n');
+
+test('fromMarkdown should read the title, milestones, tasks and done state', () => {
+  const { name, items } = PlanImporter.fromMarkdown(markdown);
+  assertEqual(name, 'Inventory Service');
+  assertEqual(items.length, 4);
+  assertEqual(items[0].done, true);
+  assertEqual(items[1].milestone, 'Foundation');
+  assertEqual(items[3].milestone, 'Release');
+});
+
+test('fromMarkdown should parse keys, estimates, phases and dependencies out of the title', () => {
+  const schema = PlanImporter.fromMarkdown(markdown).items[1];
+  assertEqual(schema.title, 'Design schema');
+  assertEqual(schema.ref, 'schema');
+  assertEqual(schema.estimatedHours, 3);
+  assertEqual(schema.phase, 'design');
+  assertEqual(schema.dependencies.join(','), 'db');
+
+  const deploy = PlanImporter.fromMarkdown(markdown).items[3];
+  assertEqual(deploy.title, 'Deploy to staging');
+  assertEqual(deploy.dependencies.join(','), 'api');
+});
+
+test('fromMarkdown should turn nested bullets into criteria and indented text into a description', () => {
+  const schema = PlanImporter.fromMarkdown(markdown).items[1];
+  assertEqual(schema.description, 'Tables for items and stock levels.');
+  assertEqual(schema.completionCriteria.length, 2);
+  assertEqual(schema.completionCriteria[0], 'ERD committed to docs/');
+});
+
+console.log('\n=== CSV ===\n');
+
+test('fromCsv should match column aliases and handle quoted fields', () => {
+  const csv = '﻿Key,Summary,Epic,Phase,Estimate,Depends On,Acceptance Criteria,Status\r\n' +
+    'A-1,"Login, with SSO",Auth,design,4,,"Works with Okta; Works with Azure AD",Open\r\n' +
+    'A-2,"Say ""hello""",Auth,,2.5,"A-1; A-0",,Done\r\n';
+  const { items } = PlanImporter.fromCsv(csv);
+
+  assertEqual(items.length, 2);
+  assertEqual(items[0].ref, 'A-1');
+  assertEqual(items[0].title, 'Login, with SSO');
+  assertEqual(items[0].milestone, 'Auth');
+  assertEqual(items[0].completionCriteria.length, 2);
+  assertEqual(items[0].done, false);
+  assertEqual(items[1].title, 'Say "hello"');
+  assertEqual(items[1].estimatedHours, 2.5);
+  assertEqual(items[1].dependencies.join(','), 'A-1,A-0');
+  assertEqual(items[1].done, true);
+});
+
+test('fromCsv should require a title column', () => {
+  assert(throws(() => PlanImporter.fromCsv('id,owner\n1,sam\n')).message.includes('"title"'));
+});
+
+console.log('\n=== GitHub and Azure DevOps ===\n');
+
+test('fromGitHubIssues should map milestone, labels, body links and state', () => {
+  const { items } = PlanImporter.fromGitHubIssues([{
+    number: 12,
+    title: 'Add search',
+    state: 'open',
+    milestone: { title: 'v1.0' },
+    labels: [{ name: 'Phase: Testing' }, { name: 'estimate: 5h' }, 'bug'],
+    body: 'Full-text search over items.\n\nDepends on #10 and #11\n\n- [ ] Indexes items\n- [x] Has tests'
+  }, { number: 10, title: 'Old', state: 'closed', labels: [], body: null }]);
+
+  assertEqual(items[0].ref, '12');
+  assertEqual(items[0].milestone, 'v1.0');
+  assertEqual(items[0].phase, 'testing');
+  assertEqual(items[0].estimatedHours, 5);
+  assertEqual(items[0].dependencies.join(','), '10,11');
+  assertEqual(items[0].completionCriteria.length, 2);
+  assertEqual(items[0].description, 'Full-text search over items.');
+  assertEqual(items[0].githubIssue, 12);
+  assertEqual(items[1].done, true);
+});
+
+test('fromAzureWorkItems should map iteration, tags, estimates and predecessor links', () => {
+  const { items } = PlanImporter.fromAzureWorkItems([{
+    id: 301,
+    fields: {
+      'System.Title': 'Provision database',
+      'System.State': 'Active',
+      'System.IterationPath': 'Shop\\Sprint 4',
+      'System.Tags': 'infra; Deployment',
+      'System.Description': '<div>Create the <b>prod</b> &amp; staging DBs</div>',
+      'Microsoft.VSTS.Scheduling.RemainingWork': 6,
+      'Microsoft.VSTS.Common.AcceptanceCriteria': '<ul><li>Backups enabled</li><li>Alerts wired</li></ul>'
+    },
+    relations: [
+      { rel: 'System.LinkTypes.Dependency-Reverse', url: 'https://dev.azure.com/org/_apis/wit/workItems/300' },
+      { rel: 'System.LinkTypes.Hierarchy-Reverse', url: 'https://dev.azure.com/org/_apis/wit/workItems/1' }
+    ]
+  }]);
+
+  assertEqual(items[0].title, 'Provision database');
+  assertEqual(items[0].milestone, 'Sprint 4');
+  assertEqual(items[0].phase, 'deployment');
+  assertEqual(items[0].estimatedHours, 6);
+  assertEqual(items[0].description, 'Create the prod & staging DBs');
+  assertEqual(items[0].dependencies.join(','), '300');
+  assertEqual(items[0].completionCriteria.join('|'), 'Backups enabled|Alerts wired');
+  assertEqual(items[0].azureWorkItem, 301);
+  assertEqual(items[0].done, false);
+});
+
+console.log('\n=== buildPlan ===\n');
+
+test('buildPlan should skip done items and map dependency refs to task IDs', () => {
+  const { items } = PlanImporter.fromMarkdown(markdown);
+  const { plan, warnings, skipped } = PlanImporter.buildPlan(items, { name: 'Inventory Service' });
+  const tasks = tasksOf(plan);
+
+  assertEqual(skipped, 1);
+  assertEqual(tasks.map(task => task.id).join(','), 'TASK-001,TASK-002,TASK-003');
+  assertEqual(tasks[0].dependencies.length, 0, 'dependency on a done item is met');
+  assertEqual(tasks[1].dependencies.join(','), 'TASK-001');
+  assertEqual(tasks[2].dependencies.join(','), 'TASK-002');
+  assertEqual(warnings.length, 1);
+  assert(warnings[0].includes('"auth"'), 'unknown reference is reported');
+});
+
+test('buildPlan should group milestones in source order and produce a valid plan', () => {
+  const { items } = PlanImporter.fromMarkdown(markdown);
+  const { plan } = PlanImporter.buildPlan(items, { name: 'Inventory Service' });
+  const milestones = plan.project.subprojects[0].milestones;
+
+  assertEqual(milestones.map(milestone => milestone.name).join(','), 'Foundation,Release');
+  assertEqual(plan.project.createdBy, 'import');
+
+  const { valid, errors } = new PlanValidator().validate(plan);
+  assert(valid, JSON.stringify(errors));
+});
+
+test('buildPlan should keep issue links and default unknown phases to implementation', () => {
+  const { plan, warnings } = PlanImporter.buildPlan([
+    { ref: '7', title: 'Linked', phase: 'qa', githubIssue: 7, dependencies: ['7'] },
+    { title: 'Loose', azureWorkItem: 88 }
+  ], { name: 'Links' });
+  const tasks = tasksOf(plan);
+
+  assertEqual(tasks[0].githubIssue, 7);
+  assertEqual(tasks[0].phase, 'implementation');
+  assertEqual(tasks[0].dependencies.length, 0, 'self-dependency dropped');
+  assertEqual(tasks[1].azureWorkItem, 88);
+  assertEqual(plan.project.subprojects[0].milestones[0].name, 'Backlog');
+  assert(warnings.some(warning => warning.includes('"qa"')));
+});
+
+test('buildPlan should refuse an empty or fully done backlog', () => {
+  assert(throws(() => PlanImporter.buildPlan([], { name: 'x' })).message.includes('No backlog items'));
+  assert(throws(() => PlanImporter.buildPlan([{ title: 'a', done: true }], { name: 'x' })).message.includes('already done'));
+});
+
+// ===== Test Summary =====
+console.log('\n=== Test Summary ===\n');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log(`Total: ${passed + failed}\n`);
+
+if (failed > 0) {
+  console.log('⚠️  Some tests failed\n');
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!\n');
+  process.exit(0);
+}
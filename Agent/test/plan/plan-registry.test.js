@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Plan Registry Tests
+ *
+ * Tests for several open plans side by side:
+ * - Listing open plans (archived ones excluded) with state and progress
+ * - Resolving plan references and plan-qualified task IDs
+ * - Finding the task bound to a worktree lane across plans
+ * - Task branches namespaced by plan once several plans are open
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { PlanRegistry } from '../../src/core/PlanRegistry.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Test results
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+function throws(fn, text) {
+  try {
+    fn();
+  } catch (error) {
+    assert(error.message.includes(text), `Expected error containing "${text}", got "${error.message}"`);
+    return;
+  }
+  throw new Error(`Expected an error containing "${text}"`);
+}
+
+const tempRoot = path.join(__dirname, `.tmp-plan-registry-${process.pid}`);
+
+function writePlan(planId, { locked = false, tracker = null } = {}) {
+  const dir = path.join(tempRoot, '.claude', 'plans', planId);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'PROJECT-PLAN.json'), '{}');
+  if (locked) {
+    fs.writeFileSync(path.join(dir, '.plan-locked'), '');
+  }
+  if (tracker) {
+    fs.writeFileSync(path.join(dir, 'TASK-TRACKER.json'), JSON.stringify({ planId, ...tracker }));
+  }
+}
+
+try {
+  writePlan('plan-001-generated', {
+    locked: true,
+    tracker: {
+      activeTask: 'TASK-002',
+      worktrees: { '.': 'TASK-002' },
+      taskFiles: [
+        { id: 'TASK-001', status: 'completed' },
+        { id: 'TASK-002', status: 'in_progress' },
+        { id: 'TASK-003', status: 'pending' }
+      ]
+    }
+  });
+  writePlan('plan-002-imported', {
+    locked: true,
+    tracker: {
+      activeTask: null,
+      worktrees: { '../app-plan-002-task-001': 'TASK-001' },
+      taskFiles: [
+        { id: 'TASK-001', status: 'in_progress' },
+        { id: 'TASK-002', status: 'pending' }
+      ]
+    }
+  });
+  writePlan('plan-003-generated');
+  fs.mkdirSync(path.join(tempRoot, '.claude', 'plans', 'archived', 'plan-000-generated'), { recursive: true });
+
+  const registry = new PlanRegistry(tempRoot);
+  registry.setActivePlan('plan-002-imported');
+
+  console.log('\n=== Listing ===\n');
+
+  test('list should hold the open plans with their state, without archived ones', () => {
+    const plans = registry.list();
+    assertEqual(plans.map(plan => plan.id).join(','), 'plan-001-generated,plan-002-imported,plan-003-generated');
+    assertEqual(plans.filter(plan => plan.active).map(plan => plan.id).join(','), 'plan-002-imported');
+    assertEqual(plans[2].locked, false);
+    assertEqual(plans[2].tracker, null);
+  });
+
+  test('list should count progress and tasks in progress per plan', () => {
+    const [first] = registry.list();
+    assertEqual(first.total, 3);
+    assertEqual(first.completed, 1);
+    assertEqual(first.inProgress.join(','), 'TASK-002');
+  });
+
+  console.log('\n=== References ===\n');
+
+  test('resolve should accept the plan ID and any form of its number', () => {
+    assertEqual(registry.resolve('plan-002-imported'), 'plan-002-imported');
+    assertEqual(registry.resolve('plan-002'), 'plan-002-imported');
+    assertEqual(registry.resolve('002'), 'plan-002-imported');
+    assertEqual(registry.resolve('2'), 'plan-002-imported');
+  });
+
+  test('resolve should reject unknown and archived plans', () => {
+    throws(() => registry.resolve('plan-009'), 'Plan not found');
+    throws(() => registry.resolve('plan-000-generated'), 'Plan not found');
+  });
+
+  test('resolve should reject ambiguous prefixes', () => {
+    throws(() => registry.resolve('plan'), 'ambiguous');
+  });
+
+  test('task references should split into plan and task parts', () => {
+    assertEqual(PlanRegistry.parseTaskRef('plan-002:TASK-001').planRef, 'plan-002');
+    assertEqual(PlanRegistry.parseTaskRef('plan-002:TASK-001').taskId, 'TASK-001');
+    assertEqual(PlanRegistry.parseTaskRef('TASK-001').planRef, null);
+    assertEqual(PlanRegistry.qualify('plan-002-imported', 'TASK-001'), 'plan-002:TASK-001');
+  });
+
+  console.log('\n=== Lanes and branches ===\n');
+
+  test('findBoundTasks should find the lane task in whichever plan holds it', () => {
+    const main = registry.findBoundTasks('.');
+    assertEqual(main.length, 1);
+    assertEqual(main[0].planId, 'plan-001-generated');
+    assertEqual(main[0].taskId, 'TASK-002');
+
+    const linked = registry.findBoundTasks('../app-plan-002-task-001');
+    assertEqual(linked[0].planId, 'plan-002-imported');
+    assertEqual(registry.findBoundTasks('../elsewhere').length, 0);
+  });
+
+  test('task branches should be namespaced by plan once several plans are open', () => {
+    assertEqual(registry.taskBranch('plan-002-imported', 'TASK-001'), 'feature/plan-002-task-001');
+
+    const single = path.join(tempRoot, 'single');
+    fs.mkdirSync(path.join(single, '.claude', 'plans', 'plan-001-generated'), { recursive: true });
+    assertEqual(new PlanRegistry(single).taskBranch('plan-001-generated', 'TASK-001'), 'feature/task-001');
+  });
+} finally {
+  fs.rmSync(tempRoot, { recursive: true, force: true });
+}
+
+// ===== Test Summary =====
+console.log('\n=== Test Summary ===\n');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log(`Total: ${passed + failed}\n`);
+
+if (failed > 0) {
+  console.log('⚠️  Some tests failed\n');
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!\n');
+  process.exit(0);
+}
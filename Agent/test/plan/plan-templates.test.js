@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Plan Templates Tests
+ *
+ * Tests for `plan new --template`:
+ * - Shipped templates render into valid plans
+ * - Team templates (default and configured directory) add to and replace shipped ones
+ * - Variable substitution and missing values
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { PlanTemplates } from '../../src/core/Plan/PlanTemplates.js';
+import { PlanValidator } from '../../src/core/Plan/PlanValidator.js';
+import { PlanHierarchy } from '../../src/core/Plan/PlanHierarchy.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Test results
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+const tempRoot = path.join(__dirname, `.tmp-plan-templates-${process.pid}`);
+let projectCount = 0;
+
+const teamTemplate = (name, description) => ({
+  description,
+  variables: { team: 'platform' },
+  plan: {
+    version: '2.0',
+    project: {
+      id: 'PROJ-001',
+      name: '{{projectName}} ({{team}})',
+      description: '{{description}}',
+      status: 'planning',
+      subprojects: []
+    }
+  }
+});
+
+function createProject(files = {}) {
+  const projectRoot = path.join(tempRoot, `project-${++projectCount}`);
+  fs.mkdirSync(path.join(projectRoot, '.claude'), { recursive: true });
+
+  Object.entries(files).forEach(([file, content]) => {
+    const filePath = path.join(projectRoot, file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+  });
+
+  return projectRoot;
+}
+
+function throws(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected an error');
+}
+
+console.log('\n=== Plan Templates Tests ===\n');
+
+try {
+  // ===== Test Suite 1: Shipped templates =====
+  console.log('--- Shipped templates ---\n');
+
+  const shipped = new PlanTemplates(createProject());
+
+  test('framework should ship rest-service, cli-tool, react-app and library', () => {
+    const names = shipped.list().map(template => template.name).join(',');
+    assertEqual(names, 'cli-tool,library,react-app,rest-service');
+    assert(shipped.list().every(template => template.source === 'framework' && template.description));
+  });
+
+  shipped.list().forEach(({ name }) => {
+    test(`${name} should render into a valid plan`, () => {
+      const plan = PlanTemplates.render(shipped.load(name), { projectName: 'acme', description: 'Acme project' });
+      const { valid, errors } = new PlanValidator().validate(plan);
+
+      assert(valid, errors.map(error => `${error.path}: ${error.message}`).join('; '));
+      assertEqual(plan.project.name, 'acme');
+      assert(PlanHierarchy.flatten(plan).length > 0, 'Has tasks');
+      assert(!JSON.stringify(plan).includes('{{'), 'No placeholders left');
+    });
+  });
+
+  test('stack should default to the template value and be overridable', () => {
+    const template = shipped.load('rest-service');
+    const byDefault = JSON.stringify(PlanTemplates.render(template, { projectName: 'acme', description: '' }));
+    const custom = JSON.stringify(PlanTemplates.render(template, { projectName: 'acme', description: '', stack: 'Go, chi, SQLite' }));
+
+    assert(byDefault.includes(template.variables.stack));
+    assert(custom.includes('Go, chi, SQLite') && !custom.includes(template.variables.stack));
+  });
+
+  // ===== Test Suite 2: Team templates =====
+  console.log('\n--- Team templates ---\n');
+
+  test('templates in .claude/plan-templates should be listed as team templates', () => {
+    const projectRoot = createProject({ '.claude/plan-templates/worker.json': teamTemplate('worker', 'Queue worker') });
+    const worker = new PlanTemplates(projectRoot).list().find(template => template.name === 'worker');
+
+    assertEqual(worker.source, 'team');
+    assertEqual(worker.description, 'Queue worker');
+  });
+
+  test('team template should replace a shipped one of the same name', () => {
+    const projectRoot = createProject({ '.claude/plan-templates/library.json': teamTemplate('library', 'Our library') });
+    const templates = new PlanTemplates(projectRoot);
+
+    assertEqual(templates.list().filter(template => template.name === 'library').length, 1);
+    assertEqual(templates.load('library').source, 'team');
+  });
+
+  test('planTemplates.directory setting should point at a shared directory', () => {
+    const projectRoot = createProject({
+      '.claude/settings.json': { planTemplates: { directory: '../shared-templates' } }
+    });
+    const sharedDir = path.join(projectRoot, '..', 'shared-templates');
+    fs.mkdirSync(sharedDir, { recursive: true });
+    fs.writeFileSync(path.join(sharedDir, 'batch-job.json'), JSON.stringify(teamTemplate('batch-job', 'Nightly batch')));
+
+    const templates = new PlanTemplates(projectRoot);
+    assertEqual(templates.teamDir, sharedDir);
+    assertEqual(templates.load('batch-job').source, 'team');
+  });
+
+  test('unknown template should list the available ones', () => {
+    const error = throws(() => shipped.load('mainframe'));
+    assert(error.message.includes('Unknown plan template: mainframe'), error.message);
+    assert(error.message.includes('rest-service'), error.message);
+  });
+
+  test('template without a plan should be rejected', () => {
+    const projectRoot = createProject({ '.claude/plan-templates/empty.json': { description: 'Nothing' } });
+    assert(throws(() => new PlanTemplates(projectRoot).load('empty')).message.includes('no "plan"'));
+  });
+
+  // ===== Test Suite 3: Variables =====
+  console.log('\n--- Variables ---\n');
+
+  test('render should substitute nested strings and keep other values', () => {
+    const template = { name: 't', variables: { team: 'core' }, plan: { a: ['{{ team }}-{{projectName}}', 3, true], b: { c: null } } };
+    const plan = PlanTemplates.render(template, { projectName: 'acme' });
+
+    assertEqual(plan.a[0], 'core-acme');
+    assertEqual(plan.a[1], 3);
+    assertEqual(plan.b.c, null);
+    assertEqual(template.plan.a[0], '{{ team }}-{{projectName}}', 'Template left unchanged');
+  });
+
+  test('render should name every variable without a value', () => {
+    const template = { name: 't', variables: {}, plan: { a: '{{projectName}} {{region}} {{tier}}' } };
+    const error = throws(() => PlanTemplates.render(template, { projectName: 'acme' }));
+    assert(error.message.includes('region, tier'), error.message);
+  });
+
+  test('parseVariables should split on the first "=" and reject bare names', () => {
+    const variables = PlanTemplates.parseVariables(['stack=Go', 'query=a=b']);
+    assertEqual(variables.stack, 'Go');
+    assertEqual(variables.query, 'a=b');
+    assertEqual(Object.keys(PlanTemplates.parseVariables(undefined)).length, 0);
+    assert(throws(() => PlanTemplates.parseVariables(['stack'])).message.includes('name=value'));
+  });
+} finally {
+  fs.rmSync(tempRoot, { recursive: true, force: true });
+}
+
+// ===== Test Summary =====
+console.log('\n=== Test Summary ===\n');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log(`Total: ${passed + failed}\n`);
+
+if (failed > 0) {
+  console.log('⚠️  Some tests failed\n');
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!\n');
+  process.exit(0);
+}
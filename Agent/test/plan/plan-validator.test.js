@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Plan Validator Tests
+ *
+ * Tests for validation of plans against PLAN-SCHEMA.json:
+ * - The shipped template is valid
+ * - Schema violations are reported with JSON pointer paths
+ * - Duplicate IDs, unknown dependencies and cycles
+ * - The enforce-plan-template hook uses the same validator
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { PlanValidator } from '../../src/core/Plan/PlanValidator.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const templatePath = path.join(__dirname, '../../framework/PROJECT-PLAN-TEMPLATE.json');
+const hookPath = path.join(__dirname, '../../framework/hooks/enforce-plan-template.js');
+
+// Test results
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+function template() {
+  return JSON.parse(fs.readFileSync(templatePath, 'utf8'));
+}
+
+function findError(result, pointer) {
+  return result.errors.find(error => error.path === pointer);
+}
+
+const validator = new PlanValidator();
+const firstTask = '/project/subprojects/0/milestones/0/tasks/0';
+
+console.log('\n=== Plan Validator Tests ===\n');
+
+// ===== Test Suite 1: Schema =====
+console.log('--- Schema ---\n');
+
+test('Shipped template is valid', () => {
+  const result = validator.validate(template());
+  assert(result.valid, `Template errors: ${JSON.stringify(result.errors)}`);
+});
+
+test('Missing required fields are reported at their path', () => {
+  const plan = template();
+  delete plan.version;
+  delete plan.project.subprojects[0].milestones[0].tasks[0].title;
+
+  const result = validator.validate(plan);
+  assert(!result.valid, 'Plan should be invalid');
+  assert(findError(result, '/version'), 'Should report /version');
+  assertEqual(findError(result, `${firstTask}/title`).message, 'Missing required field');
+});
+
+test('Unknown phase is reported with the allowed values', () => {
+  const plan = template();
+  plan.project.subprojects[0].milestones[0].tasks[0].phase = 'coding';
+
+  const error = findError(validator.validate(plan), `${firstTask}/phase`);
+  assert(error, 'Should report the phase');
+  assert(error.message.includes('"coding"'), 'Should name the bad value');
+  assert(error.message.includes('implementation'), 'Should list allowed phases');
+});
+
+test('ID patterns, types, minimums and formats are checked', () => {
+  const plan = template();
+  const task = plan.project.subprojects[0].milestones[0].tasks[0];
+  task.id = 'TASK-1';
+  task.dependencies = 'TASK-002';
+  task.estimatedHours = -1;
+  task.startedAt = 'yesterday';
+  plan.project.name = '';
+
+  const result = validator.validate(plan);
+  assert(findError(result, `${firstTask}/id`), 'Should report the ID pattern');
+  assert(findError(result, `${firstTask}/dependencies`).message.startsWith('Expected array'), 'Should report the type');
+  assert(findError(result, `${firstTask}/estimatedHours`), 'Should report the minimum');
+  assert(findError(result, `${firstTask}/startedAt`), 'Should report the date-time format');
+  assert(findError(result, '/project/name'), 'Should report the empty name');
+});
+
+test('Legacy flat plan format is rejected', () => {
+  const result = validator.validate({ planId: 'plan-001', projectName: 'x', structure: 'flat', tasks: [] });
+  assert(!result.valid, 'Plan should be invalid');
+  assert(findError(result, '/project'), 'Should report the missing project');
+});
+
+// ===== Test Suite 2: Plan Rules =====
+console.log('\n--- Plan Rules ---\n');
+
+test('Duplicate task IDs point at the duplicate and the first use', () => {
+  const plan = template();
+  plan.project.subprojects[0].milestones[0].tasks[1].id = 'TASK-001';
+  plan.project.subprojects[0].milestones[0].tasks[2].dependencies = ['TASK-001'];
+
+  const error = findError(validator.validate(plan), '/project/subprojects/0/milestones/0/tasks/1/id');
+  assert(error, 'Should report the duplicate');
+  assert(error.message.includes(`${firstTask}/id`), 'Should mention the first use');
+});
+
+test('Duplicate milestone IDs are reported', () => {
+  const plan = template();
+  plan.project.subprojects[1].milestones[0].id = 'MILE-001';
+
+  assert(findError(validator.validate(plan), '/project/subprojects/1/milestones/0/id'), 'Should report the duplicate');
+});
+
+test('Dependencies on unknown tasks point at the dependency entry', () => {
+  const plan = template();
+  plan.project.subprojects[0].milestones[0].tasks[1].dependencies = ['TASK-001', 'TASK-099'];
+
+  const error = findError(validator.validate(plan), '/project/subprojects/0/milestones/0/tasks/1/dependencies/1');
+  assert(error, 'Should report the unknown dependency');
+  assert(error.message.includes('TASK-099'), 'Should name the unknown task');
+});
+
+test('Dependency cycles are reported', () => {
+  const plan = template();
+  plan.project.subprojects[0].milestones[0].tasks[0].dependencies = ['TASK-003'];
+
+  const result = validator.validate(plan);
+  assert(result.errors.some(error => error.message.startsWith('Dependency cycle')), 'Should report the cycle');
+});
+
+test('JSON pointers escape ~ and /', () => {
+  assertEqual(PlanValidator.toPointer(['a/b', 'c~d', 0]), '/a~1b/c~0d/0');
+  assertEqual(PlanValidator.toPointer([]), '');
+});
+
+// ===== Test Suite 3: Hook =====
+console.log('\n--- enforce-plan-template Hook ---\n');
+
+function runHook(toolUse) {
+  return spawnSync(process.execPath, [hookPath], { input: JSON.stringify(toolUse), encoding: 'utf8' });
+}
+
+test('Hook allows a valid plan', () => {
+  const result = runHook({
+    tool_name: 'Write',
+    tool_input: { file_path: '.claude/plans/plan-001/PROJECT-PLAN.json', content: JSON.stringify(template()) }
+  });
+  assertEqual(result.status, 0, result.stderr);
+});
+
+test('Hook blocks an invalid plan with pointer paths', () => {
+  const plan = template();
+  plan.project.subprojects[0].milestones[0].tasks[0].phase = 'coding';
+
+  const result = runHook({
+    tool_name: 'Write',
+    tool_input: { file_path: '.claude/plans/plan-001/PROJECT-PLAN.json', content: JSON.stringify(plan) }
+  });
+  assertEqual(result.status, 2, 'Should block');
+  assert(result.stderr.includes(`${firstTask}/phase`), 'Should print the pointer');
+});
+
+test('Hook ignores other files', () => {
+  const result = runHook({ tool_name: 'Write', tool_input: { file_path: 'src/index.js', content: 'x' } });
+  assertEqual(result.status, 0);
+});
+
+// ===== Test Summary =====
+console.log('\n=== Test Summary ===\n');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log(`Total: ${passed + failed}\n`);
+
+if (failed > 0) {
+  console.log('⚠️  Some tests failed\n');
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!\n');
+  process.exit(0);
+}
@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Task Blocking Tests
+ *
+ * Tests for the tracker bookkeeping behind `task block` / `task unblock`:
+ * - Block records with reason, who and when
+ * - Restoring the previous status on unblock
+ * - Automatic unblocking when the blocking task completes
+ * - Issue comments
+ */
+
+import { TaskBlocking } from '../../src/core/TaskBlocking.js';
+
+// Test results
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+function entry(id, status = 'pending') {
+  return { id, title: `Task ${id}`, status };
+}
+
+console.log('\n=== Task Blocking Tests ===\n');
+
+// ===== Test Suite 1: Block / unblock =====
+console.log('--- Block / unblock ---\n');
+
+test('block should record reason, user and time', () => {
+  const task = entry('TASK-001');
+  const record = TaskBlocking.block(task, { reason: 'Waiting for API keys', blockedBy: 'alice' });
+
+  assertEqual(task.status, 'blocked');
+  assertEqual(task.blocks.length, 1);
+  assertEqual(record.reason, 'Waiting for API keys');
+  assertEqual(record.blockedBy, 'alice');
+  assertEqual(record.previousStatus, 'pending');
+  assertEqual(record.blockedOn, null);
+  assert(!isNaN(Date.parse(record.blockedAt)), 'blockedAt should be an ISO date');
+});
+
+test('getCurrentBlock should return the open block only', () => {
+  const task = entry('TASK-001');
+  assertEqual(TaskBlocking.getCurrentBlock(task), null);
+
+  const record = TaskBlocking.block(task, { reason: 'x', blockedBy: 'alice' });
+  assertEqual(TaskBlocking.getCurrentBlock(task), record);
+
+  TaskBlocking.unblock(task, 'bob');
+  assertEqual(TaskBlocking.getCurrentBlock(task), null);
+});
+
+test('unblock should restore the previous status and keep the history', () => {
+  const task = entry('TASK-001', 'paused');
+  TaskBlocking.block(task, { reason: 'x', blockedBy: 'alice' });
+
+  const record = TaskBlocking.unblock(task, 'bob');
+
+  assertEqual(task.status, 'paused');
+  assertEqual(record.unblockedBy, 'bob');
+  assert(record.unblockedAt, 'unblockedAt should be set');
+  assertEqual(task.blocks.length, 1, 'History should be kept');
+});
+
+test('unblock should return null for a task that is not blocked', () => {
+  const task = entry('TASK-001');
+  assertEqual(TaskBlocking.unblock(task, 'bob'), null);
+  assertEqual(task.status, 'pending');
+});
+
+test('unblock should fall back to pending without a block record', () => {
+  const task = entry('TASK-001', 'blocked');
+  TaskBlocking.unblock(task, 'bob');
+  assertEqual(task.status, 'pending');
+});
+
+// ===== Test Suite 2: Automatic unblocking =====
+console.log('\n--- Automatic unblocking ---\n');
+
+test('releaseBlockedOn should unblock only tasks waiting on the completed task', () => {
+  const tracker = {
+    taskFiles: [entry('TASK-001', 'completed'), entry('TASK-002'), entry('TASK-003'), entry('TASK-004')]
+  };
+  TaskBlocking.block(tracker.taskFiles[1], { reason: 'needs 001', blockedBy: 'alice', blockedOn: 'TASK-001' });
+  TaskBlocking.block(tracker.taskFiles[2], { reason: 'needs 004', blockedBy: 'alice', blockedOn: 'TASK-004' });
+
+  const unblocked = TaskBlocking.releaseBlockedOn(tracker, 'TASK-001');
+
+  assertEqual(unblocked.length, 1);
+  assertEqual(unblocked[0].id, 'TASK-002');
+  assertEqual(tracker.taskFiles[1].status, 'pending');
+  assertEqual(tracker.taskFiles[1].blocks[0].unblockedBy, TaskBlocking.AUTOMATIC);
+  assertEqual(tracker.taskFiles[2].status, 'blocked');
+});
+
+test('releaseBlockedOn should leave manual blocks alone', () => {
+  const tracker = { taskFiles: [entry('TASK-001')] };
+  TaskBlocking.block(tracker.taskFiles[0], { reason: 'external', blockedBy: 'alice' });
+
+  assertEqual(TaskBlocking.releaseBlockedOn(tracker, 'TASK-009').length, 0);
+  assertEqual(tracker.taskFiles[0].status, 'blocked');
+});
+
+test('releaseBlockedOn should wait for every task a block is waiting on', () => {
+  const tracker = { taskFiles: [entry('TASK-001', 'completed'), entry('TASK-002', 'in_progress'), entry('TASK-003')] };
+  TaskBlocking.block(tracker.taskFiles[2], { reason: 'needs 001 and 002', blockedBy: 'alice', blockedOn: ['TASK-001', 'TASK-002'] });
+
+  assertEqual(TaskBlocking.releaseBlockedOn(tracker, 'TASK-001').length, 0, 'TASK-002 is still open');
+
+  tracker.taskFiles[1].status = 'completed';
+  const unblocked = TaskBlocking.releaseBlockedOn(tracker, 'TASK-002');
+
+  assertEqual(unblocked.length, 1);
+  assertEqual(tracker.taskFiles[2].status, 'pending');
+});
+
+test('releaseBlockedOn should lift blocks recorded with a single task ID', () => {
+  const tracker = { taskFiles: [entry('TASK-001', 'completed'), entry('TASK-002', 'blocked')] };
+  tracker.taskFiles[1].blocks = [{ reason: 'needs 001', blockedBy: 'alice', blockedOn: 'TASK-001', previousStatus: 'pending', unblockedAt: null }];
+
+  assertEqual(TaskBlocking.releaseBlockedOn(tracker, 'TASK-001').length, 1);
+  assertEqual(tracker.taskFiles[1].status, 'pending');
+});
+
+test('block should store the tasks it waits on as a list', () => {
+  const task = entry('TASK-002');
+  assertEqual(JSON.stringify(TaskBlocking.block(task, { reason: 'x', blockedBy: 'alice', blockedOn: 'TASK-001' }).blockedOn), '["TASK-001"]');
+  assertEqual(TaskBlocking.block(entry('TASK-003'), { reason: 'x', blockedBy: 'alice', blockedOn: [] }).blockedOn, null);
+});
+
+// ===== Test Suite 3: Comments =====
+console.log('\n--- Comments ---\n');
+
+test('blockComment should include the reason and the blocking task', () => {
+  const comment = TaskBlocking.blockComment({ reason: 'Waiting for review', blockedBy: 'alice', blockedOn: 'TASK-004' });
+  assert(comment.includes('alice'), 'Should name who blocked it');
+  assert(comment.includes('Waiting for review'), 'Should include the reason');
+  assert(comment.includes('TASK-004'), 'Should name the blocking task');
+  assert(TaskBlocking.blockComment({ reason: 'x', blockedBy: 'alice', blockedOn: ['TASK-004', 'TASK-005'] }).includes('TASK-004, TASK-005'));
+});
+
+test('unblockComment should mention the completed task when automatic', () => {
+  assert(TaskBlocking.unblockComment({ unblockedBy: 'agentic15' }, 'TASK-004').includes('TASK-004'));
+  assert(TaskBlocking.unblockComment({ unblockedBy: 'bob' }).includes('bob'));
+});
+
+// ===== Test Summary =====
+console.log('\n=== Test Summary ===\n');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log(`Total: ${passed + failed}\n`);
+
+if (failed > 0) {
+  console.log('⚠️  Some tests failed\n');
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!\n');
+  process.exit(0);
+}
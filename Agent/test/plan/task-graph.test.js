@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Task Graph Tests
+ *
+ * Tests for dependency-aware scheduling:
+ * - Plan flattening in subproject/milestone order
+ * - Dangling reference and cycle detection
+ * - Ready set computation
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { TaskGraph } from '../../src/core/Plan/TaskGraph.js';
+import { PlanHierarchy } from '../../src/core/Plan/PlanHierarchy.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const TEMPLATE_PATH = path.join(__dirname, '..', '..', 'framework', 'PROJECT-PLAN-TEMPLATE.json');
+
+// Test results
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+console.log('\n=== Task Graph Tests ===\n');
+
+// ===== Test Suite 1: Plan Hierarchy =====
+console.log('--- Plan Hierarchy ---\n');
+
+test('flatten should return template tasks in plan order', () => {
+  const plan = JSON.parse(fs.readFileSync(TEMPLATE_PATH, 'utf8'));
+  const entries = PlanHierarchy.flatten(plan);
+
+  assert(entries.length > 0, 'Should find tasks');
+  assertEqual(entries[0].task.id, 'TASK-001', 'First task should be TASK-001');
+});
+
+test('flatten should record subproject and milestone of each task', () => {
+  const plan = JSON.parse(fs.readFileSync(TEMPLATE_PATH, 'utf8'));
+  const [first] = PlanHierarchy.flatten(plan);
+
+  assertEqual(first.subproject.id, 'SUB-001');
+  assertEqual(first.milestone.id, 'MILE-001');
+  assertEqual(first.milestone.name, 'Core Authentication');
+});
+
+test('flatten should support legacy flat tasks array', () => {
+  const entries = PlanHierarchy.flatten({ tasks: [{ id: 'TASK-001' }, { id: 'TASK-002' }] });
+
+  assertEqual(entries.length, 2);
+  assertEqual(entries[1].milestone, null);
+});
+
+// ===== Test Suite 2: Graph Validation =====
+console.log('\n--- Graph Validation ---\n');
+
+test('findDanglingReferences should report unknown dependencies', () => {
+  const graph = new TaskGraph([
+    { id: 'TASK-001', dependencies: [] },
+    { id: 'TASK-002', dependencies: ['TASK-001', 'TASK-099'] }
+  ]);
+
+  const dangling = graph.findDanglingReferences();
+
+  assertEqual(dangling.length, 1);
+  assertEqual(dangling[0].taskId, 'TASK-002');
+  assertEqual(dangling[0].dependency, 'TASK-099');
+});
+
+test('findCycles should report a two-task cycle', () => {
+  const graph = new TaskGraph([
+    { id: 'TASK-001', dependencies: ['TASK-002'] },
+    { id: 'TASK-002', dependencies: ['TASK-001'] }
+  ]);
+
+  const cycles = graph.findCycles();
+
+  assertEqual(cycles.length, 1);
+  assertEqual(cycles[0].join(' '), 'TASK-001 TASK-002 TASK-001');
+});
+
+test('findCycles should report self-dependency', () => {
+  const graph = new TaskGraph([{ id: 'TASK-001', dependencies: ['TASK-001'] }]);
+
+  assertEqual(graph.findCycles().length, 1);
+});
+
+test('findCycles should return nothing for the shipped template', () => {
+  const plan = JSON.parse(fs.readFileSync(TEMPLATE_PATH, 'utf8'));
+  const graph = new TaskGraph(PlanHierarchy.flatten(plan).map(entry => entry.task));
+
+  assertEqual(graph.findCycles().length, 0);
+  assertEqual(graph.findDanglingReferences().length, 0);
+});
+
+// ===== Test Suite 3: Ready Set =====
+console.log('\n--- Ready Set ---\n');
+
+const chain = [
+  { id: 'TASK-001', dependencies: [] },
+  { id: 'TASK-002', dependencies: ['TASK-001'] },
+  { id: 'TASK-003', dependencies: [] },
+  { id: 'TASK-004', dependencies: ['TASK-002', 'TASK-003'] }
+];
+
+test('getReadyTasks should skip tasks with unfinished dependencies', () => {
+  const graph = new TaskGraph(chain);
+  const status = new Map(chain.map(t => [t.id, 'pending']));
+
+  assertEqual(graph.getReadyTasks(status).join(','), 'TASK-001,TASK-003');
+});
+
+test('getReadyTasks should release tasks once dependencies complete', () => {
+  const graph = new TaskGraph(chain);
+  const status = new Map([
+    ['TASK-001', 'completed'],
+    ['TASK-002', 'completed'],
+    ['TASK-003', 'completed'],
+    ['TASK-004', 'pending']
+  ]);
+
+  assertEqual(graph.getReadyTasks(status).join(','), 'TASK-004');
+});
+
+test('getReadyTasks should not treat in-progress dependencies as met', () => {
+  const graph = new TaskGraph(chain);
+  const status = new Map([
+    ['TASK-001', 'in_progress'],
+    ['TASK-002', 'pending'],
+    ['TASK-003', 'pending'],
+    ['TASK-004', 'pending']
+  ]);
+
+  assertEqual(graph.getReadyTasks(status).join(','), 'TASK-003');
+});
+
+test('getUnmetDependencies should list unfinished prerequisites', () => {
+  const graph = new TaskGraph(chain);
+  const status = new Map([['TASK-002', 'completed'], ['TASK-003', 'pending']]);
+
+  assertEqual(graph.getUnmetDependencies('TASK-004', status).join(','), 'TASK-003');
+});
+
+test('fromTracker should fall back to task files for dependencies', () => {
+  const tempDir = path.join(__dirname, 'temp-graph-' + Date.now());
+  fs.mkdirSync(tempDir, { recursive: true });
+
+  try {
+    fs.writeFileSync(
+      path.join(tempDir, 'TASK-002.json'),
+      JSON.stringify({ id: 'TASK-002', dependencies: ['TASK-001'] })
+    );
+
+    const tracker = {
+      taskFiles: [
+        { id: 'TASK-001', status: 'pending', dependencies: [] },
+        { id: 'TASK-002', status: 'pending' }
+      ]
+    };
+
+    const graph = TaskGraph.fromTracker(tracker, tempDir);
+
+    assertEqual(graph.getDependencies('TASK-002').join(','), 'TASK-001');
+    assertEqual(graph.getReadyTasks(TaskGraph.statusMap(tracker)).join(','), 'TASK-001');
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+});
+
+// ===== Test Summary =====
+console.log('\n=== Test Summary ===\n');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log(`Total: ${passed + failed}\n`);
+
+if (failed > 0) {
+  console.log('⚠️  Some tests failed\n');
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!\n');
+  process.exit(0);
+}
@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Time Report Tests
+ *
+ * Tests for `report time`:
+ * - Elapsed time from tracker timestamps, with and without paused intervals
+ * - Estimate accuracy per task and rollups per milestone/subproject
+ * - CSV export
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { TimeReport } from '../../src/core/Plan/TimeReport.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Test results
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+const now = new Date('2025-01-02T12:00:00.000Z');
+
+const tracker = {
+  planId: 'plan-001',
+  taskFiles: [
+    {
+      id: 'TASK-001', title: 'Schema', status: 'completed',
+      subprojectId: 'SUB-001', milestoneId: 'MILE-001', milestoneName: 'Core',
+      startedAt: '2025-01-01T08:00:00.000Z', completedAt: '2025-01-01T14:00:00.000Z',
+      pauses: [{ pausedAt: '2025-01-01T10:00:00.000Z', resumedAt: '2025-01-01T12:00:00.000Z' }]
+    },
+    {
+      id: 'TASK-002', title: 'API, v1', status: 'completed',
+      subprojectId: 'SUB-001', milestoneId: 'MILE-001', milestoneName: 'Core',
+      startedAt: '2025-01-01T14:00:00.000Z', completedAt: '2025-01-01T16:00:00.000Z'
+    },
+    {
+      id: 'TASK-003', title: 'UI', status: 'in_progress',
+      subprojectId: 'SUB-002', milestoneId: 'MILE-002', milestoneName: 'Screens',
+      startedAt: '2025-01-02T09:00:00.000Z'
+    },
+    {
+      id: 'TASK-004', title: 'Docs', status: 'pending',
+      subprojectId: 'SUB-002', milestoneId: 'MILE-002', milestoneName: 'Screens'
+    }
+  ]
+};
+
+const plan = {
+  project: {
+    subprojects: [
+      { id: 'SUB-001', name: 'Backend', milestones: [{ id: 'MILE-001', name: 'Core', tasks: [{ id: 'TASK-001' }, { id: 'TASK-002' }] }] },
+      { id: 'SUB-002', name: 'Frontend', milestones: [{ id: 'MILE-002', name: 'Screens', tasks: [{ id: 'TASK-003' }, { id: 'TASK-004' }] }] }
+    ]
+  }
+};
+
+const tempDir = path.join(__dirname, '.tmp-time-report');
+fs.mkdirSync(tempDir, { recursive: true });
+
+try {
+  const estimates = { 'TASK-001': 4, 'TASK-002': 4, 'TASK-003': 2, 'TASK-004': 1 };
+  Object.entries(estimates).forEach(([id, estimatedHours]) => {
+    fs.writeFileSync(path.join(tempDir, `${id}.json`), JSON.stringify({ id, estimatedHours }));
+  });
+
+  console.log('\n=== Time Report Tests ===\n');
+
+  // ===== Test Suite 1: Elapsed Time =====
+  console.log('--- Elapsed Time ---\n');
+
+  test('Elapsed time includes pauses by default', () => {
+    const report = TimeReport.build(tracker, { tasksDir: tempDir, now });
+    const row = report.tasks[0];
+    assertEqual(row.actualHours, 6);
+    assertEqual(row.pausedHours, 2);
+  });
+
+  test('Paused intervals can be excluded', () => {
+    const report = TimeReport.build(tracker, { tasksDir: tempDir, now, excludePaused: true });
+    assertEqual(report.tasks[0].actualHours, 4);
+  });
+
+  test('Open pauses run until the end of the measured interval', () => {
+    const entry = {
+      startedAt: '2025-01-02T08:00:00.000Z',
+      pauses: [{ pausedAt: '2025-01-02T10:00:00.000Z', resumedAt: null }]
+    };
+    const time = TimeReport.measure(entry, {}, { now, excludePaused: true });
+    assertEqual(time.actualHours, 2);
+    assertEqual(time.pausedHours, 2);
+    assert(time.running, 'Task without completedAt is running');
+  });
+
+  test('Running tasks are measured until now, pending tasks not at all', () => {
+    const report = TimeReport.build(tracker, { tasksDir: tempDir, now });
+    assertEqual(report.tasks[2].actualHours, 3);
+    assert(report.tasks[2].running, 'TASK-003 should be running');
+    assertEqual(report.tasks[3].actualHours, null);
+  });
+
+  test('Recorded actualHours is used when the tracker has no timestamps', () => {
+    const time = TimeReport.measure({ id: 'TASK-009' }, { actualHours: 1.5 });
+    assertEqual(time.actualHours, 1.5);
+  });
+
+  // ===== Test Suite 2: Accuracy and Rollups =====
+  console.log('\n--- Accuracy and Rollups ---\n');
+
+  test('Task accuracy is actual/estimate for completed tasks only', () => {
+    const report = TimeReport.build(tracker, { tasksDir: tempDir, now });
+    assertEqual(report.tasks[0].ratio, 1.5);
+    assertEqual(report.tasks[0].varianceHours, 2);
+    assertEqual(report.tasks[1].ratio, 0.5);
+    assertEqual(report.tasks[2].ratio, null, 'Running task has no accuracy yet');
+  });
+
+  test('Milestones and subprojects are rolled up with names', () => {
+    const report = TimeReport.build(tracker, { tasksDir: tempDir, plan, now });
+    assertEqual(report.milestones.length, 2);
+    assertEqual(report.milestones[0].actualHours, 8);
+    assertEqual(report.milestones[0].ratio, 1);
+    assertEqual(report.subprojects[1].name, 'Frontend');
+    assertEqual(report.subprojects[1].estimatedHours, 3);
+    assertEqual(report.subprojects[1].ratio, null);
+  });
+
+  test('Totals cover the whole plan', () => {
+    const report = TimeReport.build(tracker, { tasksDir: tempDir, now });
+    assertEqual(report.totals.tasks, 4);
+    assertEqual(report.totals.completed, 2);
+    assertEqual(report.totals.estimatedHours, 11);
+    assertEqual(report.totals.actualHours, 11);
+    assertEqual(report.totals.ratio, 1);
+  });
+
+  // ===== Test Suite 3: Export =====
+  console.log('\n--- Export ---\n');
+
+  test('CSV has a row per task, milestone, subproject and total', () => {
+    const csv = TimeReport.toCsv(TimeReport.build(tracker, { tasksDir: tempDir, plan, now }));
+    const lines = csv.trim().split('\n');
+    assertEqual(lines[0], TimeReport.CSV_COLUMNS.join(','));
+    assertEqual(lines.length, 1 + 4 + 2 + 2 + 1);
+    assert(lines.includes('task,TASK-002,"API, v1",SUB-001,MILE-001,completed,4,2,0,-2,0.5'), 'Should quote fields with commas');
+    assert(lines[lines.length - 1].startsWith('total,plan-001,'), 'Last row is the total');
+  });
+} finally {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+}
+
+// ===== Test Summary =====
+console.log('\n=== Test Summary ===\n');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log(`Total: ${passed + failed}\n`);
+
+if (failed > 0) {
+  console.log('⚠️  Some tests failed\n');
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!\n');
+  process.exit(0);
+}
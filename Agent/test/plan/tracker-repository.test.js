@@ -0,0 +1,301 @@
+#!/usr/bin/env node
+
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Tracker Repository Tests
+ *
+ * Tests for the single reader/writer of TASK-TRACKER.json:
+ * - Atomic writes with statistics and schemaVersion stamped
+ * - Schema upgrade on read, newer schemas refused
+ * - Advisory lock: contention, stale locks, concurrent writers
+ * - reconcile() behind `agentic15 task repair`
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { spawn, spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { TrackerRepository } from '../../src/core/TrackerRepository.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Test results
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+const tempRoot = path.join(__dirname, `.tmp-tracker-${process.pid}`);
+let planCount = 0;
+
+const tracker = (overrides = {}) => ({
+  planId: 'plan-001',
+  activeTask: 'TASK-001',
+  taskFiles: [
+    { id: 'TASK-001', status: 'in_progress' },
+    { id: 'TASK-002', status: 'pending' },
+    { id: 'TASK-003', status: 'blocked' }
+  ],
+  ...overrides
+});
+
+function createPlan(content = tracker()) {
+  const planDir = path.join(tempRoot, `plan-${++planCount}`);
+  fs.mkdirSync(planDir, { recursive: true });
+  if (content) {
+    fs.writeFileSync(path.join(planDir, 'TASK-TRACKER.json'), JSON.stringify(content, null, 2));
+  }
+  return planDir;
+}
+
+function readRaw(planDir) {
+  return JSON.parse(fs.readFileSync(path.join(planDir, 'TASK-TRACKER.json'), 'utf8'));
+}
+
+console.log('\n=== Tracker Repository Tests ===\n');
+
+try {
+  // ===== Test Suite 1: Reading and writing =====
+  console.log('--- Reading and writing ---\n');
+
+  await test('write should stamp schemaVersion and recompute statistics', () => {
+    const planDir = createPlan(null);
+    new TrackerRepository(planDir).write(tracker({ statistics: { totalTasks: 99 } }));
+
+    const written = readRaw(planDir);
+    assertEqual(written.schemaVersion, TrackerRepository.SCHEMA_VERSION);
+    assertEqual(written.statistics.totalTasks, 3);
+    assertEqual(written.statistics.inProgress, 1);
+    assertEqual(written.statistics.blocked, 1);
+    assertEqual(written.statistics.paused, 0);
+  });
+
+  await test('write should leave no temporary or lock files behind', () => {
+    const planDir = createPlan();
+    new TrackerRepository(planDir).write(tracker());
+    assertEqual(fs.readdirSync(planDir).join(','), 'TASK-TRACKER.json');
+  });
+
+  await test('failed write should keep the previous tracker intact', () => {
+    const planDir = createPlan();
+    const circular = tracker();
+    circular.self = circular;
+
+    let error;
+    try {
+      new TrackerRepository(planDir).write(circular);
+    } catch (e) {
+      error = e;
+    }
+
+    assert(error, 'Write failed');
+    assertEqual(readRaw(planDir).taskFiles.length, 3, 'Old content still readable');
+    assertEqual(fs.readdirSync(planDir).join(','), 'TASK-TRACKER.json');
+  });
+
+  await test('read should upgrade trackers without schemaVersion', () => {
+    const upgraded = new TrackerRepository(createPlan()).read();
+    assertEqual(upgraded.worktrees['.'], 'TASK-001');
+  });
+
+  await test('read should refuse trackers from a newer framework', () => {
+    const planDir = createPlan(tracker({ schemaVersion: TrackerRepository.SCHEMA_VERSION + 1 }));
+    let error;
+    try {
+      new TrackerRepository(planDir).read();
+    } catch (e) {
+      error = e;
+    }
+    assert(error && error.message.includes('schema version'), error && error.message);
+  });
+
+  await test('update should write the changed tracker and return the result', () => {
+    const planDir = createPlan();
+    const result = new TrackerRepository(planDir).update(current => {
+      current.taskFiles[1].status = 'completed';
+      return 'done';
+    });
+
+    assertEqual(result, 'done');
+    assertEqual(readRaw(planDir).statistics.completed, 1);
+  });
+
+  await test('forActivePlan should follow ACTIVE-PLAN', () => {
+    const projectRoot = path.join(tempRoot, 'project');
+    fs.mkdirSync(path.join(projectRoot, '.claude'), { recursive: true });
+
+    assertEqual(TrackerRepository.forActivePlan(projectRoot), null, 'No ACTIVE-PLAN');
+
+    fs.writeFileSync(path.join(projectRoot, '.claude', 'ACTIVE-PLAN'), 'plan-007\n');
+    assertEqual(TrackerRepository.forActivePlan(projectRoot).path,
+      path.join(projectRoot, '.claude', 'plans', 'plan-007', 'TASK-TRACKER.json'));
+  });
+
+  // ===== Test Suite 2: Locking =====
+  console.log('\n--- Locking ---\n');
+
+  await test('lock held by a live process should time out with its pid', () => {
+    const planDir = createPlan();
+    const repository = new TrackerRepository(planDir);
+    fs.writeFileSync(repository.lockPath, JSON.stringify({ pid: process.ppid }));
+
+    const timeout = TrackerRepository.LOCK_TIMEOUT_MS;
+    TrackerRepository.LOCK_TIMEOUT_MS = 200;
+    let error;
+    try {
+      repository.write(tracker());
+    } catch (e) {
+      error = e;
+    } finally {
+      TrackerRepository.LOCK_TIMEOUT_MS = timeout;
+    }
+
+    assert(error && error.message.includes(`pid ${process.ppid}`), error && error.message);
+    assert(fs.existsSync(repository.lockPath), 'Foreign lock left alone');
+  });
+
+  await test('lock of a process that has exited should be broken', () => {
+    const planDir = createPlan();
+    const repository = new TrackerRepository(planDir);
+    const exited = spawnSync(process.execPath, ['-e', 'process.stdout.write(String(process.pid))'], { encoding: 'utf8' });
+    fs.writeFileSync(repository.lockPath, JSON.stringify({ pid: Number(exited.stdout) }));
+
+    repository.write(tracker());
+    assert(!fs.existsSync(repository.lockPath), 'Lock released');
+  });
+
+  await test('lock should be re-entrant within a repository', () => {
+    const repository = new TrackerRepository(createPlan());
+    repository.withLock(() => repository.update(current => {
+      current.note = 'nested';
+    }));
+    assertEqual(repository.read().note, 'nested');
+    assert(!fs.existsSync(repository.lockPath), 'Lock released');
+  });
+
+  await test('concurrent updates from several processes should not lose writes', async () => {
+    const planDir = createPlan(tracker({ counter: 0 }));
+    const moduleUrl = new URL('../../src/core/TrackerRepository.js', import.meta.url).href;
+    const script = `
+      const { TrackerRepository } = await import(${JSON.stringify(moduleUrl)});
+      const repository = new TrackerRepository(${JSON.stringify(planDir)});
+      for (let i = 0; i < 15; i++) {
+        repository.update(current => { current.counter++; });
+      }
+    `;
+
+    const workers = Array.from({ length: 3 }, () => new Promise((resolve, reject) => {
+      const child = spawn(process.execPath, ['--input-type=module', '-e', script], { stdio: ['ignore', 'ignore', 'pipe'] });
+      let stderr = '';
+      child.stderr.on('data', chunk => { stderr += chunk; });
+      child.on('exit', code => (code === 0 ? resolve() : reject(new Error(stderr || `exit ${code}`))));
+    }));
+
+    await Promise.all(workers);
+    assertEqual(readRaw(planDir).counter, 45);
+  });
+
+  // ===== Test Suite 3: Reconcile =====
+  console.log('\n--- Reconcile ---\n');
+
+  await test('consistent tracker should need no repair', () => {
+    const current = TrackerRepository.upgrade(tracker());
+    current.statistics = TrackerRepository.computeStatistics(current);
+    assertEqual(TrackerRepository.reconcile(current).length, 0);
+  });
+
+  await test('lanes holding finished or unknown tasks should be released', () => {
+    const current = TrackerRepository.upgrade(tracker({
+      activeTask: 'TASK-002',
+      worktrees: { '.': 'TASK-002', '../lane-b': 'TASK-404', '../lane-c': 'TASK-001' }
+    }));
+    const findings = TrackerRepository.reconcile(current);
+
+    assertEqual(current.activeTask, null);
+    assertEqual(JSON.stringify(current.worktrees), JSON.stringify({ '../lane-c': 'TASK-001' }));
+    assert(findings.some(f => f.message.includes('TASK-404 (not in plan)')));
+    assert(findings.every(f => f.fixed));
+  });
+
+  await test('single unbound in-progress task should become the active task', () => {
+    const current = TrackerRepository.upgrade(tracker({ activeTask: null, worktrees: {} }));
+    const findings = TrackerRepository.reconcile(current);
+
+    assertEqual(current.activeTask, 'TASK-001');
+    assertEqual(current.worktrees['.'], 'TASK-001');
+    assert(findings.some(f => f.kind === 'unbound' && f.fixed));
+  });
+
+  await test('several unbound in-progress tasks should be reported, not guessed', () => {
+    const current = TrackerRepository.upgrade(tracker({
+      activeTask: null,
+      worktrees: {},
+      taskFiles: [{ id: 'TASK-001', status: 'in_progress' }, { id: 'TASK-002', status: 'in_progress' }]
+    }));
+    const findings = TrackerRepository.reconcile(current);
+
+    assertEqual(current.activeTask, null);
+    assertEqual(findings.filter(f => f.kind === 'unbound' && !f.fixed).length, 2);
+  });
+
+  await test('outdated statistics should be recomputed', () => {
+    const current = TrackerRepository.upgrade(tracker({ statistics: { totalTasks: 3, pending: 3 } }));
+    const findings = TrackerRepository.reconcile(current);
+
+    assert(findings.some(f => f.kind === 'statistics'));
+    assertEqual(current.statistics.pending, 1);
+  });
+} finally {
+  fs.rmSync(tempRoot, { recursive: true, force: true });
+}
+
+// ===== Test Summary =====
+console.log('\n=== Test Summary ===\n');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log(`Total: ${passed + failed}\n`);
+
+if (failed > 0) {
+  console.log('⚠️  Some tests failed\n');
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!\n');
+  process.exit(0);
+}
@@ -0,0 +1,365 @@
+#!/usr/bin/env node
+
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Platform Adapter Tests
+ *
+ * Runs the GitHub and Azure DevOps adapters against stand-in `gh` and `az`
+ * executables put first on PATH, which record their arguments and print
+ * canned JSON:
+ * - Every registered adapter implements the PlatformAdapter contract
+ * - Pull requests created, listed, normalized and merged through the router
+ * - Azure Repos remotes parsed into organization, project and repository
+ * - Work items created and updated through WorkItemSync
+ * - CLI failures degrading to null/false with a warning
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { execSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { PlatformAdapter } from '../../src/core/Platform/PlatformAdapter.js';
+import { PlatformRouter } from '../../src/core/Platform/PlatformRouter.js';
+import { AzureDevOpsAdapter } from '../../src/core/Platform/AzureDevOpsAdapter.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Test results
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+// ===== gh and az stand-ins =====
+
+const CONTRACT = ['createIssue', 'updateStatus', 'comment', 'close', 'createPR', 'getPRStatus', 'mergePR', 'listPRs'];
+
+// One script installed as both `gh` and `az`; answers by command name and arguments
+const STAND_IN = `#!/usr/bin/env node
+import fs from 'fs';
+import path from 'path';
+const tool = path.basename(process.argv[1]);
+const args = process.argv.slice(2);
+fs.appendFileSync(process.env.STAND_IN_LOG, JSON.stringify({ tool, args }) + '\\n');
+if (process.env.STAND_IN_FAIL || args[0] === 'auth') {
+  process.stderr.write(tool + ': authentication required\\n');
+  process.exit(1);
+}
+const command = args.slice(0, 3).join(' ');
+const replies = {
+  'pr create': 'https://github.com/team/app/pull/42\\n',
+  'pr list': JSON.stringify([
+    { number: 42, url: 'https://github.com/team/app/pull/42', state: 'MERGED', title: '[TASK-001] Build API' },
+    { number: 40, url: 'https://github.com/team/app/pull/40', state: 'CLOSED', title: 'Old attempt' }
+  ]),
+  'account show': '{}',
+  'repos pr create': JSON.stringify({ pullRequestId: 7, status: 'active' }),
+  'repos pr list': JSON.stringify([{ pullRequestId: 7, status: 'abandoned', title: '[TASK-001] Build API' }]),
+  'repos pr update': JSON.stringify({ pullRequestId: 7, status: 'completed' }),
+  'boards work-item create': JSON.stringify({ id: 55 })
+};
+const key = Object.keys(replies).find(prefix => command.startsWith(prefix));
+process.stdout.write(key ? replies[key] : '{}');
+`;
+
+function installStandIns(binDir) {
+  fs.mkdirSync(binDir, { recursive: true });
+  ['gh', 'az'].forEach(name => {
+    fs.writeFileSync(path.join(binDir, name), STAND_IN, { mode: 0o755 });
+  });
+}
+
+function readCalls(tool) {
+  if (!fs.existsSync(process.env.STAND_IN_LOG)) {
+    return [];
+  }
+  return fs.readFileSync(process.env.STAND_IN_LOG, 'utf-8').trim().split('\n')
+    .map(line => JSON.parse(line))
+    .filter(call => call.tool === tool && call.args[0] !== 'auth') // GitHubConfig asks gh for a token
+    .map(call => call.args);
+}
+
+function clearCalls() {
+  fs.rmSync(process.env.STAND_IN_LOG, { force: true });
+}
+
+function argValue(args, flag) {
+  const index = args.indexOf(flag);
+  return index === -1 ? undefined : args[index + 1];
+}
+
+function createProject(root, remote, settings = {}) {
+  fs.mkdirSync(path.join(root, '.claude'), { recursive: true });
+  execSync('git init -q', { cwd: root, stdio: 'pipe' });
+  execSync(`git remote add origin ${remote}`, { cwd: root, stdio: 'pipe' });
+  fs.writeFileSync(path.join(root, '.claude', 'settings.json'), JSON.stringify(settings));
+}
+
+['GITHUB_TOKEN', 'GITHUB_ENABLED', 'AZURE_DEVOPS_ENABLED', 'AZURE_DEVOPS_ORGANIZATION', 'AZURE_DEVOPS_PROJECT',
+  'AZURE_DEVOPS_AUTO_CREATE', 'AZURE_DEVOPS_AUTO_UPDATE'].forEach(name => delete process.env[name]);
+
+const tempRoot = path.join(__dirname, `.tmp-adapters-${process.pid}`);
+const originalPath = process.env.PATH;
+const warn = console.warn;
+const log = console.log;
+
+installStandIns(path.join(tempRoot, 'bin'));
+process.env.PATH = `${path.join(tempRoot, 'bin')}${path.delimiter}${originalPath}`;
+process.env.STAND_IN_LOG = path.join(tempRoot, 'calls.jsonl');
+
+try {
+  console.log('\n=== Contract ===\n');
+
+  await test('every registered adapter should implement the adapter contract', () => {
+    const platforms = Object.keys(PlatformRouter.ADAPTERS);
+    ['github', 'azure', 'gitlab', 'gitea', 'bitbucket-server'].forEach(platform => {
+      assert(platforms.includes(platform), `${platform} should be registered`);
+    });
+
+    platforms.forEach(platform => {
+      const Adapter = PlatformRouter.ADAPTERS[platform];
+      assert(Adapter.prototype instanceof PlatformAdapter, `${platform} adapter should extend PlatformAdapter`);
+      CONTRACT.forEach(method => {
+        assertEqual(typeof Adapter.prototype[method], 'function', `${platform} adapter should implement ${method}`);
+      });
+    });
+  });
+
+  await test('the base adapter should report operations as unsupported', async () => {
+    const adapter = new PlatformAdapter('example', tempRoot);
+
+    assert(!adapter.isConfigured());
+    assert(!adapter.canManagePullRequests());
+    assertEqual(await adapter.createIssue({ id: 'TASK-001', title: 'Build API' }), null);
+    assertEqual(await adapter.updateStatus(1, { status: 'completed' }), false);
+    assertEqual(await adapter.createPR({ sourceBranch: 'feature/task-001', targetBranch: 'main', title: 'x' }), null);
+    assertEqual(await adapter.getPRStatus('feature/task-001'), null);
+    assertEqual(await adapter.mergePR(1), false);
+  });
+
+  await test('a project without a remote should have no adapter', async () => {
+    const root = path.join(tempRoot, 'no-remote');
+    fs.mkdirSync(root, { recursive: true });
+    execSync('git init -q', { cwd: root, stdio: 'pipe' });
+    const router = new PlatformRouter(root);
+
+    assertEqual(router.getPlatform(), null);
+    assertEqual(router.getAdapter(), null);
+    assert(!router.canManagePullRequests());
+    assertEqual(await router.createPullRequest({ sourceBranch: 'a', targetBranch: 'main', title: 'x' }), null);
+    assertEqual(router.getSetupHint(), 'Add a remote: git remote add origin <url>');
+  });
+
+  console.log('\n=== GitHub ===\n');
+
+  const githubRoot = path.join(tempRoot, 'github');
+  createProject(githubRoot, 'https://github.com/team/app.git', { github: { enabled: false } });
+
+  await test('GitHub pull requests should be created with gh pr create', async () => {
+    clearCalls();
+    const router = new PlatformRouter(githubRoot);
+
+    assert(router.isGitHub());
+    assert(router.canManagePullRequests(), 'gh is checked when it runs');
+    assertEqual(router.getPullRequestTemplate(), '.github/PULL_REQUEST_TEMPLATE.md');
+
+    const pullRequest = await router.createPullRequest({
+      sourceBranch: 'feature/task-001',
+      targetBranch: 'main',
+      title: '[TASK-001] Build API',
+      description: 'Body with "quotes" and $(no shell)'
+    });
+    assertEqual(pullRequest.id, 42);
+    assertEqual(pullRequest.url, 'https://github.com/team/app/pull/42');
+
+    const [args] = readCalls('gh');
+    assertEqual(args.slice(0, 2).join(' '), 'pr create');
+    assertEqual(argValue(args, '--head'), 'feature/task-001');
+    assertEqual(argValue(args, '--base'), 'main');
+    assertEqual(argValue(args, '--body'), 'Body with "quotes" and $(no shell)', 'Arguments should reach gh unescaped');
+  });
+
+  await test('GitHub pull request states should be normalized, newest first', async () => {
+    const router = new PlatformRouter(githubRoot);
+
+    const pullRequests = await router.findPullRequests('feature/task-001');
+    assertEqual(pullRequests.map(pullRequest => pullRequest.state).join(','), 'merged,closed');
+
+    const status = await router.getPullRequestStatus('feature/task-001');
+    assertEqual(status.id, 42);
+    assertEqual(status.state, 'merged');
+  });
+
+  await test('GitHub pull requests should be merged with gh pr merge', async () => {
+    clearCalls();
+    assert(await new PlatformRouter(githubRoot).mergePullRequest(42));
+    assertEqual(readCalls('gh')[0].join(' '), 'pr merge 42 --merge');
+  });
+
+  await test('gh failures should degrade to null/false with a warning', async () => {
+    const warnings = [];
+    console.warn = (...args) => warnings.push(args.join(' '));
+    process.env.STAND_IN_FAIL = '1';
+
+    const router = new PlatformRouter(githubRoot);
+    assertEqual(await router.createPullRequest({ sourceBranch: 'a', targetBranch: 'main', title: 'x' }), null);
+    assertEqual(await router.getPullRequestStatus('a'), null);
+    assertEqual(await router.mergePullRequest(42), false);
+
+    delete process.env.STAND_IN_FAIL;
+    console.warn = warn;
+    assertEqual(warnings.length, 3);
+    assert(warnings[0].includes('GitHub pull request'));
+  });
+
+  await test('GitHub issues should need github.enabled and a token', () => {
+    const router = new PlatformRouter(githubRoot);
+    assert(!router.isConfigured());
+    assertEqual(router.getTaskItemField(), 'githubIssue');
+    assertEqual(router.getTaskItemUrl(3), 'https://github.com/team/app/issues/3');
+  });
+
+  console.log('\n=== Azure DevOps ===\n');
+
+  await test('Azure Repos remotes should give organization, project and repository', () => {
+    const https = AzureDevOpsAdapter.parseRemote('https://contoso@dev.azure.com/contoso/My%20Project/_git/app');
+    assertEqual(https.organization, 'contoso');
+    assertEqual(https.project, 'My Project');
+    assertEqual(https.repository, 'app');
+
+    const ssh = AzureDevOpsAdapter.parseRemote('git@ssh.dev.azure.com:v3/contoso/Web/app.git');
+    assertEqual(`${ssh.organization}/${ssh.project}/${ssh.repository}`, 'contoso/Web/app');
+
+    const legacy = AzureDevOpsAdapter.parseRemote('https://contoso.visualstudio.com/DefaultCollection/Web/_git/app');
+    assertEqual(`${legacy.organization}/${legacy.project}/${legacy.repository}`, 'contoso/Web/app');
+
+    assertEqual(AzureDevOpsAdapter.parseRemote('https://github.com/team/app.git'), null);
+  });
+
+  const azureRoot = path.join(tempRoot, 'azure');
+  createProject(azureRoot, 'https://dev.azure.com/contoso/Web/_git/app', {
+    azureDevOps: { enabled: true, autoCreate: true, autoUpdate: true, organization: 'contoso', project: 'Web' }
+  });
+
+  await test('Azure pull requests should be created with az repos pr create', async () => {
+    clearCalls();
+    const router = new PlatformRouter(azureRoot);
+
+    assert(router.isAzure());
+    assert(router.canManagePullRequests());
+
+    const pullRequest = await router.createPullRequest({ sourceBranch: 'feature/task-001', targetBranch: 'main', title: '[TASK-001] Build API' });
+    assertEqual(pullRequest.id, 7);
+    assertEqual(pullRequest.url, 'https://dev.azure.com/contoso/Web/_git/app/pullrequest/7');
+
+    const [args] = readCalls('az');
+    assertEqual(args.slice(0, 3).join(' '), 'repos pr create');
+    assertEqual(argValue(args, '--repository'), 'app');
+    assertEqual(argValue(args, '--source-branch'), 'feature/task-001');
+    assertEqual(argValue(args, '--organization'), 'https://dev.azure.com/contoso');
+    assertEqual(argValue(args, '--project'), 'Web');
+  });
+
+  await test('abandoned Azure pull requests should be reported as closed', async () => {
+    clearCalls();
+    const status = await new PlatformRouter(azureRoot).getPullRequestStatus('feature/task-001');
+
+    assertEqual(status.state, 'closed');
+    assertEqual(argValue(readCalls('az')[0], '--status'), 'all');
+  });
+
+  await test('Azure pull requests should be completed with az repos pr update', async () => {
+    clearCalls();
+    assert(await new PlatformRouter(azureRoot).mergePullRequest(7));
+
+    const [args] = readCalls('az');
+    assertEqual(args.slice(0, 3).join(' '), 'repos pr update');
+    assertEqual(argValue(args, '--id'), '7');
+    assertEqual(argValue(args, '--status'), 'completed');
+  });
+
+  await test('Azure work items should be created and updated through the router', async () => {
+    clearCalls();
+    console.log = () => {};
+    const router = new PlatformRouter(azureRoot);
+
+    assert(router.isConfigured());
+    assertEqual(router.getTaskItemName(), 'work item');
+    assertEqual(router.getTaskItemField(), 'azureWorkItem');
+    assertEqual(router.getTaskItemUrl(55), 'https://dev.azure.com/contoso/Web/_workitems/edit/55');
+
+    const workItemId = await router.createTaskItem({ id: 'TASK-001', title: 'Build API', status: 'in_progress' });
+    assert(await router.updateTaskItem({ id: 'TASK-001', status: 'in_review' }, workItemId));
+    console.log = log;
+
+    assertEqual(workItemId, 55);
+    const calls = readCalls('az').filter(args => args[0] === 'boards');
+    assertEqual(argValue(calls[0], '--title'), '[TASK-001] Build API');
+    const stateUpdate = calls.find(args => (argValue(args, '--state') || '') !== '');
+    assertEqual(argValue(stateUpdate, '--state'), 'Active', 'In-review tasks should keep their work item active');
+  });
+
+  await test('a non-Azure Repos remote should not manage Azure pull requests', async () => {
+    const adapter = new AzureDevOpsAdapter(githubRoot);
+    assert(!adapter.canManagePullRequests());
+    assertEqual(await adapter.createPR({ sourceBranch: 'a', targetBranch: 'main', title: 'x' }), null);
+    assertEqual(await adapter.mergePR(7), false);
+  });
+} finally {
+  console.warn = warn;
+  console.log = log;
+  process.env.PATH = originalPath;
+  delete process.env.STAND_IN_LOG;
+  delete process.env.STAND_IN_FAIL;
+  fs.rmSync(tempRoot, { recursive: true, force: true });
+}
+
+// ===== Test Summary =====
+console.log('\n=== Test Summary ===\n');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log(`Total: ${passed + failed}\n`);
+
+if (failed > 0) {
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!\n');
+  process.exit(0);
+}
@@ -235,7 +235,7 @@ await testAsync('Returns null for unknown platform', async () => {
   try {
     const { PlatformDetector } = await import('../../src/core/Platform/PlatformDetector.js');
 
-    const result = PlatformDetector.parseRemoteURL('https://gitlab.com/owner/repo.git');
+    const result = PlatformDetector.parseRemoteURL('https://git.sr.ht/~owner/repo');
     assertEqual(result, null, 'Should return null for unknown platforms');
   } catch (error) {
     if (error.message.includes('not found') || error.code === 'ERR_MODULE_NOT_FOUND') {
@@ -0,0 +1,498 @@
+#!/usr/bin/env node
+
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Gitea/Forgejo and Bitbucket Server Integration Tests
+ *
+ * Runs against a local HTTP stand-in serving both REST APIs
+ * (Gitea /api/v1, Bitbucket Server /rest/api/1.0):
+ * - Detection of self-hosted hosts set in gitea.baseUrl / bitbucketServer.baseUrl
+ * - Project key and repository slug from Bitbucket Server remotes
+ * - Issues, labels, comments and pull requests through GiteaClient
+ * - Pull requests through BitbucketServerClient
+ * - PlatformRouter routing task and pull request operations, including merges
+ */
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { execSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { PlatformDetector } from '../../src/core/Platform/PlatformDetector.js';
+import { PlatformRouter } from '../../src/core/Platform/PlatformRouter.js';
+import { GiteaConfig } from '../../src/core/Gitea/GiteaConfig.js';
+import { GiteaClient } from '../../src/core/Gitea/GiteaClient.js';
+import { BitbucketServerConfig } from '../../src/core/Bitbucket/BitbucketServerConfig.js';
+import { BitbucketServerClient } from '../../src/core/Bitbucket/BitbucketServerClient.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Test results
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+// ===== Gitea and Bitbucket Server stand-in =====
+
+const GITEA_TOKEN = 'gitea-test';
+const BITBUCKET_TOKEN = 'bitbucket-test';
+
+function createStandIn() {
+  const state = {
+    issues: new Map(),
+    labels: [{ id: 1, name: 'status: pending' }],
+    comments: [],
+    pulls: [],
+    bitbucketPulls: [],
+    requests: []
+  };
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const body = raw ? JSON.parse(raw) : {};
+      state.requests.push({ method: req.method, path: url.pathname, query: url.searchParams, auth: req.headers.authorization, body });
+
+      const send = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(data === undefined ? '' : JSON.stringify(data));
+      };
+
+      if (url.pathname.startsWith('/api/v1/repos/team/app')) {
+        if (req.headers.authorization !== `token ${GITEA_TOKEN}`) {
+          return send(401, { message: 'token is required' });
+        }
+        return gitea(req.method, url, body, send);
+      }
+
+      if (url.pathname.startsWith('/rest/api/1.0/projects/PROJ/repos/app')) {
+        if (req.headers.authorization !== `Bearer ${BITBUCKET_TOKEN}`) {
+          return send(401, { errors: [{ message: 'Authentication failed' }] });
+        }
+        return bitbucket(req.method, url, body, send);
+      }
+
+      return send(404, { message: 'Not found' });
+    });
+  });
+
+  function gitea(method, url, body, send) {
+    const resource = url.pathname.slice('/api/v1/repos/team/app'.length);
+    const issueMatch = resource.match(/^\/issues\/(\d+)(\/labels|\/comments)?$/);
+
+    if (resource === '/labels' && method === 'GET') {
+      const page = Number(url.searchParams.get('page'));
+      const limit = Number(url.searchParams.get('limit'));
+      return send(200, state.labels.slice((page - 1) * limit, page * limit));
+    }
+
+    if (resource === '/labels' && method === 'POST') {
+      const label = { id: state.labels.length + 1, name: body.name, color: body.color };
+      state.labels.push(label);
+      return send(201, label);
+    }
+
+    if (resource === '/issues' && method === 'POST') {
+      const issue = { number: state.issues.size + 1, title: body.title, body: body.body, labels: body.labels, state: 'open' };
+      state.issues.set(issue.number, issue);
+      return send(201, issue);
+    }
+
+    if (issueMatch) {
+      const issue = state.issues.get(Number(issueMatch[1]));
+      if (!issue) {
+        return send(404, { message: 'issue does not exist' });
+      }
+      if (issueMatch[2] === '/labels' && method === 'PUT') {
+        issue.labels = body.labels;
+        return send(200, state.labels.filter(label => body.labels.includes(label.id)));
+      }
+      if (issueMatch[2] === '/comments' && method === 'POST') {
+        state.comments.push({ number: issue.number, body: body.body });
+        return send(201, { id: state.comments.length, body: body.body });
+      }
+      if (method === 'PATCH') {
+        if (body.body !== undefined) issue.body = body.body;
+        if (body.state !== undefined) issue.state = body.state;
+      }
+      return send(200, issue);
+    }
+
+    if (resource === '/pulls' && method === 'POST') {
+      if (state.pulls.some(pull => pull.head.ref === body.head && pull.state === 'open')) {
+        return send(409, { message: 'pull request already exists for these targets' });
+      }
+      const number = 100 + state.pulls.length + 1;
+      const pull = { number, title: body.title, body: body.body, state: 'open', merged: false, head: { ref: body.head }, base: { ref: body.base }, html_url: `http://gitea.local/team/app/pulls/${number}` };
+      state.pulls.push(pull);
+      return send(201, pull);
+    }
+
+    if (resource === '/pulls' && method === 'GET') {
+      return send(200, [...state.pulls].reverse());
+    }
+
+    const mergeMatch = resource.match(/^\/pulls\/(\d+)\/merge$/);
+    if (mergeMatch && method === 'POST') {
+      const pull = state.pulls.find(candidate => candidate.number === Number(mergeMatch[1]));
+      if (!pull || pull.merged || body.Do !== 'merge') {
+        return send(405, { message: 'pull request cannot be merged' });
+      }
+      pull.merged = true;
+      pull.state = 'closed';
+      return send(200);
+    }
+
+    return send(404, { message: 'Not found' });
+  }
+
+  function bitbucket(method, url, body, send) {
+    const resource = url.pathname.slice('/rest/api/1.0/projects/PROJ/repos/app'.length);
+
+    if (resource === '/pull-requests' && method === 'POST') {
+      const id = state.bitbucketPulls.length + 1;
+      const pull = {
+        id,
+        title: body.title,
+        description: body.description,
+        state: 'OPEN',
+        version: 0,
+        fromRef: body.fromRef,
+        toRef: body.toRef,
+        links: { self: [{ href: `http://bitbucket.local/projects/PROJ/repos/app/pull-requests/${id}` }] }
+      };
+      state.bitbucketPulls.push(pull);
+      return send(201, pull);
+    }
+
+    if (resource === '/pull-requests' && method === 'GET') {
+      const ref = url.searchParams.get('at');
+      const values = state.bitbucketPulls.filter(pull => pull.fromRef.id === ref).reverse();
+      return send(200, { size: values.length, isLastPage: true, values });
+    }
+
+    const pullMatch = resource.match(/^\/pull-requests\/(\d+)(\/merge)?$/);
+    const pull = pullMatch && state.bitbucketPulls.find(candidate => candidate.id === Number(pullMatch[1]));
+    if (pull && !pullMatch[2] && method === 'GET') {
+      return send(200, pull);
+    }
+
+    if (pull && pullMatch[2] && method === 'POST') {
+      // Merging needs the version last read, like the real optimistic lock
+      if (url.searchParams.get('version') !== String(pull.version)) {
+        return send(409, { errors: [{ message: 'Pull request is out of date' }] });
+      }
+      pull.state = 'MERGED';
+      pull.version++;
+      return send(200, pull);
+    }
+
+    return send(404, { errors: [{ message: 'Not found' }] });
+  }
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, state, baseUrl: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+// Project whose origin is on the stand-in, recognized only through the settings section
+function createProject(root, remote, section, settings, token) {
+  fs.mkdirSync(path.join(root, '.claude'), { recursive: true });
+  execSync('git init -q', { cwd: root, stdio: 'pipe' });
+  execSync(`git remote add origin ${remote}`, { cwd: root, stdio: 'pipe' });
+  fs.writeFileSync(path.join(root, '.claude', 'settings.json'), JSON.stringify({
+    github: { enabled: true },
+    [section]: settings
+  }));
+  if (token) {
+    fs.writeFileSync(path.join(root, '.claude', 'settings.local.json'), JSON.stringify({ [section]: { token } }));
+  }
+}
+
+['GITEA_TOKEN', 'GITEA_URL', 'GITEA_ENABLED', 'BITBUCKET_TOKEN', 'BITBUCKET_URL', 'GITLAB_URL'].forEach(name => delete process.env[name]);
+
+const tempRoot = path.join(__dirname, `.tmp-gitea-bitbucket-${process.pid}`);
+const { server, state, baseUrl } = await createStandIn();
+const warn = console.warn;
+
+try {
+  console.log('\n=== Detection ===\n');
+
+  await test('self-hosted hosts should be detected through their settings section', () => {
+    const root = path.join(tempRoot, 'detect');
+    fs.mkdirSync(path.join(root, '.claude'), { recursive: true });
+    fs.writeFileSync(path.join(root, '.claude', 'settings.json'), JSON.stringify({
+      gitea: { baseUrl: 'https://git.example.com' },
+      bitbucketServer: { baseUrl: 'https://bitbucket.example.com:8443/bitbucket' }
+    }));
+    const detector = new PlatformDetector(root);
+
+    assertEqual(detector.identifyRemote('git@git.example.com:team/app.git'), 'gitea');
+    assertEqual(detector.identifyRemote('ssh://git@bitbucket.example.com:7999/proj/app.git'), 'bitbucket-server');
+    assertEqual(detector.identifyRemote('https://bitbucket.example.com:8443/bitbucket/scm/PROJ/app.git'), 'bitbucket-server');
+    assertEqual(detector.identifyRemote('https://code.example.com/team/app.git'), null);
+    assertEqual(PlatformDetector.getPlatformName('gitea'), 'Gitea/Forgejo');
+    assertEqual(PlatformDetector.getPlatformName('bitbucket-server'), 'Bitbucket Server');
+    assert(PlatformDetector.isSupported('gitea'));
+    assert(PlatformDetector.isSupported('bitbucket-server'));
+  });
+
+  await test('Bitbucket Server remotes should give the project key and slug', () => {
+    const https = BitbucketServerConfig.parseRemote('https://bitbucket.example.com/bitbucket/scm/PROJ/app.git', 'https://bitbucket.example.com/bitbucket');
+    assertEqual(https.projectKey, 'PROJ');
+    assertEqual(https.repoSlug, 'app');
+
+    const ssh = BitbucketServerConfig.parseRemote('ssh://git@bitbucket.example.com:7999/proj/app.git');
+    assertEqual(ssh.projectKey, 'PROJ', 'Project keys should be uppercased');
+
+    const personal = BitbucketServerConfig.parseRemote('ssh://git@bitbucket.example.com:7999/~jdoe/scratch.git');
+    assertEqual(personal.projectKey, '~jdoe');
+    assertEqual(personal.repoSlug, 'scratch');
+  });
+
+  await test('configs should combine settings, local token and the remote', () => {
+    const giteaRoot = path.join(tempRoot, 'gitea-config');
+    createProject(giteaRoot, `${baseUrl}/team/app.git`, 'gitea', { enabled: true, baseUrl }, GITEA_TOKEN);
+    const gitea = new GiteaConfig(giteaRoot);
+    assertEqual(gitea.getRepoInfo().owner, 'team');
+    assertEqual(gitea.getRepoInfo().repo, 'app');
+    assertEqual(gitea.getToken(), GITEA_TOKEN);
+    assert(gitea.isAutoCreateEnabled());
+
+    const bitbucketRoot = path.join(tempRoot, 'bitbucket-config');
+    createProject(bitbucketRoot, `${baseUrl}/scm/proj/app.git`, 'bitbucketServer', { baseUrl }, BITBUCKET_TOKEN);
+    const bitbucket = new BitbucketServerConfig(bitbucketRoot);
+    assertEqual(bitbucket.getRepoInfo().projectKey, 'PROJ');
+    assertEqual(bitbucket.getRepoInfo().repoSlug, 'app');
+    assert(bitbucket.isEnabled());
+  });
+
+  console.log('\n=== Gitea client ===\n');
+
+  const gitea = new GiteaClient(GITEA_TOKEN, `${baseUrl}/`, 'team', 'app');
+
+  await test('createIssue should resolve label names to IDs, creating missing labels', async () => {
+    const number = await gitea.createIssue('[TASK-001] Build API', '- [ ] Tests pass', ['status: pending', 'phase: implementation']);
+    assertEqual(number, 1);
+
+    assertEqual(state.labels.length, 2, 'Only the missing label should be created');
+    assertEqual(state.labels[1].name, 'phase: implementation');
+    assertEqual(state.issues.get(1).labels.join(','), '1,2');
+    assertEqual(state.requests[state.requests.length - 1].auth, `token ${GITEA_TOKEN}`);
+  });
+
+  await test('labels, body and comments should update the issue', async () => {
+    assert(await gitea.updateIssueLabels(1, ['status: in-progress']));
+    assertEqual(state.issues.get(1).labels.join(','), '3');
+
+    assertEqual(await gitea.getIssueBody(1), '- [ ] Tests pass');
+    assert(await gitea.updateIssueBody(1, '- [x] Tests pass'));
+    assertEqual(state.issues.get(1).body, '- [x] Tests pass');
+
+    assert(await gitea.addIssueComment(1, 'Started'));
+    assertEqual(state.comments[state.comments.length - 1].body, 'Started');
+
+    assert(await gitea.closeIssue(1, 'Done'));
+    assertEqual(state.issues.get(1).state, 'closed');
+    assertEqual(state.comments[state.comments.length - 1].body, 'Done');
+  });
+
+  await test('pull requests should be created and found by head branch', async () => {
+    const pull = await gitea.createPullRequest({ sourceBranch: 'feature/task-001', targetBranch: 'main', title: '[TASK-001] Build API', description: 'Closes #1' });
+    assertEqual(pull.id, 101);
+    assertEqual(pull.url, 'http://gitea.local/team/app/pulls/101');
+
+    state.pulls[0].merged = true;
+    state.pulls[0].state = 'closed';
+
+    const found = await gitea.findPullRequests('feature/task-001');
+    assertEqual(found.length, 1);
+    assertEqual(found[0].state, 'merged', 'Merged pull requests are closed with merged: true');
+    assertEqual((await gitea.findPullRequests('feature/task-002')).length, 0);
+  });
+
+  await test('API errors should degrade to null/false with a warning', async () => {
+    const warnings = [];
+    console.warn = (...args) => warnings.push(args.join(' '));
+
+    assertEqual(await new GiteaClient('wrong', baseUrl, 'team', 'app').createIssue('x', ''), null);
+    assertEqual(await gitea.updateIssueBody(99, ''), false);
+    console.warn = warn;
+
+    assertEqual(warnings.length, 2);
+    assert(warnings[0].includes('401'));
+    assert(!new GiteaClient(null, baseUrl, 'team', 'app').isConfigured());
+  });
+
+  console.log('\n=== Bitbucket Server client ===\n');
+
+  const bitbucket = new BitbucketServerClient(BITBUCKET_TOKEN, baseUrl, 'PROJ', 'app');
+
+  await test('pull requests should be created from and found by branch refs', async () => {
+    const pull = await bitbucket.createPullRequest({ sourceBranch: 'feature/task-001', targetBranch: 'main', title: '[TASK-001] Build API' });
+    assertEqual(pull.id, 1);
+    assertEqual(pull.url, 'http://bitbucket.local/projects/PROJ/repos/app/pull-requests/1');
+    assertEqual(state.bitbucketPulls[0].toRef.id, 'refs/heads/main');
+
+    const found = await bitbucket.findPullRequests('feature/task-001');
+    const request = state.requests[state.requests.length - 1];
+    assertEqual(request.query.get('at'), 'refs/heads/feature/task-001');
+    assertEqual(request.query.get('state'), 'ALL');
+    assertEqual(request.auth, `Bearer ${BITBUCKET_TOKEN}`);
+    assertEqual(found.length, 1);
+    assertEqual(found[0].state, 'OPEN');
+  });
+
+  console.log('\n=== Router ===\n');
+
+  await test('router should route task operations to Gitea', async () => {
+    const root = path.join(tempRoot, 'gitea-router');
+    createProject(root, `${baseUrl}/team/app.git`, 'gitea', { enabled: true, baseUrl }, GITEA_TOKEN);
+    const router = new PlatformRouter(root);
+
+    assert(router.isGitea());
+    assert(router.isConfigured());
+    assertEqual(router.getPlatformName(), 'Gitea/Forgejo');
+
+    const number = await router.createTaskItem({ id: 'TASK-002', title: 'Form', description: '- [ ] Form validates' });
+    assertEqual(state.issues.get(number).title, '[TASK-002] Form');
+    assertEqual(router.getTaskItemId({ githubIssue: 7, giteaIssue: number }), number);
+
+    assert(await router.updateTaskItem({ status: 'blocked' }, number));
+    const blocked = state.labels.find(label => label.name === 'status: blocked');
+    assertEqual(state.issues.get(number).labels.join(','), String(blocked.id));
+
+    assert(await router.tickCompletionCriteria(number, ['Form validates']));
+    assertEqual(state.issues.get(number).body, '- [x] Form validates');
+
+    assert(await router.addComment(number, 'Halfway'));
+    assert(await router.closeTaskItem(number, 'Completed'));
+    assertEqual(state.issues.get(number).state, 'closed');
+  });
+
+  await test('router should create and normalize Gitea pull requests', async () => {
+    const router = new PlatformRouter(path.join(tempRoot, 'gitea-router'));
+
+    assert(router.canManagePullRequests());
+    assertEqual(router.getPullRequestName(), 'pull request');
+
+    const pull = await router.createPullRequest({ sourceBranch: 'feature/task-002', targetBranch: 'main', title: '[TASK-002] Form' });
+    assertEqual(pull.id, 102);
+
+    const found = await router.findPullRequests('feature/task-002');
+    assertEqual(found[0].state, 'open');
+    assertEqual((await router.findPullRequests('feature/task-001'))[0].state, 'merged');
+  });
+
+  await test('router should merge Gitea pull requests', async () => {
+    const router = new PlatformRouter(path.join(tempRoot, 'gitea-router'));
+
+    assert(await router.mergePullRequest(102));
+    assertEqual((await router.getPullRequestStatus('feature/task-002')).state, 'merged');
+
+    const warnings = [];
+    console.warn = (...args) => warnings.push(args.join(' '));
+    assertEqual(await router.mergePullRequest(102), false, 'Merging twice should fail');
+    console.warn = warn;
+    assertEqual(warnings.length, 1);
+  });
+
+  await test('router should handle Bitbucket Server pull requests but no issues', async () => {
+    const root = path.join(tempRoot, 'bitbucket-router');
+    createProject(root, `${baseUrl}/scm/PROJ/app.git`, 'bitbucketServer', { baseUrl }, BITBUCKET_TOKEN);
+    const router = new PlatformRouter(root);
+
+    assert(router.isBitbucketServer());
+    assert(!router.isConfigured(), 'Bitbucket Server has no issues to sync');
+    assertEqual(await router.createTaskItem({ id: 'TASK-003', title: 'Docs' }), null);
+    assert(router.canManagePullRequests());
+
+    await router.createPullRequest({ sourceBranch: 'feature/task-003', targetBranch: 'main', title: '[TASK-003] Docs' });
+    state.bitbucketPulls[state.bitbucketPulls.length - 1].state = 'DECLINED';
+
+    const found = await router.findPullRequests('feature/task-003');
+    assertEqual(found.length, 1);
+    assertEqual(found[0].state, 'closed', 'Declined pull requests are reported as closed');
+    assert(found[0].url.endsWith('/pull-requests/2'));
+  });
+
+  await test('router should merge Bitbucket Server pull requests at their current version', async () => {
+    const router = new PlatformRouter(path.join(tempRoot, 'bitbucket-router'));
+    const pull = await router.createPullRequest({ sourceBranch: 'feature/task-004', targetBranch: 'main', title: '[TASK-004] Merge' });
+    state.bitbucketPulls[state.bitbucketPulls.length - 1].version = 3;
+
+    assert(await router.mergePullRequest(pull.id));
+    assertEqual(state.requests[state.requests.length - 1].query.get('version'), '3');
+    assertEqual((await router.getPullRequestStatus('feature/task-004')).state, 'merged');
+  });
+
+  await test('router should not manage pull requests without a token', () => {
+    const root = path.join(tempRoot, 'no-token');
+    createProject(root, `${baseUrl}/team/app.git`, 'gitea', { enabled: true, baseUrl }, null);
+
+    const router = new PlatformRouter(root);
+    assert(router.isGitea());
+    assert(!router.isConfigured());
+    assert(!router.canManagePullRequests());
+  });
+} finally {
+  console.warn = warn;
+  server.close();
+  fs.rmSync(tempRoot, { recursive: true, force: true });
+}
+
+// ===== Test Summary =====
+console.log('\n=== Test Summary ===\n');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log(`Total: ${passed + failed}\n`);
+
+if (failed > 0) {
+  console.log('⚠️  Some tests failed\n');
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!\n');
+  process.exit(0);
+}
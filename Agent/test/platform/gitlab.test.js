@@ -0,0 +1,362 @@
+#!/usr/bin/env node
+
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * GitLab Integration Tests
+ *
+ * Runs against a local HTTP stand-in for the GitLab REST API (v4):
+ * - Detection of gitlab.* remotes and of self-hosted hosts set in gitlab.baseUrl
+ * - Project path and web root from https, scp-style and ssh:// remotes
+ * - Issues, labels, notes and merge requests through GitLabClient
+ * - PlatformRouter routing task operations to GitLab
+ */
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { execSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { PlatformDetector } from '../../src/core/Platform/PlatformDetector.js';
+import { PlatformRouter } from '../../src/core/Platform/PlatformRouter.js';
+import { GitLabConfig } from '../../src/core/GitLab/GitLabConfig.js';
+import { GitLabClient } from '../../src/core/GitLab/GitLabClient.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Test results
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+// ===== GitLab stand-in =====
+
+const TOKEN = 'glpat-test';
+const PROJECT = 'group/sub/app';
+
+function createStandIn() {
+  const state = { issues: new Map(), notes: [], mergeRequests: [], requests: [] };
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const body = raw ? JSON.parse(raw) : {};
+      state.requests.push({ method: req.method, path: url.pathname, token: req.headers['private-token'], body });
+
+      const send = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(data === undefined ? '' : JSON.stringify(data));
+      };
+
+      if (req.headers['private-token'] !== TOKEN) {
+        return send(401, { message: '401 Unauthorized' });
+      }
+
+      const prefix = `/api/v4/projects/${encodeURIComponent(PROJECT)}`;
+      if (!req.url.startsWith(prefix)) {
+        return send(404, { message: '404 Project Not Found' });
+      }
+
+      const resource = url.pathname.slice(prefix.length);
+      const issueMatch = resource.match(/^\/issues\/(\d+)(\/notes)?$/);
+
+      if (req.method === 'POST' && resource === '/issues') {
+        const issue = { iid: state.issues.size + 1, title: body.title, description: body.description, labels: body.labels, state: 'opened' };
+        state.issues.set(issue.iid, issue);
+        return send(201, issue);
+      }
+
+      if (issueMatch) {
+        const issue = state.issues.get(Number(issueMatch[1]));
+        if (!issue) {
+          return send(404, { message: '404 Not found' });
+        }
+        if (issueMatch[2] && req.method === 'POST') {
+          state.notes.push({ iid: issue.iid, body: body.body });
+          return send(201, { id: state.notes.length, body: body.body });
+        }
+        if (req.method === 'PUT') {
+          if (body.labels !== undefined) issue.labels = body.labels;
+          if (body.description !== undefined) issue.description = body.description;
+          if (body.state_event === 'close') issue.state = 'closed';
+        }
+        return send(200, issue);
+      }
+
+      if (resource === '/merge_requests' && req.method === 'POST') {
+        if (state.mergeRequests.some(mr => mr.source_branch === body.source_branch && mr.state === 'opened')) {
+          return send(409, { message: ['Another open merge request already exists for this source branch'] });
+        }
+        const mergeRequest = {
+          iid: state.mergeRequests.length + 1,
+          state: 'opened',
+          ...body,
+          web_url: `http://gitlab.local/${PROJECT}/-/merge_requests/${state.mergeRequests.length + 1}`
+        };
+        state.mergeRequests.push(mergeRequest);
+        return send(201, mergeRequest);
+      }
+
+      if (resource === '/merge_requests' && req.method === 'GET') {
+        const branch = url.searchParams.get('source_branch');
+        const wanted = url.searchParams.get('state');
+        return send(200, state.mergeRequests
+          .filter(mr => mr.source_branch === branch && (wanted === 'all' || mr.state === wanted))
+          .reverse());
+      }
+
+      const mergeMatch = resource.match(/^\/merge_requests\/(\d+)\/merge$/);
+      if (mergeMatch && req.method === 'PUT') {
+        const mergeRequest = state.mergeRequests.find(mr => mr.iid === Number(mergeMatch[1]));
+        if (!mergeRequest || mergeRequest.state !== 'opened') {
+          return send(405, { message: '405 Method Not Allowed' });
+        }
+        mergeRequest.state = 'merged';
+        return send(200, mergeRequest);
+      }
+
+      return send(404, { message: '404 Not found' });
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, state, baseUrl: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+// Project whose origin points at the stand-in (a host that does not say "gitlab")
+function createProject(root, baseUrl, gitlabSettings = {}) {
+  fs.mkdirSync(path.join(root, '.claude'), { recursive: true });
+  execSync('git init -q', { cwd: root, stdio: 'pipe' });
+  execSync(`git remote add origin ${baseUrl}/${PROJECT}.git`, { cwd: root, stdio: 'pipe' });
+  fs.writeFileSync(path.join(root, '.claude', 'settings.json'), JSON.stringify({
+    github: { enabled: true },
+    gitlab: { enabled: true, baseUrl, ...gitlabSettings }
+  }));
+  fs.writeFileSync(path.join(root, '.claude', 'settings.local.json'), JSON.stringify({ gitlab: { token: TOKEN } }));
+}
+
+['GITLAB_TOKEN', 'GITLAB_URL', 'GITLAB_PROJECT', 'GITLAB_ENABLED'].forEach(name => delete process.env[name]);
+
+const tempRoot = path.join(__dirname, `.tmp-gitlab-${process.pid}`);
+const { server, state, baseUrl } = await createStandIn();
+const warn = console.warn;
+
+try {
+  console.log('\n=== Detection ===\n');
+
+  await test('gitlab.com and gitlab.* hosts should be detected from the remote', () => {
+    assertEqual(PlatformDetector.parseRemoteURL('https://gitlab.com/group/app.git'), 'gitlab');
+    assertEqual(PlatformDetector.parseRemoteURL('git@gitlab.com:group/app.git'), 'gitlab');
+    assertEqual(PlatformDetector.parseRemoteURL('ssh://git@gitlab.example.com:2222/group/app.git'), 'gitlab');
+    assertEqual(PlatformDetector.parseRemoteURL('https://git.example.com/group/app.git'), null);
+    assertEqual(PlatformDetector.parseRemoteURL('https://github.com/gitlab/app.git'), 'github');
+    assertEqual(PlatformDetector.getPlatformName('gitlab'), 'GitLab');
+    assert(PlatformDetector.isSupported('gitlab'));
+  });
+
+  await test('a self-hosted host should be detected through gitlab.baseUrl', () => {
+    const root = path.join(tempRoot, 'detect');
+    createProject(root, baseUrl);
+
+    assertEqual(PlatformDetector.detect(false, root), 'gitlab');
+    assertEqual(new PlatformDetector(root).matchConfiguredHost('git@127.0.0.1:group/app.git'), 'gitlab');
+    assertEqual(new PlatformDetector(root).matchConfiguredHost('https://git.example.com/group/app.git'), null);
+  });
+
+  await test('remotes should give the web root and the full project path', () => {
+    const https = GitLabConfig.parseRemote('https://git.example.com:8443/group/sub/app.git');
+    assertEqual(https.baseUrl, 'https://git.example.com:8443');
+    assertEqual(https.projectPath, 'group/sub/app');
+
+    const scp = GitLabConfig.parseRemote('git@git.example.com:group/app.git');
+    assertEqual(scp.baseUrl, 'https://git.example.com');
+    assertEqual(scp.projectPath, 'group/app');
+
+    const ssh = GitLabConfig.parseRemote('ssh://git@git.example.com:2222/group/app.git');
+    assertEqual(ssh.baseUrl, 'https://git.example.com', 'SSH port should not leak into the web root');
+    assertEqual(ssh.projectPath, 'group/app');
+
+    const prefixed = GitLabConfig.parseRemote('https://git.example.com/gitlab/group/app.git', 'https://git.example.com/gitlab');
+    assertEqual(prefixed.projectPath, 'group/app');
+  });
+
+  await test('config should combine settings, local token and the remote', () => {
+    const config = new GitLabConfig(path.join(tempRoot, 'detect'));
+    assertEqual(config.getBaseUrl(), baseUrl);
+    assertEqual(config.getProjectPath(), PROJECT);
+    assertEqual(config.getToken(), TOKEN);
+    assert(config.isAutoCreateEnabled());
+  });
+
+  console.log('\n=== Client ===\n');
+
+  const client = new GitLabClient(TOKEN, `${baseUrl}/`, PROJECT);
+
+  await test('createIssue should post to the project and return the IID', async () => {
+    const iid = await client.createIssue('[TASK-001] Build API', '- [ ] Tests pass', ['status: pending', 'phase: implementation']);
+    assertEqual(iid, 1);
+
+    const request = state.requests[state.requests.length - 1];
+    assertEqual(request.path, `/api/v4/projects/${encodeURIComponent(PROJECT)}/issues`);
+    assertEqual(request.token, TOKEN);
+    assertEqual(request.body.labels, 'status: pending,phase: implementation');
+  });
+
+  await test('labels, description and notes should update the issue', async () => {
+    assert(await client.updateIssueLabels(1, ['status: in-progress']));
+    assertEqual(state.issues.get(1).labels, 'status: in-progress');
+
+    assertEqual(await client.getIssueBody(1), '- [ ] Tests pass');
+    assert(await client.updateIssueBody(1, '- [x] Tests pass'));
+    assertEqual(state.issues.get(1).description, '- [x] Tests pass');
+
+    assert(await client.addIssueComment(1, 'Started'));
+    assertEqual(state.notes[state.notes.length - 1].body, 'Started');
+  });
+
+  await test('closeIssue should comment then close', async () => {
+    assert(await client.closeIssue(1, 'Done'));
+    assertEqual(state.issues.get(1).state, 'closed');
+    assertEqual(state.notes[state.notes.length - 1].body, 'Done');
+  });
+
+  await test('merge requests should be created and found by source branch', async () => {
+    const mergeRequest = await client.createMergeRequest({
+      sourceBranch: 'feature/task-001',
+      targetBranch: 'main',
+      title: '[TASK-001] Build API',
+      description: 'Closes #1'
+    });
+    assertEqual(mergeRequest.iid, 1);
+    assert(mergeRequest.url.endsWith('/-/merge_requests/1'));
+    assertEqual(state.mergeRequests[0].remove_source_branch, true);
+
+    const found = await client.findMergeRequests('feature/task-001');
+    assertEqual(found.length, 1);
+    assertEqual(found[0].state, 'opened');
+    assertEqual((await client.findMergeRequests('feature/task-002')).length, 0);
+  });
+
+  await test('API errors should degrade to null/false with a warning', async () => {
+    const warnings = [];
+    console.warn = (...args) => warnings.push(args.join(' '));
+
+    assertEqual(await client.createMergeRequest({ sourceBranch: 'feature/task-001', targetBranch: 'main', title: 'Again' }), null);
+    assertEqual(await new GitLabClient('wrong', baseUrl, PROJECT).createIssue('x', ''), null);
+    assertEqual(await client.updateIssueLabels(99, []), false);
+    console.warn = warn;
+
+    assertEqual(warnings.length, 3);
+    assert(warnings[1].includes('401'));
+    assert(!new GitLabClient(null, baseUrl, PROJECT).isConfigured());
+  });
+
+  console.log('\n=== Router ===\n');
+
+  await test('router should route task operations to GitLab', async () => {
+    const root = path.join(tempRoot, 'router');
+    createProject(root, baseUrl);
+    const router = new PlatformRouter(root);
+
+    assert(router.isGitLab());
+    assert(router.isConfigured());
+    assertEqual(router.getPlatformName(), 'GitLab');
+
+    const iid = await router.createTaskItem({ id: 'TASK-002', title: 'Form', description: '- [ ] Form validates' });
+    assertEqual(state.issues.get(iid).title, '[TASK-002] Form');
+    assertEqual(router.getTaskItemId({ githubIssue: 7, gitlabIssue: iid }), iid);
+
+    assert(await router.updateTaskItem({ status: 'blocked' }, iid));
+    assertEqual(state.issues.get(iid).labels, 'status: blocked');
+
+    assert(await router.tickCompletionCriteria(iid, ['Form validates']));
+    assertEqual(state.issues.get(iid).description, '- [x] Form validates');
+    assert(await router.tickCompletionCriteria(iid, ['Form validates']), 'Already ticked criteria should count as done');
+
+    assert(await router.closeTaskItem(iid, 'Completed'));
+    assertEqual(state.issues.get(iid).state, 'closed');
+  });
+
+  await test('router should create, find and merge GitLab merge requests', async () => {
+    const router = new PlatformRouter(path.join(tempRoot, 'router'));
+
+    assert(router.canManagePullRequests());
+    assertEqual(router.getPullRequestShortName(), 'MR');
+
+    const mergeRequest = await router.createPullRequest({ sourceBranch: 'feature/task-002', targetBranch: 'main', title: '[TASK-002] Form' });
+    assertEqual((await router.getPullRequestStatus('feature/task-002')).state, 'open');
+
+    assert(await router.mergePullRequest(mergeRequest.id));
+    assertEqual((await router.getPullRequestStatus('feature/task-002')).state, 'merged');
+  });
+
+  await test('router should stay unconfigured without a token', () => {
+    const root = path.join(tempRoot, 'no-token');
+    createProject(root, baseUrl);
+    fs.rmSync(path.join(root, '.claude', 'settings.local.json'));
+
+    const router = new PlatformRouter(root);
+    assert(router.isGitLab());
+    assert(!router.isConfigured());
+  });
+} finally {
+  console.warn = warn;
+  server.close();
+  fs.rmSync(tempRoot, { recursive: true, force: true });
+}
+
+// ===== Test Summary =====
+console.log('\n=== Test Summary ===\n');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log(`Total: ${passed + failed}\n`);
+
+if (failed > 0) {
+  console.log('⚠️  Some tests failed\n');
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!\n');
+  process.exit(0);
+}
@@ -0,0 +1,405 @@
+#!/usr/bin/env node
+
+/**
+ * Copyright 2024-2025 agentic15.com
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Remote Outbox Tests
+ *
+ * Runs RemoteSync against a stand-in router that can be switched offline:
+ * - Idempotency keys, deduplication and exponential backoff in RemoteOutbox
+ * - Failed creates, updates, comments and criteria ticks queued; disabled ones not
+ * - Changes to a task whose item is still queued wait behind its create
+ * - Retries respecting backoff unless forced, linking created items
+ * - Entries dropped when already delivered or no longer deliverable
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { RemoteOutbox } from '../../src/core/RemoteOutbox.js';
+import { RemoteSync } from '../../src/core/Platform/RemoteSync.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Test results
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${error.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+// ===== Stand-in router =====
+
+// PlatformRouter task item methods; `online` decides whether calls succeed
+class StandInRouter {
+  constructor(options = {}) {
+    this.platform = options.platform || 'github';
+    this.configured = options.configured !== false;
+    this.autoCreate = options.autoCreate !== false;
+    this.autoUpdate = options.autoUpdate !== false;
+    this.online = options.online !== false;
+    this.calls = [];
+    this.nextId = 100;
+  }
+
+  getPlatform() { return this.platform; }
+  getPlatformName() { return 'GitHub'; }
+  getTaskItemName() { return 'issue'; }
+  getTaskItemField() { return 'githubIssue'; }
+  getTaskItemId(taskData) { return taskData.githubIssue || null; }
+  getSetupHint() { return 'Diagnose with: npx agentic15 doctor'; }
+  isConfigured() { return this.configured; }
+  isAutoCreateEnabled() { return this.autoCreate; }
+  isAutoUpdateEnabled() { return this.autoUpdate; }
+
+  async createTaskItem(task, content) {
+    this.calls.push(['create', task.id, content.title]);
+    return this.online ? this.nextId++ : null;
+  }
+
+  async updateTaskItem(task, itemId) {
+    this.calls.push(['update', itemId, task.status]);
+    return this.online;
+  }
+
+  async addComment(itemId, comment) {
+    this.calls.push(['comment', itemId, comment]);
+    return this.online;
+  }
+
+  async tickCompletionCriteria(itemId, criteria) {
+    this.calls.push(['tick', itemId, criteria.join('|')]);
+    return this.online;
+  }
+}
+
+const tempRoot = path.join(__dirname, `.tmp-outbox-${process.pid}`);
+
+function createProject(name, tasks = { 'TASK-001': {} }) {
+  const root = path.join(tempRoot, name);
+  const tasksDir = path.join(root, '.claude', 'plans', 'plan-001-initial', 'tasks');
+  fs.mkdirSync(tasksDir, { recursive: true });
+
+  Object.entries(tasks).forEach(([id, fields]) => {
+    fs.writeFileSync(path.join(tasksDir, `${id}.json`), JSON.stringify({ id, title: `Task ${id}`, phase: 'implementation', ...fields }, null, 2));
+  });
+
+  return root;
+}
+
+function taskPath(root, id = 'TASK-001') {
+  return path.join(root, '.claude', 'plans', 'plan-001-initial', 'tasks', `${id}.json`);
+}
+
+function readTask(root, id = 'TASK-001') {
+  return JSON.parse(fs.readFileSync(taskPath(root, id), 'utf8'));
+}
+
+function later(minutes) {
+  return new Date(Date.now() + minutes * 60 * 1000);
+}
+
+try {
+  console.log('\n=== RemoteOutbox ===\n');
+
+  await test('keys should identify creates and updates per task, comments per task and text', () => {
+    const file = '.claude/plans/plan-001-initial/tasks/TASK-001.json';
+
+    assertEqual(RemoteOutbox.keyFor('github', 'create', file), 'github:create:plan-001-initial/TASK-001');
+    assertEqual(RemoteOutbox.keyFor('github', 'update', file, { status: 'in_review' }), 'github:update:plan-001-initial/TASK-001');
+    assertEqual(RemoteOutbox.keyFor('github', 'update', file, { status: 'completed' }), 'github:update:plan-001-initial/TASK-001');
+
+    const first = RemoteOutbox.keyFor('github', 'comment', file, { comment: 'PR created' });
+    assert(first.startsWith('github:comment:plan-001-initial/TASK-001:'));
+    assertEqual(RemoteOutbox.keyFor('github', 'comment', file, { comment: 'PR created' }), first);
+    assert(RemoteOutbox.keyFor('github', 'comment', file, { comment: 'Blocked' }) !== first);
+  });
+
+  await test('backoff should double with every attempt up to the maximum', () => {
+    assertEqual(RemoteOutbox.backoffDelay(1), RemoteOutbox.BASE_DELAY_MS);
+    assertEqual(RemoteOutbox.backoffDelay(2), RemoteOutbox.BASE_DELAY_MS * 2);
+    assertEqual(RemoteOutbox.backoffDelay(3), RemoteOutbox.BASE_DELAY_MS * 4);
+    assertEqual(RemoteOutbox.backoffDelay(50), RemoteOutbox.MAX_DELAY_MS);
+  });
+
+  await test('queueing the same operation twice should update one entry', () => {
+    const root = createProject('dedupe');
+    const outbox = new RemoteOutbox(root);
+    const now = new Date('2025-01-01T10:00:00.000Z');
+    const operation = { platform: 'github', operation: 'update', taskId: 'TASK-001', taskFile: '.claude/plans/plan-001-initial/tasks/TASK-001.json' };
+
+    outbox.enqueue({ ...operation, payload: { status: 'in_review' }, error: 'offline' }, now);
+    const entry = outbox.enqueue({ ...operation, payload: { status: 'completed' }, error: 'still offline' }, now);
+
+    assertEqual(outbox.count(), 1);
+    assertEqual(entry.payload.status, 'completed', 'The newest status should win');
+    assertEqual(entry.attempts, 2);
+    assertEqual(entry.lastError, 'still offline');
+    assertEqual(entry.nextAttemptAt, new Date(now.getTime() + RemoteOutbox.backoffDelay(2)).toISOString());
+    assertEqual(outbox.due(now).length, 0);
+    assertEqual(outbox.due(later(24 * 60)).length, 1);
+  });
+
+  await test('the outbox file should be removed once it is empty', () => {
+    const root = createProject('empty');
+    const outbox = new RemoteOutbox(root);
+    const entry = outbox.enqueue({ platform: 'github', operation: 'create', taskId: 'TASK-001', taskFile: '.claude/plans/plan-001-initial/tasks/TASK-001.json' });
+
+    assert(fs.existsSync(outbox.path));
+    assert(outbox.remove(entry.key));
+    assert(!fs.existsSync(outbox.path));
+    assertEqual(outbox.count(), 0);
+  });
+
+  console.log('\n=== Queueing failures ===\n');
+
+  await test('a created item should be linked in the task file without queueing', async () => {
+    const root = createProject('create-online');
+    const sync = new RemoteSync(root, new StandInRouter(), new RemoteOutbox(root));
+
+    const itemId = await sync.createTaskItem(taskPath(root), readTask(root), { title: '[TASK-001] Task' });
+
+    assertEqual(itemId, 100);
+    assertEqual(readTask(root).githubIssue, 100);
+    assertEqual(sync.outbox.count(), 0);
+  });
+
+  await test('a failed create should be queued with its content', async () => {
+    const root = createProject('create-offline');
+    const sync = new RemoteSync(root, new StandInRouter({ online: false }), new RemoteOutbox(root));
+
+    assertEqual(await sync.createTaskItem(taskPath(root), readTask(root), { title: '[TASK-001] Task' }), null);
+
+    const [entry] = sync.outbox.read();
+    assertEqual(sync.outbox.count(), 1);
+    assertEqual(entry.operation, 'create');
+    assertEqual(entry.taskFile, '.claude/plans/plan-001-initial/tasks/TASK-001.json');
+    assertEqual(entry.payload.content.title, '[TASK-001] Task');
+    assertEqual(entry.attempts, 1);
+    assertEqual(entry.lastError, 'Could not create GitHub issue');
+  });
+
+  await test('operations the project has not turned on should not be queued', async () => {
+    const root = createProject('disabled', { 'TASK-001': { githubIssue: 7 } });
+
+    const noAutoCreate = new RemoteSync(root, new StandInRouter({ online: false, autoCreate: false }), new RemoteOutbox(root));
+    await noAutoCreate.createTaskItem(taskPath(root), readTask(root));
+
+    const noAutoUpdate = new RemoteSync(root, new StandInRouter({ online: false, autoUpdate: false }), new RemoteOutbox(root));
+    await noAutoUpdate.updateTaskItem(taskPath(root), readTask(root), { status: 'in_review' });
+
+    const notConfigured = new RemoteSync(root, new StandInRouter({ online: false, configured: false }), new RemoteOutbox(root));
+    await notConfigured.addComment(taskPath(root), readTask(root), 'PR created');
+
+    assertEqual(new RemoteOutbox(root).count(), 0);
+  });
+
+  await test('failed updates and comments should be queued once per key', async () => {
+    const root = createProject('update-offline', { 'TASK-001': { githubIssue: 7 } });
+    const sync = new RemoteSync(root, new StandInRouter({ online: false }), new RemoteOutbox(root));
+
+    assertEqual(await sync.updateTaskItem(taskPath(root), readTask(root), { status: 'in_review' }), false);
+    await sync.addComment(taskPath(root), readTask(root), 'PR created');
+    await sync.updateTaskItem(taskPath(root), readTask(root), { status: 'completed' });
+    await sync.addComment(taskPath(root), readTask(root), 'PR created');
+
+    const entries = sync.outbox.read();
+    assertEqual(entries.length, 2);
+    assertEqual(entries[0].payload.status, 'completed');
+    assertEqual(entries[0].payload.phase, 'implementation', 'The phase should come from the task file');
+    assertEqual(entries[1].operation, 'comment');
+  });
+
+  await test('changes to a task without an item should only wait behind a queued create', async () => {
+    const root = createProject('waiting', { 'TASK-001': {}, 'TASK-002': {} });
+    const router = new StandInRouter({ online: false });
+    const sync = new RemoteSync(root, router, new RemoteOutbox(root));
+
+    await sync.createTaskItem(taskPath(root), readTask(root));
+    router.calls = [];
+
+    await sync.updateTaskItem(taskPath(root), readTask(root), { status: 'in_review' });
+    await sync.updateTaskItem(taskPath(root, 'TASK-002'), readTask(root, 'TASK-002'), { status: 'in_review' });
+
+    const entries = sync.outbox.read();
+    assertEqual(entries.length, 2, 'TASK-002 has no item and no queued create');
+    assertEqual(entries[1].operation, 'update');
+    assertEqual(entries[1].attempts, 0, 'Held-back changes should not count as attempts');
+    assertEqual(router.calls.length, 0, 'Nothing should be sent for tasks without an item');
+  });
+
+  await test('a failed completion criteria tick should be queued per task and replayed', async () => {
+    const root = createProject('tick', { 'TASK-001': { githubIssue: 7 } });
+    const router = new StandInRouter({ online: false });
+    const sync = new RemoteSync(root, router, new RemoteOutbox(root));
+
+    assertEqual(await sync.tickCompletionCriteria(taskPath(root), readTask(root), ['Form validates']), false);
+    await sync.tickCompletionCriteria(taskPath(root), readTask(root), ['Form validates', 'Errors shown']);
+
+    const entries = sync.outbox.read();
+    assertEqual(entries.length, 1);
+    assertEqual(entries[0].key, 'github:tick:plan-001-initial/TASK-001');
+    assertEqual(entries[0].payload.criteria.length, 2, 'The newest criteria should win');
+    assertEqual(RemoteSync.describe(entries[0]), 'Tick 2 completion criteria of TASK-001 on github');
+
+    router.online = true;
+    router.calls = [];
+    const result = await sync.retry({ force: true });
+
+    assertEqual(result.delivered.length, 1);
+    assertEqual(JSON.stringify(router.calls), JSON.stringify([['tick', 7, 'Form validates|Errors shown']]));
+  });
+
+  await test('ticks should not be queued without met criteria or with auto-update off', async () => {
+    const root = createProject('tick-disabled', { 'TASK-001': { githubIssue: 7 } });
+    const router = new StandInRouter({ online: false, autoUpdate: false });
+    const sync = new RemoteSync(root, router, new RemoteOutbox(root));
+
+    await sync.tickCompletionCriteria(taskPath(root), readTask(root), ['Form validates']);
+    router.autoUpdate = true;
+    await sync.tickCompletionCriteria(taskPath(root), readTask(root), []);
+
+    assertEqual(sync.outbox.count(), 0);
+    assertEqual(router.calls.length, 1, 'Nothing should be sent without met criteria');
+  });
+
+  console.log('\n=== Retrying ===\n');
+
+  await test('retries should wait for the backoff unless forced', async () => {
+    const root = createProject('backoff', { 'TASK-001': { githubIssue: 7 } });
+    const router = new StandInRouter({ online: false });
+    const sync = new RemoteSync(root, router, new RemoteOutbox(root));
+    await sync.updateTaskItem(taskPath(root), readTask(root), { status: 'in_review' });
+    router.calls = [];
+
+    const early = await sync.retry();
+    assertEqual(early.skipped.length, 1);
+    assertEqual(router.calls.length, 0);
+
+    const forced = await sync.retry({ force: true });
+    assertEqual(forced.failed.length, 1);
+    assertEqual(sync.outbox.read()[0].attempts, 2);
+    assertEqual(router.calls.length, 1);
+  });
+
+  await test('a retried create should link the task and let its queued changes follow', async () => {
+    const root = createProject('replay');
+    const router = new StandInRouter({ online: false });
+    const sync = new RemoteSync(root, router, new RemoteOutbox(root));
+
+    await sync.createTaskItem(taskPath(root), readTask(root), { title: '[TASK-001] Task' });
+    await sync.updateTaskItem(taskPath(root), readTask(root), { status: 'in_review' });
+    await sync.addComment(taskPath(root), readTask(root), 'PR created');
+
+    router.online = true;
+    router.calls = [];
+    const result = await sync.retry({ now: later(5) });
+
+    assertEqual(result.delivered.length, 3);
+    assertEqual(result.pending, 0);
+    assertEqual(readTask(root).githubIssue, 100);
+    assertEqual(JSON.stringify(router.calls), JSON.stringify([
+      ['create', 'TASK-001', '[TASK-001] Task'],
+      ['update', 100, 'in_review'],
+      ['comment', 100, 'PR created']
+    ]));
+    assert(!fs.existsSync(sync.outbox.path));
+  });
+
+  await test('changes should keep waiting while their create fails', async () => {
+    const root = createProject('still-offline');
+    const router = new StandInRouter({ online: false });
+    const sync = new RemoteSync(root, router, new RemoteOutbox(root));
+
+    await sync.createTaskItem(taskPath(root), readTask(root));
+    await sync.addComment(taskPath(root), readTask(root), 'PR created');
+
+    const result = await sync.retry({ force: true });
+    assertEqual(result.failed.length, 1);
+    assertEqual(result.waiting.length, 1);
+    assertEqual(result.pending, 2);
+  });
+
+  await test('a queued create should not run again for a task that got linked meanwhile', async () => {
+    const root = createProject('linked');
+    const router = new StandInRouter({ online: false });
+    const sync = new RemoteSync(root, router, new RemoteOutbox(root));
+
+    await sync.createTaskItem(taskPath(root), readTask(root));
+    fs.writeFileSync(taskPath(root), JSON.stringify({ ...readTask(root), githubIssue: 12 }));
+
+    router.online = true;
+    router.calls = [];
+    const result = await sync.retry({ force: true });
+
+    assertEqual(result.dropped.length, 1);
+    assert(result.dropped[0].reason.includes('#12'));
+    assertEqual(router.calls.length, 0, 'No second issue should be created');
+    assertEqual(readTask(root).githubIssue, 12);
+  });
+
+  await test('entries for another platform should stay; undeliverable ones should be dropped', async () => {
+    const root = createProject('leftovers', { 'TASK-001': { githubIssue: 7 } });
+    const outbox = new RemoteOutbox(root);
+    outbox.enqueue({ platform: 'azure', operation: 'update', taskId: 'TASK-001', taskFile: '.claude/plans/plan-001-initial/tasks/TASK-001.json', payload: { status: 'completed' } });
+    outbox.enqueue({ platform: 'github', operation: 'comment', taskId: 'TASK-009', taskFile: '.claude/plans/plan-001-initial/tasks/TASK-009.json', payload: { comment: 'Gone' } });
+
+    const result = await new RemoteSync(root, new StandInRouter(), outbox).retry({ force: true });
+
+    assertEqual(result.skipped.length, 1);
+    assertEqual(result.skipped[0].platform, 'azure');
+    assertEqual(result.dropped.length, 1);
+    assert(result.dropped[0].reason.includes('no longer exists'));
+    assertEqual(result.pending, 1);
+  });
+} finally {
+  fs.rmSync(tempRoot, { recursive: true, force: true });
+}
+
+// ===== Test Summary =====
+console.log('\n=== Test Summary ===\n');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log(`Total: ${passed + failed}\n`);
+
+if (failed > 0) {
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!\n');
+  process.exit(0);
+}